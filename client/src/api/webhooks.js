@@ -0,0 +1,18 @@
+import apiClient from './client';
+
+const basePath = (businessId) => `/v1/businesses/${businessId}/webhooks`;
+
+export const listDeliveries = (businessId, params) =>
+  apiClient.get(`${basePath(businessId)}/deliveries`, { params }).then((res) => res.data);
+
+export const getDelivery = (businessId, deliveryId) =>
+  apiClient.get(`${basePath(businessId)}/deliveries/${deliveryId}`).then((res) => res.data.data);
+
+export const replayDelivery = (businessId, deliveryId) =>
+  apiClient.post(`${basePath(businessId)}/deliveries/${deliveryId}/replay`).then((res) => res.data.data);
+
+export const replayDeliveries = (businessId, criteria) =>
+  apiClient.post(`${basePath(businessId)}/deliveries/replay`, criteria).then((res) => res.data.data);
+
+export const sendTestWebhook = (businessId) =>
+  apiClient.post(`${basePath(businessId)}/test`).then((res) => res.data.data);
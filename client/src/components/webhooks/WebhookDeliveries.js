@@ -0,0 +1,228 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  getDelivery,
+  listDeliveries,
+  replayDeliveries,
+  replayDelivery,
+  sendTestWebhook,
+} from '../../api/webhooks';
+import './WebhookDeliveries.css';
+
+const STATUSES = ['pending', 'delivering', 'succeeded', 'dead'];
+const REPLAYABLE = ['succeeded', 'dead'];
+
+const errorMessage = (error) => error.response?.data?.message || error.message;
+
+const formatJson = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') return JSON.stringify(value, null, 2);
+  try {
+    return JSON.stringify(JSON.parse(value), null, 2);
+  } catch (e) {
+    return value;
+  }
+};
+
+function DeliveryDetail({ businessId, deliveryId }) {
+  const [delivery, setDelivery] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getDelivery(businessId, deliveryId)
+      .then(setDelivery)
+      .catch((err) => setError(errorMessage(err)));
+  }, [businessId, deliveryId]);
+
+  if (error) return <p className="webhook-deliveries__error">{error}</p>;
+  if (!delivery) return <p>Loading…</p>;
+
+  return (
+    <div className="webhook-deliveries__detail">
+      <h4>Payload</h4>
+      <pre>{formatJson(delivery.payload)}</pre>
+      <h4>Attempts</h4>
+      <table>
+        <thead>
+          <tr>
+            <th>Time</th>
+            <th>Response</th>
+            <th>Latency</th>
+            <th>Body / error</th>
+          </tr>
+        </thead>
+        <tbody>
+          {delivery.attempts.map((attempt, index) => (
+            <tr key={index}>
+              <td>{new Date(attempt.attemptedAt).toLocaleString()}</td>
+              <td>{attempt.responseCode || '—'}</td>
+              <td>{attempt.durationMs} ms</td>
+              <td>
+                <pre>{attempt.error && !attempt.responseBody ? attempt.error : formatJson(attempt.responseBody)}</pre>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Delivery console: every webhook sent to a business, with its responses and replay
+ */
+function WebhookDeliveries({ businessId }) {
+  const [filters, setFilters] = useState({ event: '', status: '' });
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ data: [], pagination: null });
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    setError(null);
+    const params = { page, limit: 20 };
+    if (filters.event) params.event = filters.event;
+    if (filters.status) params.status = filters.status;
+
+    listDeliveries(businessId, params)
+      .then(setResult)
+      .catch((err) => setError(errorMessage(err)))
+      .finally(() => setLoading(false));
+  }, [businessId, filters, page]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const updateFilter = (name) => (event) => {
+    setPage(1);
+    setFilters((current) => ({ ...current, [name]: event.target.value }));
+  };
+
+  const run = async (action, describe) => {
+    setNotice(null);
+    setError(null);
+    try {
+      setNotice(describe(await action()));
+      load();
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const handleReplay = (deliveryId) =>
+    run(() => replayDelivery(businessId, deliveryId), () => 'Delivery queued for replay');
+
+  const handleReplayDead = () =>
+    run(
+      () => replayDeliveries(businessId, filters.event ? { event: filters.event } : {}),
+      (data) => `${data.replayed} dead deliveries queued for replay`
+    );
+
+  const handleTest = () =>
+    run(
+      () => sendTestWebhook(businessId),
+      (data) => (data.success
+        ? `Test event accepted (HTTP ${data.statusCode}, ${data.responseTime} ms)`
+        : `Test event failed: ${data.error}`)
+    );
+
+  const { data: deliveries, pagination } = result;
+
+  return (
+    <section className="webhook-deliveries">
+      <header className="webhook-deliveries__toolbar">
+        <h2>Webhook deliveries</h2>
+        <input
+          type="text"
+          placeholder="Event, e.g. payment.completed"
+          value={filters.event}
+          onChange={updateFilter('event')}
+        />
+        <select value={filters.status} onChange={updateFilter('status')}>
+          <option value="">All statuses</option>
+          {STATUSES.map((status) => (
+            <option key={status} value={status}>{status}</option>
+          ))}
+        </select>
+        <button type="button" onClick={load} disabled={loading}>Refresh</button>
+        <button type="button" onClick={handleReplayDead}>Replay dead</button>
+        <button type="button" onClick={handleTest}>Send test event</button>
+      </header>
+
+      {notice && <p className="webhook-deliveries__notice">{notice}</p>}
+      {error && <p className="webhook-deliveries__error">{error}</p>}
+
+      <table className="webhook-deliveries__table">
+        <thead>
+          <tr>
+            <th>Created</th>
+            <th>Event</th>
+            <th>Status</th>
+            <th>Response</th>
+            <th>Latency</th>
+            <th>Attempts</th>
+            <th aria-label="Actions" />
+          </tr>
+        </thead>
+        <tbody>
+          {deliveries.length === 0 && !loading && (
+            <tr>
+              <td colSpan={7}>No deliveries match these filters.</td>
+            </tr>
+          )}
+          {deliveries.map((delivery) => [
+            <tr
+              key={delivery.id}
+              className="webhook-deliveries__row"
+              onClick={() => setExpanded(expanded === delivery.id ? null : delivery.id)}
+            >
+              <td>{new Date(delivery.createdAt).toLocaleString()}</td>
+              <td>{delivery.event}</td>
+              <td>
+                <span className={`webhook-deliveries__status webhook-deliveries__status--${delivery.status}`}>
+                  {delivery.status}
+                </span>
+              </td>
+              <td>{delivery.responseCode || delivery.error || '—'}</td>
+              <td>{delivery.durationMs !== undefined ? `${delivery.durationMs} ms` : '—'}</td>
+              <td>{delivery.attemptCount}/{delivery.maxAttempts}</td>
+              <td>
+                {REPLAYABLE.includes(delivery.status) && (
+                  <button
+                    type="button"
+                    onClick={(event) => {
+                      event.stopPropagation();
+                      handleReplay(delivery.id);
+                    }}
+                  >
+                    Replay
+                  </button>
+                )}
+              </td>
+            </tr>,
+            expanded === delivery.id && (
+              <tr key={`${delivery.id}-detail`}>
+                <td colSpan={7}>
+                  <DeliveryDetail businessId={businessId} deliveryId={delivery.id} />
+                </td>
+              </tr>
+            ),
+          ])}
+        </tbody>
+      </table>
+
+      {pagination && pagination.pages > 1 && (
+        <footer className="webhook-deliveries__pagination">
+          <button type="button" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+          <span>Page {pagination.page} of {pagination.pages}</span>
+          <button type="button" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next</button>
+        </footer>
+      )}
+    </section>
+  );
+}
+
+export default WebhookDeliveries;
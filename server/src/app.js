@@ -11,7 +11,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const path = require('path');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 const { v4: uuidv4 } = require('uuid');
@@ -29,10 +28,16 @@ const authRoutes = require('./routes/auth.routes');
 const businessRoutes = require('./routes/business.routes');
 const transactionRoutes = require('./routes/transaction.routes');
 const webhookRoutes = require('./routes/webhook.routes');
-const apiKeyRoutes = require('./routes/apiKey.routes');
+const smsCallbackRoutes = require('./routes/smsCallback.routes');
+const payoutRoutes = require('./routes/payout.routes');
+const payoutBatchRoutes = require('./routes/payoutBatch.routes');
+const c2bRoutes = require('./routes/c2b.routes');
+const receiptRoutes = require('./routes/receipt.routes');
 const integrationRoutes = require('./routes/integration.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
 const userRoutes = require('./routes/user.routes');
+const jobRoutes = require('./routes/job.routes');
+const swaggerDocs = require('./config/swagger');
 
 // Initialize Express app
 const app = express();
@@ -83,8 +88,8 @@ app.use(helmet({
 app.use(cors({
   origin: config.corsOrigin || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-ID'],
-  exposedHeaders: ['X-Rate-Limit-Remaining', 'X-Rate-Limit-Reset', 'X-Request-ID'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-ID', 'Idempotency-Key'],
+  exposedHeaders: ['X-Rate-Limit-Remaining', 'X-Rate-Limit-Reset', 'X-Request-ID', 'Idempotent-Replayed'],
   credentials: true,
   maxAge: 86400 // 24 hours
 }));
@@ -107,12 +112,32 @@ app.use(morgan(config.env === 'development' ? 'dev' : 'combined', {
   stream: { write: message => logger.http(message.trim()) }
 }));
 
+// Signed API requests are verified against the body exactly as it was sent
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+// Payout batch uploads carry hundreds of rows, so they are parsed first with a larger limit
+app.use(
+  '/api/v1/payout-batches',
+  express.json({ limit: '1mb', verify: keepRawBody }),
+  express.text({ type: 'text/csv', limit: '1mb', verify: keepRawBody })
+);
+
+// Statement uploads are CSV or XLSX files of up to a few thousand rows
+app.use(
+  '/api/v1/businesses/:businessId/reconciliations',
+  express.text({ type: 'text/csv', limit: '5mb' }),
+  express.raw({ type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', limit: '5mb' })
+);
+
 // Body parsers with size limits for security
 app.use(express.json({ 
   limit: '10kb',
-  strict: true // only accept arrays and objects
+  strict: true, // only accept arrays and objects
+  verify: keepRawBody
 }));
-app.use(express.urlencoded({ extended: true, limit: '10kb' }));
+app.use(express.urlencoded({ extended: true, limit: '10kb', verify: keepRawBody }));
 
 // Trust proxy settings if behind a reverse proxy
 if (config.behindProxy) {
@@ -125,23 +150,31 @@ if (config.behindProxy) {
 // API version prefix
 const API_VERSION = '/api/v1';
 
+// Provider callbacks arrive in bursts from a few addresses, so they are mounted ahead of the rate limiter
+// SMS delivery reports come from the SMS providers, not the M-Pesa source addresses
+app.use(`${API_VERSION}/webhooks/sms`, smsCallbackRoutes);
+app.use(`${API_VERSION}/webhooks`, webhookRoutes);
+
 // Apply rate limiting to all API routes
 app.use(API_VERSION, apiLimiter);
 
 // API routes with versioning
 app.use(`${API_VERSION}/auth`, authLimiter, authRoutes);
 app.use(`${API_VERSION}/users`, validateRequest, userRoutes);
-app.use(`${API_VERSION}/businesses`, validateRequest, businessRoutes);
-app.use(`${API_VERSION}/transactions`, validateRequest, transactionRoutes);
-app.use(`${API_VERSION}/webhooks`, webhookRoutes);
+app.use(`${API_VERSION}/businesses`, businessRoutes);
+app.use(`${API_VERSION}/transactions`, transactionRoutes);
+app.use(`${API_VERSION}/payouts`, payoutRoutes);
+app.use(`${API_VERSION}/payout-batches`, payoutBatchRoutes);
+app.use(`${API_VERSION}/c2b`, c2bRoutes);
+app.use(`${API_VERSION}/receipts`, receiptRoutes);
 app.use(`${API_VERSION}/analytics`, validateRequest, analyticsRoutes);
+app.use(`${API_VERSION}/admin/jobs`, jobRoutes);
 
 // Nested routes with cleaner URL patterns
-app.use(`${API_VERSION}/businesses/:businessId/api-keys`, validateRequest, apiKeyRoutes);
 app.use(`${API_VERSION}/businesses/:businessId/integrations`, validateRequest, integrationRoutes);
 
 // API documentation route (using Swagger/OpenAPI)
-app.use(`${API_VERSION}/docs`, express.static(path.join(__dirname, '../docs/api')));
+app.use(`${API_VERSION}/docs`, swaggerDocs);
 
 // Health check endpoint with expanded system information
 app.get('/health', (req, res) => {
@@ -16,7 +16,8 @@ module.exports = {
   
   // JWT configuration
   jwtSecret: process.env.JWT_SECRET || 'your_jwt_secret_key_here',
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+  // Access tokens are short-lived; sessions stay signed in with refresh tokens
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
   jwtRefreshSecret: process.env.JWT_REFRESH_SECRET || 'your_refresh_secret_key_here',
   jwtRefreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
   
@@ -45,6 +46,7 @@ module.exports = {
     tanzania: {
       apiKey: process.env.MPESA_TANZANIA_API_KEY,
       apiSecret: process.env.MPESA_TANZANIA_API_SECRET,
+      publicKey: process.env.MPESA_TANZANIA_PUBLIC_KEY,
       serviceProviderCode: process.env.MPESA_TANZANIA_SERVICE_PROVIDER_CODE,
       environment: process.env.MPESA_TANZANIA_ENVIRONMENT || 'sandbox',
       sandboxBaseUrl: 'https://openapi.m-pesa.com/sandbox',
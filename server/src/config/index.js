@@ -5,22 +5,138 @@ const dotenv = require('dotenv');
 // Load env vars
 dotenv.config();
 
+/**
+ * Read a secret that production must set; the process refuses to start without it
+ * @param {string} name - Environment variable
+ * @param {string} developmentValue - Value used outside production
+ * @returns {string} - Secret
+ */
+const requiredInProduction = (name, developmentValue) => {
+  const value = process.env[name];
+  if (!value && process.env.NODE_ENV === 'production') {
+    throw new Error(`${name} must be set in production`);
+  }
+  return value || developmentValue;
+};
+
 const config = {
   env: process.env.NODE_ENV || 'development',
   port: process.env.PORT || 5000,
+  // Set when a reverse proxy sits in front, so req.ip is the client address
+  behindProxy: process.env.BEHIND_PROXY === 'true',
   mongoUri: process.env.MONGO_URI || 'mongodb://localhost:27017/mpesa-platform',
   jwt: {
     secret: process.env.JWT_SECRET || 'your_jwt_secret_key',
     expire: process.env.JWT_EXPIRE || '30d',
     cookieExpire: parseInt(process.env.JWT_COOKIE_EXPIRE || '30', 10)
   },
+  webhooks: {
+    // Attempts before a delivery is dead-lettered; retries back off exponentially from retryBaseMs
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '10', 10),
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '60000', 10),
+    retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS || String(6 * 60 * 60 * 1000), 10),
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '15000', 10),
+    batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE || '20', 10)
+  },
+  outbound: {
+    // Webhook and C2B validation URLs may only reach private or loopback addresses when set, e.g. in local development
+    allowPrivateAddresses: process.env.OUTBOUND_ALLOW_PRIVATE_ADDRESSES === 'true'
+  },
+  jobs: {
+    // Set JOBS_ENABLED=false on processes that should serve requests only
+    enabled: process.env.JOBS_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.JOBS_POLL_INTERVAL_MS || '15000', 10),
+    // A job's lease is renewed at half this interval while it runs
+    leaseMs: parseInt(process.env.JOBS_LEASE_MS || '120000', 10)
+  },
+  transactions: {
+    // Delays between provider status checks of a pending payment; it expires after the last one
+    statusCheckDelaysMs: (process.env.STATUS_CHECK_DELAYS_MS || '30000,120000,600000')
+      .split(',').map(ms => parseInt(ms, 10)).filter(ms => ms > 0)
+  },
+  payoutBatches: {
+    // A batch untouched for this long, with rows still to submit, is picked up by the resume job
+    resumeAfterMs: parseInt(process.env.PAYOUT_BATCH_RESUME_AFTER_MS || String(5 * 60 * 1000), 10)
+  },
+  apiKeys: {
+    // How long a rotated key keeps working alongside its replacement, unless the rotation names a window
+    rotationOverlapMs: parseInt(process.env.API_KEY_ROTATION_OVERLAP_MS || String(24 * 60 * 60 * 1000), 10),
+    // How far a signed request's timestamp may be from the server clock
+    signatureToleranceMs: parseInt(process.env.API_SIGNATURE_TOLERANCE_MS || String(5 * 60 * 1000), 10),
+    // Set API_SIGNATURE_REQUIRED=false to accept unsigned payments and payouts while callers migrate
+    requireSignedPayments: process.env.API_SIGNATURE_REQUIRED !== 'false',
+    // Encrypts API signing keys at rest; required in production. Changing it invalidates every key's signatures
+    secretEncryptionKey: requiredInProduction('API_SECRET_ENCRYPTION_KEY', 'development_api_secret_encryption_key')
+  },
+  idempotency: {
+    // How long the response to a request sent with an Idempotency-Key is replayed to retries
+    ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS || String(24 * 60 * 60 * 1000), 10),
+    // How long a request holds its key; only matters if the process handling it dies
+    lockMs: parseInt(process.env.IDEMPOTENCY_LOCK_MS || String(5 * 60 * 1000), 10)
+  },
+  ledger: {
+    // Refuse payouts and B2B payments the available balance does not cover. Off by default: existing
+    // businesses start with a zero balance until their opening balance is posted as an adjustment
+    enforcePayoutFunds: process.env.LEDGER_ENFORCE_PAYOUT_FUNDS === 'true'
+  },
+  reconciliation: {
+    // How far apart a statement row and a ledger transaction without a receipt number may be and still match
+    matchWindowMs: parseInt(process.env.RECONCILIATION_MATCH_WINDOW_MS || String(15 * 60 * 1000), 10)
+  },
+  invitations: {
+    // How long a link to join a business works; resending starts the period again
+    ttlMs: parseInt(process.env.INVITATION_TTL_MS || String(7 * 24 * 60 * 60 * 1000), 10)
+  },
+  receipts: {
+    // Key for signing customer receipt download links; required in production
+    signingSecret: requiredInProduction('RECEIPT_SIGNING_SECRET', 'development_receipt_signing_secret'),
+    linkTtlDays: parseInt(process.env.RECEIPT_LINK_TTL_DAYS || '30', 10)
+  },
+  sms: {
+    // Platform SMS provider; businesses may bring their own gateway. 'fake' only records messages in memory
+    provider: process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? 'africastalking' : 'fake'),
+    defaultFrom: process.env.SMS_SENDER_ID,
+    // Country whose dial code local recipient numbers take
+    defaultCountry: process.env.SMS_DEFAULT_COUNTRY || 'kenya',
+    maxSegments: parseInt(process.env.SMS_MAX_SEGMENTS || '6', 10),
+    timeoutMs: parseInt(process.env.SMS_TIMEOUT_MS || '10000', 10),
+    // Path token delivery reports must carry; reports are not requested until it is set
+    callbackToken: process.env.SMS_CALLBACK_TOKEN,
+    africasTalking: {
+      username: process.env.AFRICASTALKING_USERNAME,
+      apiKey: process.env.AFRICASTALKING_API_KEY
+    },
+    twilio: {
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN
+    },
+    httpGateway: {
+      url: process.env.SMS_GATEWAY_URL,
+      apiKey: process.env.SMS_GATEWAY_API_KEY,
+      concatenation: process.env.SMS_GATEWAY_CONCATENATION === 'true'
+    }
+  },
   mpesa: {
+    // Source addresses Safaricom posts callbacks from; enforced in production unless overridden
+    callbackAllowedIps: process.env.MPESA_CALLBACK_ALLOWED_IPS
+      ? process.env.MPESA_CALLBACK_ALLOWED_IPS.split(',').map(ip => ip.trim()).filter(Boolean)
+      : (process.env.NODE_ENV === 'production' ? [
+        '196.201.214.200', '196.201.214.206', '196.201.213.114', '196.201.214.207',
+        '196.201.214.208', '196.201.213.44', '196.201.212.127', '196.201.212.138',
+        '196.201.212.129', '196.201.212.136', '196.201.212.74', '196.201.212.69'
+      ] : []),
     kenya: {
       consumerKey: process.env.MPESA_CONSUMER_KEY,
       consumerSecret: process.env.MPESA_CONSUMER_SECRET,
       passkey: process.env.MPESA_PASSKEY,
       shortcode: process.env.MPESA_SHORTCODE,
-      environment: process.env.MPESA_ENVIRONMENT || 'sandbox'
+      environment: process.env.MPESA_ENVIRONMENT || 'sandbox',
+      // Daraja public certificates that encrypt initiator passwords for B2C, B2B, reversals and status queries
+      certificatePaths: {
+        sandbox: process.env.MPESA_KE_SANDBOX_CERT_PATH,
+        production: process.env.MPESA_KE_PRODUCTION_CERT_PATH
+      }
     },
     // Add configurations for other countries
     tanzania: {
@@ -42,6 +42,154 @@ const swaggerOptions = {
           name: 'X-API-KEY',
         },
       },
+      schemas: {
+        Transaction: {
+          type: 'object',
+          properties: {
+            transactionId: { type: 'string' },
+            status: {
+              type: 'string',
+              enum: ['initiated', 'pending', 'processing', 'completed', 'failed', 'canceled', 'expired'],
+            },
+            provider: { type: 'string', enum: ['mpesa', 'airtel', 'mtn'] },
+            mpesaReference: { type: 'string' },
+            providerTransactionId: { type: 'string' },
+            amount: { type: 'number' },
+            currency: { type: 'string', example: 'KES' },
+            phoneNumber: { type: 'string', example: '254712345678' },
+            receiverShortCode: { type: 'string' },
+            accountReference: { type: 'string' },
+            reference: { type: 'string' },
+            country: { type: 'string', example: 'kenya' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        TransactionResponse: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'success' },
+            message: { type: 'string' },
+            data: { $ref: '#/components/schemas/Transaction' },
+          },
+        },
+        Pagination: {
+          type: 'object',
+          properties: {
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            pages: { type: 'integer' },
+          },
+        },
+        WebhookEndpointInput: {
+          type: 'object',
+          required: ['url', 'events'],
+          properties: {
+            url: { type: 'string', format: 'uri', example: 'https://example.com/webhooks/mpesa' },
+            events: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: [
+                  'payment.completed', 'payment.failed', 'payout.completed', 'payout.failed',
+                  'b2b.completed', 'b2b.failed', 'reversal.completed', 'reversal.failed',
+                  'c2b.received', '*',
+                ],
+              },
+              example: ['payment.completed', 'payment.failed'],
+            },
+            description: { type: 'string', maxLength: 200 },
+          },
+        },
+        WebhookEvent: {
+          type: 'object',
+          description: 'Body of every webhook. Deduplicate on id; retries and replays resend the same event.',
+          properties: {
+            id: { type: 'string', example: 'evt_5f0c6e7d8a9b0c1d2e3f4a5b' },
+            type: { type: 'string', example: 'payment.completed' },
+            version: { type: 'string', example: '1', description: 'Schema version of the envelope and data' },
+            createdAt: { type: 'string', format: 'date-time' },
+            data: { $ref: '#/components/schemas/WebhookTransactionData' },
+          },
+        },
+        WebhookTransactionData: {
+          type: 'object',
+          description: 'Transaction the event is about (schema version 1)',
+          properties: {
+            transactionId: { type: 'string' },
+            type: { type: 'string', enum: ['payment', 'withdrawal', 'b2b', 'reversal', 'deposit'] },
+            status: { type: 'string', enum: ['completed', 'failed', 'canceled', 'expired'] },
+            amount: { type: 'number' },
+            currency: { type: 'string', example: 'KES' },
+            country: { type: 'string', example: 'kenya' },
+            provider: { type: 'string', example: 'mpesa' },
+            reference: { type: 'string' },
+            receiptNumber: { type: 'string', nullable: true, example: 'QKL7XYZ123' },
+            mpesaReference: { type: 'string', nullable: true },
+            phoneNumber: { type: 'string', nullable: true },
+            failureReason: { type: 'string', nullable: true, description: 'Set on *.failed events' },
+            receiverShortCode: { type: 'string', description: 'b2b.* events only' },
+            accountReference: { type: 'string', nullable: true, description: 'b2b.* events only' },
+            shortCode: { type: 'string', description: 'c2b.received only' },
+            billRefNumber: { type: 'string', nullable: true, description: 'c2b.received only' },
+            payerName: { type: 'string', nullable: true, description: 'c2b.received only' },
+            msisdn: { type: 'string', nullable: true, description: 'c2b.received only; may be masked' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+      },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          description: 'Unique key per operation, up to 255 characters. Retries with the same key and body get the first response back for 24 hours; the same key with a different body gets 409',
+          schema: { type: 'string', maxLength: 255 },
+        },
+        CallbackTransactionId: {
+          in: 'path',
+          name: 'transactionId',
+          required: true,
+          schema: { type: 'string' },
+        },
+        CallbackToken: {
+          in: 'path',
+          name: 'callbackToken',
+          required: true,
+          description: 'Per-transaction secret issued with the callback URL',
+          schema: { type: 'string' },
+        },
+        TransactionId: {
+          in: 'path',
+          name: 'id',
+          required: true,
+          schema: { type: 'string' },
+        },
+        TransactionStatus: {
+          in: 'query',
+          name: 'status',
+          schema: {
+            type: 'string',
+            enum: ['initiated', 'pending', 'processing', 'completed', 'failed', 'canceled', 'expired'],
+          },
+        },
+        Country: {
+          in: 'query',
+          name: 'country',
+          schema: { type: 'string', example: 'kenya' },
+        },
+        StartDate: {
+          in: 'query',
+          name: 'startDate',
+          schema: { type: 'string', format: 'date-time' },
+        },
+        EndDate: {
+          in: 'query',
+          name: 'endDate',
+          schema: { type: 'string', format: 'date-time' },
+        },
+      },
     },
     security: [
       {
@@ -0,0 +1,83 @@
+// server/src/controllers/apiKey.controller.js
+const apiKeyService = require('../services/business/apiKeyService');
+
+/**
+ * Create an API key; its key and secret are returned only in this response
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createKey = async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.createKey(req.params.businessId, req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'API key created. Store the secret now; it will not be shown again',
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the business's API keys with masked keys
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.params.businessId, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: apiKeys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeKey = async (req, res, next) => {
+  try {
+    const { businessId, keyId } = req.params;
+    const apiKey = await apiKeyService.revokeKey(businessId, keyId, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'API key revoked',
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rotate an API key; the old key keeps working for the overlap window
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.rotateKey = async (req, res, next) => {
+  try {
+    const { businessId, keyId } = req.params;
+    const result = await apiKeyService.rotateKey(businessId, keyId, req.body || {}, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'API key rotated. Store the new secret now; it will not be shown again',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
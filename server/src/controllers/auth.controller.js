@@ -7,6 +7,7 @@ const crypto = require('crypto');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
 const logger = require('../config/logger');
+const sessionService = require('../services/auth/sessionService');
 const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/email.service'); // We'll create this service in a later step
 
 /**
@@ -124,18 +125,15 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Start a session with an access token and a refresh token
+    const { accessToken, refreshToken } = await sessionService.createSession(user, req);
 
     res.status(200).json({
       status: 'success',
       message: 'Login successful',
       data: {
-        token,
+        token: accessToken,
+        refreshToken,
         user: {
           id: user._id,
           email: user.email,
@@ -597,18 +595,15 @@ exports.verify2FALogin = async (req, res) => {
       });
     }
 
-    // Generate full JWT token
-    const newToken = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Start a session with an access token and a refresh token
+    const { accessToken, refreshToken } = await sessionService.createSession(user, req);
 
     res.status(200).json({
       status: 'success',
       message: 'Login successful',
       data: {
-        token: newToken,
+        token: accessToken,
+        refreshToken,
         user: {
           id: user._id,
           email: user.email,
@@ -627,28 +622,103 @@ exports.verify2FALogin = async (req, res) => {
   }
 };
 
+/**
+ * Exchange a refresh token for new access and refresh tokens
+ * The refresh token can be used once; reusing it signs the session out
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const { accessToken, refreshToken } = await sessionService.refresh(req.body.refreshToken, req);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        token: accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Log out the user
+ * Signs out the session and blacklists the access token until it expires
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-exports.logout = async (req, res) => {
+exports.logout = async (req, res, next) => {
   try {
-    // Note: JWT tokens are stateless, so we can't invalidate them server-side
-    // The client should remove the token from local storage
-    
-    // In a more advanced implementation, you could use a token blacklist
-    // or implement short-lived tokens with refresh tokens
-    
+    await sessionService.logout(req.token);
+
     res.status(200).json({
       status: 'success',
       message: 'Logged out successfully'
     });
   } catch (error) {
-    logger.error('Error in logout:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'An error occurred during logout'
+    next(error);
+  }
+};
+
+/**
+ * List the user's signed-in sessions
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user._id, req.sessionId);
+
+    res.status(200).json({
+      status: 'success',
+      data: sessions
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out one of the user's sessions
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    await sessionService.revokeSession(req.user._id, req.params.sessionId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Sign out every session of the user except the current one
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const count = await sessionService.revokeOtherSessions(req.user._id, req.sessionId);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${count} other session${count === 1 ? '' : 's'} signed out`,
+      data: { count }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,160 @@
+// server/src/controllers/business.controller.js
+const businessService = require('../services/business/businessService');
+
+/**
+ * Create a business owned by the authenticated user
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createBusiness = async (req, res, next) => {
+  try {
+    const business = await businessService.createBusiness(req.user, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Business created successfully',
+      data: business
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the businesses the authenticated user is a member of
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listBusinesses = async (req, res, next) => {
+  try {
+    const result = await businessService.listBusinesses(req.user, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a business the authenticated user is a member of
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getBusiness = async (req, res, next) => {
+  try {
+    const business = await businessService.getBusiness(req.user, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: business
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a business's profile (owners and admins)
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateBusiness = async (req, res, next) => {
+  try {
+    const business = await businessService.updateBusiness(req.user, req.params.id, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Business updated successfully',
+      data: business
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate a new webhook signing secret (owners and admins)
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.rotateWebhookSecret = async (req, res, next) => {
+  try {
+    const result = await businessService.rotateWebhookSecret(req.user, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook secret rotated. Store it now; it will not be shown again',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the business's own SMS gateway
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateSmsGateway = async (req, res, next) => {
+  try {
+    const business = await businessService.updateSmsGateway(req.user, req.params.id, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'SMS gateway updated successfully',
+      data: business
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove the business's own SMS gateway
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.removeSmsGateway = async (req, res, next) => {
+  try {
+    const business = await businessService.removeSmsGateway(req.user, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'SMS gateway removed; SMS are sent through the platform provider',
+      data: business
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a business (owners only); it is kept for its transaction history
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteBusiness = async (req, res, next) => {
+  try {
+    await businessService.deleteBusiness(req.user, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Business deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,79 @@
+// server/src/controllers/c2b.controller.js
+const c2bService = require('../services/transactions/c2bService');
+const transactionValidator = require('../services/transactions/transactionValidator');
+const AppError = require('../utils/appError');
+
+/**
+ * Read the business API key from the request
+ * @param {Request} req - Express request object
+ * @returns {string} API key
+ */
+const getApiKey = (req) => {
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey) {
+    throw new AppError('API key is required', 401);
+  }
+
+  return apiKey;
+};
+
+/**
+ * Get the C2B rules of the business's shortcode
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getRules = async (req, res, next) => {
+  try {
+    const settings = await c2bService.getRules(getApiKey(req));
+
+    res.status(200).json({
+      status: 'success',
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the C2B rules of the business's shortcode
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateRules = async (req, res, next) => {
+  try {
+    const apiKey = getApiKey(req);
+    const rules = transactionValidator.validateC2BRules(req.body);
+    const settings = await c2bService.updateRules(rules, apiKey);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'C2B rules updated',
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register the platform's validation and confirmation URLs with M-Pesa
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.registerUrls = async (req, res, next) => {
+  try {
+    const settings = await c2bService.registerUrls(getApiKey(req));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'C2B URLs registered',
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,100 @@
+// server/src/controllers/job.controller.js
+const jobScheduler = require('../services/jobs/jobScheduler');
+
+/**
+ * List scheduled jobs with their last run and metrics
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listJobs = async (req, res, next) => {
+  try {
+    const jobs = await jobScheduler.listJobs();
+
+    res.status(200).json({
+      status: 'success',
+      data: jobs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a scheduled job with its most recent runs
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getJob = async (req, res, next) => {
+  try {
+    const job = await jobScheduler.getJob(req.params.name);
+
+    res.status(200).json({
+      status: 'success',
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a job's runs
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listRuns = async (req, res, next) => {
+  try {
+    const result = await jobScheduler.listRuns(req.params.name, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run a job now, outside its schedule
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.triggerJob = async (req, res, next) => {
+  try {
+    const job = await jobScheduler.trigger(req.params.name, req.user);
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Job queued to run at the next poll',
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pause or resume a job's schedule
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateJob = async (req, res, next) => {
+  try {
+    const job = await jobScheduler.setEnabled(req.params.name, req.body.enabled);
+
+    res.status(200).json({
+      status: 'success',
+      message: job.enabled ? 'Job enabled' : 'Job disabled',
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,61 @@
+// server/src/controllers/ledger.controller.js
+const ledgerService = require('../services/ledger/ledgerService');
+
+/**
+ * Get the business's balances per currency, now or at a point in time
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getBalances = async (req, res, next) => {
+  try {
+    const balances = await ledgerService.getBalances(req.params.businessId, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: balances
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the statement of one of the business's balance accounts
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getStatement = async (req, res, next) => {
+  try {
+    const result = await ledgerService.getStatement(req.params.businessId, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Post an opening balance or manual correction to the business's available balance
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createAdjustment = async (req, res, next) => {
+  try {
+    const entry = await ledgerService.createAdjustment(req.params.businessId, req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Adjustment posted',
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
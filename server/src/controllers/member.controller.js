@@ -0,0 +1,183 @@
+// server/src/controllers/member.controller.js
+const memberService = require('../services/business/memberService');
+
+/**
+ * List the business's members
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listMembers = async (req, res, next) => {
+  try {
+    const members = await memberService.listMembers(req.params.businessId);
+
+    res.status(200).json({
+      status: 'success',
+      data: members
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a member's role
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.changeRole = async (req, res, next) => {
+  try {
+    const { businessId, userId } = req.params;
+    const member = await memberService.changeRole(req.user, businessId, userId, req.body.role);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Member role updated',
+      data: member
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member from the business, or leave it
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.removeMember = async (req, res, next) => {
+  try {
+    const { businessId, userId } = req.params;
+    await memberService.removeMember(req.user, businessId, userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Member removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Transfer ownership of the business to another member
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.transferOwnership = async (req, res, next) => {
+  try {
+    const business = await memberService.transferOwnership(req.user, req.params.businessId, req.body.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Ownership transferred',
+      data: business
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite someone to the business by email
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createInvitation = async (req, res, next) => {
+  try {
+    const invitation = await memberService.createInvitation(req.user, req.params.businessId, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: invitation.emailSent ? 'Invitation sent' : 'Invitation created, but the email could not be sent; resend it',
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the business's invitations
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listInvitations = async (req, res, next) => {
+  try {
+    const invitations = await memberService.listInvitations(req.params.businessId, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Email an invitation again with a new link
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.resendInvitation = async (req, res, next) => {
+  try {
+    const { businessId, invitationId } = req.params;
+    const invitation = await memberService.resendInvitation(req.user, businessId, invitationId);
+
+    res.status(200).json({
+      status: 'success',
+      message: invitation.emailSent ? 'Invitation sent again' : 'The invitation email could not be sent; try again later',
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an invitation
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const { businessId, invitationId } = req.params;
+    const invitation = await memberService.revokeInvitation(req.user, businessId, invitationId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation revoked',
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept an invitation with the token from its link
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const business = await memberService.acceptInvitation(req.user, req.body.token);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation accepted',
+      data: business
+    });
+  } catch (error) {
+    next(error);
+  }
+};
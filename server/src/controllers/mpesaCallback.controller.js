@@ -0,0 +1,130 @@
+// server/src/controllers/mpesaCallback.controller.js
+const transactionService = require('../services/transactions/transactionService');
+const webhookService = require('../services/transactions/webhookService');
+const c2bService = require('../services/transactions/c2bService');
+const logger = require('../utils/logger');
+
+// Response M-Pesa expects for every callback it delivers
+const ACKNOWLEDGEMENT = { ResultCode: 0, ResultDesc: 'Accepted' };
+
+/**
+ * Handle an STK Push result posted to the CallBackURL
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+exports.stkCallback = async (req, res) => {
+  try {
+    await webhookService.handleMpesaCallback(req.params.transactionId, req.body);
+  } catch (error) {
+    // Don't send error response to M-Pesa
+    logger.error(`STK callback error: ${error.message}`, { transactionId: req.params.transactionId });
+  }
+
+  res.status(200).json(ACKNOWLEDGEMENT);
+};
+
+/**
+ * Handle a C2B validation request; the response decides whether M-Pesa completes the payment
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+exports.c2bValidation = async (req, res) => {
+  try {
+    const response = await c2bService.validatePayment(req.body);
+    res.status(200).json(response);
+  } catch (error) {
+    logger.error(`C2B validation error: ${error.message}`, { transId: req.body?.TransID });
+
+    // Let the payment through rather than fail a customer over our own error
+    res.status(200).json(c2bService.buildValidationResponse(c2bService.RESULT_CODES.ACCEPT));
+  }
+};
+
+/**
+ * Handle a C2B confirmation of a completed payment
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+exports.c2bConfirmation = async (req, res) => {
+  try {
+    await c2bService.confirmPayment(req.body);
+  } catch (error) {
+    // Don't send error response to M-Pesa
+    logger.error(`C2B confirmation error: ${error.message}`, { transId: req.body?.TransID });
+  }
+
+  res.status(200).json(ACKNOWLEDGEMENT);
+};
+
+/**
+ * Handle a B2C result posted to the ResultURL
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+exports.b2cResult = async (req, res) => {
+  try {
+    await webhookService.handleTransactionCallback(req.params.transactionId, () =>
+      transactionService.processPayoutResult(req.params.transactionId, req.body)
+    );
+  } catch (error) {
+    // Don't send error response to M-Pesa
+    logger.error(`B2C result callback error: ${error.message}`, { transactionId: req.params.transactionId });
+  }
+
+  res.status(200).json(ACKNOWLEDGEMENT);
+};
+
+/**
+ * Handle a B2C queue timeout posted to the QueueTimeOutURL
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+exports.b2cTimeout = async (req, res) => {
+  try {
+    await webhookService.handleTransactionCallback(req.params.transactionId, () =>
+      transactionService.processPayoutTimeout(req.params.transactionId, req.body)
+    );
+  } catch (error) {
+    // Don't send error response to M-Pesa
+    logger.error(`B2C timeout callback error: ${error.message}`, { transactionId: req.params.transactionId });
+  }
+
+  res.status(200).json(ACKNOWLEDGEMENT);
+};
+
+/**
+ * Handle a B2B result posted to the ResultURL
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+exports.b2bResult = async (req, res) => {
+  try {
+    await webhookService.handleTransactionCallback(req.params.transactionId, () =>
+      transactionService.processB2BResult(req.params.transactionId, req.body)
+    );
+  } catch (error) {
+    // Don't send error response to M-Pesa
+    logger.error(`B2B result callback error: ${error.message}`, { transactionId: req.params.transactionId });
+  }
+
+  res.status(200).json(ACKNOWLEDGEMENT);
+};
+
+/**
+ * Handle a B2B queue timeout posted to the QueueTimeOutURL
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+exports.b2bTimeout = async (req, res) => {
+  try {
+    await webhookService.handleTransactionCallback(req.params.transactionId, () =>
+      transactionService.processB2BTimeout(req.params.transactionId, req.body)
+    );
+  } catch (error) {
+    // Don't send error response to M-Pesa
+    logger.error(`B2B timeout callback error: ${error.message}`, { transactionId: req.params.transactionId });
+  }
+
+  res.status(200).json(ACKNOWLEDGEMENT);
+};
+
@@ -0,0 +1,22 @@
+// server/src/controllers/mtnCallback.controller.js
+const transactionService = require('../services/transactions/transactionService');
+const webhookService = require('../services/transactions/webhookService');
+const logger = require('../utils/logger');
+
+/**
+ * Handle a request-to-pay result posted to the X-Callback-Url
+ * MoMo only needs a 2xx, so processing errors are logged and status checks settle the payment
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+exports.collectionCallback = async (req, res) => {
+  try {
+    await webhookService.handleTransactionCallback(req.params.transactionId, () =>
+      transactionService.processMtnCallback(req.params.transactionId, req.body)
+    );
+  } catch (error) {
+    logger.error(`MTN collection callback error: ${error.message}`, { transactionId: req.params.transactionId });
+  }
+
+  res.status(200).json({ status: 'success', message: 'Callback received' });
+};
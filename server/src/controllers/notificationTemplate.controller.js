@@ -0,0 +1,135 @@
+// server/src/controllers/notificationTemplate.controller.js
+const templateService = require('../services/notifications/templateService');
+
+/**
+ * List the notification events that have templates, with their variables
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+exports.listEvents = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: templateService.listEvents()
+  });
+};
+
+/**
+ * List the business's templates with the version in use
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listTemplates = async (req, res, next) => {
+  try {
+    const templates = await templateService.listTemplates(req.params.businessId);
+
+    res.status(200).json({
+      status: 'success',
+      data: templates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a template with its versions and the default it overrides
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getTemplate = async (req, res, next) => {
+  try {
+    const { businessId, event, channel, locale } = req.params;
+    const template = await templateService.getTemplate(businessId, event, channel, locale);
+
+    res.status(200).json({
+      status: 'success',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save a new version of a template and start using it
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.saveTemplate = async (req, res, next) => {
+  try {
+    const { businessId, event, channel, locale } = req.params;
+    const template = await templateService.saveTemplate(businessId, event, channel, locale, req.body, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Template saved as version ${template.version}`,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Switch a template back to an earlier version
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.activateVersion = async (req, res, next) => {
+  try {
+    const { businessId, event, channel, locale, version } = req.params;
+    const template = await templateService.activateVersion(businessId, event, channel, locale, version);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Version ${template.version} is now in use`,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Go back to the default template
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.resetTemplate = async (req, res, next) => {
+  try {
+    const { businessId, event, channel, locale } = req.params;
+    const template = await templateService.resetTemplate(businessId, event, channel, locale);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The default template is now in use',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Render a template, or a draft of one, with sample transaction data
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.previewTemplate = async (req, res, next) => {
+  try {
+    const preview = await templateService.preview(req.params.businessId, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      data: preview
+    });
+  } catch (error) {
+    next(error);
+  }
+};
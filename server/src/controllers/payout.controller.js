@@ -0,0 +1,31 @@
+// server/src/controllers/payout.controller.js
+const transactionService = require('../services/transactions/transactionService');
+const transactionValidator = require('../services/transactions/transactionValidator');
+const AppError = require('../utils/appError');
+
+/**
+ * Send a payout (B2C) to a customer's wallet
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createPayout = async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-api-key'];
+    if (!apiKey) {
+      throw new AppError('API key is required', 401);
+    }
+
+    const payoutData = transactionValidator.validatePayoutRequest(req.body);
+    const payout = await transactionService.initiatePayout({ ...payoutData, idempotencyKey: req.idempotencyKeyId }, apiKey);
+
+    // The payout settles asynchronously via the B2C result callback
+    res.status(202).json({
+      status: 'success',
+      message: 'Payout initiated',
+      data: payout
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,125 @@
+// server/src/controllers/payoutBatch.controller.js
+const payoutBatchService = require('../services/transactions/payoutBatchService');
+const AppError = require('../utils/appError');
+
+/**
+ * Read the API key from the request headers
+ * @param {Request} req - Express request object
+ * @returns {string} API key
+ */
+const getApiKey = (req) => {
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey) {
+    throw new AppError('API key is required', 401);
+  }
+  return apiKey;
+};
+
+/**
+ * Create a payout batch from a CSV upload or a JSON list
+ * CSV uploads carry the batch options in the query string
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createBatch = async (req, res, next) => {
+  try {
+    const apiKey = getApiKey(req);
+    const isCsv = req.is('text/csv') === 'text/csv';
+    const options = isCsv ? req.query : (req.body || {});
+
+    const batch = await payoutBatchService.createBatch(req.body, {
+      format: isCsv ? 'csv' : 'json',
+      name: options.name,
+      country: options.country,
+      provider: options.provider,
+      commandId: options.commandId,
+      concurrency: options.concurrency
+    }, apiKey);
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Payout batch accepted',
+      data: batch
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the business's payout batches
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listBatches = async (req, res, next) => {
+  try {
+    const result = await payoutBatchService.listBatches(req.query, getApiKey(req));
+
+    res.status(200).json({
+      status: 'success',
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a payout batch with its progress
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getBatch = async (req, res, next) => {
+  try {
+    const batch = await payoutBatchService.getBatch(req.params.id, getApiKey(req));
+
+    res.status(200).json({
+      status: 'success',
+      data: batch
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the per-row results of a payout batch
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getBatchRows = async (req, res, next) => {
+  try {
+    const result = await payoutBatchService.getBatchRows(req.params.id, req.query, getApiKey(req));
+
+    res.status(200).json({
+      status: 'success',
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the results file of a finished payout batch
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.downloadResults = async (req, res, next) => {
+  try {
+    const file = await payoutBatchService.getResultsFile(req.params.id, getApiKey(req));
+
+    res.attachment(file.filename);
+    res.type('text/csv');
+    res.status(200).send(file.content);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,27 @@
+// server/src/controllers/receipt.controller.js
+const receiptService = require('../services/transactions/receiptService');
+
+/**
+ * Download a payment receipt as a PDF through a signed link
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.downloadReceipt = async (req, res, next) => {
+  try {
+    const { filename, content } = await receiptService.renderReceiptPdf(
+      req.params.transactionId,
+      req.query.expires,
+      req.query.signature
+    );
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    next(error);
+  }
+};
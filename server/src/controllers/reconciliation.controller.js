@@ -0,0 +1,213 @@
+// server/src/controllers/reconciliation.controller.js
+const reconciliationService = require('../services/reconciliation/reconciliationService');
+const AppError = require('../utils/appError');
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Import an M-Pesa statement for a shortcode and day, then match it against the ledger
+ * The file is the request body (text/csv or XLSX); the shortcode and day are query parameters
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.importStatement = async (req, res, next) => {
+  try {
+    let format;
+    if (req.is('text/csv')) {
+      format = 'csv';
+    } else if (req.is(XLSX_TYPE)) {
+      format = 'xlsx';
+    } else {
+      throw new AppError(`Upload the statement as text/csv or ${XLSX_TYPE}`, 415);
+    }
+
+    const result = await reconciliationService.importStatement(req.params.businessId, req.body, {
+      format,
+      shortCode: req.query.shortCode,
+      date: req.query.date,
+      filename: req.query.filename
+    }, req.user);
+
+    res.status(result.created ? 201 : 200).json({
+      status: 'success',
+      message: result.created ? 'Statement imported' : 'Statement re-imported',
+      data: result.reconciliation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the business's reconciliations
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listReconciliations = async (req, res, next) => {
+  try {
+    const result = await reconciliationService.listReconciliations(req.params.businessId, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a reconciliation with its totals and exception counts
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getReconciliation = async (req, res, next) => {
+  try {
+    const { businessId, reconciliationId } = req.params;
+    const reconciliation = await reconciliationService.getReconciliation(businessId, reconciliationId);
+
+    res.status(200).json({
+      status: 'success',
+      data: reconciliation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the statement rows of a reconciliation with how each was accounted for
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listRows = async (req, res, next) => {
+  try {
+    const { businessId, reconciliationId } = req.params;
+    const result = await reconciliationService.listRows(businessId, reconciliationId, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the exceptions of a reconciliation
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listExceptions = async (req, res, next) => {
+  try {
+    const { businessId, reconciliationId } = req.params;
+    const exceptions = await reconciliationService.listExceptions(businessId, reconciliationId, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: exceptions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve an exception with a note, or reopen it
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.resolveException = async (req, res, next) => {
+  try {
+    const { businessId, reconciliationId, exceptionId } = req.params;
+    const exception = await reconciliationService.resolveException(
+      businessId, reconciliationId, exceptionId, req.body, req.user
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: exception.status === 'resolved' ? 'Exception resolved' : 'Exception reopened',
+      data: exception
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Match a reconciliation's statement against the ledger again
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.rematch = async (req, res, next) => {
+  try {
+    const { businessId, reconciliationId } = req.params;
+    const reconciliation = await reconciliationService.rematch(businessId, reconciliationId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Statement matched again',
+      data: reconciliation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign off a reconciled day
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.signOff = async (req, res, next) => {
+  try {
+    const { businessId, reconciliationId } = req.params;
+    const reconciliation = await reconciliationService.signOff(businessId, reconciliationId, req.body || {}, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Reconciliation signed off',
+      data: reconciliation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the daily reconciliation report as JSON, or download it as CSV or PDF
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getReport = async (req, res, next) => {
+  try {
+    const { businessId, reconciliationId } = req.params;
+    const format = req.query.format || 'json';
+    const report = await reconciliationService.getReport(businessId, reconciliationId, format);
+
+    if (format === 'json') {
+      return res.status(200).json({
+        status: 'success',
+        data: report
+      });
+    }
+
+    res.attachment(report.filename);
+    res.type(report.contentType);
+    res.status(200).send(report.content);
+  } catch (error) {
+    next(error);
+  }
+};
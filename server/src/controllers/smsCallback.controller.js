@@ -0,0 +1,22 @@
+// server/src/controllers/smsCallback.controller.js
+const SMSNotificationService = require('../services/notifications/smsService');
+
+/**
+ * Record an SMS delivery report posted by a provider
+ * Reports that match no message are still acknowledged, so providers do not retry them
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deliveryReport = async (req, res, next) => {
+  try {
+    await SMSNotificationService.handleDeliveryReport(req.params.provider, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Delivery report received'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
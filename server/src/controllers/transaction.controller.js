@@ -0,0 +1,201 @@
+// server/src/controllers/transaction.controller.js
+const transactionService = require('../services/transactions/transactionService');
+const transactionValidator = require('../services/transactions/transactionValidator');
+const AppError = require('../utils/appError');
+
+/**
+ * Read the business API key from the request
+ * @param {Request} req - Express request object
+ * @returns {string} API key
+ */
+const getApiKey = (req) => {
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey) {
+    throw new AppError('API key is required', 401);
+  }
+
+  return apiKey;
+};
+
+/**
+ * Read and validate the transaction ID route parameter
+ * @param {Request} req - Express request object
+ * @returns {string} Transaction ID
+ */
+const getTransactionId = (req) => {
+  if (!transactionValidator.validateTransactionId(req.params.id)) {
+    throw new AppError('Invalid transaction ID', 400);
+  }
+
+  return req.params.id;
+};
+
+/**
+ * Collect a payment from a customer's wallet
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createPayment = async (req, res, next) => {
+  try {
+    const apiKey = getApiKey(req);
+    const paymentData = transactionValidator.validatePaymentRequest(req.body);
+    const transaction = await transactionService.initiatePayment({ ...paymentData, idempotencyKey: req.idempotencyKeyId }, apiKey);
+
+    // The customer approves the payment on their phone; the outcome arrives by callback
+    res.status(202).json({
+      status: 'success',
+      message: 'Payment initiated',
+      data: transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the business's transactions
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listTransactions = async (req, res, next) => {
+  try {
+    const apiKey = getApiKey(req);
+    const filters = transactionValidator.validateListFilters(req.query);
+    const result = await transactionService.listTransactions(filters, apiKey);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get transaction totals by status and by day
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getTransactionStats = async (req, res, next) => {
+  try {
+    const apiKey = getApiKey(req);
+    const filters = transactionValidator.validateListFilters(req.query);
+    const stats = await transactionService.getTransactionStats(filters, apiKey);
+
+    res.status(200).json({
+      status: 'success',
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a transaction
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getTransaction = async (req, res, next) => {
+  try {
+    const apiKey = getApiKey(req);
+    const transaction = await transactionService.getTransaction(getTransactionId(req), apiKey);
+
+    res.status(200).json({
+      status: 'success',
+      data: transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a signed download link for a completed payment's PDF receipt
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getTransactionReceipt = async (req, res, next) => {
+  try {
+    const apiKey = getApiKey(req);
+    const receipt = await transactionService.getTransactionReceipt(getTransactionId(req), apiKey);
+
+    res.status(200).json({
+      status: 'success',
+      data: receipt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refresh a transaction's status from the payment provider
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.checkTransactionStatus = async (req, res, next) => {
+  try {
+    const apiKey = getApiKey(req);
+    const transaction = await transactionService.checkTransactionStatus(getTransactionId(req), apiKey);
+
+    res.status(200).json({
+      status: 'success',
+      data: transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a transaction that has not reached the provider
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.cancelTransaction = async (req, res, next) => {
+  try {
+    const apiKey = getApiKey(req);
+    const transaction = await transactionService.cancelTransaction(getTransactionId(req), apiKey);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Transaction canceled',
+      data: transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pay a supplier's paybill or till from the business's own shortcode (B2B)
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createB2BPayment = async (req, res, next) => {
+  try {
+    const apiKey = getApiKey(req);
+    const b2bData = transactionValidator.validateB2BRequest(req.body);
+    const transaction = await transactionService.initiateB2BPayment({ ...b2bData, idempotencyKey: req.idempotencyKeyId }, apiKey);
+
+    // The payment settles asynchronously via the B2B result callback
+    res.status(202).json({
+      status: 'success',
+      message: 'B2B payment initiated',
+      data: transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
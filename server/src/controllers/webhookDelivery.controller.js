@@ -0,0 +1,105 @@
+// server/src/controllers/webhookDelivery.controller.js
+const webhookDeliveryService = require('../services/transactions/webhookDeliveryService');
+const webhookService = require('../services/transactions/webhookService');
+
+/**
+ * List the business's outbound webhook deliveries
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listDeliveries = async (req, res, next) => {
+  try {
+    const result = await webhookDeliveryService.listDeliveries(req.params.businessId, req.query);
+
+    res.status(200).json({
+      status: 'success',
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a delivery with every attempt made for it
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getDelivery = async (req, res, next) => {
+  try {
+    const delivery = await webhookDeliveryService.getDelivery(req.params.businessId, req.params.deliveryId);
+
+    res.status(200).json({
+      status: 'success',
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replay a delivery to the business's current webhook URL
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.replayDelivery = async (req, res, next) => {
+  try {
+    const delivery = await webhookDeliveryService.replayDelivery(req.params.businessId, req.params.deliveryId);
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Webhook delivery queued for replay',
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replay dead-lettered deliveries in bulk
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.replayDeliveries = async (req, res, next) => {
+  try {
+    const result = await webhookDeliveryService.replayDeliveries(req.params.businessId, {
+      deliveryIds: req.body.deliveryIds,
+      event: req.body.event
+    });
+
+    res.status(202).json({
+      status: 'success',
+      message: `${result.replayed} webhook deliveries queued for replay`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a test event to the business's webhook URL
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.testWebhook = async (req, res, next) => {
+  try {
+    const result = await webhookService.testWebhook(req.params.businessId);
+
+    res.status(200).json({
+      status: 'success',
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
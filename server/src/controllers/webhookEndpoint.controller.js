@@ -0,0 +1,133 @@
+// server/src/controllers/webhookEndpoint.controller.js
+const webhookService = require('../services/transactions/webhookService');
+const webhookEvents = require('../services/transactions/webhookEvents');
+
+/**
+ * List the webhook event types endpoints can subscribe to
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ */
+exports.listEventTypes = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: webhookEvents.listEventTypes()
+  });
+};
+
+/**
+ * List the business's webhook endpoints
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listEndpoints = async (req, res, next) => {
+  try {
+    const endpoints = await webhookService.listEndpoints(req.params.businessId);
+
+    res.status(200).json({
+      status: 'success',
+      data: endpoints
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register a webhook endpoint
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createEndpoint = async (req, res, next) => {
+  try {
+    const endpoint = await webhookService.createEndpoint(req.params.businessId, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Webhook endpoint registered. Store the secret now; it will not be shown again',
+      data: endpoint
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a webhook endpoint
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateEndpoint = async (req, res, next) => {
+  try {
+    const endpoint = await webhookService.updateEndpoint(req.params.businessId, req.params.endpointId, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook endpoint updated successfully',
+      data: endpoint
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a webhook endpoint
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteEndpoint = async (req, res, next) => {
+  try {
+    await webhookService.deleteEndpoint(req.params.businessId, req.params.endpointId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook endpoint removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate a new signing secret for a webhook endpoint
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.rotateEndpointSecret = async (req, res, next) => {
+  try {
+    const result = await webhookService.rotateEndpointSecret(req.params.businessId, req.params.endpointId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook secret rotated. Store it now; it will not be shown again',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a test event to a webhook endpoint
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.testEndpoint = async (req, res, next) => {
+  try {
+    const result = await webhookService.testWebhook(req.params.businessId, req.params.endpointId);
+
+    res.status(200).json({
+      status: 'success',
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
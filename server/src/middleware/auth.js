@@ -2,11 +2,17 @@
 const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
 const User = require('../models/user.model');
+const Business = require('../models/business');
+const requestSignatureService = require('../services/auth/requestSignatureService');
+const sessionService = require('../services/auth/sessionService');
+const { TokenService, TOKEN_TYPES } = require('../services/auth/tokenService');
 const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
 const config = require('../config/config');
 
 /**
  * Middleware to protect routes - requires authentication
+ * Rejects blacklisted tokens and tokens of signed-out sessions
  */
 exports.protect = async (req, res, next) => {
   try {
@@ -24,6 +30,18 @@ exports.protect = async (req, res, next) => {
     
     // Verify token
     const decoded = await promisify(jwt.verify)(token, config.jwtSecret);
+    if (decoded.type && decoded.type !== TOKEN_TYPES.ACCESS) {
+      return next(new AppError('Invalid token type', 401));
+    }
+    
+    // Check the token was not logged out and its session not signed out
+    const [blacklisted, sessionActive] = await Promise.all([
+      TokenService.isTokenBlacklisted(token),
+      decoded.sid ? sessionService.touch(decoded.sid, decoded.id) : true
+    ]);
+    if (blacklisted || !sessionActive) {
+      return next(new AppError('This session has been signed out. Please log in again.', 401));
+    }
     
     // Check if user still exists
     const user = await User.findById(decoded.id);
@@ -36,8 +54,10 @@ exports.protect = async (req, res, next) => {
       return next(new AppError('User recently changed password. Please log in again.', 401));
     }
     
-    // Add user to request
+    // Add user, token and session to request
     req.user = user;
+    req.token = token;
+    req.sessionId = decoded.sid;
     next();
   } catch (err) {
     next(err);
@@ -58,8 +78,13 @@ exports.restrictTo = (...roles) => {
   };
 };
 
+// lastUsed is written at most this often per key, so busy keys don't write on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
 /**
  * Middleware to validate API key
+ * Rejects revoked and expired keys and keys used from outside their IP allowlist.
+ * A request carrying X-Signature must be correctly signed with the key's secret
  */
 exports.validateApiKey = async (req, res, next) => {
   try {
@@ -69,22 +94,68 @@ exports.validateApiKey = async (req, res, next) => {
       return next(new AppError('API key is required', 401));
     }
     
-    // Find business by API key
-    const business = await Business.findOne({ 'apiKeys.key': apiKey, 'apiKeys.isActive': true });
+    const signed = requestSignatureService.isSigned(req);
     
-    if (!business) {
+    // Find business by API key; the sealed signing key is only needed to verify a signature
+    const query = Business.findOne({ 'apiKeys.key': apiKey, deletedAt: null });
+    const business = await (signed ? query.select('+apiKeys.secret') : query);
+    const apiKeyObj = business && business.findApiKey(apiKey);
+    
+    if (!apiKeyObj || !apiKeyObj.isActive) {
       return next(new AppError('Invalid API key', 401));
     }
     
-    // Add business to request
-    req.business = business;
+    if (apiKeyObj.isExpired()) {
+      return next(new AppError('API key has expired', 401));
+    }
     
-    // Find the specific API key used
-    const apiKeyObj = business.apiKeys.find(key => key.key === apiKey);
+    if (!apiKeyObj.allowsIp(req.ip)) {
+      return next(new AppError('API key is not allowed from this IP address', 403));
+    }
+    
+    if (signed) {
+      await requestSignatureService.verify(req, apiKeyObj);
+    }
+    
+    // Add business and the specific API key used to request
+    req.business = business;
     req.apiKey = apiKeyObj;
+    req.apiKeySigned = signed;
+    
+    if (!apiKeyObj.lastUsed || Date.now() - apiKeyObj.lastUsed.getTime() > LAST_USED_INTERVAL_MS) {
+      Business.updateOne(
+        { _id: business._id, 'apiKeys._id': apiKeyObj._id },
+        { $set: { 'apiKeys.$.lastUsed': new Date() } }
+      ).catch(err => logger.warn(`Could not record use of API key ${apiKeyObj._id}`, { error: err.message }));
+    }
     
     next();
   } catch (err) {
     next(err);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Middleware to require API key scopes; must run after validateApiKey
+ * @param {...string} scopes - Scopes of which the key needs at least one
+ * @returns {Function} - Middleware function
+ */
+exports.requireApiKeyScope = (...scopes) => {
+  return (req, res, next) => {
+    if (!req.apiKey || !scopes.some(scope => req.apiKey.hasScope(scope))) {
+      return next(new AppError(`This API key needs the ${scopes.join(' or ')} scope`, 403));
+    }
+    next();
+  };
+};
+
+/**
+ * Middleware to require a signed request, so the API key alone cannot move money;
+ * must run after validateApiKey
+ */
+exports.requireSignedRequest = (req, res, next) => {
+  if (!req.apiKeySigned && requestSignatureService.isRequiredForPayments()) {
+    return next(new AppError('This request must be signed with X-Signature, X-Timestamp and X-Nonce headers', 401));
+  }
+  next();
+};
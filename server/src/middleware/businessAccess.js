@@ -0,0 +1,23 @@
+/**
+ * Business Access Middleware
+ * Checks the authenticated user's membership role before routes nested under a business
+ */
+
+'use strict';
+
+const businessService = require('../services/business/businessService');
+
+/**
+ * Require a permission on the business named by the :businessId route parameter
+ * Must run after `protect`; non-members get 404, members without the permission 403
+ * @param {string} permission - Permission to check (read, update, delete)
+ * @returns {Function} Middleware function
+ */
+exports.authorizeBusiness = (permission) => async (req, res, next) => {
+  try {
+    await businessService.authorize(req.user, permission, req.params.businessId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * Idempotency Middleware
+ * Lets callers retry money-moving requests safely with an Idempotency-Key header
+ */
+
+'use strict';
+
+const idempotencyService = require('../services/transactions/idempotencyService');
+const logger = require('../utils/logger');
+
+/**
+ * Run a request at most once per business and Idempotency-Key
+ * Retries of a finished request get its stored response with an Idempotent-Replayed header.
+ * Server errors are not stored unless the request created a transaction, so it can be retried.
+ * Requests without the header are not affected. Must run after the business is known:
+ * validateApiKey or a :businessId route. Handlers that create transactions tag them with
+ * req.idempotencyKeyId
+ */
+exports.idempotent = async (req, res, next) => {
+  const key = req.get('idempotency-key');
+  if (key === undefined) {
+    return next();
+  }
+
+  try {
+    idempotencyService.assertValidKey(key);
+
+    const businessId = req.business ? req.business._id : req.params.businessId;
+    const { record, replay } = await idempotencyService.begin(businessId, key, {
+      method: req.method,
+      path: req.originalUrl,
+      requestHash: idempotencyService.fingerprint({
+        method: req.method,
+        path: req.originalUrl,
+        body: req.rawBody || req.body
+      })
+    });
+
+    if (replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).type('json').send(record.responseBody);
+    }
+
+    req.idempotencyKeyId = record._id;
+
+    let settled = false;
+    const json = res.json.bind(res);
+
+    // Store the response before sending it, so a retry can never run the request again
+    res.json = (body) => {
+      settled = true;
+      idempotencyService.finish(record, res.statusCode, body)
+        .catch(error => logger.error(`Error storing response for idempotency key ${key}: ${error.message}`))
+        .finally(() => json(body));
+      return res;
+    };
+
+    // Responses not sent through res.json have no body to store; a dropped connection keeps the lock until it runs out
+    res.on('finish', () => {
+      if (!settled) {
+        idempotencyService.finish(record, res.statusCode)
+          .catch(error => logger.error(`Error settling idempotency key ${key}: ${error.message}`));
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
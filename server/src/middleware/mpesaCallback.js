@@ -0,0 +1,83 @@
+/**
+ * M-Pesa Callback Middleware
+ * Verifies that inbound M-Pesa callbacks come from Safaricom and belong to the transaction they name
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config');
+const Transaction = require('../models/transaction');
+const logger = require('../utils/logger');
+
+/**
+ * Normalize an address reported by Express (IPv4-mapped IPv6 becomes plain IPv4)
+ * @param {string} ip - Request address
+ * @returns {string} Normalized address
+ */
+const normalizeIp = (ip = '') => ip.replace(/^::ffff:/, '');
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} expected - Stored secret
+ * @param {string} received - Secret from the request
+ * @returns {boolean} Whether they match
+ */
+const safeEqual = (expected, received) => {
+  if (typeof expected !== 'string' || typeof received !== 'string') {
+    return false;
+  }
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Reject callbacks whose source address is not on the M-Pesa allowlist
+ * An empty allowlist (development, sandbox) lets every address through
+ */
+exports.verifyCallbackSource = (req, res, next) => {
+  const allowedIps = config.mpesa.callbackAllowedIps || [];
+  const ip = normalizeIp(req.ip);
+
+  if (allowedIps.length > 0 && !allowedIps.includes(ip)) {
+    logger.warn('M-Pesa callback rejected: source address not allowed', {
+      ip,
+      path: req.originalUrl,
+      requestId: req.requestId
+    });
+
+    return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+  }
+
+  next();
+};
+
+/**
+ * Reject callbacks that do not carry the callback token of the transaction in the URL
+ */
+exports.verifyCallbackToken = async (req, res, next) => {
+  try {
+    const { transactionId, callbackToken } = req.params;
+
+    const transaction = /^[0-9a-fA-F]{24}$/.test(transactionId)
+      ? await Transaction.findById(transactionId).select('+callbackToken')
+      : null;
+
+    // Unknown transactions and wrong tokens get the same answer
+    if (!transaction || !safeEqual(transaction.callbackToken, callbackToken)) {
+      logger.warn('Callback rejected: invalid callback token', {
+        transactionId,
+        ip: normalizeIp(req.ip),
+        requestId: req.requestId
+      });
+
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
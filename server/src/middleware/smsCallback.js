@@ -0,0 +1,44 @@
+/**
+ * SMS Callback Middleware
+ * Verifies that inbound SMS delivery reports carry the platform's callback token
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Compare two tokens in constant time, whatever their lengths
+ * @param {string} expected - Configured token
+ * @param {string} received - Token from the request
+ * @returns {boolean} Whether they match
+ */
+const safeEqual = (expected, received) => {
+  if (typeof expected !== 'string' || typeof received !== 'string') {
+    return false;
+  }
+
+  const a = crypto.createHash('sha256').update(expected).digest();
+  const b = crypto.createHash('sha256').update(received).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Reject delivery reports whose URL does not carry config.sms.callbackToken
+ * Without a configured token no report is accepted
+ */
+exports.verifySmsCallbackToken = (req, res, next) => {
+  if (!config.sms.callbackToken || !safeEqual(config.sms.callbackToken, req.params.callbackToken)) {
+    logger.warn('SMS delivery report rejected: invalid callback token', {
+      provider: req.params.provider,
+      ip: req.ip,
+      requestId: req.requestId
+    });
+
+    return res.status(403).json({ status: 'fail', message: 'Rejected' });
+  }
+
+  next();
+};
@@ -81,6 +81,14 @@ const validatePasswordReset = validate([
     .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number and one special character')
 ]);
 
+// Validation rules for token refresh
+const validateRefreshToken = validate([
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+]);
+
 // Validation rules for business creation
 const validateBusiness = validate([
   body('name')
@@ -159,6 +167,7 @@ module.exports = {
   validateRegister,
   validateLogin,
   validatePasswordReset,
+  validateRefreshToken,
   validateBusiness,
   validateMpesaIntegration,
   validateTransactionInitiation
@@ -1,6 +1,6 @@
 // server/src/middleware/validator.js
 const { validationResult } = require('express-validator');
-const httpStatus = require('http-status');
+const { status: httpStatus } = require('http-status');
 
 /**
  * Factory: pass in an array of express-validator chains,
@@ -0,0 +1,30 @@
+// server/src/models/blacklistedToken.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+/**
+ * Blacklisted Token Schema
+ * Access tokens that were signed out before they expired. Entries are removed by the TTL
+ * index once the token would have expired anyway
+ */
+const blacklistedTokenSchema = new mongoose.Schema({
+  // SHA-256 of the token
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+blacklistedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const BlacklistedToken = mongoose.model('BlacklistedToken', blacklistedTokenSchema);
+
+module.exports = BlacklistedToken;
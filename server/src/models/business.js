@@ -1,6 +1,87 @@
 // server/src/models/business.js
-import mongoose from 'mongoose';
-import crypto from 'crypto';
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const net = require('net');
+const { TEMPLATE_LOCALES } = require('./notificationTemplate');
+const config = require('../config');
+
+// Scopes an API key can be granted; admin grants every scope
+const API_KEY_PERMISSIONS = ['read', 'write', 'admin', 'payments', 'reports'];
+
+// Scopes granted along with another. Keys made before scopes were enforced default to
+// read and write, which keep access to payments and reports
+const IMPLIED_API_KEY_PERMISSIONS = {
+  admin: API_KEY_PERMISSIONS,
+  write: ['payments'],
+  read: ['reports'],
+};
+
+// Signing keys at rest: "v1.<iv>.<auth tag>.<ciphertext>" in hex, sealed with AES-256-GCM
+const SEALED_KEY_PATTERN = /^v1\.[0-9a-f]{24}\.[0-9a-f]{32}\.[0-9a-f]{64}$/;
+
+/**
+ * Digest of an API secret; callers key their request signatures with it
+ * @param {string} secret - API secret as issued
+ * @returns {string} Hex SHA3-256 digest
+ */
+const hashApiSecret = (secret) => crypto.createHash('sha3-256').update(String(secret)).digest('hex');
+
+/**
+ * AES-256 key derived from config.apiKeys.secretEncryptionKey, which never leaves the server's environment
+ * @returns {Buffer} 32-byte key
+ */
+const sealingKey = () => crypto.createHash('sha256').update(config.apiKeys.secretEncryptionKey).digest();
+
+/**
+ * Encrypt an API key's signing key for storage, so a copy of the database cannot sign requests
+ * @param {string} signingKey - Hex SHA3-256 digest of the API secret
+ * @returns {string} Sealed signing key
+ */
+const sealApiSigningKey = (signingKey) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', sealingKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(signingKey, 'hex'), cipher.final()]);
+
+  return ['v1', iv.toString('hex'), cipher.getAuthTag().toString('hex'), ciphertext.toString('hex')].join('.');
+};
+
+/**
+ * Decrypt a stored signing key
+ * @param {string} sealed - Sealed signing key
+ * @returns {string|null} Hex signing key, or null if it is malformed or was sealed with another key
+ */
+const openApiSigningKey = (sealed) => {
+  if (!SEALED_KEY_PATTERN.test(String(sealed))) {
+    return null;
+  }
+
+  const [, iv, tag, ciphertext] = sealed.split('.');
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', sealingKey(), Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return Buffer.concat([decipher.update(ciphertext, 'hex'), decipher.final()]).toString('hex');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check an IP address or CIDR range ("203.0.113.7", "203.0.113.0/24", "2001:db8::/32")
+ * @param {string} value - Address or range
+ * @returns {boolean} True if valid
+ */
+const isIpOrCidr = (value) => {
+  const [address, prefix, ...rest] = String(value).split('/');
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) {
+    return false;
+  }
+  if (prefix === undefined) {
+    return true;
+  }
+  const bits = Number(prefix);
+  return /^\d+$/.test(prefix) && bits <= (version === 4 ? 32 : 128);
+};
 
 /**
  * API Key Schema
@@ -12,9 +93,11 @@ const apiKeySchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Signing key (SHA3-256 digest of the secret), sealed; the secret itself is only ever shown to the business
   secret: { 
     type: String,
     required: true,
+    match: [SEALED_KEY_PATTERN, 'API signing keys must be stored sealed'],
     select: false // Don't return secret in queries by default
   },
   name: { 
@@ -34,25 +117,151 @@ const apiKeySchema = new mongoose.Schema({
     default: ['read', 'write'],
     validate: {
       validator: function(permissions) {
-        const validPermissions = ['read', 'write', 'admin', 'payments', 'reports'];
-        return permissions.every(permission => validPermissions.includes(permission));
+        return permissions.every(permission => API_KEY_PERMISSIONS.includes(permission));
       },
       message: props => `${props.value} contains invalid permissions`
     }
   },
+  // Addresses or CIDR ranges the key may be used from; any address when empty
   ipRestrictions: {
     type: [String],
-    default: []
+    default: [],
+    validate: {
+      validator: function(entries) {
+        return entries.every(isIpOrCidr);
+      },
+      message: props => `${props.value} contains an invalid IP address or range`
+    }
   },
   expiresAt: {
     type: Date
   },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  // Set when the key is rotated; it keeps working until its expiresAt
+  rotatedAt: {
+    type: Date
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
   }
 });
 
+/**
+ * Check whether the key grants a scope, directly or through a broader one
+ * @param {string} scope - Scope to check
+ * @returns {boolean} True if granted
+ */
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.permissions.some(permission =>
+    permission === scope || (IMPLIED_API_KEY_PERMISSIONS[permission] || []).includes(scope)
+  );
+};
+
+/**
+ * Check whether the key has passed its expiry
+ * @returns {boolean} True if expired
+ */
+apiKeySchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+};
+
+/**
+ * Check whether the key may be used from an address
+ * @param {string} ip - Client address; IPv4-mapped IPv6 addresses are compared as IPv4
+ * @returns {boolean} True if allowed
+ */
+apiKeySchema.methods.allowsIp = function(ip) {
+  if (!this.ipRestrictions || this.ipRestrictions.length === 0) {
+    return true;
+  }
+
+  const address = String(ip || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+  const version = net.isIP(address);
+  if (!version) {
+    return false;
+  }
+
+  const allowed = new net.BlockList();
+  this.ipRestrictions.forEach(entry => {
+    const [range, prefix] = entry.split('/');
+    const type = net.isIP(range) === 6 ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+      allowed.addAddress(range, type);
+    } else {
+      allowed.addSubnet(range, Number(prefix), type);
+    }
+  });
+
+  return allowed.check(address, version === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * C2B Rules Schema
+ * @description Merchant rules applied when M-Pesa asks whether to accept a paybill or till payment
+ */
+const c2bRulesSchema = new mongoose.Schema({
+  // Regular expressions; the account number must match one of them when any are set
+  accountNumberPatterns: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: function(patterns) {
+        return patterns.every(pattern => {
+          if (pattern.length > 100) return false;
+          try {
+            new RegExp(pattern);
+            return true;
+          } catch (error) {
+            return false;
+          }
+        });
+      },
+      message: 'Account number patterns must be valid regular expressions of up to 100 characters'
+    }
+  },
+  minAmount: {
+    type: Number,
+    min: 0
+  },
+  maxAmount: {
+    type: Number,
+    min: 0
+  },
+  // Merchant endpoint asked to accept or reject after the local rules pass
+  validationUrl: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return !v || /^(https):\/\/[^ "]+$/.test(v); // Required HTTPS
+      },
+      message: props => `${props.value} is not a valid HTTPS URL`
+    }
+  },
+  // M-Pesa itself only waits a few seconds for our answer
+  validationTimeoutMs: {
+    type: Number,
+    default: 3000,
+    min: 500,
+    max: 5000
+  },
+  onValidationTimeout: {
+    type: String,
+    enum: ['accept', 'reject'],
+    default: 'accept'
+  }
+}, { _id: false });
+
 /**
  * M-Pesa Integration Schema
  * @description Defines the data model for M-Pesa payment integrations
@@ -89,6 +298,10 @@ const mpesaIntegrationSchema = new mongoose.Schema({
     trim: true,
     select: false
   },
+  publicKey: {
+    type: String,
+    trim: true
+  },
   initiatorName: {
     type: String,
     trim: true
@@ -98,6 +311,12 @@ const mpesaIntegrationSchema = new mongoose.Schema({
     trim: true,
     select: false
   },
+  // Initiator password already encrypted with the Daraja certificate; used instead of initiatorPassword
+  securityCredential: {
+    type: String,
+    trim: true,
+    select: false
+  },
   organizationName: {
     type: String,
     trim: true
@@ -116,6 +335,13 @@ const mpesaIntegrationSchema = new mongoose.Schema({
       message: props => `${props.value} is not a valid HTTPS URL`
     }
   },
+  c2bRules: {
+    type: c2bRulesSchema,
+    default: () => ({})
+  },
+  c2bUrlsRegisteredAt: {
+    type: Date
+  },
   status: {
     type: String,
     enum: ['active', 'pending', 'error'],
@@ -134,6 +360,125 @@ const mpesaIntegrationSchema = new mongoose.Schema({
   }
 });
 
+/**
+ * Payment Integration Schema
+ * @description Defines the data model for non M-Pesa wallet integrations (Airtel Money, MTN MoMo)
+ */
+const paymentIntegrationSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    lowercase: true,
+    enum: {
+      values: ['airtel', 'mtn'],
+      message: '{VALUE} is not a supported payment provider'
+    }
+  },
+  country: { 
+    type: String, 
+    required: true,
+    lowercase: true,
+    enum: {
+      values: ['kenya', 'tanzania', 'uganda', 'rwanda', 'mozambique', 'drc'],
+      message: '{VALUE} is not a supported country'
+    }
+  },
+  clientId: {
+    type: String,
+    required: true,
+    trim: true,
+    select: false // Airtel client ID or MTN API user
+  },
+  clientSecret: {
+    type: String,
+    required: true,
+    trim: true,
+    select: false // Airtel client secret or MTN API key
+  },
+  subscriptionKey: {
+    type: String,
+    trim: true,
+    select: false // MTN collection subscription key
+  },
+  disbursementSubscriptionKey: {
+    type: String,
+    trim: true,
+    select: false // MTN disbursement subscription key
+  },
+  disbursementPin: {
+    type: String,
+    trim: true,
+    select: false // Airtel encrypted disbursement PIN
+  },
+  isLive: { 
+    type: Boolean, 
+    default: false 
+  },
+  status: {
+    type: String,
+    enum: ['active', 'pending', 'error'],
+    default: 'pending'
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  updatedAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+/**
+ * Webhook Endpoint Schema
+ * @description A URL that receives the webhook events it subscribes to, signed with its own secret
+ */
+const webhookEndpointSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Webhook endpoint URL is required'],
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return /^(https):\/\/[^ "]+$/.test(v);
+      },
+      message: props => `${props.value} is not a valid HTTPS URL`
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Event types from the webhook event catalog, or '*' for all of them
+  events: {
+    type: [String],
+    validate: {
+      validator: function(events) {
+        return events.length > 0;
+      },
+      message: 'Subscribe to at least one event'
+    }
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 /**
  * Notification Settings Schema
  * @description Defines notification preferences for the business
@@ -185,6 +530,73 @@ const notificationSettingsSchema = new mongoose.Schema({
   }
 });
 
+/**
+ * Receipt Settings Schema
+ * @description Whether customers get a receipt when their payment completes, and through which channels
+ */
+const receiptSettingsSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // Email receipts go only to customers whose payment request carried customerEmail
+  channels: {
+    type: [{
+      type: String,
+      enum: ['sms', 'email']
+    }],
+    default: ['sms']
+  },
+  // Closing line added to every receipt, e.g. a returns policy or helpline
+  footer: {
+    type: String,
+    trim: true,
+    maxlength: [160, 'Receipt footer cannot exceed 160 characters']
+  }
+}, { _id: false });
+
+/**
+ * SMS Gateway Schema
+ * @description A business's own SMS provider account; without one, SMS go out through the platform's provider
+ */
+const smsGatewaySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['africastalking', 'twilio', 'http'],
+    required: true
+  },
+  // Alphanumeric sender ID or number the provider has approved for this account
+  senderId: {
+    type: String,
+    trim: true
+  },
+  // Africa's Talking username or Twilio account SID
+  username: {
+    type: String,
+    trim: true
+  },
+  // Africa's Talking API key, Twilio auth token or HTTP gateway bearer token
+  apiKey: {
+    type: String,
+    select: false
+  },
+  // Send URL of an HTTP gateway
+  url: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return !v || /^(https):\/\/[^ "]+$/.test(v);
+      },
+      message: props => `${props.value} is not a valid HTTPS URL`
+    }
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 /**
  * Business Schema
  * @description Main schema for businesses in the platform
@@ -241,6 +653,7 @@ const businessSchema = new mongoose.Schema({
     type: String,
     select: false
   },
+  webhookEndpoints: [webhookEndpointSchema],
   notificationEmail: { 
     type: String,
     trim: true,
@@ -254,7 +667,16 @@ const businessSchema = new mongoose.Schema({
     type: notificationSettingsSchema,
     default: () => ({})
   },
+  receiptSettings: {
+    type: receiptSettingsSchema,
+    default: () => ({})
+  },
+  smsGateway: {
+    type: smsGatewaySchema,
+    default: null
+  },
   mpesaIntegrations: [mpesaIntegrationSchema],
+  paymentIntegrations: [paymentIntegrationSchema],
   logo: {
     type: String,
     trim: true
@@ -288,6 +710,12 @@ const businessSchema = new mongoose.Schema({
       message: props => `${props.value} is not a valid currency code`
     }
   },
+  // Language of notifications sent for the business, unless the customer chose one
+  locale: {
+    type: String,
+    enum: TEMPLATE_LOCALES,
+    default: 'en'
+  },
   status: {
     type: String,
     enum: ['active', 'pending', 'suspended'],
@@ -302,6 +730,11 @@ const businessSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when the business is deleted; deleted businesses are kept for their transaction history
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -352,23 +785,26 @@ businessSchema.virtual('activeMpesaIntegrations').get(function() {
  * @param {string} keyName - Name for the API key
  * @param {Array} permissions - Optional array of permissions
  * @param {Date} expiresAt - Optional expiration date
- * @returns {Object} API key and secret
+ * @param {Object} options - Optional { ipRestrictions, createdBy }
+ * @returns {Object} API key and secret, with the key's ID
  */
-businessSchema.methods.generateApiKey = function(keyName, permissions = ['read', 'write'], expiresAt = null) {
+businessSchema.methods.generateApiKey = function(keyName, permissions = ['read', 'write'], expiresAt = null, options = {}) {
   const apiKey = crypto.randomBytes(24).toString('hex');
   const apiSecret = crypto.randomBytes(48).toString('hex');
   
   this.apiKeys.push({
     key: apiKey,
-    secret: crypto.createHash('sha3-256').update(apiSecret).digest('hex'),
+    secret: sealApiSigningKey(hashApiSecret(apiSecret)),
     name: keyName || 'API Key',
     permissions,
+    ipRestrictions: options.ipRestrictions || [],
     isActive: true,
     expiresAt,
+    createdBy: options.createdBy,
     createdAt: Date.now()
   });
   
-  return { apiKey, apiSecret };
+  return { id: this.apiKeys[this.apiKeys.length - 1]._id, apiKey, apiSecret };
 };
 
 /**
@@ -393,15 +829,13 @@ businessSchema.methods.verifyApiKey = function(keyString, secretString) {
     return false;
   }
   
-  // Compare hashed secret
-  const hashedSecret = crypto.createHash('sha3-256').update(secretString).digest('hex');
-  
   // Check if key is expired
   if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
     return false;
   }
   
-  return apiKey.secret === hashedSecret;
+  // Compare hashed secret with the unsealed signing key
+  return openApiSigningKey(apiKey.secret) === hashApiSecret(secretString);
 };
 
 /**
@@ -417,36 +851,74 @@ businessSchema.methods.revokeApiKey = function(keyString) {
   }
   
   this.apiKeys[keyIndex].isActive = false;
+  this.apiKeys[keyIndex].revokedAt = Date.now();
   return true;
 };
 
 /**
  * Method to generate a webhook secret
+ * The secret is the HMAC key for outbound webhooks, so it is kept as-is (never selected by default)
  * @returns {string} Generated webhook secret
  */
 businessSchema.methods.generateWebhookSecret = function() {
-  const secret = crypto.randomBytes(48).toString('hex');
-  this.webhookSecret = crypto.createHash('sha3-256').update(secret).digest('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+  this.webhookSecret = secret;
   return secret;
 };
 
+/**
+ * Method to sign an outbound webhook body
+ * The signed string is "<timestamp>.<body>" so a captured request cannot be replayed later
+ * @param {string} payload - Request body as string
+ * @param {number|string} timestamp - Unix timestamp (seconds) sent in X-Webhook-Timestamp
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+businessSchema.methods.signWebhookPayload = function(payload, timestamp) {
+  return crypto
+    .createHmac('sha256', this.webhookSecret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+};
+
 /**
  * Method to verify webhook signature
  * @param {string} payload - Request body as string
  * @param {string} signature - Received signature
+ * @param {number|string} timestamp - Received X-Webhook-Timestamp
  * @returns {boolean} True if signature is valid
  */
-businessSchema.methods.verifyWebhookSignature = function(payload, signature) {
-  const expectedSignature = crypto
-    .createHmac('sha256', this.webhookSecret)
-    .update(payload)
-    .digest('hex');
-  
+businessSchema.methods.verifyWebhookSignature = function(payload, signature, timestamp) {
+  if (!this.webhookSecret || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(this.signWebhookPayload(payload, timestamp), 'hex');
+  const received = Buffer.from(signature, 'hex');
+
   // Time-constant comparison to prevent timing attacks
-  return crypto.timingSafeEqual(
-    Buffer.from(expectedSignature, 'hex'),
-    Buffer.from(signature, 'hex')
-  );
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Method to find where a webhook event should be delivered
+ * Every active endpoint subscribed to the event, plus webhookUrl, which receives all events
+ * @param {string} event - Event type
+ * @returns {Array<{endpointId: ObjectId|null, url: string}>} Delivery targets
+ */
+businessSchema.methods.getWebhookTargets = function(event) {
+  if (this.notificationSettings && this.notificationSettings.webhookEnabled === false) {
+    return [];
+  }
+
+  const targets = this.webhookEndpoints
+    .filter(endpoint => endpoint.active && (endpoint.events.includes('*') || endpoint.events.includes(event)))
+    .map(endpoint => ({ endpointId: endpoint._id, url: endpoint.url }));
+
+  if (this.webhookUrl) {
+    targets.push({ endpointId: null, url: this.webhookUrl });
+  }
+
+  return targets;
 };
 
 /**
@@ -489,6 +961,23 @@ businessSchema.methods.getMpesaIntegration = function(country) {
   );
 };
 
+/**
+ * Method to get a wallet integration by provider and country
+ * @param {string} provider - Payment provider ('mpesa', 'airtel', 'mtn')
+ * @param {string} country - Country code
+ * @returns {Object} Payment integration or null
+ */
+businessSchema.methods.getPaymentIntegration = function(provider, country) {
+  if (provider === 'mpesa') {
+    return this.getMpesaIntegration(country);
+  }
+  
+  return this.paymentIntegrations.find(
+    integration => integration.provider === provider &&
+      integration.country.toLowerCase() === country.toLowerCase()
+  );
+};
+
 /**
  * Method to update notification settings
  * @param {Object} settings - New notification settings
@@ -503,6 +992,21 @@ businessSchema.methods.updateNotificationSettings = function(settings) {
   return this.notificationSettings;
 };
 
+/**
+ * Method to soft delete the business
+ * Its API keys stop working and it no longer appears for its members
+ * @returns {Object} Business document
+ */
+businessSchema.methods.softDelete = function() {
+  this.deletedAt = Date.now();
+  this.active = false;
+  this.apiKeys.forEach(apiKey => {
+    apiKey.isActive = false;
+  });
+  
+  return this;
+};
+
 /**
  * Static method to find businesses by user
  * @param {string} userId - User ID
@@ -513,7 +1017,8 @@ businessSchema.statics.findByUser = function(userId) {
     $or: [
       { owner: userId },
       { 'users.user': userId }
-    ]
+    ],
+    deletedAt: null
   });
 };
 
@@ -531,4 +1036,8 @@ businessSchema.statics.findByApiKey = function(apiKey) {
 
 const Business = mongoose.model('Business', businessSchema);
 
-export default Business;
\ No newline at end of file
+module.exports = Business;
+module.exports.API_KEY_PERMISSIONS = API_KEY_PERMISSIONS;
+module.exports.hashApiSecret = hashApiSecret;
+module.exports.sealApiSigningKey = sealApiSigningKey;
+module.exports.openApiSigningKey = openApiSigningKey;
\ No newline at end of file
@@ -0,0 +1,108 @@
+// server/src/models/businessInvitation.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Pending invitations past their expiry are marked expired when the address is invited again
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+// Roles an invitation can grant; ownership is only ever transferred
+const INVITATION_ROLES = ['admin', 'member'];
+
+/**
+ * Business Invitation Schema
+ * An invitation for someone to join a business with a role, accepted through a link sent by email.
+ * Only a hash of the link's token is stored
+ */
+const businessInvitationSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: INVITATION_ROLES,
+    default: 'member',
+  },
+  status: {
+    type: String,
+    enum: INVITATION_STATUSES,
+    default: 'pending',
+  },
+  // SHA-256 of the token in the invitation link; resending replaces it
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  sentCount: {
+    type: Number,
+    default: 1,
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now,
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  acceptedAt: {
+    type: Date,
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  revokedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// One open invitation per address and business
+businessInvitationSchema.index(
+  { business: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+businessInvitationSchema.index({ tokenHash: 1 });
+businessInvitationSchema.index({ business: 1, createdAt: -1 });
+
+/**
+ * Check whether the invitation can no longer be accepted because it is too old
+ * @returns {boolean}
+ */
+businessInvitationSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+businessInvitationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const BusinessInvitation = mongoose.model('BusinessInvitation', businessInvitationSchema);
+
+module.exports = BusinessInvitation;
+module.exports.INVITATION_STATUSES = INVITATION_STATUSES;
+module.exports.INVITATION_ROLES = INVITATION_ROLES;
@@ -0,0 +1,78 @@
+// server/src/models/idempotencyKey.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const IDEMPOTENCY_STATUSES = ['processing', 'completed'];
+
+/**
+ * Idempotency Key Schema
+ * The first response to a money-moving request sent with an Idempotency-Key header,
+ * replayed to retries of the same request until the record expires
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  method: {
+    type: String,
+    required: true,
+  },
+  path: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 of the method, path and body, so a key cannot be reused for a different request
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: IDEMPOTENCY_STATUSES,
+    default: 'processing',
+  },
+  // While processing, other requests with the key are refused until the lock runs out
+  lockedUntil: {
+    type: Date,
+  },
+  responseStatus: {
+    type: Number,
+  },
+  // Serialized JSON body, replayed byte for byte
+  responseBody: {
+    type: String,
+  },
+  // Transaction the request created, if any; set when a failed response is kept because of it
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+idempotencyKeySchema.index({ business: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+idempotencyKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
+module.exports.IDEMPOTENCY_STATUSES = IDEMPOTENCY_STATUSES;
@@ -0,0 +1,71 @@
+// server/src/models/jobRun.js
+'use strict';
+
+const mongoose = require('mongoose');
+const { JOB_RUN_STATUSES } = require('./scheduledJob');
+
+// Job history is kept for this long
+const JOB_RUN_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Job Run Schema
+ * One execution of a scheduled job, with what it did or why it failed
+ */
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: JOB_RUN_STATUSES,
+    default: 'running',
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true,
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Process that ran the job
+  owner: {
+    type: String,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  durationMs: {
+    type: Number,
+  },
+  // Summary the job returned, e.g. how many transactions it updated
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  error: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: JOB_RUN_RETENTION_SECONDS });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
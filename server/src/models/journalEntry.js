@@ -0,0 +1,150 @@
+// server/src/models/journalEntry.js
+'use strict';
+
+const mongoose = require('mongoose');
+const { ACCOUNT_TYPES } = require('./ledgerAccount');
+
+/**
+ * What an entry records
+ * collection.settled: a payment or deposit reached the business
+ * payout.reserved: funds held when a payout, B2B payment, refund or reversal is submitted
+ * payout.settled: the provider paid the held funds out
+ * payout.released: the provider did not pay out, so the held funds are available again
+ * adjustment: an opening balance or manual correction
+ */
+const ENTRY_EVENTS = ['collection.settled', 'payout.reserved', 'payout.settled', 'payout.released', 'adjustment'];
+
+// Entries are never changed or removed; mistakes are corrected with another entry
+const IMMUTABLE_MESSAGE = 'Journal entries are immutable; post a correcting entry instead';
+
+/**
+ * Journal Line Schema
+ * One debit or credit to a balance account
+ */
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerAccount',
+    required: true,
+  },
+  accountType: {
+    type: String,
+    enum: Object.keys(ACCOUNT_TYPES),
+    required: true,
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true,
+  },
+  // In minor units (cents)
+  amountMinor: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Line amounts must be whole minor units',
+    },
+  },
+  _id: false,
+});
+
+/**
+ * Journal Entry Schema
+ * A balanced set of lines written as one document, so an entry is stored whole or not at all
+ */
+const journalEntrySchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: ['KES', 'TZS', 'UGX', 'RWF', 'MZN', 'CDF'],
+    uppercase: true,
+  },
+  // Identifies what was posted, e.g. "<transaction id>:payout.settled", so nothing is posted twice
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  event: {
+    type: String,
+    enum: ENTRY_EVENTS,
+    required: true,
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+  // Public transaction ID, shown on statements
+  reference: {
+    type: String,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: function(lines) {
+        const total = direction => lines
+          .filter(line => line.direction === direction)
+          .reduce((sum, line) => sum + line.amountMinor, 0);
+        return lines.length >= 2 && total('debit') === total('credit');
+      },
+      message: 'Journal entry debits and credits must balance',
+    },
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+journalEntrySchema.index({ business: 1, currency: 1, postedAt: 1, _id: 1 });
+journalEntrySchema.index({ transaction: 1 });
+
+/**
+ * Immutability guards
+ */
+journalEntrySchema.pre('save', function(next) {
+  next(this.isNew ? undefined : new Error(IMMUTABLE_MESSAGE));
+});
+
+journalEntrySchema.pre('deleteOne', { document: true, query: false }, function(next) {
+  next(new Error(IMMUTABLE_MESSAGE));
+});
+
+journalEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  function(next) {
+    next(new Error(IMMUTABLE_MESSAGE));
+  }
+);
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+
+module.exports = JournalEntry;
+module.exports.ENTRY_EVENTS = ENTRY_EVENTS;
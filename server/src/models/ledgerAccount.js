@@ -0,0 +1,69 @@
+// server/src/models/ledgerAccount.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+/**
+ * Balance account types and the side that increases them
+ * available: funds the business can pay out
+ * reserved: funds held for payouts the provider has not settled yet
+ * fees: fees charged to the business
+ * provider: funds held at the payment provider on the business's behalf
+ * adjustments: opening balances and manual corrections
+ */
+const ACCOUNT_TYPES = {
+  available: 'credit',
+  reserved: 'credit',
+  fees: 'credit',
+  provider: 'debit',
+  adjustments: 'debit',
+};
+
+/**
+ * Ledger Account Schema
+ * One balance per business, currency and account type; the journal entries are the record
+ * and the balance is kept alongside them so payouts can be checked against it atomically
+ */
+const ledgerAccountSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: ['KES', 'TZS', 'UGX', 'RWF', 'MZN', 'CDF'],
+    uppercase: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: Object.keys(ACCOUNT_TYPES),
+  },
+  normalBalance: {
+    type: String,
+    required: true,
+    enum: ['debit', 'credit'],
+  },
+  // In minor units (cents), positive on the account's normal side
+  balanceMinor: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+ledgerAccountSchema.index({ business: 1, currency: 1, type: 1 }, { unique: true });
+
+const LedgerAccount = mongoose.model('LedgerAccount', ledgerAccountSchema);
+
+module.exports = LedgerAccount;
+module.exports.ACCOUNT_TYPES = ACCOUNT_TYPES;
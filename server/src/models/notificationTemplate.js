@@ -0,0 +1,88 @@
+// server/src/models/notificationTemplate.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Events with customizable templates; their variables are listed in the template catalog
+const TEMPLATE_EVENTS = ['payment.receipt', 'transaction.completed', 'transaction.failed', 'transaction.updated'];
+const TEMPLATE_CHANNELS = ['sms', 'email'];
+const TEMPLATE_LOCALES = ['en', 'sw'];
+
+/**
+ * Notification Template Schema
+ * A business's override of a default notification template. Every save creates a
+ * new version; at most one version per event, channel and locale is active
+ */
+const notificationTemplateSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+  },
+  event: {
+    type: String,
+    enum: TEMPLATE_EVENTS,
+    required: true,
+  },
+  channel: {
+    type: String,
+    enum: TEMPLATE_CHANNELS,
+    required: true,
+  },
+  locale: {
+    type: String,
+    enum: TEMPLATE_LOCALES,
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // SMS text
+  body: {
+    type: String,
+    maxlength: 1600,
+  },
+  // Email fields
+  subject: {
+    type: String,
+    maxlength: 200,
+  },
+  html: {
+    type: String,
+    maxlength: 50000,
+  },
+  text: {
+    type: String,
+    maxlength: 20000,
+  },
+  active: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+notificationTemplateSchema.index({ business: 1, event: 1, channel: 1, locale: 1, version: -1 }, { unique: true });
+notificationTemplateSchema.index({ business: 1, event: 1, channel: 1, locale: 1, active: 1 });
+
+const NotificationTemplate = mongoose.model('NotificationTemplate', notificationTemplateSchema);
+
+module.exports = NotificationTemplate;
+module.exports.TEMPLATE_EVENTS = TEMPLATE_EVENTS;
+module.exports.TEMPLATE_CHANNELS = TEMPLATE_CHANNELS;
+module.exports.TEMPLATE_LOCALES = TEMPLATE_LOCALES;
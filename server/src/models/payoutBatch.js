@@ -0,0 +1,173 @@
+// server/src/models/payoutBatch.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Row states; completed and failed are final
+const ROW_STATUSES = ['queued', 'submitting', 'processing', 'completed', 'failed'];
+
+/**
+ * Payout Batch Row Schema
+ * One payout in a batch, linked to its withdrawal transaction once submitted
+ */
+const payoutBatchRowSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true,
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  reference: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  remarks: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ROW_STATUSES,
+    default: 'queued',
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+  providerReference: {
+    type: String,
+    trim: true,
+  },
+  error: {
+    type: String,
+    trim: true,
+  },
+  // When a worker claimed the row for submission; a row left submitting long after this is resumed
+  claimedAt: {
+    type: Date,
+  },
+  _id: false,
+});
+
+/**
+ * Payout Batch Schema
+ * A bulk B2C run (payroll, agent commissions) submitted with limited concurrency
+ */
+const payoutBatchSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Batch name cannot exceed 100 characters'],
+  },
+  source: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: true,
+  },
+  country: {
+    type: String,
+    required: true,
+    lowercase: true,
+  },
+  provider: {
+    type: String,
+    enum: ['mpesa', 'airtel', 'mtn'],
+    default: 'mpesa',
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+  },
+  commandId: {
+    type: String,
+    default: 'BusinessPayment',
+  },
+  concurrency: {
+    type: Number,
+    default: 5,
+    min: 1,
+    max: 20,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'submitting', 'processing', 'completed'],
+    default: 'queued',
+    index: true,
+  },
+  rows: [payoutBatchRowSchema],
+  totalAmount: {
+    type: Number,
+    default: 0,
+  },
+  startedAt: {
+    type: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+payoutBatchSchema.index({ business: 1, createdAt: -1 });
+
+/**
+ * Virtuals
+ */
+payoutBatchSchema.virtual('progress').get(function() {
+  const counts = ROW_STATUSES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  this.rows.forEach(row => {
+    counts[row.status] += 1;
+  });
+
+  const total = this.rows.length;
+  const finished = counts.completed + counts.failed;
+
+  return {
+    total,
+    ...counts,
+    percent: total ? Math.round((finished / total) * 100) : 100
+  };
+});
+
+/**
+ * Methods
+ */
+payoutBatchSchema.methods = {
+  /**
+   * Check whether every row has reached a final state
+   * @returns {Boolean}
+   */
+  isFinished() {
+    return this.rows.every(row => ['completed', 'failed'].includes(row.status));
+  }
+};
+
+const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
+
+module.exports = PayoutBatch;
+module.exports.ROW_STATUSES = ROW_STATUSES;
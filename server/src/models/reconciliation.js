@@ -0,0 +1,219 @@
+// server/src/models/reconciliation.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+// open has unresolved exceptions, balanced is ready for sign-off, signed_off is final
+const RECONCILIATION_STATUSES = ['open', 'balanced', 'signed_off'];
+
+const EXCEPTION_KINDS = ['missing_in_ledger', 'missing_in_statement', 'amount_mismatch', 'status_mismatch'];
+const EXCEPTION_STATUSES = ['open', 'resolved'];
+
+// How a statement row was accounted for; fees and transfers have no ledger counterpart
+const ROW_RESULTS = ['matched', 'exception', 'fee', 'transfer', 'ignored', 'out_of_period'];
+
+/**
+ * Statement Row Schema
+ * One line of an M-Pesa org portal statement
+ */
+const statementRowSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true,
+  },
+  receiptNumber: {
+    type: String,
+    trim: true,
+  },
+  completedAt: {
+    type: Date,
+  },
+  details: {
+    type: String,
+    trim: true,
+  },
+  // Transaction Status column, e.g. "Completed"
+  providerStatus: {
+    type: String,
+    trim: true,
+  },
+  paidIn: {
+    type: Number,
+    default: 0,
+  },
+  withdrawn: {
+    type: Number,
+    default: 0,
+  },
+  balance: {
+    type: Number,
+  },
+  otherParty: {
+    type: String,
+    trim: true,
+  },
+  result: {
+    type: String,
+    enum: ROW_RESULTS,
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+  // receipt, or amount_time when the ledger transaction had no receipt number
+  matchedBy: {
+    type: String,
+    enum: ['receipt', 'amount_time'],
+  },
+  _id: false,
+});
+
+/**
+ * Reconciliation Exception Schema
+ * A difference between the statement and the ledger that an operator must explain
+ */
+const exceptionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: EXCEPTION_KINDS,
+    required: true,
+  },
+  row: {
+    type: Number,
+  },
+  receiptNumber: {
+    type: String,
+    trim: true,
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+  statementAmount: {
+    type: Number,
+  },
+  ledgerAmount: {
+    type: Number,
+  },
+  ledgerStatus: {
+    type: String,
+  },
+  occurredAt: {
+    type: Date,
+  },
+  status: {
+    type: String,
+    enum: EXCEPTION_STATUSES,
+    default: 'open',
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot exceed 1000 characters'],
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  resolvedAt: {
+    type: Date,
+  },
+});
+
+/**
+ * Reconciliation Schema
+ * One shortcode's statement for one day, matched against the ledger
+ */
+const reconciliationSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+  },
+  shortCode: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Statement day in Kenyan time, YYYY-MM-DD
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be formatted YYYY-MM-DD'],
+  },
+  periodStart: {
+    type: Date,
+    required: true,
+  },
+  periodEnd: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: RECONCILIATION_STATUSES,
+    default: 'open',
+    index: true,
+  },
+  source: {
+    format: { type: String, enum: ['csv', 'xlsx'] },
+    filename: { type: String, trim: true },
+    importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    importedAt: { type: Date },
+    imports: { type: Number, default: 0 },
+  },
+  rows: [statementRowSchema],
+  exceptions: [exceptionSchema],
+  summary: {
+    statementRows: { type: Number, default: 0 },
+    statementPaidIn: { type: Number, default: 0 },
+    statementWithdrawn: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 },
+    ledgerTransactions: { type: Number, default: 0 },
+    ledgerPaidIn: { type: Number, default: 0 },
+    ledgerWithdrawn: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+  },
+  matchedAt: {
+    type: Date,
+  },
+  signOff: {
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, trim: true },
+    at: { type: Date },
+    note: { type: String, trim: true, maxlength: 1000 },
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+reconciliationSchema.index({ business: 1, shortCode: 1, date: 1 }, { unique: true });
+reconciliationSchema.index({ business: 1, date: -1 });
+
+/**
+ * Virtuals
+ */
+reconciliationSchema.virtual('exceptionCounts').get(function() {
+  const counts = EXCEPTION_KINDS.reduce((acc, kind) => ({ ...acc, [kind]: 0 }), { open: 0, resolved: 0 });
+  this.exceptions.forEach(exception => {
+    counts[exception.kind] += 1;
+    counts[exception.status] += 1;
+  });
+  return counts;
+});
+
+const Reconciliation = mongoose.model('Reconciliation', reconciliationSchema);
+
+module.exports = Reconciliation;
+module.exports.RECONCILIATION_STATUSES = RECONCILIATION_STATUSES;
+module.exports.EXCEPTION_KINDS = EXCEPTION_KINDS;
+module.exports.EXCEPTION_STATUSES = EXCEPTION_STATUSES;
+module.exports.ROW_RESULTS = ROW_RESULTS;
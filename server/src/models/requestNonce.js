@@ -0,0 +1,34 @@
+// server/src/models/requestNonce.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+/**
+ * Request Nonce Schema
+ * Nonces of signed API requests, kept until their timestamp falls outside the allowed
+ * clock skew so that a captured request cannot be sent again
+ */
+const requestNonceSchema = new mongoose.Schema({
+  // API key subdocument the request was signed with
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  nonce: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+requestNonceSchema.index({ apiKey: 1, nonce: 1 }, { unique: true });
+requestNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RequestNonce = mongoose.model('RequestNonce', requestNonceSchema);
+
+module.exports = RequestNonce;
@@ -0,0 +1,82 @@
+// server/src/models/scheduledJob.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+// running is leased by one process; succeeded and failed are final
+const JOB_RUN_STATUSES = ['running', 'succeeded', 'failed'];
+
+/**
+ * Scheduled Job Schema
+ * A recurring job shared by every server process. A process runs a job only while it
+ * holds the job's lease, so replicas never run the same job at the same time
+ */
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+  },
+  // Five-field cron expression, evaluated in UTC
+  schedule: {
+    type: String,
+    required: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  nextRunAt: {
+    type: Date,
+    index: true,
+  },
+  // Set by a manual trigger; the job runs at the next poll whatever its schedule
+  triggeredAt: {
+    type: Date,
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  lease: {
+    owner: { type: String },
+    expiresAt: { type: Date },
+  },
+  lastRun: {
+    run: { type: mongoose.Schema.Types.ObjectId, ref: 'JobRun' },
+    status: { type: String, enum: JOB_RUN_STATUSES },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    durationMs: { type: Number },
+    result: { type: mongoose.Schema.Types.Mixed },
+    error: { type: String },
+  },
+  metrics: {
+    runs: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    totalDurationMs: { type: Number, default: 0 },
+    maxDurationMs: { type: Number, default: 0 },
+    lastSucceededAt: { type: Date },
+    lastFailedAt: { type: Date },
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+module.exports = ScheduledJob;
+module.exports.JOB_RUN_STATUSES = JOB_RUN_STATUSES;
@@ -0,0 +1,67 @@
+// server/src/models/session.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const SESSION_REVOKE_REASONS = ['logout', 'signed_out', 'token_reuse'];
+
+/**
+ * Session Schema
+ * One sign-in on one device. The session is the family of its refresh tokens: each refresh
+ * replaces tokenId, and presenting a replaced token revokes the whole session
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // ID of the only refresh token of the session that may still be used
+  tokenId: {
+    type: String,
+    required: true,
+  },
+  // User agent of the latest sign-in or refresh
+  device: {
+    type: String,
+    maxlength: 255,
+  },
+  ip: {
+    type: String,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // When the current refresh token expires; the session is removed then
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: SESSION_REVOKE_REASONS,
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenId;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
+module.exports.SESSION_REVOKE_REASONS = SESSION_REVOKE_REASONS;
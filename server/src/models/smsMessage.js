@@ -0,0 +1,94 @@
+// server/src/models/smsMessage.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+// queued and sent wait for a delivery report; delivered and failed are final
+const SMS_STATUSES = ['queued', 'sent', 'delivered', 'failed'];
+
+/**
+ * SMS Message Schema
+ * One SMS handed to a provider; long messages split for providers without
+ * concatenation are stored as one document per part
+ */
+const smsMessageSchema = new mongoose.Schema({
+  // Unset for platform messages such as verification codes
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    index: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  providerMessageId: {
+    type: String,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  from: {
+    type: String,
+  },
+  message: {
+    type: String,
+    required: true,
+  },
+  encoding: {
+    type: String,
+    enum: ['GSM-7', 'UCS-2'],
+  },
+  segments: {
+    type: Number,
+    default: 1,
+  },
+  part: {
+    type: Number,
+    default: 1,
+  },
+  parts: {
+    type: Number,
+    default: 1,
+  },
+  status: {
+    type: String,
+    enum: SMS_STATUSES,
+    default: 'queued',
+  },
+  failureReason: {
+    type: String,
+  },
+  cost: {
+    type: String,
+  },
+  // Caller's own reference, e.g. a transaction ID
+  reference: {
+    type: String,
+  },
+  deliveredAt: {
+    type: Date,
+  },
+  statusUpdatedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+smsMessageSchema.index({ provider: 1, providerMessageId: 1 });
+smsMessageSchema.index({ business: 1, createdAt: -1 });
+
+const SmsMessage = mongoose.model('SmsMessage', smsMessageSchema);
+
+module.exports = SmsMessage;
+module.exports.SMS_STATUSES = SMS_STATUSES;
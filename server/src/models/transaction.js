@@ -4,6 +4,7 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const { TEMPLATE_LOCALES } = require('./notificationTemplate');
 
 /**
  * Transaction Schema
@@ -49,7 +50,7 @@ const transactionSchema = new mongoose.Schema({
   // Transaction details
   transactionType: {
     type: String,
-    enum: ['payment', 'refund', 'reversal', 'deposit', 'withdrawal'], // Expanded options
+    enum: ['payment', 'refund', 'reversal', 'deposit', 'withdrawal', 'b2b'], // Expanded options
     required: true,
     index: true,
   },
@@ -81,7 +82,8 @@ const transactionSchema = new mongoose.Schema({
   },
   phoneNumber: {
     type: String,
-    required: [true, 'Please add a phone number'],
+    // B2B payments go to a shortcode rather than a customer, and C2B deposits may carry a masked MSISDN
+    required: [function() { return !['b2b', 'deposit'].includes(this.transactionType); }, 'Please add a phone number'],
     trim: true,
     validate: {
       validator: function(v) {
@@ -91,11 +93,48 @@ const transactionSchema = new mongoose.Schema({
     },
     index: true,
   },
+  receiverShortCode: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return !v || /^[0-9]{5,7}$/.test(v);
+      },
+      message: props => `${props.value} is not a valid paybill or till number`
+    },
+  },
+  accountReference: {
+    type: String,
+    trim: true,
+    maxlength: [13, 'Account reference cannot exceed 13 characters'],
+  },
   description: {
     type: String,
     trim: true,
     maxlength: [500, 'Description cannot exceed 500 characters'],
   },
+  // Where the customer's receipt is emailed, if the business sends email receipts
+  customerEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[\w-\.+]+@([\w-]+\.)+[\w-]{2,}$/, 'Please provide a valid customer email'],
+  },
+  // Language of the customer's receipt; the business locale applies when unset
+  customerLocale: {
+    type: String,
+    enum: TEMPLATE_LOCALES,
+  },
+  // Customer receipt, sent once when a payment completes
+  receipt: {
+    sentAt: {
+      type: Date,
+    },
+    channels: {
+      type: [String],
+      default: undefined,
+    },
+  },
   
   // Status tracking
   status: {
@@ -124,6 +163,28 @@ const transactionSchema = new mongoose.Schema({
     },
     _id: false,
   }],
+  // Provider status checks of a pending payment whose callback has not arrived
+  statusCheck: {
+    attempts: {
+      type: Number,
+    },
+    lastCheckedAt: {
+      type: Date,
+    },
+    // Unset once the payment settles or the backoff schedule runs out
+    nextCheckAt: {
+      type: Date,
+    },
+  },
+  // Set whenever the status changes and cleared once the ledger entries for that status are posted
+  ledgerPending: {
+    type: Boolean,
+  },
+  // Idempotency-Key of the request that created the transaction, so that request is never run again
+  idempotencyKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IdempotencyKey',
+  },
   
   // Payment provider data
   paymentProvider: {
@@ -147,6 +208,13 @@ const transactionSchema = new mongoose.Schema({
       message: 'Callback URL must be a valid HTTP(S) URL'
     }
   },
+  // Secret embedded in the callback URLs we hand to the provider
+  callbackToken: {
+    type: String,
+    immutable: true,
+    select: false,
+    default: () => crypto.randomBytes(24).toString('hex'),
+  },
   callbackData: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
@@ -174,6 +242,9 @@ const transactionSchema = new mongoose.Schema({
       type: Date,
       default: Date.now,
     },
+    event: {
+      type: String,
+    },
     url: {
       type: String,
       trim: true,
@@ -184,6 +255,9 @@ const transactionSchema = new mongoose.Schema({
     responseBody: {
       type: String,
     },
+    durationMs: {
+      type: Number,
+    },
     success: {
       type: Boolean,
       required: true,
@@ -276,6 +350,10 @@ transactionSchema.pre('save', function(next) {
     });
   }
   
+  if (this.isNew || this.isModified('status')) {
+    this.ledgerPending = true;
+  }
+  
   // Auto-expire transactions if they reach certain failed states
   if (['failed', 'canceled'].includes(this.status) && !this.processedAt) {
     this.processedAt = Date.now();
@@ -301,9 +379,11 @@ transactionSchema.methods = {
   async addWebhookAttempt(webhookData) {
     this.webhookAttempts.push({
       timestamp: Date.now(),
+      event: webhookData.event,
       url: webhookData.url,
       responseCode: webhookData.responseCode,
       responseBody: webhookData.responseBody,
+      durationMs: webhookData.durationMs,
       success: webhookData.success,
     });
     
@@ -735,6 +815,9 @@ transactionSchema.index({ business: 1, status: 1, createdAt: -1 });
 transactionSchema.index({ business: 1, transactionType: 1, createdAt: -1 });
 transactionSchema.index({ business: 1, country: 1, createdAt: -1 });
 transactionSchema.index({ business: 1, paymentProvider: 1, createdAt: -1 });
+transactionSchema.index({ status: 1, 'statusCheck.nextCheckAt': 1 });
+transactionSchema.index({ ledgerPending: 1, updatedAt: 1 }, { sparse: true });
+transactionSchema.index({ idempotencyKey: 1 }, { sparse: true });
 
 // Text index for full-text search
 transactionSchema.index({ 
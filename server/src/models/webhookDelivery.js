@@ -0,0 +1,134 @@
+// server/src/models/webhookDelivery.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+// pending waits for its next attempt, delivering is leased by a worker; succeeded and dead are final
+const DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'dead'];
+
+/**
+ * Webhook Attempt Schema
+ * One HTTP request made for a delivery
+ */
+const webhookAttemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  url: {
+    type: String,
+    trim: true,
+  },
+  responseCode: {
+    type: Number,
+  },
+  responseBody: {
+    type: String,
+  },
+  durationMs: {
+    type: Number,
+  },
+  error: {
+    type: String,
+  },
+  success: {
+    type: Boolean,
+    required: true,
+  },
+  _id: false,
+});
+
+/**
+ * Webhook Delivery Schema
+ * An outbound event for a business, retried with backoff until delivered or dead-lettered
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true,
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    index: true,
+  },
+  // Webhook endpoint of the business; unset for deliveries to the business's webhookUrl
+  endpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  event: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending',
+  },
+  attemptCount: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Lease held by the worker making an attempt; an expired lease means the worker died mid-attempt
+  lockedUntil: {
+    type: Date,
+  },
+  attempts: [webhookAttemptSchema],
+  lastResponseCode: {
+    type: Number,
+  },
+  lastError: {
+    type: String,
+  },
+  deliveredAt: {
+    type: Date,
+  },
+  deadAt: {
+    type: Date,
+  },
+  // Set on deliveries created by replaying an earlier one from the delivery console
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ business: 1, createdAt: -1 });
+webhookDeliverySchema.index({ business: 1, status: 1, event: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
@@ -1,9 +1,220 @@
+// server/src/routes/apiKey.routes.js
+
 const express = require('express');
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
+const { body, param, query } = require('express-validator');
+const { validateRequest } = require('../middleware/validator');
+const { authorizeBusiness } = require('../middleware/businessAccess');
+const { PERMISSIONS } = require('../services/auth/roleService');
+const { API_KEY_PERMISSIONS } = require('../models/business');
+const apiKeyController = require('../controllers/apiKey.controller');
+
+const KEY_STATUSES = ['active', 'rotating', 'expired', 'revoked'];
+const IP_OR_CIDR = /^[0-9a-fA-F.:]+(\/\d{1,3})?$/;
+
+const keyId = param('keyId').isMongoId().withMessage('Invalid API key ID');
+
+const apiKeyValidation = {
+  create: [
+    body('name').isString().trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    body('permissions').optional().isArray({ min: 1 }).withMessage('Permissions must be a non-empty array'),
+    body('permissions.*').isIn(API_KEY_PERMISSIONS).withMessage(`Permissions must be among: ${API_KEY_PERMISSIONS.join(', ')}`),
+    body('ipRestrictions').optional().isArray({ max: 50 }).withMessage('ipRestrictions must be an array of at most 50 entries'),
+    body('ipRestrictions.*').isString().trim().matches(IP_OR_CIDR).withMessage('ipRestrictions must be IP addresses or CIDR ranges'),
+    body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+  ],
+  list: [
+    query('status').optional().isIn(KEY_STATUSES).withMessage(`Status must be one of: ${KEY_STATUSES.join(', ')}`)
+  ],
+  revoke: [keyId],
+  rotate: [
+    keyId,
+    body('overlapMinutes').optional().isInt({ min: 0, max: 7 * 24 * 60 })
+      .withMessage('overlapMinutes must be between 0 and 10080 (7 days)').toInt(),
+    body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+  ]
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: >
+ *     Keys a business's servers use to call the API (X-API-KEY header). Each key
+ *     has scopes (read, write, payments, reports, admin), an optional IP allowlist
+ *     and an optional expiry. A key and its secret are shown only when created;
+ *     the platform keeps only an encrypted SHA3-256 digest of the secret.
+ *
+ *     Requests that move money must also be signed. Send X-Timestamp (Unix
+ *     seconds), X-Nonce (16-128 letters, digits, dashes or underscores, never
+ *     reused) and X-Signature, the hex HMAC-SHA256 of
+ *     "METHOD\npath with query\ntimestamp\nnonce\nhex SHA-256 of the raw body",
+ *     keyed with the hex SHA3-256 digest of the secret. Timestamps more than
+ *     5 minutes from the server time are rejected.
+ */
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: >
+ *       The response is the only time the key and secret are returned. Scopes
+ *       default to read and write; write includes payments, read includes reports
+ *       and admin includes every scope.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [read, write, admin, payments, reports]
+ *               ipRestrictions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["203.0.113.7", "198.51.100.0/24"]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Key created, with its key and secret
+ *       400:
+ *         description: Validation error or too many active keys
+ *   get:
+ *     summary: List API keys with masked keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, rotating, expired, revoked]
+ *     responses:
+ *       200:
+ *         description: API keys, newest first
+ */
+router.post(
+  '/',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(apiKeyValidation.create),
+  apiKeyController.createKey
+);
+router.get(
+  '/',
+  authorizeBusiness(PERMISSIONS.READ),
+  validateRequest(apiKeyValidation.list),
+  apiKeyController.listKeys
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       404:
+ *         description: Key not found
+ *       409:
+ *         description: Key already revoked
+ */
+router.delete(
+  '/:keyId',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(apiKeyValidation.revoke),
+  apiKeyController.revokeKey
+);
 
-// Example API key route
-router.get('/', (req, res) => {
-  res.json({ message: 'API key route working!' });
-});
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/api-keys/{keyId}/rotate:
+ *   post:
+ *     summary: Replace an API key with a new one
+ *     description: >
+ *       The new key has the same name, scopes and IP allowlist. The old key keeps
+ *       working until the overlap window ends (24 hours unless overlapMinutes is
+ *       given), so callers can switch without downtime; 0 revokes it at once.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overlapMinutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 10080
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expiry of the new key
+ *     responses:
+ *       201:
+ *         description: The old key with its overlap expiry, and the new key with its key and secret
+ *       409:
+ *         description: Key revoked, expired or already rotated
+ */
+router.post(
+  '/:keyId/rotate',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(apiKeyValidation.rotate),
+  apiKeyController.rotateKey
+);
 
 module.exports = router;
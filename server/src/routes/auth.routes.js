@@ -4,8 +4,8 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
-const { validateRegister, validateLogin, validatePasswordReset } = require('../middleware/validation.middleware');
-const passport = require('passport');
+const { validateRegister, validateLogin, validatePasswordReset, validateRefreshToken } = require('../middleware/validation.middleware');
+const { protect } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -78,6 +78,34 @@ router.post('/register', validateRegister, authController.register);
  */
 router.post('/login', validateLogin, authController.login);
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new access and refresh tokens
+ *     description: >
+ *       Each refresh token works once. Presenting one that was already exchanged
+ *       signs out its whole session, since only a copied token can be used twice.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token
+ *       401:
+ *         description: Invalid, expired or reused refresh token, or signed-out session
+ */
+router.post('/refresh', validateRefreshToken, authController.refreshToken);
+
 /**
  * @swagger
  * /api/auth/verify-email:
@@ -172,7 +200,7 @@ router.post('/reset-password', validatePasswordReset, authController.resetPasswo
  *       401:
  *         description: Unauthorized
  */
-router.get('/profile', passport.authenticate('jwt', { session: false }), authController.getProfile);
+router.get('/profile', protect, authController.getProfile);
 
 /**
  * @swagger
@@ -203,7 +231,7 @@ router.get('/profile', passport.authenticate('jwt', { session: false }), authCon
  *       401:
  *         description: Unauthorized
  */
-router.put('/update-profile', passport.authenticate('jwt', { session: false }), authController.updateProfile);
+router.put('/update-profile', protect, authController.updateProfile);
 
 /**
  * @swagger
@@ -219,7 +247,7 @@ router.put('/update-profile', passport.authenticate('jwt', { session: false }),
  *       401:
  *         description: Unauthorized
  */
-router.post('/2fa/setup', passport.authenticate('jwt', { session: false }), authController.setup2FA);
+router.post('/2fa/setup', protect, authController.setup2FA);
 
 /**
  * @swagger
@@ -248,7 +276,7 @@ router.post('/2fa/setup', passport.authenticate('jwt', { session: false }), auth
  *       401:
  *         description: Unauthorized
  */
-router.post('/2fa/verify', passport.authenticate('jwt', { session: false }), authController.verify2FA);
+router.post('/2fa/verify', protect, authController.verify2FA);
 
 /**
  * @swagger
@@ -277,13 +305,14 @@ router.post('/2fa/verify', passport.authenticate('jwt', { session: false }), aut
  *       401:
  *         description: Unauthorized
  */
-router.post('/2fa/disable', passport.authenticate('jwt', { session: false }), authController.disable2FA);
+router.post('/2fa/disable', protect, authController.disable2FA);
 
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     summary: User logout
+ *     description: Signs out the current session; its access and refresh tokens stop working
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -293,6 +322,62 @@ router.post('/2fa/disable', passport.authenticate('jwt', { session: false }), au
  *       401:
  *         description: Unauthorized
  */
-router.post('/logout', passport.authenticate('jwt', { session: false }), authController.logout);
+router.post('/logout', protect, authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List signed-in sessions with their device, IP and last activity
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions, most recently active first; current marks the session of the request
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', protect, authController.listSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/sign-out-others:
+ *   post:
+ *     summary: Sign out every session except the current one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of sessions signed out
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/sessions/sign-out-others', protect, authController.revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out a session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session signed out
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', protect, authController.revokeSession);
 
 module.exports = router;
\ No newline at end of file
@@ -2,14 +2,75 @@
 
 const express = require('express');
 const router = express.Router();
+const { body, param, query } = require('express-validator');
 const { validateRequest } = require('../middleware/validator');
+const { protect } = require('../middleware/auth');
+const businessController = require('../controllers/business.controller');
+const memberController = require('../controllers/member.controller');
+const webhookDeliveryRoutes = require('./webhookDelivery.routes');
+const notificationTemplateRoutes = require('./notificationTemplate.routes');
+const reconciliationRoutes = require('./reconciliation.routes');
+const ledgerRoutes = require('./ledger.routes');
+const apiKeyRoutes = require('./apiKey.routes');
+const memberRoutes = require('./member.routes');
+const invitationRoutes = require('./invitation.routes');
+const { TEMPLATE_LOCALES } = require('../models/notificationTemplate');
+
+const profileRules = [
+  body('description').optional().isString().isLength({ max: 1000 }),
+  body('webhookUrl').optional({ values: 'falsy' }).isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('Webhook URL must be an HTTPS URL'),
+  body('notificationEmail').optional({ values: 'falsy' }).isEmail().withMessage('Must be a valid email'),
+  body('notificationPhone').optional().isString(),
+  body('logo').optional().isString(),
+  body('website').optional({ values: 'falsy' }).isURL({ require_protocol: true }).withMessage('Must be a valid URL'),
+  body('address').optional().isObject(),
+  body('defaultCurrency').optional().isString().matches(/^[A-Za-z]{3}$/).withMessage('Must be a 3-letter currency code'),
+  body('locale').optional().isIn(TEMPLATE_LOCALES).withMessage(`Locale must be one of: ${TEMPLATE_LOCALES.join(', ')}`),
+  body('receiptSettings').optional().isObject(),
+  body('receiptSettings.enabled').optional().isBoolean().withMessage('receiptSettings.enabled must be a boolean'),
+  body('receiptSettings.channels').optional().isArray({ min: 1 }).withMessage('Choose at least one receipt channel'),
+  body('receiptSettings.channels.*').isIn(['sms', 'email']).withMessage('Receipt channels are sms and email'),
+  body('receiptSettings.footer').optional().isString().isLength({ max: 160 })
+    .withMessage('Receipt footer cannot exceed 160 characters')
+];
 
-// Placeholder controller & rules
-// const businessController = require('../controllers/business.controller');
 const businessValidation = {
-  create: [],
-  update: [],
-  getById: []
+  list: [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('search').optional().isString()
+  ],
+  create: [
+    body('name').isString().trim().notEmpty().withMessage('Business name is required'),
+    ...profileRules
+  ],
+  update: [
+    param('id').isMongoId().withMessage('Invalid business ID'),
+    body('name').optional().isString().trim().notEmpty().withMessage('Business name cannot be empty'),
+    ...profileRules
+  ],
+  smsGateway: [
+    param('id').isMongoId().withMessage('Invalid business ID'),
+    body('provider').isIn(['africastalking', 'twilio', 'http'])
+      .withMessage('Provider must be one of: africastalking, twilio, http'),
+    body('senderId').optional().isString().trim().isLength({ min: 1, max: 15 })
+      .withMessage('Sender ID must be 1-15 characters'),
+    body('username').if(body('provider').isIn(['africastalking', 'twilio']))
+      .isString().trim().notEmpty().withMessage('Username (or Twilio account SID) is required'),
+    body('apiKey').isString().notEmpty().withMessage('API key (or Twilio auth token) is required'),
+    body('url').if(body('provider').equals('http'))
+      .isURL({ protocols: ['https'], require_protocol: true }).withMessage('Gateway URL must be an HTTPS URL')
+  ],
+  getById: [
+    param('id').isMongoId().withMessage('Invalid business ID')
+  ],
+  nested: [
+    param('businessId').isMongoId().withMessage('Invalid business ID')
+  ],
+  acceptInvitation: [
+    body('token').isString().isLength({ min: 1, max: 128 }).withMessage('Invitation token is required')
+  ]
 };
 
 /**
@@ -19,68 +80,314 @@ const businessValidation = {
  *   description: Business management endpoints
  */
 
-// GET all
-router.get('/', (req, res) => {
-  res.status(200).json({
-    status: 'success',
-    message: 'Get all businesses endpoint - Not implemented yet',
-    data: []
-  });
-});
-
-// GET by ID
-router.get(
-  '/:id',
-  validateRequest(businessValidation.getById),
-  (req, res) => {
-    res.status(200).json({
-      status: 'success',
-      message: 'Get business by ID endpoint - Not implemented yet',
-      data: { id: req.params.id, name: 'Sample Business', createdAt: new Date() }
-    });
-  }
-);
+router.use(protect);
 
-// CREATE
+/**
+ * @swagger
+ * /v1/businesses:
+ *   get:
+ *     summary: List the businesses the user is a member of
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter by business name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Businesses with the user's role in each
+ *   post:
+ *     summary: Create a business owned by the user
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               webhookUrl:
+ *                 type: string
+ *                 format: uri
+ *               notificationEmail:
+ *                 type: string
+ *                 format: email
+ *               notificationPhone:
+ *                 type: string
+ *               website:
+ *                 type: string
+ *                 format: uri
+ *               defaultCurrency:
+ *                 type: string
+ *                 example: KES
+ *               locale:
+ *                 type: string
+ *                 enum: [en, sw]
+ *                 description: Language of notifications and receipts, unless the customer chose one
+ *               receiptSettings:
+ *                 type: object
+ *                 description: Customer receipts sent when a payment completes; replaced as a whole on update
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                     default: false
+ *                   channels:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [sms, email]
+ *                     default: [sms]
+ *                   footer:
+ *                     type: string
+ *                     maxLength: 160
+ *     responses:
+ *       201:
+ *         description: Business created, with its webhookSecret (shown only once)
+ *       400:
+ *         description: Validation error
+ */
+router.get('/', validateRequest(businessValidation.list), businessController.listBusinesses);
+router.post('/', validateRequest(businessValidation.create), businessController.createBusiness);
+
+/**
+ * @swagger
+ * /v1/businesses/invitations/accept:
+ *   post:
+ *     summary: Accept an invitation to join a business
+ *     description: >
+ *       Takes the token from the invitation link. The signed-in user's email must
+ *       be the address the invitation was sent to.
+ *     tags: [Members]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Joined; the business with the user's role
+ *       400:
+ *         description: Invitation expired
+ *       403:
+ *         description: Invitation sent to a different email address
+ *       404:
+ *         description: Invitation not found, revoked or already accepted
+ */
 router.post(
-  '/',
-  validateRequest(businessValidation.create),
-  (req, res) => {
-    res.status(201).json({
-      status: 'success',
-      message: 'Create business endpoint - Not implemented yet',
-      data: {
-        id: 'sample-id',
-        name: req.body.name || 'New Business',
-        createdAt: new Date()
-      }
-    });
-  }
+  '/invitations/accept',
+  validateRequest(businessValidation.acceptInvitation),
+  memberController.acceptInvitation
 );
 
-// UPDATE
-router.put(
-  '/:id',
-  validateRequest(businessValidation.update),
-  (req, res) => {
-    res.status(200).json({
-      status: 'success',
-      message: 'Update business endpoint - Not implemented yet',
-      data: {
-        id: req.params.id,
-        name: req.body.name || 'Updated Business',
-        updatedAt: new Date()
-      }
-    });
-  }
-);
+/**
+ * @swagger
+ * /v1/businesses/{id}:
+ *   get:
+ *     summary: Get a business the user is a member of
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Business details
+ *       404:
+ *         description: Business not found or the user is not a member
+ *   put:
+ *     summary: Update a business's profile
+ *     description: Owners and admins only.
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Business updated
+ *       403:
+ *         description: The user's role does not allow updates
+ *       404:
+ *         description: Business not found or the user is not a member
+ *   delete:
+ *     summary: Delete a business
+ *     description: >
+ *       Owners only. The business is deactivated along with its API keys and kept
+ *       for its transaction history; it no longer appears in listings.
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Business deleted
+ *       403:
+ *         description: Only the owner can delete the business
+ *       404:
+ *         description: Business not found or the user is not a member
+ */
+router.get('/:id', validateRequest(businessValidation.getById), businessController.getBusiness);
+router.put('/:id', validateRequest(businessValidation.update), businessController.updateBusiness);
+router.delete('/:id', validateRequest(businessValidation.getById), businessController.deleteBusiness);
+
+/**
+ * @swagger
+ * /v1/businesses/{id}/webhook-secret:
+ *   post:
+ *     summary: Rotate the webhook signing secret
+ *     description: >
+ *       Owners and admins only. Webhooks carry X-Webhook-Timestamp and
+ *       X-Webhook-Signature headers; the signature is the hex HMAC-SHA256 of
+ *       "<timestamp>.<raw body>" keyed with this secret. Reject requests whose
+ *       timestamp is more than a few minutes old. The new secret is returned once
+ *       and signs every delivery attempt from now on.
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new webhook secret
+ *       403:
+ *         description: The user's role does not allow this
+ *       404:
+ *         description: Business not found or the user is not a member
+ */
+router.post('/:id/webhook-secret', validateRequest(businessValidation.getById), businessController.rotateWebhookSecret);
+
+/**
+ * @swagger
+ * /v1/businesses/{id}/sms-gateway:
+ *   put:
+ *     summary: Send the business's SMS through its own provider account
+ *     description: >
+ *       Owners and admins only. Replaces any gateway set before. Without a gateway,
+ *       SMS go out through the platform's provider. Delivery reports for Africa's Talking
+ *       accounts must be pointed at the platform's SMS delivery callback.
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [provider, apiKey]
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 enum: [africastalking, twilio, http]
+ *               senderId:
+ *                 type: string
+ *                 description: Approved alphanumeric sender ID or number
+ *               username:
+ *                 type: string
+ *                 description: Africa's Talking username or Twilio account SID
+ *               apiKey:
+ *                 type: string
+ *                 description: Africa's Talking API key, Twilio auth token or HTTP gateway bearer token
+ *               url:
+ *                 type: string
+ *                 description: Send URL of an HTTP gateway
+ *     responses:
+ *       200:
+ *         description: SMS gateway updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: The user's role does not allow this
+ *       404:
+ *         description: Business not found or the user is not a member
+ *   delete:
+ *     summary: Remove the business's SMS gateway
+ *     tags: [Business]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: SMS gateway removed
+ *       403:
+ *         description: The user's role does not allow this
+ *       404:
+ *         description: Business not found or the user is not a member
+ */
+router.put('/:id/sms-gateway', validateRequest(businessValidation.smsGateway), businessController.updateSmsGateway);
+router.delete('/:id/sms-gateway', validateRequest(businessValidation.getById), businessController.removeSmsGateway);
+
+// Members and invitations
+router.use('/:businessId/members', validateRequest(businessValidation.nested), memberRoutes);
+router.use('/:businessId/invitations', validateRequest(businessValidation.nested), invitationRoutes);
+
+// API key lifecycle
+router.use('/:businessId/api-keys', validateRequest(businessValidation.nested), apiKeyRoutes);
+
+// Webhook delivery console
+router.use('/:businessId/webhooks', validateRequest(businessValidation.nested), webhookDeliveryRoutes);
+
+// Notification templates
+router.use('/:businessId/notification-templates', validateRequest(businessValidation.nested), notificationTemplateRoutes);
+
+// Statement reconciliation
+router.use('/:businessId/reconciliations', validateRequest(businessValidation.nested), reconciliationRoutes);
 
-// DELETE
-router.delete('/:id', (req, res) => {
-  res.status(200).json({
-    status: 'success',
-    message: 'Delete business endpoint - Not implemented yet'
-  });
-});
+// Ledger balances and statements
+router.use('/:businessId/ledger', validateRequest(businessValidation.nested), ledgerRoutes);
 
 module.exports = router;
@@ -0,0 +1,93 @@
+// server/src/routes/c2b.routes.js
+
+const express = require('express');
+const router = express.Router();
+const c2bController = require('../controllers/c2b.controller');
+const { validateApiKey, requireApiKeyScope } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: C2B
+ *   description: Customer paybill and till payments (M-Pesa Kenya)
+ */
+
+router.use(validateApiKey);
+
+/**
+ * @swagger
+ * /v1/c2b/rules:
+ *   get:
+ *     summary: Get the validation rules of the business's shortcode
+ *     tags: [C2B]
+ *     security:
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: C2B settings
+ *       400:
+ *         description: No Kenyan M-Pesa integration
+ *   put:
+ *     summary: Replace the validation rules of the business's shortcode
+ *     description: >
+ *       Rules run when M-Pesa asks whether to accept a payment. The amount and
+ *       account-number rules run first; the merchant's validation URL is then asked,
+ *       and must answer in Daraja's format ({ "ResultCode": "0" } to accept or a
+ *       C2B000xx code to reject). No answer within the timeout falls back to
+ *       onValidationTimeout.
+ *     tags: [C2B]
+ *     security:
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               accountNumberPatterns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['^INV-\\d{6}$']
+ *               minAmount:
+ *                 type: number
+ *               maxAmount:
+ *                 type: number
+ *               validationUrl:
+ *                 type: string
+ *               validationTimeoutMs:
+ *                 type: integer
+ *                 minimum: 500
+ *                 maximum: 5000
+ *                 default: 3000
+ *               onValidationTimeout:
+ *                 type: string
+ *                 enum: [accept, reject]
+ *                 default: accept
+ *     responses:
+ *       200:
+ *         description: C2B rules updated
+ *       400:
+ *         description: Validation error or no Kenyan M-Pesa integration
+ */
+router.get('/rules', requireApiKeyScope('read'), c2bController.getRules);
+router.put('/rules', requireApiKeyScope('write'), c2bController.updateRules);
+
+/**
+ * @swagger
+ * /v1/c2b/register-urls:
+ *   post:
+ *     summary: Register the platform's C2B validation and confirmation URLs for the business's shortcode
+ *     tags: [C2B]
+ *     security:
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: URLs registered with M-Pesa
+ *       502:
+ *         description: M-Pesa refused the registration
+ */
+router.post('/register-urls', requireApiKeyScope('write'), c2bController.registerUrls);
+
+module.exports = router;
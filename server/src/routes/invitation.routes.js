@@ -0,0 +1,168 @@
+// server/src/routes/invitation.routes.js
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, query } = require('express-validator');
+const { validateRequest } = require('../middleware/validator');
+const { authorizeBusiness } = require('../middleware/businessAccess');
+const { PERMISSIONS } = require('../services/auth/roleService');
+const { INVITATION_ROLES, INVITATION_STATUSES } = require('../models/businessInvitation');
+const memberController = require('../controllers/member.controller');
+
+const invitationId = param('invitationId').isMongoId().withMessage('Invalid invitation ID');
+
+const invitationValidation = {
+  create: [
+    body('email').isEmail().withMessage('Please provide a valid email address'),
+    body('role').optional().isIn(INVITATION_ROLES).withMessage(`Role must be one of: ${INVITATION_ROLES.join(', ')}`)
+  ],
+  list: [
+    query('status').optional().isIn(INVITATION_STATUSES)
+      .withMessage(`Status must be one of: ${INVITATION_STATUSES.join(', ')}`)
+  ],
+  resend: [invitationId],
+  revoke: [invitationId]
+};
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/invitations:
+ *   post:
+ *     summary: Invite someone to the business by email
+ *     description: >
+ *       Emails a link to accept the invitation, valid for 7 days. Only the owner
+ *       can invite admins.
+ *     tags: [Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *                 default: member
+ *     responses:
+ *       201:
+ *         description: Invitation created; emailSent says whether the email went out
+ *       403:
+ *         description: Not allowed to invite with this role
+ *       409:
+ *         description: Already a member, or an invitation is already open
+ *   get:
+ *     summary: List invitations
+ *     tags: [Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *     responses:
+ *       200:
+ *         description: Invitations, newest first
+ */
+router.post(
+  '/',
+  authorizeBusiness(PERMISSIONS.MANAGE),
+  validateRequest(invitationValidation.create),
+  memberController.createInvitation
+);
+router.get(
+  '/',
+  authorizeBusiness(PERMISSIONS.MANAGE),
+  validateRequest(invitationValidation.list),
+  memberController.listInvitations
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/invitations/{invitationId}/resend:
+ *   post:
+ *     summary: Email an invitation again with a new link
+ *     description: The previous link stops working and the invitation is valid for another 7 days.
+ *     tags: [Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation sent again
+ *       409:
+ *         description: Invitation already accepted or revoked
+ *       429:
+ *         description: Sent less than a minute ago
+ */
+router.post(
+  '/:invitationId/resend',
+  authorizeBusiness(PERMISSIONS.MANAGE),
+  validateRequest(invitationValidation.resend),
+  memberController.resendInvitation
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke an invitation
+ *     tags: [Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation already accepted or revoked
+ */
+router.delete(
+  '/:invitationId',
+  authorizeBusiness(PERMISSIONS.MANAGE),
+  validateRequest(invitationValidation.revoke),
+  memberController.revokeInvitation
+);
+
+module.exports = router;
@@ -0,0 +1,168 @@
+// server/src/routes/job.routes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validateRequest } = require('../middleware/validator');
+const { protect, restrictTo } = require('../middleware/auth');
+const { ROLES } = require('../services/auth/roleService');
+const { JOB_RUN_STATUSES } = require('../models/scheduledJob');
+const jobController = require('../controllers/job.controller');
+
+const jobValidation = {
+  getByName: [
+    param('name').matches(/^[a-z0-9.-]+$/).withMessage('Invalid job name')
+  ],
+  listRuns: [
+    param('name').matches(/^[a-z0-9.-]+$/).withMessage('Invalid job name'),
+    query('status').optional().isIn(JOB_RUN_STATUSES).withMessage(`Status must be one of: ${JOB_RUN_STATUSES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  update: [
+    param('name').matches(/^[a-z0-9.-]+$/).withMessage('Invalid job name'),
+    body('enabled').isBoolean().withMessage('enabled must be a boolean').toBoolean()
+  ]
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Jobs
+ *   description: >
+ *     Recurring background jobs, such as pending transaction checks. Platform
+ *     admins only. Jobs run on a cron schedule (UTC) in one server process at a time.
+ */
+
+router.use(protect, restrictTo(ROLES.ADMIN));
+
+/**
+ * @swagger
+ * /v1/admin/jobs:
+ *   get:
+ *     summary: List scheduled jobs
+ *     description: Each job with its schedule, next run, last run and run metrics.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Jobs
+ *       403:
+ *         description: Not a platform admin
+ */
+router.get('/', jobController.listJobs);
+
+/**
+ * @swagger
+ * /v1/admin/jobs/{name}:
+ *   get:
+ *     summary: Get a job with its 10 most recent runs
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job details
+ *       404:
+ *         description: Job not found
+ *   patch:
+ *     summary: Pause or resume a job's schedule
+ *     description: A paused job still runs when triggered manually.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [enabled]
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Job updated
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:name', validateRequest(jobValidation.getByName), jobController.getJob);
+router.patch('/:name', validateRequest(jobValidation.update), jobController.updateJob);
+
+/**
+ * @swagger
+ * /v1/admin/jobs/{name}/runs:
+ *   get:
+ *     summary: List a job's runs, newest first
+ *     description: Each run records what triggered it, the process that ran it, its duration and its result or error. Runs are kept for 30 days.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, succeeded, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Runs with pagination
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:name/runs', validateRequest(jobValidation.listRuns), jobController.listRuns);
+
+/**
+ * @swagger
+ * /v1/admin/jobs/{name}/trigger:
+ *   post:
+ *     summary: Run a job now
+ *     description: >
+ *       The job runs at the next poll in whichever process takes its lease. If it is
+ *       already running, it runs again once the current run finishes.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Job queued
+ *       404:
+ *         description: Job not found
+ */
+router.post('/:name/trigger', validateRequest(jobValidation.getByName), jobController.triggerJob);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+// server/src/routes/ledger.routes.js
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, query } = require('express-validator');
+const { validateRequest } = require('../middleware/validator');
+const { restrictTo } = require('../middleware/auth');
+const { authorizeBusiness } = require('../middleware/businessAccess');
+const { idempotent } = require('../middleware/idempotency');
+const { PERMISSIONS, ROLES } = require('../services/auth/roleService');
+const { ACCOUNT_TYPES } = require('../models/ledgerAccount');
+const ledgerController = require('../controllers/ledger.controller');
+
+const CURRENCIES = ['KES', 'TZS', 'UGX', 'RWF', 'MZN', 'CDF'];
+const ACCOUNTS = Object.keys(ACCOUNT_TYPES);
+
+const ledgerValidation = {
+  balances: [
+    query('currency').optional().isIn(CURRENCIES).withMessage(`Currency must be one of: ${CURRENCIES.join(', ')}`),
+    query('at').optional().isISO8601().withMessage('at must be an ISO 8601 date')
+  ],
+  statement: [
+    query('currency').isIn(CURRENCIES).withMessage(`Currency must be one of: ${CURRENCIES.join(', ')}`),
+    query('account').optional().isIn(ACCOUNTS).withMessage(`Account must be one of: ${ACCOUNTS.join(', ')}`),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+  adjustment: [
+    body('currency').isIn(CURRENCIES).withMessage(`Currency must be one of: ${CURRENCIES.join(', ')}`),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0').toFloat(),
+    body('direction').isIn(['credit', 'debit']).withMessage('Direction must be credit or debit'),
+    body('description').isString().trim().notEmpty().withMessage('Description is required')
+      .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+  ]
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Ledger
+ *   description: >
+ *     Double-entry ledger of the business's funds. Every payment, fee, payout,
+ *     refund and reversal posts an immutable journal entry as its status changes.
+ *     Collections credit the available balance when they complete; payouts move
+ *     funds from available to reserved when submitted, then settle or return them.
+ */
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/ledger/balances:
+ *   get:
+ *     summary: Get the business's balances per currency
+ *     description: >
+ *       Available, reserved (held for unsettled payouts), fees, provider (funds held
+ *       at the provider) and adjustments. With `at`, balances are summed from the
+ *       journal as they stood at that time.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: One balance per currency
+ */
+router.get(
+  '/balances',
+  authorizeBusiness(PERMISSIONS.READ),
+  validateRequest(ledgerValidation.balances),
+  ledgerController.getBalances
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/ledger/statement:
+ *   get:
+ *     summary: Get a balance account's statement
+ *     description: Journal entries in posting order with the account's running balance.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: account
+ *         schema:
+ *           type: string
+ *           enum: [available, reserved, fees, provider, adjustments]
+ *           default: available
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Opening and closing balances with the entries, paginated
+ */
+router.get(
+  '/statement',
+  authorizeBusiness(PERMISSIONS.READ),
+  validateRequest(ledgerValidation.statement),
+  ledgerController.getStatement
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/ledger/adjustments:
+ *   post:
+ *     summary: Post an opening balance or manual correction
+ *     description: >
+ *       Platform admins only. A credit adds to the available balance; a debit
+ *       takes from it and is refused when the available balance does not cover it.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currency, amount, direction, description]
+ *             properties:
+ *               currency:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               direction:
+ *                 type: string
+ *                 enum: [credit, debit]
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Adjustment posted
+ *       400:
+ *         description: Invalid adjustment or insufficient available balance
+ *       403:
+ *         description: Not a platform admin
+ *       409:
+ *         description: Idempotency-Key reused with a different request, or its first request is still in progress
+ */
+router.post(
+  '/adjustments',
+  restrictTo(ROLES.ADMIN),
+  validateRequest(ledgerValidation.adjustment),
+  idempotent,
+  ledgerController.createAdjustment
+);
+
+module.exports = router;
@@ -0,0 +1,177 @@
+// server/src/routes/member.routes.js
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param } = require('express-validator');
+const { validateRequest } = require('../middleware/validator');
+const { authorizeBusiness } = require('../middleware/businessAccess');
+const { PERMISSIONS } = require('../services/auth/roleService');
+const { INVITATION_ROLES } = require('../models/businessInvitation');
+const memberController = require('../controllers/member.controller');
+
+const userId = param('userId').isMongoId().withMessage('Invalid user ID');
+
+const memberValidation = {
+  changeRole: [
+    userId,
+    body('role').isIn(INVITATION_ROLES).withMessage(`Role must be one of: ${INVITATION_ROLES.join(', ')}`)
+  ],
+  remove: [userId],
+  transferOwnership: [
+    body('userId').isMongoId().withMessage('userId must be the ID of a member')
+  ]
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Members
+ *   description: >
+ *     People who can use a business and their roles. The owner manages everyone;
+ *     admins manage members but cannot grant or take away the admin role.
+ */
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/members:
+ *   get:
+ *     summary: List members with their roles
+ *     tags: [Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Members, the owner first
+ */
+router.get(
+  '/',
+  authorizeBusiness(PERMISSIONS.READ),
+  memberController.listMembers
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/members/transfer-ownership:
+ *   post:
+ *     summary: Make another member the owner
+ *     description: Owner only. The previous owner stays on as an admin.
+ *     tags: [Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId]
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Ownership transferred
+ *       403:
+ *         description: Not the owner
+ *       404:
+ *         description: Not a member
+ */
+router.post(
+  '/transfer-ownership',
+  authorizeBusiness(PERMISSIONS.MANAGE),
+  validateRequest(memberValidation.transferOwnership),
+  memberController.transferOwnership
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's role
+ *     tags: [Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       400:
+ *         description: The owner's role only changes by transferring ownership
+ *       403:
+ *         description: Admins cannot change admins or grant the admin role
+ *       404:
+ *         description: Not a member
+ *   delete:
+ *     summary: Remove a member, or leave the business
+ *     description: Any member but the owner may remove themselves.
+ *     tags: [Members]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: The owner cannot be removed
+ *       403:
+ *         description: Not allowed to remove this member
+ *       404:
+ *         description: Not a member
+ */
+router.patch(
+  '/:userId',
+  authorizeBusiness(PERMISSIONS.MANAGE),
+  validateRequest(memberValidation.changeRole),
+  memberController.changeRole
+);
+router.delete(
+  '/:userId',
+  authorizeBusiness(PERMISSIONS.READ),
+  validateRequest(memberValidation.remove),
+  memberController.removeMember
+);
+
+module.exports = router;
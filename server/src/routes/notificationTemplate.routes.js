@@ -0,0 +1,341 @@
+// server/src/routes/notificationTemplate.routes.js
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param } = require('express-validator');
+const { validateRequest } = require('../middleware/validator');
+const { authorizeBusiness } = require('../middleware/businessAccess');
+const { PERMISSIONS } = require('../services/auth/roleService');
+const {
+  TEMPLATE_EVENTS,
+  TEMPLATE_CHANNELS,
+  TEMPLATE_LOCALES
+} = require('../models/notificationTemplate');
+const notificationTemplateController = require('../controllers/notificationTemplate.controller');
+
+const templateFieldRules = (prefix) => [
+  body(`${prefix}body`).optional().isString().isLength({ max: 1600 }).withMessage('SMS body cannot exceed 1600 characters'),
+  body(`${prefix}subject`).optional().isString().isLength({ max: 200 }).withMessage('Subject cannot exceed 200 characters'),
+  body(`${prefix}html`).optional().isString().isLength({ max: 50000 }).withMessage('HTML cannot exceed 50000 characters'),
+  body(`${prefix}text`).optional().isString().isLength({ max: 20000 }).withMessage('Text cannot exceed 20000 characters')
+];
+
+const templateKeyRules = [
+  param('event').isIn(TEMPLATE_EVENTS).withMessage(`Event must be one of: ${TEMPLATE_EVENTS.join(', ')}`),
+  param('channel').isIn(TEMPLATE_CHANNELS).withMessage(`Channel must be one of: ${TEMPLATE_CHANNELS.join(', ')}`),
+  param('locale').isIn(TEMPLATE_LOCALES).withMessage(`Locale must be one of: ${TEMPLATE_LOCALES.join(', ')}`)
+];
+
+const templateValidation = {
+  getByKey: templateKeyRules,
+  save: [
+    ...templateKeyRules,
+    ...templateFieldRules('')
+  ],
+  activate: [
+    ...templateKeyRules,
+    param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer')
+  ],
+  preview: [
+    body('event').isIn(TEMPLATE_EVENTS).withMessage(`Event must be one of: ${TEMPLATE_EVENTS.join(', ')}`),
+    body('channel').isIn(TEMPLATE_CHANNELS).withMessage(`Channel must be one of: ${TEMPLATE_CHANNELS.join(', ')}`),
+    body('locale').optional().isIn(TEMPLATE_LOCALES).withMessage(`Locale must be one of: ${TEMPLATE_LOCALES.join(', ')}`),
+    body('template').optional().isObject(),
+    ...templateFieldRules('template.'),
+    body('data').optional().isObject()
+  ]
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notification Templates
+ *   description: >
+ *     Email and SMS wording a business sends for each event, in English (en) and
+ *     Swahili (sw). Templates use {{variable}}, {{#variable}}...{{/variable}} and
+ *     {{^variable}}...{{/variable}}; values are escaped, so customer and merchant
+ *     fields cannot inject markup.
+ */
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/notification-templates/events:
+ *   get:
+ *     summary: List the events that have templates, with the variables each may use
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Events with their variables, channels and locales
+ */
+router.get('/events', authorizeBusiness(PERMISSIONS.READ), notificationTemplateController.listEvents);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/notification-templates:
+ *   get:
+ *     summary: List the business's templates
+ *     description: One entry per event, channel and locale, saying whether the default or a custom version is in use.
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Templates
+ */
+router.get('/', authorizeBusiness(PERMISSIONS.READ), notificationTemplateController.listTemplates);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/notification-templates/preview:
+ *   post:
+ *     summary: Render a template with sample transaction data
+ *     description: >
+ *       Renders the draft in template when given, otherwise the template in use.
+ *       Values in data replace the sample values of known variables. SMS previews
+ *       include the encoding and segment count.
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [event, channel]
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 enum: [payment.receipt, transaction.completed, transaction.failed, transaction.updated]
+ *               channel:
+ *                 type: string
+ *                 enum: [sms, email]
+ *               locale:
+ *                 type: string
+ *                 enum: [en, sw]
+ *               template:
+ *                 $ref: '#/components/schemas/NotificationTemplateInput'
+ *               data:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Rendered preview
+ *       400:
+ *         description: The draft does not parse or uses an unknown variable
+ */
+router.post(
+  '/preview',
+  authorizeBusiness(PERMISSIONS.READ),
+  validateRequest(templateValidation.preview),
+  notificationTemplateController.previewTemplate
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationTemplateInput:
+ *       type: object
+ *       description: SMS templates need body; email templates need subject and html, and text is derived from html when left out
+ *       properties:
+ *         body:
+ *           type: string
+ *           maxLength: 1600
+ *         subject:
+ *           type: string
+ *           maxLength: 200
+ *         html:
+ *           type: string
+ *         text:
+ *           type: string
+ * /v1/businesses/{businessId}/notification-templates/{event}/{channel}/{locale}:
+ *   get:
+ *     summary: Get a template with its saved versions and the default
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: event
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sms, email]
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [en, sw]
+ *     responses:
+ *       200:
+ *         description: Template details
+ *   put:
+ *     summary: Save a new version of a template and start using it
+ *     description: Owners and admins only. Earlier versions are kept and can be re-activated.
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: event
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationTemplateInput'
+ *     responses:
+ *       200:
+ *         description: Template saved
+ *       400:
+ *         description: The template does not parse or uses an unknown variable
+ *       409:
+ *         description: Another version was saved at the same time
+ *   delete:
+ *     summary: Go back to the default template
+ *     description: Owners and admins only. Saved versions are kept.
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: event
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The default template is in use
+ */
+router.get(
+  '/:event/:channel/:locale',
+  authorizeBusiness(PERMISSIONS.READ),
+  validateRequest(templateValidation.getByKey),
+  notificationTemplateController.getTemplate
+);
+router.put(
+  '/:event/:channel/:locale',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(templateValidation.save),
+  notificationTemplateController.saveTemplate
+);
+router.delete(
+  '/:event/:channel/:locale',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(templateValidation.getByKey),
+  notificationTemplateController.resetTemplate
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/notification-templates/{event}/{channel}/{locale}/versions/{version}/activate:
+ *   post:
+ *     summary: Use an earlier version of a template again
+ *     description: Owners and admins only.
+ *     tags: [Notification Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: event
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version activated
+ *       404:
+ *         description: Version not found
+ */
+router.post(
+  '/:event/:channel/:locale/versions/:version/activate',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(templateValidation.activate),
+  notificationTemplateController.activateVersion
+);
+
+module.exports = router;
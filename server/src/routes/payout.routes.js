@@ -0,0 +1,78 @@
+// server/src/routes/payout.routes.js
+
+const express = require('express');
+const router = express.Router();
+const payoutController = require('../controllers/payout.controller');
+const { validateApiKey, requireApiKeyScope, requireSignedRequest } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payouts
+ *   description: Business to customer (B2C) payouts
+ */
+
+router.use(validateApiKey);
+
+/**
+ * @swagger
+ * /v1/payouts:
+ *   post:
+ *     summary: Send money to a customer's wallet
+ *     tags: [Payouts]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *               - amount
+ *               - country
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               country:
+ *                 type: string
+ *                 example: kenya
+ *               provider:
+ *                 type: string
+ *                 enum: [mpesa, airtel, mtn]
+ *                 default: mpesa
+ *               reference:
+ *                 type: string
+ *               remarks:
+ *                 type: string
+ *               occasion:
+ *                 type: string
+ *               commandId:
+ *                 type: string
+ *                 enum: [BusinessPayment, SalaryPayment, PromotionPayment]
+ *                 default: BusinessPayment
+ *     responses:
+ *       202:
+ *         description: Payout accepted and processing
+ *       400:
+ *         description: Validation error or no integration for the country
+ *       401:
+ *         description: Missing, invalid or inactive API key
+ *       409:
+ *         description: Idempotency-Key reused with a different request, or its first request is still in progress
+ */
+router.post(
+  '/',
+  requireApiKeyScope('payments'),
+  requireSignedRequest,
+  idempotent,
+  payoutController.createPayout
+);
+
+module.exports = router;
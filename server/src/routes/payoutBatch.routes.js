@@ -0,0 +1,197 @@
+// server/src/routes/payoutBatch.routes.js
+
+const express = require('express');
+const router = express.Router();
+const payoutBatchController = require('../controllers/payoutBatch.controller');
+const { validateApiKey, requireApiKeyScope, requireSignedRequest } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payout Batches
+ *   description: Bulk B2C payouts (payroll, agent commissions)
+ */
+
+router.use(validateApiKey);
+
+/**
+ * @swagger
+ * /v1/payout-batches:
+ *   post:
+ *     summary: Create a payout batch from a CSV upload or JSON list
+ *     description: >
+ *       Every row is validated before anything is paid out. CSV uploads need a
+ *       header row with phoneNumber, amount and optionally reference and remarks;
+ *       the batch options are then passed as query parameters.
+ *     tags: [Payout Batches]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Country for every row (CSV uploads)
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [mpesa, airtel, mtn]
+ *       - in: query
+ *         name: commandId
+ *         schema:
+ *           type: string
+ *           enum: [BusinessPayment, SalaryPayment, PromotionPayment]
+ *       - in: query
+ *         name: concurrency
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "phoneNumber,amount,reference,remarks\n0712345678,1500,EMP-001,March salary"
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - country
+ *               - rows
+ *             properties:
+ *               name:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               provider:
+ *                 type: string
+ *               commandId:
+ *                 type: string
+ *               concurrency:
+ *                 type: integer
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - phoneNumber
+ *                     - amount
+ *                   properties:
+ *                     phoneNumber:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                     reference:
+ *                       type: string
+ *                     remarks:
+ *                       type: string
+ *     responses:
+ *       202:
+ *         description: Batch accepted and submitting
+ *       400:
+ *         description: One or more rows are invalid (errors list each row)
+ *       401:
+ *         description: Missing, invalid or inactive API key
+ *       409:
+ *         description: Idempotency-Key reused with a different request, or its first request is still in progress
+ *   get:
+ *     summary: List payout batches
+ *     tags: [Payout Batches]
+ *     security:
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Payout batches
+ */
+router.post(
+  '/',
+  requireApiKeyScope('payments'),
+  requireSignedRequest,
+  idempotent,
+  payoutBatchController.createBatch
+);
+router.get('/', requireApiKeyScope('read'), payoutBatchController.listBatches);
+
+/**
+ * @swagger
+ * /v1/payout-batches/{id}:
+ *   get:
+ *     summary: Get a payout batch with its progress
+ *     tags: [Payout Batches]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payout batch
+ *       404:
+ *         description: Payout batch not found
+ */
+router.get('/:id', requireApiKeyScope('read'), payoutBatchController.getBatch);
+
+/**
+ * @swagger
+ * /v1/payout-batches/{id}/rows:
+ *   get:
+ *     summary: Get the per-row results of a payout batch
+ *     tags: [Payout Batches]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, submitting, processing, completed, failed]
+ *     responses:
+ *       200:
+ *         description: Batch rows
+ */
+router.get('/:id/rows', requireApiKeyScope('read'), payoutBatchController.getBatchRows);
+
+/**
+ * @swagger
+ * /v1/payout-batches/{id}/results:
+ *   get:
+ *     summary: Download the results file of a finished payout batch
+ *     tags: [Payout Batches]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CSV results file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       409:
+ *         description: Batch has not finished yet
+ */
+router.get('/:id/results', requireApiKeyScope('read'), payoutBatchController.downloadResults);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// server/src/routes/receipt.routes.js
+
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const { validateRequest } = require('../middleware/validator');
+const receiptController = require('../controllers/receipt.controller');
+
+const receiptValidation = {
+  download: [
+    param('transactionId').isMongoId().withMessage('Invalid receipt link'),
+    query('expires').isInt({ min: 0 }).withMessage('Invalid receipt link'),
+    query('signature').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid receipt link')
+  ]
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Receipts
+ *   description: Customer payment receipts
+ */
+
+/**
+ * @swagger
+ * /v1/receipts/{transactionId}:
+ *   get:
+ *     summary: Download a payment receipt as a PDF
+ *     description: >
+ *       Signed links are sent to customers with their receipt and returned by
+ *       GET /v1/transactions/{id}/receipt. No authentication is needed while the link is valid.
+ *     tags: [Receipts]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF receipt
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: The link was altered
+ *       404:
+ *         description: Receipt not found
+ *       410:
+ *         description: The link has expired
+ */
+router.get('/:transactionId', validateRequest(receiptValidation.download), receiptController.downloadReceipt);
+
+module.exports = router;
@@ -0,0 +1,465 @@
+// server/src/routes/reconciliation.routes.js
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, query } = require('express-validator');
+const { validateRequest } = require('../middleware/validator');
+const { authorizeBusiness } = require('../middleware/businessAccess');
+const { PERMISSIONS } = require('../services/auth/roleService');
+const {
+  RECONCILIATION_STATUSES,
+  EXCEPTION_KINDS,
+  EXCEPTION_STATUSES,
+  ROW_RESULTS
+} = require('../models/reconciliation');
+const reconciliationController = require('../controllers/reconciliation.controller');
+
+const reconciliationId = param('reconciliationId').isMongoId().withMessage('Invalid reconciliation ID');
+
+const reconciliationValidation = {
+  import: [
+    query('shortCode').matches(/^[0-9]{5,7}$/).withMessage('shortCode must be a paybill or till number'),
+    query('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('date must be formatted YYYY-MM-DD'),
+    query('filename').optional().isString().isLength({ max: 200 })
+  ],
+  list: [
+    query('status').optional().isIn(RECONCILIATION_STATUSES).withMessage(`Status must be one of: ${RECONCILIATION_STATUSES.join(', ')}`),
+    query('shortCode').optional().matches(/^[0-9]{5,7}$/).withMessage('shortCode must be a paybill or till number'),
+    query('from').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('from must be formatted YYYY-MM-DD'),
+    query('to').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('to must be formatted YYYY-MM-DD'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  getById: [reconciliationId],
+  rows: [
+    reconciliationId,
+    query('result').optional().isIn(ROW_RESULTS).withMessage(`Result must be one of: ${ROW_RESULTS.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 })
+  ],
+  exceptions: [
+    reconciliationId,
+    query('kind').optional().isIn(EXCEPTION_KINDS).withMessage(`Kind must be one of: ${EXCEPTION_KINDS.join(', ')}`),
+    query('status').optional().isIn(EXCEPTION_STATUSES).withMessage(`Status must be one of: ${EXCEPTION_STATUSES.join(', ')}`)
+  ],
+  resolve: [
+    reconciliationId,
+    param('exceptionId').isMongoId().withMessage('Invalid exception ID'),
+    body('status').optional().isIn(EXCEPTION_STATUSES).withMessage(`Status must be one of: ${EXCEPTION_STATUSES.join(', ')}`),
+    body('note').optional().isString().trim().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+  ],
+  signOff: [
+    reconciliationId,
+    body('note').optional().isString().trim().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+  ],
+  report: [
+    reconciliationId,
+    query('format').optional().isIn(['json', 'csv', 'pdf']).withMessage('Format must be one of: json, csv, pdf')
+  ]
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reconciliation
+ *   description: >
+ *     Daily matching of M-Pesa org portal statements against the ledger. Each
+ *     shortcode and day (Kenyan time) is reconciled once; every difference is an
+ *     exception an operator resolves with a note before signing the day off.
+ */
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/reconciliations:
+ *   post:
+ *     summary: Import a statement and match it against the ledger
+ *     description: >
+ *       Upload the org portal export (CSV or XLSX) as the request body. Rows match
+ *       completed M-Pesa Kenya transactions by receipt number, or by amount and time
+ *       for transactions that have no receipt number. Charges and transfers between
+ *       the shortcode's own accounts are not matched. Importing the same day again
+ *       replaces its rows and keeps the resolutions of exceptions that remain.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: shortCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Statement day; rows completed on other days are not matched
+ *       - in: query
+ *         name: filename
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "Receipt No.,Completion Time,Details,Transaction Status,Paid In,Withdrawn,Balance\nSCF1ABC234,2024-03-15 14:23:45,Pay Bill Online from 2547****678,Completed,1500.00,,25300.00"
+ *         application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       201:
+ *         description: Statement imported and matched
+ *       200:
+ *         description: Statement re-imported and matched
+ *       400:
+ *         description: Unreadable statement (errors list each invalid row) or unknown shortcode
+ *       409:
+ *         description: The day has been signed off
+ *       415:
+ *         description: Body is not CSV or XLSX
+ *   get:
+ *     summary: List reconciliations, latest day first
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, balanced, signed_off]
+ *       - in: query
+ *         name: shortCode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Reconciliations with pagination
+ */
+router.post(
+  '/',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(reconciliationValidation.import),
+  reconciliationController.importStatement
+);
+router.get(
+  '/',
+  authorizeBusiness(PERMISSIONS.READ),
+  validateRequest(reconciliationValidation.list),
+  reconciliationController.listReconciliations
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/reconciliations/{reconciliationId}:
+ *   get:
+ *     summary: Get a reconciliation with its totals and exception counts
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reconciliationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reconciliation
+ *       404:
+ *         description: Reconciliation not found
+ */
+router.get(
+  '/:reconciliationId',
+  authorizeBusiness(PERMISSIONS.READ),
+  validateRequest(reconciliationValidation.getById),
+  reconciliationController.getReconciliation
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/reconciliations/{reconciliationId}/rows:
+ *   get:
+ *     summary: List the statement rows with how each was accounted for
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reconciliationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: result
+ *         schema:
+ *           type: string
+ *           enum: [matched, exception, fee, transfer, ignored, out_of_period]
+ *     responses:
+ *       200:
+ *         description: Statement rows with pagination
+ */
+router.get(
+  '/:reconciliationId/rows',
+  authorizeBusiness(PERMISSIONS.READ),
+  validateRequest(reconciliationValidation.rows),
+  reconciliationController.listRows
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/reconciliations/{reconciliationId}/exceptions:
+ *   get:
+ *     summary: List the differences between the statement and the ledger
+ *     description: >
+ *       missing_in_ledger is a statement row with no transaction; missing_in_statement
+ *       a completed transaction the statement does not show; amount_mismatch a row whose
+ *       amount differs from its transaction; status_mismatch a row whose transaction is
+ *       not completed in the ledger.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reconciliationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [missing_in_ledger, missing_in_statement, amount_mismatch, status_mismatch]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved]
+ *     responses:
+ *       200:
+ *         description: Exceptions
+ */
+router.get(
+  '/:reconciliationId/exceptions',
+  authorizeBusiness(PERMISSIONS.READ),
+  validateRequest(reconciliationValidation.exceptions),
+  reconciliationController.listExceptions
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/reconciliations/{reconciliationId}/exceptions/{exceptionId}:
+ *   patch:
+ *     summary: Resolve an exception with a note, or reopen it
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reconciliationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: exceptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [resolved, open]
+ *                 default: resolved
+ *               note:
+ *                 type: string
+ *                 description: Required when resolving
+ *     responses:
+ *       200:
+ *         description: Exception updated
+ *       400:
+ *         description: Note missing
+ *       404:
+ *         description: Exception not found
+ *       409:
+ *         description: The day has been signed off
+ */
+router.patch(
+  '/:reconciliationId/exceptions/:exceptionId',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(reconciliationValidation.resolve),
+  reconciliationController.resolveException
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/reconciliations/{reconciliationId}/match:
+ *   post:
+ *     summary: Match the statement against the ledger again
+ *     description: Picks up transactions settled since the import; resolved exceptions that remain stay resolved.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reconciliationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reconciliation matched again
+ *       409:
+ *         description: The day has been signed off
+ */
+router.post(
+  '/:reconciliationId/match',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(reconciliationValidation.getById),
+  reconciliationController.rematch
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/reconciliations/{reconciliationId}/sign-off:
+ *   post:
+ *     summary: Sign off a reconciled day
+ *     description: Every exception must be resolved first. A signed-off day can no longer be changed.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reconciliationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Day signed off
+ *       409:
+ *         description: Open exceptions remain, or the day is already signed off
+ */
+router.post(
+  '/:reconciliationId/sign-off',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(reconciliationValidation.signOff),
+  reconciliationController.signOff
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/reconciliations/{reconciliationId}/report:
+ *   get:
+ *     summary: Get the daily reconciliation report
+ *     description: JSON with the totals and every exception, a CSV of the exceptions, or a one-page PDF summary showing the sign-off.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reconciliationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get(
+  '/:reconciliationId/report',
+  authorizeBusiness(PERMISSIONS.READ),
+  validateRequest(reconciliationValidation.report),
+  reconciliationController.getReport
+);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// server/src/routes/smsCallback.routes.js
+
+const express = require('express');
+const router = express.Router();
+const smsCallbackController = require('../controllers/smsCallback.controller');
+const { verifySmsCallbackToken } = require('../middleware/smsCallback');
+
+/**
+ * @swagger
+ * /v1/webhooks/sms/{provider}/delivery/{callbackToken}:
+ *   post:
+ *     summary: SMS delivery report callback
+ *     description: >
+ *       Configure this URL as the delivery report URL of the SMS provider account
+ *       (Africa's Talking dashboard, HTTP gateway settings); Twilio receives it with
+ *       every message. Bodies are the provider's own form or JSON report.
+ *     tags: [Webhooks]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [africastalking, twilio, http, fake]
+ *       - in: path
+ *         name: callbackToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The platform's SMS_CALLBACK_TOKEN
+ *     responses:
+ *       200:
+ *         description: Report acknowledged
+ *       400:
+ *         description: Unsupported provider
+ *       403:
+ *         description: Wrong callback token
+ */
+router.post('/:provider/delivery/:callbackToken', verifySmsCallbackToken, smsCallbackController.deliveryReport);
+
+module.exports = router;
@@ -1,9 +1,329 @@
+// server/src/routes/transaction.routes.js
+
 const express = require('express');
 const router = express.Router();
+const transactionController = require('../controllers/transaction.controller');
+const { validateApiKey, requireApiKeyScope, requireSignedRequest } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Transactions
+ *   description: Payments and transfers
+ */
+
+router.use(validateApiKey);
+
+/**
+ * @swagger
+ * /v1/transactions:
+ *   post:
+ *     summary: Collect a payment from a customer's wallet (M-Pesa STK Push, Airtel, MTN)
+ *     tags: [Transactions]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *               - amount
+ *               - reference
+ *               - description
+ *               - country
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *                 example: '0712345678'
+ *               amount:
+ *                 type: number
+ *               reference:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *                 example: kenya
+ *               provider:
+ *                 type: string
+ *                 enum: [mpesa, airtel, mtn]
+ *                 default: mpesa
+ *               currency:
+ *                 type: string
+ *               callbackUrl:
+ *                 type: string
+ *               customerEmail:
+ *                 type: string
+ *                 description: Where to email the customer's receipt, if the business sends email receipts
+ *               customerLocale:
+ *                 type: string
+ *                 enum: [en, sw]
+ *                 description: Language of the customer's receipt; defaults to the business locale
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       202:
+ *         description: Payment requested from the customer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransactionResponse'
+ *       400:
+ *         description: Validation error or no integration for the country
+ *       401:
+ *         description: Missing, invalid or inactive API key
+ *       409:
+ *         description: Idempotency-Key reused with a different request, or its first request is still in progress
+ *   get:
+ *     summary: List transactions
+ *     tags: [Transactions]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TransactionStatus'
+ *       - in: query
+ *         name: transactionType
+ *         schema:
+ *           type: string
+ *           enum: [payment, refund, reversal, deposit, withdrawal, b2b]
+ *       - in: query
+ *         name: phoneNumber
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reference
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Page of transactions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transaction'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Missing, invalid or inactive API key
+ */
+router.post(
+  '/',
+  requireApiKeyScope('payments'),
+  requireSignedRequest,
+  idempotent,
+  transactionController.createPayment
+);
+router.get('/', requireApiKeyScope('read'), transactionController.listTransactions);
+
+/**
+ * @swagger
+ * /v1/transactions/stats:
+ *   get:
+ *     summary: Transaction totals by status and by day (last 30 days by default)
+ *     tags: [Transactions]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Country'
+ *       - $ref: '#/components/parameters/StartDate'
+ *       - $ref: '#/components/parameters/EndDate'
+ *     responses:
+ *       200:
+ *         description: Transaction statistics
+ *       401:
+ *         description: Missing, invalid or inactive API key
+ */
+router.get('/stats', requireApiKeyScope('reports'), transactionController.getTransactionStats);
+
+/**
+ * @swagger
+ * /v1/transactions/b2b:
+ *   post:
+ *     summary: Pay a paybill or till from the business shortcode (M-Pesa B2B)
+ *     tags: [Transactions]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - receiverShortCode
+ *               - amount
+ *               - country
+ *             properties:
+ *               receiverShortCode:
+ *                 type: string
+ *                 description: Paybill or till number being paid
+ *               amount:
+ *                 type: number
+ *               country:
+ *                 type: string
+ *                 example: kenya
+ *               commandId:
+ *                 type: string
+ *                 enum: [BusinessPayBill, BusinessBuyGoods]
+ *                 default: BusinessPayBill
+ *               accountReference:
+ *                 type: string
+ *                 maxLength: 13
+ *                 description: Account number at the paybill; required for BusinessPayBill
+ *               requester:
+ *                 type: string
+ *                 description: Phone number of the customer the payment is made for
+ *               reference:
+ *                 type: string
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: B2B payment accepted and processing
+ *       400:
+ *         description: Validation error, B2B unavailable in the country or no integration
+ *       401:
+ *         description: Missing, invalid or inactive API key
+ *       409:
+ *         description: Idempotency-Key reused with a different request, or its first request is still in progress
+ */
+router.post(
+  '/b2b',
+  requireApiKeyScope('payments'),
+  requireSignedRequest,
+  idempotent,
+  transactionController.createB2BPayment
+);
+
+/**
+ * @swagger
+ * /v1/transactions/{id}:
+ *   get:
+ *     summary: Get a transaction
+ *     tags: [Transactions]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TransactionId'
+ *     responses:
+ *       200:
+ *         description: Transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransactionResponse'
+ *       404:
+ *         description: Transaction not found
+ */
+router.get('/:id', requireApiKeyScope('read'), transactionController.getTransaction);
+
+/**
+ * @swagger
+ * /v1/transactions/{id}/status:
+ *   get:
+ *     summary: Refresh a payment's status from the provider
+ *     description: Payouts and B2B payments are settled by result callbacks and are returned as stored.
+ *     tags: [Transactions]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TransactionId'
+ *     responses:
+ *       200:
+ *         description: Transaction with its latest status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransactionResponse'
+ *       404:
+ *         description: Transaction not found
+ */
+router.get('/:id/status', requireApiKeyScope('read'), transactionController.checkTransactionStatus);
+
+/**
+ * @swagger
+ * /v1/transactions/{id}/receipt:
+ *   get:
+ *     summary: Get a signed download link for a payment's PDF receipt
+ *     description: >
+ *       The link works without authentication until it expires, so it can be handed
+ *       to the customer. Businesses with receipts enabled also send it to the customer
+ *       by SMS and/or email when the payment completes.
+ *     tags: [Transactions]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TransactionId'
+ *     responses:
+ *       200:
+ *         description: Receipt link, with when and how the receipt was sent to the customer
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: The transaction is not a completed payment
+ */
+router.get('/:id/receipt', requireApiKeyScope('read'), transactionController.getTransactionReceipt);
 
-// Sample route
-router.get('/', (req, res) => {
-  res.send('Transactions route working!');
-});
+/**
+ * @swagger
+ * /v1/transactions/{id}/cancel:
+ *   post:
+ *     summary: Cancel a transaction that has not been sent to the provider
+ *     tags: [Transactions]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TransactionId'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       200:
+ *         description: Transaction canceled
+ *       400:
+ *         description: Transaction can no longer be canceled
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Idempotency-Key reused with a different request, or its first request is still in progress
+ */
+router.post(
+  '/:id/cancel',
+  requireApiKeyScope('payments'),
+  requireSignedRequest,
+  idempotent,
+  transactionController.cancelTransaction
+);
 
 module.exports = router;
@@ -1,10 +1,167 @@
+// server/src/routes/webhook.routes.js
+
 const express = require('express');
 const router = express.Router();
+const mpesaCallbackController = require('../controllers/mpesaCallback.controller');
+const mtnCallbackController = require('../controllers/mtnCallback.controller');
+const { verifyCallbackSource, verifyCallbackToken } = require('../middleware/mpesaCallback');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: Inbound provider callbacks
+ */
+
+/**
+ * @swagger
+ * /v1/webhooks/mtn/collection/{transactionId}/{callbackToken}:
+ *   put:
+ *     summary: MTN MoMo request-to-pay result callback (X-Callback-Url)
+ *     description: MoMo production sends PUT and the sandbox POST; both are accepted.
+ *     tags: [Webhooks]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CallbackTransactionId'
+ *       - $ref: '#/components/parameters/CallbackToken'
+ *     responses:
+ *       200:
+ *         description: Callback acknowledged
+ *       403:
+ *         description: Wrong callback token
+ */
+// MoMo callbacks come from MTN, not the M-Pesa addresses, so only the callback token guards them
+router.put('/mtn/collection/:transactionId/:callbackToken', verifyCallbackToken, mtnCallbackController.collectionCallback);
+router.post('/mtn/collection/:transactionId/:callbackToken', verifyCallbackToken, mtnCallbackController.collectionCallback);
+
+// Every M-Pesa callback must come from an allowed source address
+router.use(verifyCallbackSource);
+
+/**
+ * @swagger
+ * /v1/webhooks/mpesa/stk/{transactionId}/{callbackToken}:
+ *   post:
+ *     summary: M-Pesa STK Push result callback (CallBackURL)
+ *     tags: [Webhooks]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CallbackTransactionId'
+ *       - $ref: '#/components/parameters/CallbackToken'
+ *     responses:
+ *       200:
+ *         description: Callback acknowledged
+ *       403:
+ *         description: Source address not allowed or wrong callback token
+ */
+router.post('/mpesa/stk/:transactionId/:callbackToken', verifyCallbackToken, mpesaCallbackController.stkCallback);
+
+/**
+ * @swagger
+ * /v1/webhooks/mpesa/b2c/result/{transactionId}/{callbackToken}:
+ *   post:
+ *     summary: M-Pesa B2C result callback (ResultURL)
+ *     tags: [Webhooks]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CallbackTransactionId'
+ *       - $ref: '#/components/parameters/CallbackToken'
+ *     responses:
+ *       200:
+ *         description: Callback acknowledged
+ *       403:
+ *         description: Source address not allowed or wrong callback token
+ */
+router.post('/mpesa/b2c/result/:transactionId/:callbackToken', verifyCallbackToken, mpesaCallbackController.b2cResult);
+
+/**
+ * @swagger
+ * /v1/webhooks/mpesa/b2c/timeout/{transactionId}/{callbackToken}:
+ *   post:
+ *     summary: M-Pesa B2C queue timeout callback (QueueTimeOutURL)
+ *     tags: [Webhooks]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CallbackTransactionId'
+ *       - $ref: '#/components/parameters/CallbackToken'
+ *     responses:
+ *       200:
+ *         description: Callback acknowledged
+ *       403:
+ *         description: Source address not allowed or wrong callback token
+ */
+router.post('/mpesa/b2c/timeout/:transactionId/:callbackToken', verifyCallbackToken, mpesaCallbackController.b2cTimeout);
+
+/**
+ * @swagger
+ * /v1/webhooks/mpesa/b2b/result/{transactionId}/{callbackToken}:
+ *   post:
+ *     summary: M-Pesa B2B result callback (ResultURL)
+ *     tags: [Webhooks]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CallbackTransactionId'
+ *       - $ref: '#/components/parameters/CallbackToken'
+ *     responses:
+ *       200:
+ *         description: Callback acknowledged
+ *       403:
+ *         description: Source address not allowed or wrong callback token
+ */
+router.post('/mpesa/b2b/result/:transactionId/:callbackToken', verifyCallbackToken, mpesaCallbackController.b2bResult);
+
+/**
+ * @swagger
+ * /v1/webhooks/mpesa/b2b/timeout/{transactionId}/{callbackToken}:
+ *   post:
+ *     summary: M-Pesa B2B queue timeout callback (QueueTimeOutURL)
+ *     tags: [Webhooks]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CallbackTransactionId'
+ *       - $ref: '#/components/parameters/CallbackToken'
+ *     responses:
+ *       200:
+ *         description: Callback acknowledged
+ *       403:
+ *         description: Source address not allowed or wrong callback token
+ */
+router.post('/mpesa/b2b/timeout/:transactionId/:callbackToken', verifyCallbackToken, mpesaCallbackController.b2bTimeout);
+
+// C2B URLs are registered once per shortcode, so they carry no per-transaction token and rely on
+// the source address allowlist alone: in production it must hold Safaricom's addresses (the default
+// unless MPESA_CALLBACK_ALLOWED_IPS overrides it), or anyone could post confirmations.
+// Daraja refuses to register URLs containing "mpesa", hence the shorter path.
+
+/**
+ * @swagger
+ * /v1/webhooks/c2b/validation:
+ *   post:
+ *     summary: M-Pesa C2B validation request (ValidationURL)
+ *     description: Carries no callback token; only the M-Pesa source address allowlist protects it
+ *     tags: [Webhooks]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Accept or reject decision for M-Pesa
+ *       403:
+ *         description: Source address not allowed
+ */
+router.post('/c2b/validation', mpesaCallbackController.c2bValidation);
 
-// Example webhook endpoint
-router.post('/', (req, res) => {
-  console.log('Webhook received:', req.body);
-  res.status(200).send('Webhook received');
-});
+/**
+ * @swagger
+ * /v1/webhooks/c2b/confirmation:
+ *   post:
+ *     summary: M-Pesa C2B payment confirmation (ConfirmationURL)
+ *     description: Carries no callback token; only the M-Pesa source address allowlist protects it
+ *     tags: [Webhooks]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Callback acknowledged
+ *       403:
+ *         description: Source address not allowed
+ */
+router.post('/c2b/confirmation', mpesaCallbackController.c2bConfirmation);
 
 module.exports = router;
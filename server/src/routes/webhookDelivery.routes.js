@@ -0,0 +1,454 @@
+// server/src/routes/webhookDelivery.routes.js
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, query } = require('express-validator');
+const { validateRequest } = require('../middleware/validator');
+const { authorizeBusiness } = require('../middleware/businessAccess');
+const { PERMISSIONS } = require('../services/auth/roleService');
+const { DELIVERY_STATUSES } = require('../models/webhookDelivery');
+const { EVENT_TYPES, ALL_EVENTS } = require('../services/transactions/webhookEvents');
+const webhookDeliveryController = require('../controllers/webhookDelivery.controller');
+const webhookEndpointController = require('../controllers/webhookEndpoint.controller');
+
+const SUBSCRIBABLE_EVENTS = [...Object.keys(EVENT_TYPES), ALL_EVENTS];
+
+const deliveryValidation = {
+  list: [
+    query('status').optional().isIn(DELIVERY_STATUSES).withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+    query('event').optional().isString().trim(),
+    query('endpointId').optional().isMongoId().withMessage('Invalid endpoint ID'),
+    query('transactionId').optional().isMongoId().withMessage('Invalid transaction ID'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  getById: [
+    param('deliveryId').isMongoId().withMessage('Invalid delivery ID')
+  ],
+  bulkReplay: [
+    body('deliveryIds').optional().isArray({ max: 100 }).withMessage('deliveryIds must be an array of at most 100 IDs'),
+    body('deliveryIds.*').isMongoId().withMessage('Invalid delivery ID'),
+    body('event').optional().isString().trim()
+  ]
+};
+
+const endpointValidation = {
+  create: [
+    body('url').isURL({ protocols: ['https'], require_protocol: true }).withMessage('Endpoint URL must be an HTTPS URL'),
+    body('events').isArray({ min: 1 }).withMessage('Subscribe to at least one event'),
+    body('events.*').isIn(SUBSCRIBABLE_EVENTS).withMessage(`Events must be from: ${SUBSCRIBABLE_EVENTS.join(', ')}`),
+    body('description').optional().isString().isLength({ max: 200 })
+  ],
+  update: [
+    param('endpointId').isMongoId().withMessage('Invalid endpoint ID'),
+    body('url').optional().isURL({ protocols: ['https'], require_protocol: true }).withMessage('Endpoint URL must be an HTTPS URL'),
+    body('events').optional().isArray({ min: 1 }).withMessage('Subscribe to at least one event'),
+    body('events.*').isIn(SUBSCRIBABLE_EVENTS).withMessage(`Events must be from: ${SUBSCRIBABLE_EVENTS.join(', ')}`),
+    body('description').optional().isString().isLength({ max: 200 }),
+    body('active').optional().isBoolean()
+  ],
+  getById: [
+    param('endpointId').isMongoId().withMessage('Invalid endpoint ID')
+  ]
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Webhook Endpoints
+ *     description: URLs a business registers to receive webhook events, each with its own secret and subscriptions
+ *   - name: Webhook Deliveries
+ *     description: Outbound webhooks sent to a business, with their responses and replay
+ */
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/webhooks/events:
+ *   get:
+ *     summary: List the webhook event types
+ *     description: >
+ *       Every webhook body is a WebhookEvent envelope. Its data block is a
+ *       WebhookTransactionData for every event type listed here.
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event types with their schema version
+ */
+router.get('/events', authorizeBusiness(PERMISSIONS.READ), webhookEndpointController.listEventTypes);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/webhooks/endpoints:
+ *   get:
+ *     summary: List webhook endpoints
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Endpoints, without their secrets
+ *   post:
+ *     summary: Register a webhook endpoint
+ *     description: >
+ *       Owners and admins only, up to 10 endpoints per business. The response
+ *       includes the endpoint's signing secret, which is not shown again.
+ *       Deliveries carry X-Webhook-Timestamp and X-Webhook-Signature, the hex
+ *       HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the secret.
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookEndpointInput'
+ *     responses:
+ *       201:
+ *         description: Endpoint registered, with its secret
+ *       400:
+ *         description: Validation error or endpoint limit reached
+ */
+router.get('/endpoints', authorizeBusiness(PERMISSIONS.READ), webhookEndpointController.listEndpoints);
+router.post(
+  '/endpoints',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(endpointValidation.create),
+  webhookEndpointController.createEndpoint
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/webhooks/endpoints/{endpointId}:
+ *   patch:
+ *     summary: Update a webhook endpoint
+ *     description: Owners and admins only. Set active to false to pause deliveries.
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/WebhookEndpointInput'
+ *               - type: object
+ *                 properties:
+ *                   active:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Endpoint updated
+ *       404:
+ *         description: Endpoint not found
+ *   delete:
+ *     summary: Remove a webhook endpoint
+ *     description: Owners and admins only. Deliveries still queued for it are dead-lettered.
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Endpoint removed
+ *       404:
+ *         description: Endpoint not found
+ */
+router.patch(
+  '/endpoints/:endpointId',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(endpointValidation.update),
+  webhookEndpointController.updateEndpoint
+);
+router.delete(
+  '/endpoints/:endpointId',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(endpointValidation.getById),
+  webhookEndpointController.deleteEndpoint
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/webhooks/endpoints/{endpointId}/rotate-secret:
+ *   post:
+ *     summary: Rotate a webhook endpoint's signing secret
+ *     description: Owners and admins only. The new secret signs every attempt from now on and is shown once.
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new secret
+ * /v1/businesses/{businessId}/webhooks/endpoints/{endpointId}/test:
+ *   post:
+ *     summary: Send a signed test event to a webhook endpoint
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Test result
+ */
+router.post(
+  '/endpoints/:endpointId/rotate-secret',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(endpointValidation.getById),
+  webhookEndpointController.rotateEndpointSecret
+);
+router.post(
+  '/endpoints/:endpointId/test',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(endpointValidation.getById),
+  webhookEndpointController.testEndpoint
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/webhooks/deliveries:
+ *   get:
+ *     summary: List outbound webhook deliveries
+ *     description: Newest first. Each entry has the payload and the last attempt's response code, body and latency.
+ *     tags: [Webhook Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivering, succeeded, dead]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: endpointId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: transactionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Deliveries with pagination
+ */
+router.get(
+  '/deliveries',
+  authorizeBusiness(PERMISSIONS.READ),
+  validateRequest(deliveryValidation.list),
+  webhookDeliveryController.listDeliveries
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/webhooks/deliveries/replay:
+ *   post:
+ *     summary: Replay dead-lettered deliveries in bulk
+ *     description: >
+ *       Owners and admins only. Queues up to 100 dead deliveries, oldest first, as
+ *       new deliveries to the current webhook URL. Narrow the selection with
+ *       deliveryIds or event.
+ *     tags: [Webhook Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deliveryIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               event:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Replays queued
+ *       400:
+ *         description: No webhook URL configured
+ */
+router.post(
+  '/deliveries/replay',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(deliveryValidation.bulkReplay),
+  webhookDeliveryController.replayDeliveries
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/webhooks/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Get a delivery with every attempt made for it
+ *     tags: [Webhook Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery details
+ *       404:
+ *         description: Delivery not found
+ */
+router.get(
+  '/deliveries/:deliveryId',
+  authorizeBusiness(PERMISSIONS.READ),
+  validateRequest(deliveryValidation.getById),
+  webhookDeliveryController.getDelivery
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/webhooks/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Replay a delivery to its endpoint's current URL
+ *     description: >
+ *       Owners and admins only. Only succeeded or dead deliveries can be replayed.
+ *       The event is sent unchanged, with the same event ID.
+ *     tags: [Webhook Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Replay queued
+ *       409:
+ *         description: The delivery is still being retried
+ */
+router.post(
+  '/deliveries/:deliveryId/replay',
+  authorizeBusiness(PERMISSIONS.UPDATE),
+  validateRequest(deliveryValidation.getById),
+  webhookDeliveryController.replayDelivery
+);
+
+/**
+ * @swagger
+ * /v1/businesses/{businessId}/webhooks/test:
+ *   post:
+ *     summary: Send a signed test event to the business webhookUrl
+ *     description: Sent once and not retried; the response reports the merchant's status code and latency.
+ *     tags: [Webhook Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: businessId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Test result
+ *       400:
+ *         description: No webhook URL configured
+ */
+router.post('/test', authorizeBusiness(PERMISSIONS.UPDATE), webhookDeliveryController.testWebhook);
+
+module.exports = router;
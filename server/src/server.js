@@ -10,6 +10,10 @@ const path = require('path');
 const app = require('./app');
 const config = require('./config');
 const logger = require('./utils/logger');
+const webhookDeliveryService = require('./services/transactions/webhookDeliveryService');
+const transactionServices = require('./services/transactions');
+const jobScheduler = require('./services/jobs/jobScheduler');
+const apiKeyService = require('./services/business/apiKeyService');
 
 // Ensure environment variables are loaded
 dotenv.config();
@@ -36,6 +40,11 @@ const connectDB = async () => {
     
     await mongoose.connect(mongoUri, mongoOptions);
     logger.info('Connected to MongoDB successfully');
+
+    // Keys stored before signing keys were encrypted can't sign until they are sealed
+    apiKeyService.sealLegacySigningKeys().catch(error => {
+      logger.error(`Sealing legacy API signing keys failed: ${error.message}`);
+    });
   } catch (err) {
     logger.error(`MongoDB connection error: ${err.message}`);
     // Exit with failure
@@ -53,6 +62,15 @@ const PORT = config.port || 3000;
 const server = app.listen(PORT, () => {
   logger.info(`M-Pesa Integration Platform server running in ${config.env || 'development'} mode on port ${PORT}`);
   logger.info(`API Documentation: http://localhost:${PORT}/api/v1/docs`);
+
+  // Retry queued merchant webhooks, including ones left over from before a restart
+  webhookDeliveryService.start();
+
+  // Run scheduled jobs; replicas share them through leases, so each job runs in one process at a time
+  transactionServices.init();
+  jobScheduler.start().catch(error => {
+    logger.error(`Job scheduler failed to start: ${error.message}`);
+  });
 });
 
 /**
@@ -68,6 +86,12 @@ const gracefulShutdown = async (signal, exitCode = 0) => {
     process.exit(1);
   }, 30000); // 30 seconds
   
+  // Stop picking up webhook deliveries; leased ones are retried after their lease expires
+  webhookDeliveryService.stop();
+  
+  // Stop taking scheduled jobs; running ones keep their lease until they finish
+  jobScheduler.stop();
+  
   try {
     // Close HTTP server first
     await new Promise((resolve, reject) => {
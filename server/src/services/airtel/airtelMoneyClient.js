@@ -0,0 +1,292 @@
+//server/src/services/airtel/airtelMoneyClient.js
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const PaymentGateway = require('../payments/paymentGateway');
+const logger = require('../../utils/logger');
+const AppError = require('../../utils/appError');
+const { countryRegistry } = require('../mpesa/countryRegistry');
+
+// Airtel Africa markets, keyed by platform country code
+const AIRTEL_COUNTRIES = {
+  kenya: { code: 'KE', currency: 'KES' },
+  tanzania: { code: 'TZ', currency: 'TZS' },
+  uganda: { code: 'UG', currency: 'UGX' },
+  rwanda: { code: 'RW', currency: 'RWF' },
+  drc: { code: 'CD', currency: 'CDF' }
+};
+
+/**
+ * Client for the Airtel Africa Money API
+ * Implements collections (USSD push), disbursements, status and refunds
+ * behind the provider-neutral PaymentGateway interface
+ */
+class AirtelMoneyClient extends PaymentGateway {
+  /**
+   * @param {Object} config - Configuration object
+   * @param {string} config.country - Country code (e.g. 'kenya', 'uganda')
+   * @param {string} config.clientId - Airtel application client ID
+   * @param {string} config.clientSecret - Airtel application client secret
+   * @param {string} [config.disbursementPin] - Encrypted disbursement PIN
+   * @param {string} [config.environment] - 'sandbox' or 'production'
+   */
+  constructor(config) {
+    super('airtel');
+
+    const market = AIRTEL_COUNTRIES[String(config.country).toLowerCase()];
+    if (!market) {
+      throw new AppError(`Airtel Money is not available in ${config.country}`, 400);
+    }
+
+    this.config = config;
+    this.environment = config.environment || 'sandbox';
+    this.country = config.country.toLowerCase();
+    this.countryCode = market.code;
+    this.currency = market.currency;
+    this.clientId = config.clientId;
+    this.clientSecret = config.clientSecret;
+    this.disbursementPin = config.disbursementPin;
+
+    this.authToken = null;
+    this.tokenExpiry = null;
+
+    this.httpClient = axios.create({
+      baseURL: this.getBaseUrl(),
+      timeout: 30000, // 30 seconds timeout
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': '*/*'
+      }
+    });
+  }
+
+  /**
+   * Get the base URL for API calls based on environment
+   * @returns {string} Base URL
+   */
+  getBaseUrl() {
+    return this.environment === 'production'
+      ? 'https://openapi.airtel.africa'
+      : 'https://openapiuat.airtel.africa';
+  }
+
+  /**
+   * Get an OAuth access token using client credentials
+   * @returns {Promise<string>} Access token
+   */
+  async authenticate() {
+    try {
+      if (this.authToken && this.tokenExpiry && this.tokenExpiry > Date.now()) {
+        return this.authToken;
+      }
+
+      logger.info(`Authenticating with Airtel Money API (${this.country}/${this.environment})`);
+
+      const response = await this.httpClient.post('/auth/oauth2/token', {
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        grant_type: 'client_credentials'
+      });
+
+      if (!response.data || !response.data.access_token) {
+        throw new AppError('Authentication failed: No access token received', 500);
+      }
+
+      this.authToken = response.data.access_token;
+
+      // Refresh a minute before the token actually expires
+      const expiresIn = Number(response.data.expires_in) || 180;
+      this.tokenExpiry = Date.now() + ((expiresIn - 60) * 1000);
+
+      return this.authToken;
+    } catch (error) {
+      logger.error('Airtel Money authentication failed', { error: error.message });
+      throw error instanceof AppError
+        ? error
+        : new AppError(`Airtel Money authentication failed: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Make an authenticated request to the Airtel Money API
+   * @param {string} url - Endpoint path
+   * @param {Object} [data] - Request payload
+   * @param {string} [method] - HTTP method (default: 'POST')
+   * @returns {Promise<Object>} API response data
+   */
+  async makeRequest(url, data, method = 'POST') {
+    try {
+      const token = await this.authenticate();
+
+      const response = await this.httpClient({
+        method,
+        url,
+        data,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'X-Country': this.countryCode,
+          'X-Currency': this.currency
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Airtel Money API request failed', {
+        url,
+        error: error.message,
+        response: error.response?.data
+      });
+
+      if (error.response) {
+        const status = error.response.data?.status || {};
+        throw new AppError(
+          `Airtel Money API error: ${status.message || error.response.data?.error_description || error.response.statusText}`,
+          error.response.status
+        );
+      } else if (error.request) {
+        throw new AppError('Airtel Money API timeout: No response received', 504);
+      }
+
+      throw new AppError(`Airtel Money API request failed: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Format a phone number as Airtel expects it (national number, no dial code)
+   * @param {string} phoneNumber - Phone number to format
+   * @returns {string} National phone number
+   */
+  formatPhoneNumber(phoneNumber) {
+    const rules = countryRegistry.getProfile(this.country).phone;
+    return countryRegistry.normalizePhoneNumber(this.country, phoneNumber).substring(rules.dialCode.length);
+  }
+
+  /**
+   * Check the Airtel status envelope and throw on failure
+   * @param {Object} data - Response data
+   * @returns {Object} Response data
+   */
+  assertSuccess(data) {
+    if (!data || !data.status || data.status.success === false) {
+      throw new AppError(
+        `Airtel Money error: ${data?.status?.message || 'Unknown error'} (${data?.status?.response_code || 'no code'})`,
+        400
+      );
+    }
+
+    return data;
+  }
+
+  /**
+   * Map an Airtel transaction status to a platform transaction status
+   * @param {string} status - Airtel status (TS, TF, TA, TIP, ...)
+   * @returns {string} Platform transaction status
+   */
+  mapTransactionStatus(status) {
+    switch (status) {
+      case 'TS':
+        return 'completed';
+      case 'TF':
+        return 'failed';
+      case 'TE':
+        return 'expired';
+      default: // TA (ambiguous) and TIP (in progress)
+        return 'pending';
+    }
+  }
+
+  /**
+   * Collect a payment from a customer via USSD push (PaymentGateway)
+   * @param {Object} params - Collection parameters
+   * @returns {Promise<Object>} Gateway result
+   */
+  async collect(params) {
+    const id = params.conversationId || uuidv4();
+
+    const data = await this.makeRequest('/merchant/v1/payments/', {
+      reference: String(params.description || params.reference || 'Payment').substring(0, 64),
+      subscriber: {
+        country: this.countryCode,
+        currency: this.currency,
+        msisdn: this.formatPhoneNumber(params.phoneNumber)
+      },
+      transaction: {
+        amount: Number(params.amount),
+        country: this.countryCode,
+        currency: this.currency,
+        id
+      }
+    });
+
+    this.assertSuccess(data);
+
+    // The customer still has to approve the push on their handset
+    return this.buildResult('pending', data, id);
+  }
+
+  /**
+   * Send money to a customer (PaymentGateway)
+   * @param {Object} params - Disbursement parameters
+   * @returns {Promise<Object>} Gateway result
+   */
+  async disburse(params) {
+    if (!this.disbursementPin) {
+      throw new AppError('Airtel Money disbursement PIN is not configured', 500);
+    }
+
+    const id = params.conversationId || uuidv4();
+
+    const data = await this.makeRequest('/standard/v1/disbursements/', {
+      payee: {
+        msisdn: this.formatPhoneNumber(params.phoneNumber)
+      },
+      reference: String(params.reference || 'Payout').substring(0, 64),
+      pin: this.disbursementPin,
+      transaction: {
+        amount: Number(params.amount),
+        id
+      }
+    });
+
+    this.assertSuccess(data);
+
+    const status = data.data?.transaction?.status;
+    const mapped = status ? this.mapTransactionStatus(status) : 'pending';
+
+    // Accepted disbursements settle without customer action
+    return this.buildResult(mapped === 'pending' ? 'processing' : mapped, data, id);
+  }
+
+  /**
+   * Get the status of a collection (PaymentGateway)
+   * @param {string} reference - Transaction ID sent with the collection
+   * @returns {Promise<Object>} Gateway result
+   */
+  async getStatus(reference) {
+    const data = await this.makeRequest(`/standard/v1/payments/${encodeURIComponent(reference)}`, undefined, 'GET');
+    this.assertSuccess(data);
+
+    const transaction = data.data?.transaction || {};
+    return this.buildResult(this.mapTransactionStatus(transaction.status), data, transaction.airtel_money_id || reference);
+  }
+
+  /**
+   * Refund a completed collection (PaymentGateway)
+   * @param {Object} params - Reversal parameters
+   * @param {string} params.transactionId - Airtel Money transaction ID
+   * @returns {Promise<Object>} Gateway result
+   */
+  async reverse(params) {
+    const data = await this.makeRequest('/standard/v1/payments/refund', {
+      transaction: {
+        airtel_money_id: params.transactionId
+      }
+    });
+
+    this.assertSuccess(data);
+    return this.buildResult('completed', data, params.transactionId);
+  }
+}
+
+AirtelMoneyClient.COUNTRIES = AIRTEL_COUNTRIES;
+
+module.exports = AirtelMoneyClient;
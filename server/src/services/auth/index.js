@@ -3,7 +3,7 @@
  */
 const authService = require('./authService');
 const twoFactorService = require('./twoFactorService');
-const { RoleService, ROLES, PERMISSIONS } = require('./roleService');
+const { RoleService, ROLES, MEMBER_ROLES, PERMISSIONS } = require('./roleService');
 const { TokenService, TOKEN_TYPES } = require('./tokenService');
 
 module.exports = {
@@ -12,6 +12,7 @@ module.exports = {
   RoleService,
   TokenService,
   ROLES,
+  MEMBER_ROLES,
   PERMISSIONS,
   TOKEN_TYPES,
 };
\ No newline at end of file
@@ -0,0 +1,131 @@
+// server/src/services/auth/requestSignatureService.js
+
+const crypto = require('crypto');
+const RequestNonce = require('../../models/requestNonce');
+const { hashApiSecret, openApiSigningKey } = require('../../models/business');
+const AppError = require('../../utils/appError');
+const config = require('../../config');
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Service for HMAC-signed API requests
+ * Callers sign "<METHOD>\n<path with query>\n<timestamp>\n<nonce>\n<hex SHA-256 of the raw body>"
+ * with HMAC-SHA256, keyed with the hex SHA3-256 digest of their API secret. Timestamps are Unix
+ * seconds and may be off by at most config.apiKeys.signatureToleranceMs; each nonce is accepted
+ * once per key.
+ *
+ * The platform never stores the secret. Since the digest is the signing key, it is stored
+ * encrypted with AES-256-GCM under config.apiKeys.secretEncryptionKey (API_SECRET_ENCRYPTION_KEY),
+ * which lives only in the server environment: a copy of the database alone cannot sign requests.
+ * Encryption was chosen over a pepper because the platform must recover the exact key callers
+ * sign with, and it keeps the signing scheme of existing keys unchanged
+ */
+class RequestSignatureService {
+  /**
+   * Build the string a request's signature covers
+   * @param {object} parts - { method, path, timestamp, nonce, body }
+   * @returns {string} - String to sign
+   */
+  buildStringToSign({ method, path, timestamp, nonce, body }) {
+    const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+    return [String(method).toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+  }
+
+  /**
+   * Sign a request the way API callers do
+   * @param {object} parts - { method, path, timestamp, nonce, body }
+   * @param {string} secret - API secret as issued
+   * @returns {string} - Hex signature
+   */
+  sign(parts, secret) {
+    return this.signWithKey(parts, hashApiSecret(secret));
+  }
+
+  /**
+   * Sign a request with the signing key of an API secret
+   * @param {object} parts - { method, path, timestamp, nonce, body }
+   * @param {string} signingKey - Hex SHA3-256 digest of the API secret
+   * @returns {string} - Hex signature
+   */
+  signWithKey(parts, signingKey) {
+    return crypto.createHmac('sha256', signingKey).update(this.buildStringToSign(parts)).digest('hex');
+  }
+
+  /**
+   * Check whether money-moving requests must be signed
+   * @returns {boolean}
+   */
+  isRequiredForPayments() {
+    return config.apiKeys.requireSignedPayments;
+  }
+
+  /**
+   * Check whether a request carries a signature
+   * @param {Request} req - Express request object
+   * @returns {boolean}
+   */
+  isSigned(req) {
+    return Boolean(req.headers['x-signature']);
+  }
+
+  /**
+   * Verify a signed request and record its nonce
+   * @param {Request} req - Express request object; the raw body is read from req.rawBody
+   * @param {object} apiKey - API key subdocument, loaded with its sealed signing key
+   * @returns {Promise<void>}
+   * @throws {AppError} 401 when the signature, timestamp or nonce is missing, wrong or reused
+   */
+  async verify(req, apiKey) {
+    const signature = String(req.headers['x-signature'] || '');
+    const timestamp = String(req.headers['x-timestamp'] || '');
+    const nonce = String(req.headers['x-nonce'] || '');
+
+    if (!/^\d+$/.test(timestamp)) {
+      throw new AppError('X-Timestamp must be the request time in Unix seconds', 401);
+    }
+    if (!NONCE_PATTERN.test(nonce)) {
+      throw new AppError('X-Nonce must be 16 to 128 letters, digits, dashes or underscores', 401);
+    }
+
+    const toleranceMs = config.apiKeys.signatureToleranceMs;
+    if (Math.abs(Date.now() - Number(timestamp) * 1000) > toleranceMs) {
+      throw new AppError(`X-Timestamp is more than ${Math.round(toleranceMs / 1000)} seconds from the server time`, 401);
+    }
+
+    const signingKey = apiKey.secret && openApiSigningKey(apiKey.secret);
+    if (!signingKey) {
+      throw new AppError('Invalid request signature', 401);
+    }
+
+    const expected = Buffer.from(this.signWithKey({
+      method: req.method,
+      path: req.originalUrl,
+      timestamp,
+      nonce,
+      body: req.rawBody
+    }, signingKey), 'hex');
+    const received = Buffer.from(signature.replace(/^sha256=/, ''), 'hex');
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new AppError('Invalid request signature', 401);
+    }
+
+    // Checked last, so requests with bad signatures cannot use up nonces
+    try {
+      await RequestNonce.create({
+        apiKey: apiKey._id,
+        nonce,
+        // A nonce only needs remembering while its timestamp would still be accepted
+        expiresAt: new Date(Number(timestamp) * 1000 + toleranceMs)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('Request has already been received (nonce reused)', 401);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new RequestSignatureService();
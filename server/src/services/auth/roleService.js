@@ -1,9 +1,10 @@
 /**
  * Role-based authorization service
  */
-const { AppError } = require('../../utils/errorHandler');
-const User = require('../../models/user');
+const AppError = require('../../utils/appError');
+const User = require('../../models/user.model');
 const Business = require('../../models/business');
+const Transaction = require('../../models/transaction');
 
 // Define role hierarchy and permissions
 const ROLES = {
@@ -32,7 +33,7 @@ const rolePermissions = {
   },
   [ROLES.BUSINESS]: {
     users: [PERMISSIONS.READ], // Can only read their own user
-    businesses: [PERMISSIONS.READ, PERMISSIONS.UPDATE], // Can read and update their own business
+    businesses: [PERMISSIONS.CREATE, PERMISSIONS.READ, PERMISSIONS.UPDATE, PERMISSIONS.DELETE], // Limited by membership role
     transactions: [PERMISSIONS.CREATE, PERMISSIONS.READ],
     analytics: [PERMISSIONS.READ],
     settings: [PERMISSIONS.READ, PERMISSIONS.UPDATE],
@@ -46,6 +47,20 @@ const rolePermissions = {
   },
 };
 
+// Roles a user can hold within a business
+const MEMBER_ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MEMBER: 'member',
+};
+
+// What each membership role may do to the business itself
+const memberPermissions = {
+  [MEMBER_ROLES.OWNER]: [PERMISSIONS.READ, PERMISSIONS.UPDATE, PERMISSIONS.DELETE, PERMISSIONS.MANAGE],
+  [MEMBER_ROLES.ADMIN]: [PERMISSIONS.READ, PERMISSIONS.UPDATE, PERMISSIONS.MANAGE],
+  [MEMBER_ROLES.MEMBER]: [PERMISSIONS.READ],
+};
+
 class RoleService {
   /**
    * Check if a user has a specific permission for a resource
@@ -60,6 +75,11 @@ class RoleService {
       return false;
     }
 
+    // Access to one business follows the user's membership role in it, not their platform role
+    if (resource === 'businesses' && resourceId) {
+      return await this.checkResourceOwnership(user, resource, resourceId, permission);
+    }
+
     // Check if the role has the permission for the resource
     const rolePerms = rolePermissions[user.role];
     if (!rolePerms || !rolePerms[resource] || !rolePerms[resource].includes(permission)) {
@@ -73,7 +93,7 @@ class RoleService {
 
     // For specific resources, check ownership
     if (resourceId) {
-      return await this.checkResourceOwnership(user, resource, resourceId);
+      return await this.checkResourceOwnership(user, resource, resourceId, permission);
     }
 
     return true;
@@ -84,32 +104,57 @@ class RoleService {
    * @param {Object} user - User object
    * @param {string} resource - Resource type
    * @param {string} resourceId - Resource ID
+   * @param {string} permission - Permission being checked
    * @returns {Promise<boolean>} Whether the user owns the resource
    */
-  async checkResourceOwnership(user, resource, resourceId) {
+  async checkResourceOwnership(user, resource, resourceId, permission) {
     switch (resource) {
-      case 'businesses':
-        const business = await Business.findById(resourceId);
-        return business && business.owner.toString() === user._id.toString();
+      case 'businesses': {
+        // Access to a business follows the user's membership role in it
+        const business = await Business.findOne({ _id: resourceId, deletedAt: null });
+        const memberRole = this.getMembershipRole(user, business);
+        return Boolean(memberRole) && memberPermissions[memberRole].includes(permission);
+      }
       
       case 'users':
         // Users can only access their own user data
         return user._id.toString() === resourceId;
       
-      case 'transactions':
-        // Check if the transaction belongs to a business owned by the user
+      case 'transactions': {
+        // Any member of the transaction's business can access it
         const transaction = await Transaction.findById(resourceId).populate('business');
-        return (
-          transaction && 
-          transaction.business && 
-          transaction.business.owner.toString() === user._id.toString()
-        );
+        return Boolean(transaction && this.getMembershipRole(user, transaction.business));
+      }
       
       default:
         return false;
     }
   }
 
+  /**
+   * Get the role a user holds in a business
+   * @param {Object} user - User object
+   * @param {Object} business - Business document
+   * @returns {string|null} 'owner', 'admin', 'member', or null if the user is not a member
+   */
+  getMembershipRole(user, business) {
+    if (!user || !business) {
+      return null;
+    }
+
+    const userId = user._id.toString();
+
+    if (business.owner && business.owner.toString() === userId) {
+      return MEMBER_ROLES.OWNER;
+    }
+
+    const membership = (business.users || []).find(
+      member => member.user && member.user.toString() === userId
+    );
+
+    return membership ? membership.role : null;
+  }
+
   /**
    * Get all permissions for a specific role
    * @param {string} role - Role name
@@ -172,5 +217,6 @@ class RoleService {
 module.exports = {
   RoleService: new RoleService(),
   ROLES,
+  MEMBER_ROLES,
   PERMISSIONS,
 };
\ No newline at end of file
@@ -0,0 +1,238 @@
+// server/src/services/auth/sessionService.js
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../../models/session');
+const User = require('../../models/user.model');
+const { TokenService, TOKEN_TYPES } = require('./tokenService');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+// lastSeenAt is written at most this often per session, so active users don't write on every request
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Service for sign-in sessions and refresh-token rotation
+ * Each sign-in is a session holding one usable refresh token. A refresh replaces that token;
+ * presenting a replaced token means it leaked, so the whole session is revoked. Access tokens
+ * carry their session ID and stop working when the session is revoked
+ */
+class SessionService {
+  /**
+   * Start a session for a user who has just signed in
+   * @param {object} user - User document
+   * @param {Request} req - Express request object, for the device and IP
+   * @returns {Promise<object>} - { session, accessToken, refreshToken }
+   */
+  async createSession(user, req) {
+    const tokenId = this.newTokenId();
+    const session = new Session({
+      user: user._id,
+      tokenId,
+      device: this.deviceOf(req),
+      ip: req.ip,
+      lastSeenAt: new Date()
+    });
+
+    const tokens = this.issueTokens(user._id, session._id, tokenId);
+    session.expiresAt = tokens.refreshExpiresAt;
+    await session.save();
+
+    return { session, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for new access and refresh tokens
+   * @param {string} refreshToken - Refresh token
+   * @param {Request} req - Express request object, for the device and IP
+   * @returns {Promise<object>} - { session, accessToken, refreshToken }
+   */
+  async refresh(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = TokenService.verifyToken(refreshToken, TOKEN_TYPES.REFRESH);
+    } catch (error) {
+      throw new AppError('Invalid or expired refresh token', 401);
+    }
+
+    const session = decoded.sid && await Session.findById(decoded.sid);
+    if (!session || session.revokedAt) {
+      throw new AppError('This session has been signed out. Please log in again.', 401);
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      throw new AppError('The user belonging to this token no longer exists.', 401);
+    }
+
+    const tokenId = this.newTokenId();
+    const tokens = this.issueTokens(user._id, session._id, tokenId);
+
+    // Only the current token may rotate, so two uses of one token cannot both succeed
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenId: decoded.jti, revokedAt: null },
+      {
+        $set: {
+          tokenId,
+          device: this.deviceOf(req),
+          ip: req.ip,
+          lastSeenAt: new Date(),
+          expiresAt: tokens.refreshExpiresAt
+        }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      await this.revoke({ _id: session._id, revokedAt: null }, 'token_reuse');
+      logger.warn(`Refresh token reuse on session ${session._id} of user ${session.user}; session revoked`);
+      throw new AppError('This refresh token has already been used. The session has been signed out; please log in again.', 401);
+    }
+
+    return { session: rotated, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken };
+  }
+
+  /**
+   * Check that an access token's session is still signed in, and note the activity
+   * @param {string} sessionId - Session ID from the access token
+   * @param {string} userId - User ID from the access token
+   * @returns {Promise<boolean>} - Whether the session is active
+   */
+  async touch(sessionId, userId) {
+    const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null }).select('lastSeenAt');
+    if (!session) {
+      return false;
+    }
+
+    if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+      Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } }, { timestamps: false })
+        .catch(error => logger.error(`Error updating lastSeenAt of session ${session._id}: ${error.message}`));
+    }
+
+    return true;
+  }
+
+  /**
+   * List a user's signed-in sessions, most recently active first
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session of the request, flagged as current
+   * @returns {Promise<Array<object>>} - Formatted sessions
+   */
+  async listSessions(userId, currentSessionId) {
+    const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastSeenAt: -1 });
+
+    return sessions.map(session => this.formatSession(session, currentSessionId));
+  }
+
+  /**
+   * Sign out one of a user's sessions
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async revokeSession(userId, sessionId) {
+    const revoked = mongoose.isValidObjectId(sessionId)
+      && await this.revoke({ _id: sessionId, user: userId, revokedAt: null }, 'signed_out');
+
+    if (!revoked) {
+      throw new AppError('Session not found', 404);
+    }
+  }
+
+  /**
+   * Sign out every session of a user except the current one
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session to keep
+   * @returns {Promise<number>} - Number of sessions signed out
+   */
+  async revokeOtherSessions(userId, currentSessionId) {
+    const filter = { user: userId, revokedAt: null };
+    if (currentSessionId) {
+      filter._id = { $ne: currentSessionId };
+    }
+
+    return this.revoke(filter, 'signed_out');
+  }
+
+  /**
+   * Sign out the session of an access token and blacklist the token until it expires
+   * @param {string} accessToken - Access token of the request
+   * @returns {Promise<void>}
+   */
+  async logout(accessToken) {
+    const decoded = jwt.decode(accessToken);
+
+    if (decoded.sid) {
+      await this.revoke({ _id: decoded.sid, revokedAt: null }, 'logout');
+    }
+    await TokenService.blacklistToken(accessToken, new Date(decoded.exp * 1000));
+  }
+
+  /**
+   * Revoke the sessions matching a filter
+   * @param {object} filter - Session filter
+   * @param {string} reason - One of SESSION_REVOKE_REASONS
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revoke(filter, reason) {
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Sign an access token and a refresh token for a session
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {string} tokenId - ID of the refresh token
+   * @returns {object} - { accessToken, refreshToken, refreshExpiresAt }
+   */
+  issueTokens(userId, sessionId, tokenId) {
+    const accessToken = TokenService.generateAccessToken(String(userId), { sessionId: String(sessionId) });
+    const refreshToken = TokenService.generateRefreshToken(String(userId), { sessionId: String(sessionId), tokenId });
+
+    return {
+      accessToken,
+      refreshToken,
+      refreshExpiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+    };
+  }
+
+  /**
+   * Generate the ID of a refresh token
+   * @returns {string}
+   */
+  newTokenId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Describe the device of a request
+   * @param {Request} req - Express request object
+   * @returns {string} - User agent, truncated
+   */
+  deviceOf(req) {
+    return (req.get('user-agent') || 'Unknown device').slice(0, 255);
+  }
+
+  /**
+   * Format a session for the API
+   * @param {object} session - Session document
+   * @param {string} currentSessionId - Session of the request
+   * @returns {object} - Formatted session
+   */
+  formatSession(session, currentSessionId) {
+    return {
+      id: session._id,
+      device: session.device,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      current: Boolean(currentSessionId) && String(session._id) === String(currentSessionId)
+    };
+  }
+}
+
+module.exports = new SessionService();
@@ -3,9 +3,9 @@
  */
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const config = require('../../config');
-const { AppError } = require('../../utils/errorHandler');
-const User = require('../../models/user');
+const config = require('../../config/config');
+const AppError = require('../../utils/appError');
+const BlacklistedToken = require('../../models/blacklistedToken');
 
 // Token types
 const TOKEN_TYPES = {
@@ -20,38 +20,44 @@ class TokenService {
   /**
    * Generate JWT access token
    * @param {string} userId - User ID
-   * @param {Array} permissions - Optional array of specific permissions
+   * @param {Object} options - { sessionId, permissions }
    * @returns {string} JWT token
    */
-  generateAccessToken(userId, permissions = null) {
+  generateAccessToken(userId, { sessionId, permissions } = {}) {
     const payload = {
-      userId,
+      id: userId,
       type: TOKEN_TYPES.ACCESS,
+      jti: crypto.randomBytes(16).toString('hex'),
     };
 
+    if (sessionId) {
+      payload.sid = sessionId;
+    }
     if (permissions) {
       payload.permissions = permissions;
     }
 
-    return jwt.sign(payload, config.jwt.secret, {
-      expiresIn: config.jwt.accessExpiresIn || '15m',
+    return jwt.sign(payload, config.jwtSecret, {
+      expiresIn: config.jwtExpiresIn,
     });
   }
 
   /**
    * Generate refresh token
    * @param {string} userId - User ID
+   * @param {Object} options - { sessionId, tokenId } where tokenId identifies this token within its session
    * @returns {string} Refresh token
    */
-  generateRefreshToken(userId) {
+  generateRefreshToken(userId, { sessionId, tokenId } = {}) {
     const payload = {
-      userId,
+      id: userId,
       type: TOKEN_TYPES.REFRESH,
-      tokenId: crypto.randomBytes(16).toString('hex'),
+      sid: sessionId,
+      jti: tokenId || crypto.randomBytes(16).toString('hex'),
     };
 
-    return jwt.sign(payload, config.jwt.refreshSecret, {
-      expiresIn: config.jwt.refreshExpiresIn || '7d',
+    return jwt.sign(payload, config.jwtRefreshSecret, {
+      expiresIn: config.jwtRefreshExpiresIn,
     });
   }
 
@@ -109,17 +115,17 @@ class TokenService {
   getSecretForTokenType(type) {
     switch (type) {
       case TOKEN_TYPES.ACCESS:
-        return config.jwt.secret;
+        return config.jwtSecret;
       case TOKEN_TYPES.REFRESH:
-        return config.jwt.refreshSecret;
+        return config.jwtRefreshSecret;
       case TOKEN_TYPES.RESET_PASSWORD:
-        return config.jwt.secret + '_reset';
+        return config.jwtSecret + '_reset';
       case TOKEN_TYPES.VERIFY_EMAIL:
-        return config.jwt.secret + '_verify';
+        return config.jwtSecret + '_verify';
       case TOKEN_TYPES.API_KEY:
-        return config.jwt.apiKeySecret;
+        return config.jwtSecret + '_api_key';
       default:
-        return config.jwt.secret;
+        return config.jwtSecret;
     }
   }
 
@@ -153,7 +159,7 @@ class TokenService {
     // Generate a signed token that encodes the businessId
     const apiKeyToken = jwt.sign(
       { businessId, type: TOKEN_TYPES.API_KEY },
-      config.jwt.apiKeySecret,
+      this.getSecretForTokenType(TOKEN_TYPES.API_KEY),
       { expiresIn: '10y' } // Long expiry for API keys
     );
     
@@ -183,17 +189,17 @@ class TokenService {
 
   /**
    * Add token to blacklist
+   * The entry is removed by its TTL index once the token would have expired anyway
    * @param {string} token - Token to blacklist
    * @param {Date} expiry - Token expiry date
    * @returns {Promise<void>}
    */
   async blacklistToken(token, expiry) {
-    // This would typically be stored in Redis or similar for production
-    // For now, we'll just use a simple MongoDB implementation
-    await BlacklistedToken.create({
-      token: this.hashToken(token),
-      expiresAt: expiry,
-    });
+    await BlacklistedToken.updateOne(
+      { token: this.hashToken(token) },
+      { $setOnInsert: { expiresAt: expiry } },
+      { upsert: true }
+    );
   }
 
   /**
@@ -0,0 +1,260 @@
+// server/src/services/business/apiKeyService.js
+
+const Business = require('../../models/business');
+const businessService = require('./businessService');
+const logger = require('../../utils/logger');
+const AppError = require('../../utils/appError');
+const config = require('../../config');
+
+// Keys a business may have working at once, including keys in a rotation overlap
+const MAX_ACTIVE_KEYS = 20;
+
+// Signing keys stored before sealing: the bare hex SHA3-256 digest
+const LEGACY_SIGNING_KEY = /^[0-9a-f]{64}$/;
+
+/**
+ * Service for the lifecycle of a business's API keys
+ * A key's secret is returned only when the key is created; listings show a masked key
+ */
+class ApiKeyService {
+  /**
+   * Find one of a business's API keys
+   * @param {object} business - Business document
+   * @param {string} keyId - API key ID
+   * @returns {object} - API key subdocument
+   */
+  findKey(business, keyId) {
+    const apiKey = business.apiKeys.id(keyId);
+
+    if (!apiKey) {
+      throw new AppError('API key not found', 404);
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Check that a key can still be used
+   * @param {object} apiKey - API key subdocument
+   * @returns {boolean}
+   */
+  isUsable(apiKey) {
+    return apiKey.isActive && !apiKey.isExpired();
+  }
+
+  /**
+   * Check that a business has room for another working key
+   * @param {object} business - Business document
+   * @returns {void}
+   */
+  assertKeyLimit(business) {
+    const usable = business.apiKeys.filter(apiKey => this.isUsable(apiKey)).length;
+
+    if (usable >= MAX_ACTIVE_KEYS) {
+      throw new AppError(`A business can have at most ${MAX_ACTIVE_KEYS} active API keys; revoke one first`, 400);
+    }
+  }
+
+  /**
+   * Create an API key
+   * @param {string} businessId - Business ID
+   * @param {object} data - { name, permissions, ipRestrictions, expiresAt }
+   * @param {object} user - Authenticated user
+   * @returns {Promise<object>} - Formatted key with its key and secret, shown only in this response
+   */
+  async createKey(businessId, data, user) {
+    const expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+    if (expiresAt && expiresAt <= new Date()) {
+      throw new AppError('expiresAt must be in the future', 400);
+    }
+
+    const business = await businessService.findBusiness(businessId);
+    this.assertKeyLimit(business);
+
+    const { id, apiKey, apiSecret } = business.generateApiKey(data.name, data.permissions, expiresAt, {
+      ipRestrictions: data.ipRestrictions,
+      createdBy: user._id
+    });
+    await business.save();
+
+    logger.info(`API key ${id} created for business ${business._id} by user ${user._id}`);
+
+    return { ...this.formatKey(business.apiKeys.id(id)), key: apiKey, secret: apiSecret };
+  }
+
+  /**
+   * List a business's API keys, newest first, with masked keys
+   * @param {string} businessId - Business ID
+   * @param {object} filters - { status }
+   * @returns {Promise<Array<object>>} - Formatted keys
+   */
+  async listKeys(businessId, filters = {}) {
+    const business = await businessService.findBusiness(businessId);
+
+    return business.apiKeys
+      .map(apiKey => this.formatKey(apiKey))
+      .filter(apiKey => !filters.status || apiKey.status === filters.status)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Revoke an API key; requests made with it fail from now on
+   * @param {string} businessId - Business ID
+   * @param {string} keyId - API key ID
+   * @param {object} user - Authenticated user
+   * @returns {Promise<object>} - Formatted key
+   */
+  async revokeKey(businessId, keyId, user) {
+    const business = await businessService.findBusiness(businessId);
+    const apiKey = this.findKey(business, keyId);
+
+    if (!apiKey.isActive) {
+      throw new AppError('API key has already been revoked', 409);
+    }
+
+    business.revokeApiKey(apiKey.key);
+    await business.save();
+
+    logger.info(`API key ${apiKey._id} of business ${business._id} revoked by user ${user._id}`);
+
+    return this.formatKey(apiKey);
+  }
+
+  /**
+   * Replace an API key with a new one that has the same name, scopes and IP allowlist
+   * The old key keeps working for the overlap window so callers can switch over; with no
+   * overlap it is revoked at once
+   * @param {string} businessId - Business ID
+   * @param {string} keyId - API key ID
+   * @param {object} data - { overlapMinutes, expiresAt } where expiresAt applies to the new key
+   * @param {object} user - Authenticated user
+   * @returns {Promise<object>} - { previous, current } where current carries the new key and secret
+   */
+  async rotateKey(businessId, keyId, data, user) {
+    const business = await businessService.findBusiness(businessId);
+    const previous = this.findKey(business, keyId);
+
+    if (!this.isUsable(previous)) {
+      throw new AppError('Only an active API key can be rotated', 409);
+    }
+    if (previous.rotatedAt) {
+      throw new AppError('API key has already been rotated', 409);
+    }
+
+    const expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+    if (expiresAt && expiresAt <= new Date()) {
+      throw new AppError('expiresAt must be in the future', 400);
+    }
+
+    const overlapMs = data.overlapMinutes !== undefined
+      ? Number(data.overlapMinutes) * 60 * 1000
+      : config.apiKeys.rotationOverlapMs;
+
+    const { id, apiKey, apiSecret } = business.generateApiKey(
+      previous.name,
+      [...previous.permissions],
+      expiresAt,
+      { ipRestrictions: [...previous.ipRestrictions], createdBy: user._id }
+    );
+
+    previous.rotatedAt = new Date();
+    previous.replacedBy = id;
+    if (overlapMs > 0) {
+      // An earlier expiry set when the key was created still applies
+      const overlapEnd = new Date(Date.now() + overlapMs);
+      if (!previous.expiresAt || previous.expiresAt > overlapEnd) {
+        previous.expiresAt = overlapEnd;
+      }
+    } else {
+      business.revokeApiKey(previous.key);
+    }
+
+    await business.save();
+
+    logger.info(`API key ${previous._id} of business ${business._id} rotated to ${id} by user ${user._id}`);
+
+    return {
+      previous: this.formatKey(previous),
+      current: { ...this.formatKey(business.apiKeys.id(id)), key: apiKey, secret: apiSecret }
+    };
+  }
+
+  /**
+   * Mask an API key, keeping enough to tell keys apart
+   * @param {string} key - API key
+   * @returns {string} - Masked key
+   */
+  maskKey(key) {
+    return `${key.slice(0, 6)}${'*'.repeat(8)}${key.slice(-4)}`;
+  }
+
+  /**
+   * Encrypt signing keys stored before keys were sealed at rest
+   * Those were stored as the bare digest, which is the signing key itself. Safe to run on every start
+   * @returns {Promise<number>} - Number of keys sealed
+   */
+  async sealLegacySigningKeys() {
+    const businesses = await Business.find({ 'apiKeys.secret': LEGACY_SIGNING_KEY }).select('+apiKeys.secret');
+    let sealed = 0;
+
+    for (const business of businesses) {
+      const update = {};
+      business.apiKeys.forEach((apiKey, index) => {
+        if (LEGACY_SIGNING_KEY.test(apiKey.secret)) {
+          update[`apiKeys.${index}.secret`] = Business.sealApiSigningKey(apiKey.secret);
+        }
+      });
+
+      // Matching the old values keeps a concurrent change to the keys from being overwritten
+      const filter = { _id: business._id };
+      Object.keys(update).forEach(path => {
+        filter[path] = business.get(path);
+      });
+
+      const result = await Business.updateOne(filter, { $set: update });
+      if (result.modifiedCount > 0) {
+        sealed += Object.keys(update).length;
+      }
+    }
+
+    if (sealed > 0) {
+      logger.info(`Sealed ${sealed} API signing keys stored as bare digests`);
+    }
+
+    return sealed;
+  }
+
+  /**
+   * Format an API key for the API, without its secret
+   * @param {object} apiKey - API key subdocument
+   * @returns {object} - Formatted key
+   */
+  formatKey(apiKey) {
+    let status = 'active';
+    if (!apiKey.isActive) {
+      status = 'revoked';
+    } else if (apiKey.isExpired()) {
+      status = 'expired';
+    } else if (apiKey.rotatedAt) {
+      status = 'rotating';
+    }
+
+    return {
+      id: apiKey._id,
+      name: apiKey.name,
+      maskedKey: this.maskKey(apiKey.key),
+      status,
+      permissions: apiKey.permissions,
+      ipRestrictions: apiKey.ipRestrictions,
+      expiresAt: apiKey.expiresAt,
+      lastUsed: apiKey.lastUsed,
+      createdBy: apiKey.createdBy,
+      createdAt: apiKey.createdAt,
+      rotatedAt: apiKey.rotatedAt,
+      replacedBy: apiKey.replacedBy,
+      revokedAt: apiKey.revokedAt
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,297 @@
+// server/src/services/business/businessService.js
+
+const Business = require('../../models/business');
+const { RoleService, PERMISSIONS, MEMBER_ROLES } = require('../auth/roleService');
+const logger = require('../../utils/logger');
+const AppError = require('../../utils/appError');
+
+// Fields a member may set through the API; keys, integrations and members have their own endpoints
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'webhookUrl',
+  'notificationEmail',
+  'notificationPhone',
+  'logo',
+  'website',
+  'address',
+  'defaultCurrency',
+  'locale',
+  'receiptSettings'
+];
+
+/**
+ * Service for managing businesses on behalf of their members
+ */
+class BusinessService {
+  /**
+   * Pick the editable fields out of request data
+   * @param {object} data - Request data
+   * @returns {object} - Editable fields that were provided
+   */
+  pickEditableFields(data) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+      if (data[key] !== undefined) {
+        fields[key] = data[key];
+      }
+      return fields;
+    }, {});
+  }
+
+  /**
+   * Check a user's permission on a business, throwing if it is missing
+   * @param {object} user - Authenticated user
+   * @param {string} permission - Permission to check (read, update, delete)
+   * @param {string} [businessId] - Business ID, for checks on one business
+   * @returns {Promise<void>}
+   */
+  async authorize(user, permission, businessId = null) {
+    const allowed = await RoleService.hasPermission(user, 'businesses', permission, businessId);
+
+    if (!allowed) {
+      // Non-members learn nothing about whether the business exists
+      if (businessId && !(await this.isMember(user, businessId))) {
+        throw new AppError('Business not found', 404);
+      }
+      throw new AppError('You do not have permission to perform this action', 403);
+    }
+  }
+
+  /**
+   * Check whether a user belongs to a (non-deleted) business
+   * @param {object} user - Authenticated user
+   * @param {string} businessId - Business ID
+   * @returns {Promise<boolean>}
+   */
+  async isMember(user, businessId) {
+    const business = await Business.findOne({ _id: businessId, deletedAt: null }).select('owner users');
+    return Boolean(RoleService.getMembershipRole(user, business));
+  }
+
+  /**
+   * Find a non-deleted business by ID
+   * @param {string} businessId - Business ID
+   * @returns {Promise<object>} - Business document
+   */
+  async findBusiness(businessId) {
+    const business = await Business.findOne({ _id: businessId, deletedAt: null });
+
+    if (!business) {
+      throw new AppError('Business not found', 404);
+    }
+
+    return business;
+  }
+
+  /**
+   * Create a business owned by the user
+   * The webhook signing secret is returned only in this response
+   * @param {object} user - Authenticated user
+   * @param {object} data - Business data
+   * @returns {Promise<object>} - Formatted business with its webhook secret
+   */
+  async createBusiness(user, data) {
+    await this.authorize(user, PERMISSIONS.CREATE);
+
+    const business = new Business({
+      ...this.pickEditableFields(data),
+      owner: user._id,
+      users: [{ user: user._id, role: MEMBER_ROLES.OWNER }]
+    });
+    const webhookSecret = business.generateWebhookSecret();
+    await business.save();
+
+    logger.info(`Business ${business._id} created by user ${user._id}`);
+
+    return { ...this.formatBusiness(business, user), webhookSecret };
+  }
+
+  /**
+   * List the businesses the user is a member of
+   * @param {object} user - Authenticated user
+   * @param {object} filters - Query filters (search, page, limit)
+   * @returns {Promise<object>} - Businesses with pagination
+   */
+  async listBusinesses(user, filters = {}) {
+    await this.authorize(user, PERMISSIONS.READ);
+
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 10, 1), 100);
+
+    const query = Business.findByUser(user._id).getFilter();
+    if (filters.search) {
+      query.name = { $regex: String(filters.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const [businesses, total] = await Promise.all([
+      Business.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Business.countDocuments(query)
+    ]);
+
+    return {
+      data: businesses.map(business => this.formatBusiness(business, user)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a business the user is a member of
+   * @param {object} user - Authenticated user
+   * @param {string} businessId - Business ID
+   * @returns {Promise<object>} - Formatted business
+   */
+  async getBusiness(user, businessId) {
+    await this.authorize(user, PERMISSIONS.READ, businessId);
+    return this.formatBusiness(await this.findBusiness(businessId), user);
+  }
+
+  /**
+   * Update a business's profile
+   * @param {object} user - Authenticated user
+   * @param {string} businessId - Business ID
+   * @param {object} data - Fields to update
+   * @returns {Promise<object>} - Formatted business
+   */
+  async updateBusiness(user, businessId, data) {
+    await this.authorize(user, PERMISSIONS.UPDATE, businessId);
+
+    const business = await this.findBusiness(businessId);
+    business.set(this.pickEditableFields(data));
+    await business.save();
+
+    return this.formatBusiness(business, user);
+  }
+
+  /**
+   * Replace a business's webhook signing secret
+   * Deliveries are signed with the new secret from the next attempt on
+   * @param {object} user - Authenticated user
+   * @param {string} businessId - Business ID
+   * @returns {Promise<object>} - The new secret, shown only once
+   */
+  async rotateWebhookSecret(user, businessId) {
+    await this.authorize(user, PERMISSIONS.UPDATE, businessId);
+
+    const business = await this.findBusiness(businessId);
+    const webhookSecret = business.generateWebhookSecret();
+    await business.save();
+
+    logger.info(`Webhook secret of business ${business._id} rotated by user ${user._id}`);
+
+    return { webhookSecret };
+  }
+
+  /**
+   * Point a business's SMS at its own provider account
+   * Replaces any gateway set before; the API key is never returned
+   * @param {object} user - Authenticated user
+   * @param {string} businessId - Business ID
+   * @param {object} data - Gateway settings (provider, senderId, username, apiKey, url)
+   * @returns {Promise<object>} - Formatted business
+   */
+  async updateSmsGateway(user, businessId, data) {
+    await this.authorize(user, PERMISSIONS.UPDATE, businessId);
+
+    const business = await this.findBusiness(businessId);
+    business.smsGateway = {
+      provider: data.provider,
+      senderId: data.senderId,
+      username: data.username,
+      apiKey: data.apiKey,
+      url: data.url,
+      updatedAt: new Date()
+    };
+    await business.save();
+
+    logger.info(`SMS gateway of business ${business._id} set to ${data.provider} by user ${user._id}`);
+
+    return this.formatBusiness(business, user);
+  }
+
+  /**
+   * Remove a business's SMS gateway, sending its SMS through the platform's provider again
+   * @param {object} user - Authenticated user
+   * @param {string} businessId - Business ID
+   * @returns {Promise<object>} - Formatted business
+   */
+  async removeSmsGateway(user, businessId) {
+    await this.authorize(user, PERMISSIONS.UPDATE, businessId);
+
+    const business = await this.findBusiness(businessId);
+    business.smsGateway = null;
+    await business.save();
+
+    logger.info(`SMS gateway of business ${business._id} removed by user ${user._id}`);
+
+    return this.formatBusiness(business, user);
+  }
+
+  /**
+   * Soft delete a business; only its owner may do this
+   * @param {object} user - Authenticated user
+   * @param {string} businessId - Business ID
+   * @returns {Promise<void>}
+   */
+  async deleteBusiness(user, businessId) {
+    await this.authorize(user, PERMISSIONS.DELETE, businessId);
+
+    const business = await this.findBusiness(businessId);
+    business.softDelete();
+    await business.save();
+
+    logger.info(`Business ${business._id} deleted by user ${user._id}`);
+  }
+
+  /**
+   * Format a business for the API, without credentials
+   * @param {object} business - Business document
+   * @param {object} user - Authenticated user
+   * @returns {object} - Formatted business
+   */
+  formatBusiness(business, user) {
+    return {
+      id: business._id,
+      name: business.name,
+      description: business.description,
+      role: RoleService.getMembershipRole(user, business),
+      status: business.status,
+      webhookUrl: business.webhookUrl,
+      notificationEmail: business.notificationEmail,
+      notificationPhone: business.notificationPhone,
+      logo: business.logo,
+      website: business.website,
+      address: business.address,
+      defaultCurrency: business.defaultCurrency,
+      locale: business.locale,
+      activeApiKeys: business.apiKeys.filter(key => key.isActive).length,
+      mpesaIntegrations: business.mpesaIntegrations.map(integration => ({
+        country: integration.country,
+        shortCode: integration.shortCode,
+        status: integration.status,
+        isLive: integration.isLive
+      })),
+      receiptSettings: business.receiptSettings ? {
+        enabled: business.receiptSettings.enabled,
+        channels: business.receiptSettings.channels,
+        footer: business.receiptSettings.footer
+      } : null,
+      smsGateway: business.smsGateway && business.smsGateway.provider ? {
+        provider: business.smsGateway.provider,
+        senderId: business.smsGateway.senderId,
+        username: business.smsGateway.username,
+        url: business.smsGateway.url,
+        updatedAt: business.smsGateway.updatedAt
+      } : null,
+      memberCount: business.users.length,
+      createdAt: business.createdAt,
+      updatedAt: business.updatedAt
+    };
+  }
+}
+
+module.exports = new BusinessService();
@@ -0,0 +1,424 @@
+// server/src/services/business/memberService.js
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Business = require('../../models/business');
+const BusinessInvitation = require('../../models/businessInvitation');
+const User = require('../../models/user.model');
+const businessService = require('./businessService');
+const { RoleService, MEMBER_ROLES } = require('../auth/roleService');
+const { sendInvitationEmail } = require('../email.service');
+const logger = require('../../utils/logger');
+const AppError = require('../../utils/appError');
+const config = require('../../config');
+
+// An invitation is emailed again at most this often
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Service for a business's members and invitations
+ * The owner manages everyone; admins manage members but cannot grant or take away the admin
+ * role. Anyone but the owner may leave, and the owner leaves only by transferring ownership
+ */
+class MemberService {
+  /**
+   * Hash an invitation token for storage and lookup
+   * @param {string} token - Token from the invitation link
+   * @returns {string} - Hex SHA-256
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Check that a member may grant a role
+   * @param {string} actorRole - Membership role of the acting user
+   * @param {string} role - Role to grant
+   * @returns {void}
+   */
+  assertCanGrant(actorRole, role) {
+    if (role === MEMBER_ROLES.ADMIN && actorRole !== MEMBER_ROLES.OWNER) {
+      throw new AppError('Only the owner can grant the admin role', 403);
+    }
+  }
+
+  /**
+   * Check that a member may change or remove another member
+   * @param {string} actorRole - Membership role of the acting user
+   * @param {string} targetRole - Membership role of the member being managed
+   * @returns {void}
+   */
+  assertCanManage(actorRole, targetRole) {
+    if (targetRole === MEMBER_ROLES.OWNER) {
+      throw new AppError('The owner\'s membership can only change by transferring ownership', 400);
+    }
+    if (actorRole !== MEMBER_ROLES.OWNER && targetRole !== MEMBER_ROLES.MEMBER) {
+      throw new AppError('Only the owner can change or remove admins', 403);
+    }
+  }
+
+  /**
+   * Find a member of a business
+   * @param {object} business - Business document
+   * @param {string} userId - Member's user ID
+   * @returns {object} - { membership, role } where membership is the users entry, if any
+   */
+  findMember(business, userId) {
+    const role = mongoose.isValidObjectId(userId) && RoleService.getMembershipRole({ _id: userId }, business);
+
+    if (!role) {
+      throw new AppError('Member not found', 404);
+    }
+
+    const membership = business.users.find(member => member.user && member.user.toString() === String(userId));
+    return { membership, role };
+  }
+
+  /**
+   * List a business's members, the owner first
+   * @param {string} businessId - Business ID
+   * @returns {Promise<Array<object>>} - Formatted members
+   */
+  async listMembers(businessId) {
+    const business = await businessService.findBusiness(businessId);
+    const memberIds = business.users.map(member => member.user).filter(Boolean);
+    if (!memberIds.some(id => id.toString() === business.owner.toString())) {
+      memberIds.push(business.owner);
+    }
+
+    const users = await User.find({ _id: { $in: memberIds } }).select('firstName lastName email');
+    const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+    return memberIds
+      .map(id => {
+        const user = byId.get(id.toString());
+        const membership = business.users.find(member => member.user && member.user.toString() === id.toString());
+        return {
+          userId: id,
+          name: user ? `${user.firstName} ${user.lastName}` : null,
+          email: user ? user.email : null,
+          role: RoleService.getMembershipRole({ _id: id }, business),
+          addedAt: membership ? membership.addedAt : business.createdAt
+        };
+      })
+      .sort((a, b) => (b.role === MEMBER_ROLES.OWNER) - (a.role === MEMBER_ROLES.OWNER) || a.addedAt - b.addedAt);
+  }
+
+  /**
+   * Change a member's role
+   * @param {object} user - Authenticated user
+   * @param {string} businessId - Business ID
+   * @param {string} memberId - Member's user ID
+   * @param {string} role - New role (admin or member)
+   * @returns {Promise<object>} - { userId, role }
+   */
+  async changeRole(user, businessId, memberId, role) {
+    const business = await businessService.findBusiness(businessId);
+    const actorRole = RoleService.getMembershipRole(user, business);
+    const { membership, role: currentRole } = this.findMember(business, memberId);
+
+    this.assertCanManage(actorRole, currentRole);
+    this.assertCanGrant(actorRole, role);
+
+    membership.role = role;
+    await business.save();
+
+    logger.info(`Member ${memberId} of business ${business._id} made ${role} by user ${user._id}`);
+
+    return { userId: membership.user, role };
+  }
+
+  /**
+   * Remove a member from a business; members may also remove themselves
+   * @param {object} user - Authenticated user
+   * @param {string} businessId - Business ID
+   * @param {string} memberId - Member's user ID
+   * @returns {Promise<void>}
+   */
+  async removeMember(user, businessId, memberId) {
+    const business = await businessService.findBusiness(businessId);
+    const actorRole = RoleService.getMembershipRole(user, business);
+    const { membership, role } = this.findMember(business, memberId);
+
+    if (String(memberId) === user._id.toString()) {
+      if (role === MEMBER_ROLES.OWNER) {
+        throw new AppError('The owner cannot leave the business; transfer ownership first', 400);
+      }
+    } else {
+      if (![MEMBER_ROLES.OWNER, MEMBER_ROLES.ADMIN].includes(actorRole)) {
+        throw new AppError('You do not have permission to perform this action', 403);
+      }
+      this.assertCanManage(actorRole, role);
+    }
+
+    business.users.pull(membership._id);
+    await business.save();
+
+    logger.info(`Member ${memberId} removed from business ${business._id} by user ${user._id}`);
+  }
+
+  /**
+   * Make another member the owner; the previous owner stays on as an admin
+   * @param {object} user - Authenticated user, who must be the owner
+   * @param {string} businessId - Business ID
+   * @param {string} newOwnerId - User ID of the member taking over
+   * @returns {Promise<object>} - Formatted business
+   */
+  async transferOwnership(user, businessId, newOwnerId) {
+    const business = await businessService.findBusiness(businessId);
+
+    if (RoleService.getMembershipRole(user, business) !== MEMBER_ROLES.OWNER) {
+      throw new AppError('Only the owner can transfer ownership', 403);
+    }
+    if (String(newOwnerId) === user._id.toString()) {
+      throw new AppError('You already own this business', 400);
+    }
+
+    const { membership } = this.findMember(business, newOwnerId);
+    const previousOwner = business.users.find(member => member.user && member.user.toString() === user._id.toString());
+
+    business.owner = membership.user;
+    membership.role = MEMBER_ROLES.OWNER;
+    if (previousOwner) {
+      previousOwner.role = MEMBER_ROLES.ADMIN;
+    } else {
+      business.users.push({ user: user._id, role: MEMBER_ROLES.ADMIN });
+    }
+    await business.save();
+
+    logger.info(`Ownership of business ${business._id} transferred from user ${user._id} to ${newOwnerId}`);
+
+    return businessService.formatBusiness(business, user);
+  }
+
+  /**
+   * Invite someone to a business by email
+   * @param {object} user - Authenticated user
+   * @param {string} businessId - Business ID
+   * @param {object} data - { email, role }
+   * @returns {Promise<object>} - Formatted invitation, with whether the email was sent
+   */
+  async createInvitation(user, businessId, data) {
+    const business = await businessService.findBusiness(businessId);
+    const email = String(data.email).trim().toLowerCase();
+    const role = data.role || MEMBER_ROLES.MEMBER;
+
+    this.assertCanGrant(RoleService.getMembershipRole(user, business), role);
+
+    const invitee = await User.findOne({ email }).select('_id');
+    if (invitee && RoleService.getMembershipRole(invitee, business)) {
+      throw new AppError(`${email} is already a member of this business`, 409);
+    }
+
+    const open = await BusinessInvitation.findOne({ business: business._id, email, status: 'pending' });
+    if (open && !open.isExpired()) {
+      throw new AppError('An invitation has already been sent to this address; resend it instead', 409);
+    }
+    if (open) {
+      open.status = 'expired';
+      await open.save();
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    let invitation;
+    try {
+      invitation = await BusinessInvitation.create({
+        business: business._id,
+        email,
+        role,
+        tokenHash: this.hashToken(token),
+        invitedBy: user._id,
+        expiresAt: new Date(Date.now() + config.invitations.ttlMs)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('An invitation has already been sent to this address; resend it instead', 409);
+      }
+      throw error;
+    }
+
+    logger.info(`User ${user._id} invited ${email} to business ${business._id} as ${role}`);
+
+    const emailSent = await this.sendInvitation(invitation, token, business, user);
+    return { ...this.formatInvitation(invitation), emailSent };
+  }
+
+  /**
+   * List a business's invitations, newest first
+   * @param {string} businessId - Business ID
+   * @param {object} filters - { status }
+   * @returns {Promise<Array<object>>} - Formatted invitations
+   */
+  async listInvitations(businessId, filters = {}) {
+    const invitations = await BusinessInvitation.find({ business: businessId }).sort({ createdAt: -1 });
+
+    return invitations
+      .map(invitation => this.formatInvitation(invitation))
+      .filter(invitation => !filters.status || invitation.status === filters.status);
+  }
+
+  /**
+   * Email an invitation again with a new link; the old link stops working
+   * @param {object} user - Authenticated user
+   * @param {string} businessId - Business ID
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<object>} - Formatted invitation, with whether the email was sent
+   */
+  async resendInvitation(user, businessId, invitationId) {
+    const business = await businessService.findBusiness(businessId);
+    const invitation = await this.findInvitation(business._id, invitationId);
+
+    this.assertCanGrant(RoleService.getMembershipRole(user, business), invitation.role);
+
+    if (invitation.status !== 'pending') {
+      throw new AppError(`This invitation has been ${invitation.status} and cannot be resent`, 409);
+    }
+    if (Date.now() - invitation.lastSentAt.getTime() < RESEND_INTERVAL_MS) {
+      throw new AppError('This invitation was just sent; wait a minute before sending it again', 429);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    invitation.tokenHash = this.hashToken(token);
+    invitation.expiresAt = new Date(Date.now() + config.invitations.ttlMs);
+    invitation.sentCount += 1;
+    invitation.lastSentAt = new Date();
+    await invitation.save();
+
+    const emailSent = await this.sendInvitation(invitation, token, business, user);
+    return { ...this.formatInvitation(invitation), emailSent };
+  }
+
+  /**
+   * Revoke an invitation so its link stops working
+   * @param {object} user - Authenticated user
+   * @param {string} businessId - Business ID
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<object>} - Formatted invitation
+   */
+  async revokeInvitation(user, businessId, invitationId) {
+    const business = await businessService.findBusiness(businessId);
+    const invitation = await this.findInvitation(business._id, invitationId);
+
+    this.assertCanGrant(RoleService.getMembershipRole(user, business), invitation.role);
+
+    if (invitation.status !== 'pending') {
+      throw new AppError(`This invitation has already been ${invitation.status}`, 409);
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedBy = user._id;
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    logger.info(`Invitation ${invitation._id} to business ${business._id} revoked by user ${user._id}`);
+
+    return this.formatInvitation(invitation);
+  }
+
+  /**
+   * Accept an invitation, joining its business with its role
+   * The signed-in user's email must be the one the invitation was sent to
+   * @param {object} user - Authenticated user
+   * @param {string} token - Token from the invitation link
+   * @returns {Promise<object>} - Formatted business
+   */
+  async acceptInvitation(user, token) {
+    const invitation = await BusinessInvitation.findOne({ tokenHash: this.hashToken(token), status: 'pending' });
+
+    if (!invitation) {
+      throw new AppError('Invitation not found or no longer valid', 404);
+    }
+    if (invitation.isExpired()) {
+      throw new AppError('This invitation has expired; ask for a new one', 400);
+    }
+    if (invitation.email !== String(user.email).toLowerCase()) {
+      throw new AppError('This invitation was sent to a different email address', 403);
+    }
+
+    const business = await businessService.findBusiness(invitation.business);
+
+    // Claimed first, so a link cannot be accepted twice
+    const claimed = await BusinessInvitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { $set: { status: 'accepted', acceptedBy: user._id, acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError('Invitation not found or no longer valid', 404);
+    }
+
+    // Someone who has joined in the meantime keeps their role
+    await Business.updateOne(
+      { _id: business._id, owner: { $ne: user._id }, 'users.user': { $ne: user._id } },
+      { $push: { users: { user: user._id, role: invitation.role, addedAt: new Date() } } }
+    );
+
+    logger.info(`User ${user._id} joined business ${business._id} as ${invitation.role}`);
+
+    return businessService.formatBusiness(await businessService.findBusiness(business._id), user);
+  }
+
+  /**
+   * Find one of a business's invitations
+   * @param {string} businessId - Business ID
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<object>} - Invitation document
+   */
+  async findInvitation(businessId, invitationId) {
+    const invitation = await BusinessInvitation.findOne({ _id: invitationId, business: businessId });
+
+    if (!invitation) {
+      throw new AppError('Invitation not found', 404);
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Email an invitation link; a failed email leaves the invitation to be resent
+   * @param {object} invitation - Invitation document
+   * @param {string} token - Token for the link
+   * @param {object} business - Business document
+   * @param {object} inviter - User sending the invitation
+   * @returns {Promise<boolean>} - Whether the email was sent
+   */
+  async sendInvitation(invitation, token, business, inviter) {
+    try {
+      await sendInvitationEmail(invitation.email, {
+        businessName: business.name,
+        inviterName: `${inviter.firstName} ${inviter.lastName}`.trim() || inviter.email,
+        role: invitation.role,
+        token,
+        expiresAt: invitation.expiresAt
+      });
+      return true;
+    } catch (error) {
+      logger.error(`Error emailing invitation ${invitation._id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Format an invitation for the API, without its token
+   * @param {object} invitation - Invitation document
+   * @returns {object} - Formatted invitation
+   */
+  formatInvitation(invitation) {
+    return {
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      status: invitation.status === 'pending' && invitation.isExpired() ? 'expired' : invitation.status,
+      invitedBy: invitation.invitedBy,
+      expiresAt: invitation.expiresAt,
+      sentCount: invitation.sentCount,
+      lastSentAt: invitation.lastSentAt,
+      acceptedBy: invitation.acceptedBy,
+      acceptedAt: invitation.acceptedAt,
+      revokedAt: invitation.revokedAt,
+      createdAt: invitation.createdAt
+    };
+  }
+}
+
+module.exports = new MemberService();
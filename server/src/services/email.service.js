@@ -2,6 +2,7 @@
 
 const nodemailer = require('nodemailer');
 const logger = require('../config/logger');
+const { escapeHtml } = require('./notifications/templateEngine');
 
 /**
  * Configure email transporter
@@ -39,6 +40,8 @@ const createTransporter = () => {
  * @param {String} options.subject - Email subject
  * @param {String} options.text - Plain text content
  * @param {String} options.html - HTML content
+ * @param {String} [options.fromName] - Sender display name, e.g. a business sending on the platform's address
+ * @param {String} [options.replyTo] - Reply-to address
  * @returns {Promise<Object>} - Nodemailer info object
  */
 const sendEmail = async (options) => {
@@ -46,11 +49,16 @@ const sendEmail = async (options) => {
     const transporter = createTransporter();
     
     const mailOptions = {
-      from: `M-Pesa Integration Platform <${process.env.EMAIL_FROM || 'noreply@mpesa-platform.com'}>`,
+      // Nodemailer quotes the display name, which may come from a business
+      from: {
+        name: options.fromName || 'M-Pesa Integration Platform',
+        address: process.env.EMAIL_FROM || 'noreply@mpesa-platform.com'
+      },
       to: options.to,
       subject: options.subject,
       text: options.text,
-      html: options.html
+      html: options.html,
+      replyTo: options.replyTo
     };
     
     const info = await transporter.sendMail(mailOptions);
@@ -165,9 +173,42 @@ const sendTransactionNotificationEmail = async (email, transaction) => {
   });
 };
 
+/**
+ * Send an invitation to join a business
+ * @param {String} email - Recipient email
+ * @param {Object} invitation - { businessName, inviterName, role, token, expiresAt }
+ * @returns {Promise<Object>} - Nodemailer info object
+ */
+const sendInvitationEmail = async (email, invitation) => {
+  const acceptUrl = `${process.env.CLIENT_URL}/invitations/accept?token=${invitation.token}`;
+  const expires = new Date(invitation.expiresAt).toLocaleDateString();
+  
+  return sendEmail({
+    to: email,
+    subject: `You have been invited to join ${invitation.businessName} - M-Pesa Integration Platform`,
+    text: `${invitation.inviterName} has invited you to join ${invitation.businessName} as ${invitation.role === 'admin' ? 'an admin' : 'a member'} on the M-Pesa Integration Platform. Accept the invitation by clicking on the following link: ${acceptUrl}\n\nThe invitation expires on ${expires}. If you were not expecting it, please ignore this email.`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Join ${escapeHtml(invitation.businessName)}</h2>
+        <p>${escapeHtml(invitation.inviterName)} has invited you to join <strong>${escapeHtml(invitation.businessName)}</strong> as ${invitation.role === 'admin' ? 'an admin' : 'a member'} on the M-Pesa Integration Platform.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${acceptUrl}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">Accept Invitation</a>
+        </div>
+        <p>If the button doesn't work, you can also copy and paste the following link into your browser:</p>
+        <p><a href="${acceptUrl}">${acceptUrl}</a></p>
+        <p>This invitation expires on ${expires}. Sign in or register with this email address to accept it.</p>
+        <p>If you were not expecting this invitation, please ignore this email.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+        <p style="color: #777; font-size: 12px;">© ${new Date().getFullYear()} M-Pesa Integration Platform. All rights reserved.</p>
+      </div>
+    `
+  });
+};
+
 module.exports = {
   sendEmail,
   sendVerificationEmail,
   sendPasswordResetEmail,
-  sendTransactionNotificationEmail
+  sendTransactionNotificationEmail,
+  sendInvitationEmail
 };
\ No newline at end of file
@@ -0,0 +1,429 @@
+// server/src/services/jobs/jobScheduler.js
+
+const crypto = require('crypto');
+const os = require('os');
+const ScheduledJob = require('../../models/scheduledJob');
+const JobRun = require('../../models/jobRun');
+const cron = require('../../utils/cron');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+
+// Longest error message kept in job history
+const MAX_ERROR_LENGTH = 2000;
+
+/**
+ * Mongo-backed scheduler for recurring jobs
+ * Jobs are defined in code with a cron schedule and stored in MongoDB, so every
+ * server process sees the same schedule, history and metrics. A process runs a
+ * job only after taking its lease; the lease is renewed while the job runs and
+ * expires if the process dies, so another replica picks the job up
+ */
+class JobScheduler {
+  constructor() {
+    this.definitions = new Map();
+    this.running = new Set();
+    this.timer = null;
+    this.polling = false;
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Define a job
+   * @param {string} name - Unique job name, e.g. transactions.expire-initiated
+   * @param {Object} options - Job options
+   * @param {string} options.schedule - Five-field cron expression (UTC)
+   * @param {Function} options.handler - Async function run with { job, runId, trigger };
+   *   what it returns is stored as the run's result
+   * @param {string} [options.description] - What the job does
+   * @param {number} [options.leaseMs] - How long a lease lasts before it must be renewed
+   */
+  define(name, options) {
+    if (!cron.isValid(options.schedule)) {
+      throw new Error(`Invalid schedule for job ${name}: ${options.schedule}`);
+    }
+    if (typeof options.handler !== 'function') {
+      throw new Error(`Job ${name} needs a handler`);
+    }
+
+    this.definitions.set(name, {
+      name,
+      schedule: options.schedule,
+      description: options.description,
+      handler: options.handler,
+      leaseMs: options.leaseMs || config.jobs.leaseMs
+    });
+  }
+
+  /**
+   * Store the defined jobs and start polling for due ones
+   * A job's schedule and description come from its definition; whether it is
+   * enabled is kept as an admin set it
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.timer || !config.jobs.enabled) {
+      return;
+    }
+
+    await Promise.all(Array.from(this.definitions.values()).map(definition => this.register(definition)));
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => {
+        logger.error('Error polling scheduled jobs', { error: error.message });
+      });
+    }, config.jobs.pollIntervalMs);
+
+    // The scheduler alone should not keep the process alive
+    this.timer.unref();
+
+    logger.info(`Job scheduler started with ${this.definitions.size} job(s) as ${this.owner}`);
+  }
+
+  /**
+   * Stop polling for due jobs
+   * Jobs still running keep their lease until they finish or the process exits;
+   * another process takes over once the lease expires
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Create or update a job's document from its definition
+   * @param {Object} definition - Job definition
+   * @returns {Promise<void>}
+   */
+  async register(definition) {
+    const existing = await ScheduledJob.findOne({ name: definition.name });
+
+    if (!existing) {
+      try {
+        await ScheduledJob.create({
+          name: definition.name,
+          description: definition.description,
+          schedule: definition.schedule,
+          nextRunAt: cron.nextRun(definition.schedule)
+        });
+      } catch (error) {
+        // Another replica registered it first
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+      return;
+    }
+
+    if (existing.schedule !== definition.schedule || existing.description !== definition.description) {
+      await ScheduledJob.updateOne(
+        { _id: existing._id },
+        {
+          $set: {
+            schedule: definition.schedule,
+            description: definition.description,
+            nextRunAt: cron.nextRun(definition.schedule)
+          }
+        }
+      );
+    }
+  }
+
+  /**
+   * Run every job that is due and whose lease this process can take
+   * @returns {Promise<number>} - Number of jobs started
+   */
+  async poll() {
+    // A slow poll must not overlap the next tick
+    if (this.polling) {
+      return 0;
+    }
+
+    this.polling = true;
+    let started = 0;
+
+    try {
+      for (const definition of this.definitions.values()) {
+        if (this.running.has(definition.name)) {
+          continue;
+        }
+
+        const job = await this.acquire(definition);
+        if (job) {
+          started += 1;
+          this.running.add(definition.name);
+          // Jobs run side by side; the poll does not wait for them
+          this.execute(definition, job)
+            .catch(error => {
+              logger.error(`Error running job ${definition.name}`, { error: error.message });
+            })
+            .finally(() => this.running.delete(definition.name));
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+
+    return started;
+  }
+
+  /**
+   * Take the lease of a job if it is due and no live process holds it
+   * A pending manual trigger is consumed with the lease, so a trigger made while
+   * the job runs starts another run afterwards
+   * @param {Object} definition - Job definition
+   * @returns {Promise<Object|null>} - Job document as it was before the lease was taken, or null
+   */
+  async acquire(definition) {
+    const now = new Date();
+
+    return ScheduledJob.findOneAndUpdate(
+      {
+        name: definition.name,
+        $and: [
+          { $or: [{ 'lease.expiresAt': { $exists: false } }, { 'lease.expiresAt': { $lte: now } }] },
+          { $or: [{ enabled: true, nextRunAt: { $lte: now } }, { triggeredAt: { $ne: null } }] }
+        ]
+      },
+      {
+        $set: { lease: { owner: this.owner, expiresAt: new Date(now.getTime() + definition.leaseMs) } },
+        $unset: { triggeredAt: 1, triggeredBy: 1 }
+      },
+      { new: false }
+    );
+  }
+
+  /**
+   * Run a leased job and record the outcome
+   * @param {Object} definition - Job definition
+   * @param {Object} job - Job document from acquire
+   * @returns {Promise<Object>} - Job run document
+   */
+  async execute(definition, job) {
+    const manual = Boolean(job.triggeredAt);
+    const run = await JobRun.create({
+      job: definition.name,
+      trigger: manual ? 'manual' : 'schedule',
+      triggeredBy: manual ? job.triggeredBy : undefined,
+      owner: this.owner
+    });
+
+    // Keep the lease while the job runs
+    const heartbeat = setInterval(() => {
+      ScheduledJob.updateOne(
+        { _id: job._id, 'lease.owner': this.owner },
+        { $set: { 'lease.expiresAt': new Date(Date.now() + definition.leaseMs) } }
+      ).catch(error => {
+        logger.warn(`Could not renew the lease of job ${definition.name}: ${error.message}`);
+      });
+    }, Math.max(1000, Math.floor(definition.leaseMs / 2)));
+    heartbeat.unref();
+
+    const startedAt = run.startedAt;
+    let status = 'succeeded';
+    let result;
+    let errorMessage;
+
+    try {
+      result = await definition.handler({ job: definition.name, runId: run._id, trigger: run.trigger });
+    } catch (error) {
+      status = 'failed';
+      errorMessage = String(error.message || error).slice(0, MAX_ERROR_LENGTH);
+      logger.error(`Job ${definition.name} failed`, { error: errorMessage });
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    const finishedAt = new Date();
+    const durationMs = finishedAt - startedAt;
+
+    await JobRun.updateOne(
+      { _id: run._id },
+      { $set: { status, finishedAt, durationMs, result, error: errorMessage } }
+    );
+
+    // Only the lease holder updates the job; another instance may have taken an expired lease over
+    const updated = await ScheduledJob.updateOne(
+      { _id: job._id, 'lease.owner': this.owner },
+      {
+        $set: {
+          lastRun: { run: run._id, status, startedAt, finishedAt, durationMs, result, error: errorMessage },
+          nextRunAt: cron.nextRun(job.schedule, finishedAt),
+          [`metrics.last${status === 'succeeded' ? 'Succeeded' : 'Failed'}At`]: finishedAt
+        },
+        $inc: {
+          'metrics.runs': 1,
+          [`metrics.${status}`]: 1,
+          'metrics.totalDurationMs': durationMs
+        },
+        $max: { 'metrics.maxDurationMs': durationMs },
+        $unset: { lease: 1 }
+      }
+    );
+
+    if (updated.matchedCount === 0) {
+      logger.warn(`Job ${definition.name} lost its lease while running; only its run was recorded`);
+    }
+
+    logger.info(`Job ${definition.name} ${status} in ${durationMs}ms`);
+
+    return JobRun.findById(run._id);
+  }
+
+  /**
+   * Find a defined job's document
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} - Job document
+   * @throws {AppError} If no such job is defined
+   */
+  async findJob(name) {
+    const job = this.definitions.has(name) ? await ScheduledJob.findOne({ name }) : null;
+
+    if (!job) {
+      throw new AppError('Job not found', 404);
+    }
+
+    return job;
+  }
+
+  /**
+   * Format a job for the API
+   * @param {Object} job - Job document
+   * @returns {Object} - Formatted job
+   */
+  formatJob(job) {
+    const metrics = job.metrics || {};
+
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      enabled: job.enabled,
+      nextRunAt: job.nextRunAt,
+      triggeredAt: job.triggeredAt,
+      running: Boolean(job.lease && job.lease.expiresAt && job.lease.expiresAt > new Date()),
+      runningOn: job.lease && job.lease.expiresAt > new Date() ? job.lease.owner : null,
+      lastRun: job.lastRun && job.lastRun.startedAt ? job.lastRun : null,
+      metrics: {
+        runs: metrics.runs || 0,
+        succeeded: metrics.succeeded || 0,
+        failed: metrics.failed || 0,
+        averageDurationMs: metrics.runs ? Math.round(metrics.totalDurationMs / metrics.runs) : null,
+        maxDurationMs: metrics.maxDurationMs || 0,
+        lastSucceededAt: metrics.lastSucceededAt,
+        lastFailedAt: metrics.lastFailedAt
+      }
+    };
+  }
+
+  /**
+   * List the defined jobs with their last run and metrics
+   * @returns {Promise<Array<Object>>} - Formatted jobs
+   */
+  async listJobs() {
+    const jobs = await ScheduledJob.find({ name: { $in: Array.from(this.definitions.keys()) } }).sort({ name: 1 });
+    return jobs.map(job => this.formatJob(job));
+  }
+
+  /**
+   * Get a job with its most recent runs
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} - Formatted job with recentRuns
+   */
+  async getJob(name) {
+    const job = await this.findJob(name);
+    const recentRuns = await JobRun.find({ job: name }).sort({ startedAt: -1 }).limit(10);
+
+    return { ...this.formatJob(job), recentRuns };
+  }
+
+  /**
+   * List a job's runs, newest first
+   * @param {string} name - Job name
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.status] - Run status
+   * @param {number} [filters.page] - Page number
+   * @param {number} [filters.limit] - Page size
+   * @returns {Promise<Object>} - Runs with pagination
+   */
+  async listRuns(name, filters = {}) {
+    await this.findJob(name);
+
+    const page = parseInt(filters.page, 10) || 1;
+    const limit = Math.min(parseInt(filters.limit, 10) || 20, 100);
+    const query = { job: name };
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(query).sort({ startedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      JobRun.countDocuments(query)
+    ]);
+
+    return {
+      data: runs,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Ask for a job to run now, outside its schedule
+   * The run happens at the next poll of whichever process takes the lease; a job
+   * already running is not interrupted and runs again once it finishes
+   * @param {string} name - Job name
+   * @param {Object} [user] - Admin who triggered it
+   * @returns {Promise<Object>} - Formatted job
+   */
+  async trigger(name, user) {
+    const job = await this.findJob(name);
+
+    job.triggeredAt = new Date();
+    job.triggeredBy = user && user._id;
+    await job.save();
+
+    logger.info(`Job ${name} triggered manually${user ? ` by user ${user._id}` : ''}`);
+
+    // Start it here right away if this process is polling
+    if (this.timer) {
+      setImmediate(() => {
+        this.poll().catch(error => {
+          logger.error('Error polling scheduled jobs', { error: error.message });
+        });
+      });
+    }
+
+    return this.formatJob(job);
+  }
+
+  /**
+   * Pause or resume a job's schedule; manual triggers still run
+   * @param {string} name - Job name
+   * @param {boolean} enabled - Whether the job runs on its schedule
+   * @returns {Promise<Object>} - Formatted job
+   */
+  async setEnabled(name, enabled) {
+    const job = await this.findJob(name);
+
+    job.enabled = enabled;
+    if (enabled) {
+      // Resume from now rather than running every missed slot
+      job.nextRunAt = cron.nextRun(job.schedule);
+    }
+    await job.save();
+
+    logger.info(`Job ${name} ${enabled ? 'enabled' : 'disabled'}`);
+
+    return this.formatJob(job);
+  }
+}
+
+module.exports = new JobScheduler();
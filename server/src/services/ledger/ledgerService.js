@@ -0,0 +1,519 @@
+// server/src/services/ledger/ledgerService.js
+
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const JournalEntry = require('../../models/journalEntry');
+const LedgerAccount = require('../../models/ledgerAccount');
+const Transaction = require('../../models/transaction');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+const { ACCOUNT_TYPES } = LedgerAccount;
+
+// Money into the business's account; every other transaction type leaves it
+const INBOUND_TYPES = ['payment', 'deposit'];
+
+// Outgoing transactions in these statuses still hold their funds
+const IN_FLIGHT_STATUSES = ['pending', 'processing'];
+const UNPAID_STATUSES = ['failed', 'canceled', 'expired'];
+
+/**
+ * Convert an amount to minor units (cents)
+ * @param {number} amount - Amount in major units
+ * @returns {number} Whole minor units
+ */
+const toMinor = (amount) => Math.round(Number(amount || 0) * 100);
+
+/**
+ * Convert minor units (cents) to an amount
+ * @param {number} minor - Minor units
+ * @returns {number} Amount in major units
+ */
+const fromMinor = (minor) => Math.round(minor) / 100;
+
+/**
+ * Build a journal line; negative amounts move to the other side and zero amounts are dropped
+ * @param {string} accountType - Balance account type
+ * @param {string} direction - 'debit' or 'credit'
+ * @param {number} amountMinor - Amount in minor units
+ * @returns {Array<object>} Zero or one line
+ */
+const line = (accountType, direction, amountMinor) => {
+  if (amountMinor === 0) {
+    return [];
+  }
+  if (amountMinor < 0) {
+    return [{ accountType, direction: direction === 'debit' ? 'credit' : 'debit', amountMinor: -amountMinor }];
+  }
+  return [{ accountType, direction, amountMinor }];
+};
+
+/**
+ * Signed effect of a line on its account's balance
+ * @param {object} entryLine - Journal line
+ * @returns {number} Minor units, positive when the balance grows
+ */
+const balanceDelta = (entryLine) =>
+  (entryLine.direction === ACCOUNT_TYPES[entryLine.accountType] ? 1 : -1) * entryLine.amountMinor;
+
+/**
+ * Service for the double-entry ledger
+ * Each change to a business's funds is a journal entry of balanced debits and credits,
+ * written as one immutable document. Transactions post entries as their status changes:
+ * collections credit the available balance when they complete, while payouts move funds
+ * to reserved when submitted and settle or release them once the provider answers
+ */
+class LedgerService {
+  /**
+   * Get a business's balance account, creating it on first use
+   * @param {string} businessId - Business ID
+   * @param {string} currency - Currency code
+   * @param {string} type - Account type
+   * @returns {Promise<object>} - Ledger account document
+   */
+  async getAccount(businessId, currency, type) {
+    const filter = { business: businessId, currency, type };
+
+    try {
+      return await LedgerAccount.findOneAndUpdate(
+        filter,
+        { $setOnInsert: { normalBalance: ACCOUNT_TYPES[type] } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Another posting created the account at the same time
+      if (error.code === 11000) {
+        return LedgerAccount.findOne(filter);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Post a journal entry and apply it to the account balances
+   * The entry and the balance updates are written in one MongoDB transaction, which needs a
+   * replica set. Posting the same key again returns the first entry and changes nothing. With
+   * requireFunds, the entry is refused unless the available balance covers its debit
+   * @param {object} data - { business, currency, key, event, transaction, reference, description, lines, postedAt, createdBy }
+   * @param {object} options - { requireFunds }
+   * @returns {Promise<object>} - { entry, created }
+   */
+  async postEntry(data, options = {}) {
+    const existing = await JournalEntry.findOne({ key: data.key });
+    if (existing) {
+      return { entry: existing, created: false };
+    }
+
+    const types = [...new Set(data.lines.map(entryLine => entryLine.accountType))];
+    const accounts = {};
+    for (const type of types) {
+      accounts[type] = await this.getAccount(data.business, data.currency, type);
+    }
+
+    const lines = data.lines.map(entryLine => ({ ...entryLine, account: accounts[entryLine.accountType]._id }));
+
+    // Net change per account, so each balance is updated once
+    const deltas = lines.reduce((acc, entryLine) => {
+      acc[entryLine.accountType] = (acc[entryLine.accountType] || 0) + balanceDelta(entryLine);
+      return acc;
+    }, {});
+
+    const session = await mongoose.startSession();
+    let entry;
+    try {
+      await session.withTransaction(async () => {
+        [entry] = await JournalEntry.create([{
+          business: data.business,
+          currency: data.currency,
+          key: data.key,
+          event: data.event,
+          transaction: data.transaction,
+          reference: data.reference,
+          description: data.description,
+          lines,
+          postedAt: data.postedAt || new Date(),
+          createdBy: data.createdBy
+        }], { session });
+
+        // Operations in a transaction must not run concurrently
+        for (const [type, delta] of Object.entries(deltas)) {
+          if (delta === 0) {
+            continue;
+          }
+
+          const filter = { _id: accounts[type]._id };
+          if (options.requireFunds && type === 'available' && delta < 0) {
+            filter.balanceMinor = { $gte: -delta };
+          }
+
+          const result = await LedgerAccount.updateOne(filter, { $inc: { balanceMinor: delta } }, { session });
+          if (result.matchedCount === 0) {
+            const available = await LedgerAccount.findById(accounts.available._id).session(session);
+            throw new AppError(
+              `Insufficient available balance: ${fromMinor(available ? available.balanceMinor : 0)} ${data.currency} ` +
+              `available, ${fromMinor(-delta)} ${data.currency} required`,
+              400
+            );
+          }
+        }
+      });
+    } catch (error) {
+      // A concurrent call posted the same key first
+      if (error.code === 11000) {
+        return { entry: await JournalEntry.findOne({ key: data.key }), created: false };
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    return { entry, created: true };
+  }
+
+  /**
+   * Work out the entries a transaction's current status calls for
+   * @param {object} transaction - Transaction document
+   * @returns {Promise<Array<object>>} - Entry data for postEntry
+   */
+  async getTransactionEntries(transaction) {
+    const amount = toMinor(transaction.amount);
+    const fee = toMinor(transaction.fee);
+    const entry = (event, lines, description) => ({
+      business: transaction.business,
+      currency: transaction.currency,
+      key: `${transaction._id}:${event}`,
+      event,
+      transaction: transaction._id,
+      reference: transaction.transactionId,
+      description: description || transaction.description,
+      lines
+    });
+
+    if (INBOUND_TYPES.includes(transaction.transactionType)) {
+      if (transaction.status !== 'completed') {
+        return [];
+      }
+      return [entry('collection.settled', [
+        ...line('provider', 'debit', amount),
+        ...line('available', 'credit', amount - fee),
+        ...line('fees', 'credit', fee)
+      ])];
+    }
+
+    // Outgoing: the amount plus its fee is held until the provider settles
+    const total = amount + fee;
+    const hasReserve = await JournalEntry.exists({ key: `${transaction._id}:payout.reserved` });
+
+    if (IN_FLIGHT_STATUSES.includes(transaction.status) && !hasReserve) {
+      return [entry('payout.reserved', [...line('available', 'debit', total), ...line('reserved', 'credit', total)])];
+    }
+
+    if (transaction.status === 'completed') {
+      return [entry('payout.settled', [
+        ...line(hasReserve ? 'reserved' : 'available', 'debit', total),
+        ...line('provider', 'credit', amount),
+        ...line('fees', 'credit', fee)
+      ])];
+    }
+
+    if (UNPAID_STATUSES.includes(transaction.status) && hasReserve) {
+      return [entry('payout.released', [
+        ...line('reserved', 'debit', total),
+        ...line('available', 'credit', total)
+      ], `Funds released: ${transaction.transactionType} ${transaction.status}`)];
+    }
+
+    return [];
+  }
+
+  /**
+   * Post the entries a transaction's status calls for and clear its ledgerPending flag
+   * Never throws: a failed posting leaves the flag set and the ledger job posts it later
+   * @param {object} transaction - Transaction document
+   * @returns {Promise<boolean>} - Whether the ledger is up to date with the transaction
+   */
+  async recordTransaction(transaction) {
+    try {
+      const entries = await this.getTransactionEntries(transaction);
+      for (const data of entries) {
+        await this.postEntry(data);
+      }
+
+      // Left set if the status moved on in the meantime, so that status is posted too
+      await Transaction.updateOne(
+        { _id: transaction._id, status: transaction.status },
+        { $unset: { ledgerPending: 1 } },
+        { timestamps: false }
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Ledger posting for transaction ${transaction._id} failed`, { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Hold a payout's amount and fee from the available balance before it is submitted
+   * @param {object} transaction - Outgoing transaction document
+   * @returns {Promise<object>} - Journal entry
+   * @throws {AppError} 400 when the available balance does not cover the payout
+   */
+  async reserveFunds(transaction) {
+    const total = toMinor(transaction.amount) + toMinor(transaction.fee);
+    const event = 'payout.reserved';
+
+    const { entry } = await this.postEntry({
+      business: transaction.business,
+      currency: transaction.currency,
+      key: `${transaction._id}:${event}`,
+      event,
+      transaction: transaction._id,
+      reference: transaction.transactionId,
+      description: transaction.description,
+      lines: [...line('available', 'debit', total), ...line('reserved', 'credit', total)]
+    }, { requireFunds: true });
+
+    return entry;
+  }
+
+  /**
+   * Post the ledger entries of transactions whose status changed without being posted
+   * @param {object} options - { olderThanMs, limit }
+   * @returns {Promise<object>} - { posted, errors }
+   */
+  async postPendingTransactions({ olderThanMs = 60 * 1000, limit = 100 } = {}) {
+    // Recent changes are still being posted by the request that made them
+    const transactions = await Transaction.find({
+      ledgerPending: true,
+      updatedAt: { $lt: new Date(Date.now() - olderThanMs) }
+    })
+      .sort({ updatedAt: 1 })
+      .limit(limit);
+
+    const summary = { posted: 0, errors: 0 };
+    for (const transaction of transactions) {
+      if (await this.recordTransaction(transaction)) {
+        summary.posted += 1;
+      } else {
+        summary.errors += 1;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Post an opening balance or manual correction to a business's available balance
+   * @param {string} businessId - Business ID
+   * @param {object} data - { currency, amount, direction, description }
+   * @param {object} user - Platform admin making the adjustment
+   * @returns {Promise<object>} - Formatted journal entry
+   */
+  async createAdjustment(businessId, data, user) {
+    const amount = toMinor(data.amount);
+    if (amount <= 0) {
+      throw new AppError('Amount must be greater than 0', 400);
+    }
+
+    // A credit adds to the available balance, a debit takes from it and needs the funds
+    const lines = data.direction === 'debit'
+      ? [...line('available', 'debit', amount), ...line('adjustments', 'credit', amount)]
+      : [...line('adjustments', 'debit', amount), ...line('available', 'credit', amount)];
+
+    const { entry } = await this.postEntry({
+      business: businessId,
+      currency: data.currency,
+      key: `adjustment:${uuidv4()}`,
+      event: 'adjustment',
+      description: data.description,
+      lines,
+      createdBy: user._id
+    }, { requireFunds: data.direction === 'debit' });
+
+    logger.info(`Ledger adjustment ${entry._id} for business ${businessId} by user ${user._id}`);
+
+    return this.formatEntry(entry);
+  }
+
+  /**
+   * Get a business's balances per currency, now or as they stood at a point in time
+   * Current balances come from the balance accounts; past ones are summed from the journal
+   * @param {string} businessId - Business ID
+   * @param {object} filters - { currency, at }
+   * @returns {Promise<Array<object>>} - One balance per currency
+   */
+  async getBalances(businessId, filters = {}) {
+    const byCurrency = {};
+    const add = (currency, type, minor) => {
+      byCurrency[currency] = byCurrency[currency] || {};
+      byCurrency[currency][type] = (byCurrency[currency][type] || 0) + minor;
+    };
+
+    let asOf = new Date();
+
+    if (filters.at) {
+      asOf = new Date(filters.at);
+      const totals = await JournalEntry.aggregate([
+        { $match: {
+          business: new mongoose.Types.ObjectId(String(businessId)),
+          ...(filters.currency ? { currency: filters.currency } : {}),
+          postedAt: { $lte: asOf }
+        }},
+        { $unwind: '$lines' },
+        { $group: {
+          _id: { currency: '$currency', accountType: '$lines.accountType', direction: '$lines.direction' },
+          total: { $sum: '$lines.amountMinor' }
+        }}
+      ]);
+
+      totals.forEach(({ _id, total }) => {
+        add(_id.currency, _id.accountType, balanceDelta({ ..._id, amountMinor: total }));
+      });
+    } else {
+      const accounts = await LedgerAccount.find({
+        business: businessId,
+        ...(filters.currency ? { currency: filters.currency } : {})
+      });
+
+      accounts.forEach(account => add(account.currency, account.type, account.balanceMinor));
+    }
+
+    // A currency with no history still has a (zero) balance when asked for
+    if (filters.currency && !byCurrency[filters.currency]) {
+      byCurrency[filters.currency] = {};
+    }
+
+    return Object.keys(byCurrency).sort().map(currency => {
+      const minor = byCurrency[currency];
+      const balance = type => fromMinor(minor[type] || 0);
+
+      return {
+        currency,
+        available: balance('available'),
+        reserved: balance('reserved'),
+        total: fromMinor((minor.available || 0) + (minor.reserved || 0)),
+        fees: balance('fees'),
+        provider: balance('provider'),
+        adjustments: balance('adjustments'),
+        asOf
+      };
+    });
+  }
+
+  /**
+   * Sum the effect of journal lines on one account type
+   * @param {Array<object>} pipeline - Aggregation stages selecting the entries
+   * @param {string} accountType - Account type
+   * @returns {Promise<number>} - Balance change in minor units
+   */
+  async sumAccount(pipeline, accountType) {
+    const totals = await JournalEntry.aggregate([
+      ...pipeline,
+      { $unwind: '$lines' },
+      { $match: { 'lines.accountType': accountType } },
+      { $group: { _id: '$lines.direction', total: { $sum: '$lines.amountMinor' } } }
+    ]);
+
+    return totals.reduce((sum, { _id, total }) => sum + balanceDelta({ accountType, direction: _id, amountMinor: total }), 0);
+  }
+
+  /**
+   * Get the statement of one balance account: its entries in order with a running balance
+   * @param {string} businessId - Business ID
+   * @param {object} filters - { currency, account, from, to, page, limit }
+   * @returns {Promise<object>} - Statement with pagination
+   */
+  async getStatement(businessId, filters = {}) {
+    const accountType = filters.account || 'available';
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+
+    const match = {
+      business: new mongoose.Types.ObjectId(String(businessId)),
+      currency: filters.currency,
+      'lines.accountType': accountType
+    };
+    const rangeMatch = { ...match };
+    if (from || to) {
+      rangeMatch.postedAt = {};
+      if (from) rangeMatch.postedAt.$gte = from;
+      if (to) rangeMatch.postedAt.$lte = to;
+    }
+
+    const page = parseInt(filters.page, 10) || 1;
+    const limit = Math.min(parseInt(filters.limit, 10) || 50, 200);
+    const skip = (page - 1) * limit;
+    const order = { postedAt: 1, _id: 1 };
+
+    const [entries, total, opening, change, earlier] = await Promise.all([
+      JournalEntry.find(rangeMatch).sort(order).skip(skip).limit(limit),
+      JournalEntry.countDocuments(rangeMatch),
+      from ? this.sumAccount([{ $match: { ...match, postedAt: { $lt: from } } }], accountType) : 0,
+      this.sumAccount([{ $match: rangeMatch }], accountType),
+      // Entries on earlier pages, so the running balance carries over
+      skip > 0 ? this.sumAccount([{ $match: rangeMatch }, { $sort: order }, { $limit: skip }], accountType) : 0
+    ]);
+
+    let running = opening + earlier;
+
+    return {
+      data: {
+        account: accountType,
+        currency: filters.currency,
+        from,
+        to,
+        openingBalance: fromMinor(opening),
+        closingBalance: fromMinor(opening + change),
+        entries: entries.map(entry => {
+          const lines = entry.lines.filter(entryLine => entryLine.accountType === accountType);
+          const sideTotal = direction => lines
+            .filter(entryLine => entryLine.direction === direction)
+            .reduce((sum, entryLine) => sum + entryLine.amountMinor, 0);
+
+          running += lines.reduce((sum, entryLine) => sum + balanceDelta(entryLine), 0);
+
+          return {
+            id: entry._id,
+            postedAt: entry.postedAt,
+            event: entry.event,
+            reference: entry.reference,
+            description: entry.description,
+            debit: fromMinor(sideTotal('debit')),
+            credit: fromMinor(sideTotal('credit')),
+            balance: fromMinor(running)
+          };
+        })
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Format a journal entry for API responses, with amounts in major units
+   * @param {object} entry - Journal entry document
+   * @returns {object} - Formatted entry
+   */
+  formatEntry(entry) {
+    return {
+      id: entry._id,
+      currency: entry.currency,
+      event: entry.event,
+      reference: entry.reference,
+      description: entry.description,
+      postedAt: entry.postedAt,
+      createdBy: entry.createdBy,
+      lines: entry.lines.map(entryLine => ({
+        account: entryLine.accountType,
+        direction: entryLine.direction,
+        amount: fromMinor(entryLine.amountMinor)
+      }))
+    };
+  }
+}
+
+module.exports = new LedgerService();
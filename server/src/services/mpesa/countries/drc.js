@@ -0,0 +1,26 @@
+// server/src/services/mpesa/countries/drc.js
+
+/**
+ * Democratic Republic of Congo country profile (Vodacom OpenAPI)
+ */
+module.exports = {
+  country: 'drc',
+  name: 'DR Congo',
+  currency: 'CDF',
+  baseUrls: {
+    sandbox: 'https://openapi.m-pesa.com/sandbox',
+    production: 'https://openapi.m-pesa.com/openapi'
+  },
+  phone: {
+    dialCode: '243',
+    nationalNumber: /^[89]\d{8}$/
+  },
+  operations: ['c2b', 'b2c', 'status', 'reversal'],
+  limits: {
+    b2c: { min: 1, max: 5000000 }
+  },
+  openApi: {
+    market: 'vodacomDRC',
+    countryCode: 'DRC'
+  }
+};
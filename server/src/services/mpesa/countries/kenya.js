@@ -0,0 +1,23 @@
+// server/src/services/mpesa/countries/kenya.js
+
+/**
+ * Kenya country profile (Safaricom Daraja API)
+ */
+module.exports = {
+  country: 'kenya',
+  name: 'Kenya',
+  currency: 'KES',
+  baseUrls: {
+    sandbox: 'https://sandbox.safaricom.co.ke',
+    production: 'https://api.safaricom.co.ke'
+  },
+  phone: {
+    dialCode: '254',
+    nationalNumber: /^(7|1)\d{8}$/
+  },
+  operations: ['stkPush', 'c2b', 'b2c', 'b2b', 'balance', 'status', 'reversal'],
+  // Per-transaction amount limits, in the country's currency
+  limits: {
+    b2c: { min: 10, max: 250000 }
+  }
+};
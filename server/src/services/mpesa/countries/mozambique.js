@@ -0,0 +1,26 @@
+// server/src/services/mpesa/countries/mozambique.js
+
+/**
+ * Mozambique country profile (Vodacom OpenAPI)
+ */
+module.exports = {
+  country: 'mozambique',
+  name: 'Mozambique',
+  currency: 'MZN',
+  baseUrls: {
+    sandbox: 'https://openapi.m-pesa.com/sandbox',
+    production: 'https://openapi.m-pesa.com/openapi'
+  },
+  phone: {
+    dialCode: '258',
+    nationalNumber: /^8[2-7]\d{7}$/
+  },
+  operations: ['c2b', 'b2c', 'status', 'reversal'],
+  limits: {
+    b2c: { min: 1, max: 125000 }
+  },
+  openApi: {
+    market: 'vodacomMOZ',
+    countryCode: 'MOZ'
+  }
+};
@@ -0,0 +1,27 @@
+// server/src/services/mpesa/countries/rwanda.js
+
+/**
+ * Rwanda country profile (Vodacom OpenAPI)
+ * The market code can be overridden per integration with `config.market`
+ */
+module.exports = {
+  country: 'rwanda',
+  name: 'Rwanda',
+  currency: 'RWF',
+  baseUrls: {
+    sandbox: 'https://openapi.m-pesa.com/sandbox',
+    production: 'https://openapi.m-pesa.com/openapi'
+  },
+  phone: {
+    dialCode: '250',
+    nationalNumber: /^7[2389]\d{7}$/
+  },
+  operations: ['c2b', 'b2c', 'status'],
+  limits: {
+    b2c: { min: 100, max: 5000000 }
+  },
+  openApi: {
+    market: 'vodacomRWA',
+    countryCode: 'RWA'
+  }
+};
@@ -0,0 +1,26 @@
+// server/src/services/mpesa/countries/tanzania.js
+
+/**
+ * Tanzania country profile (Vodacom OpenAPI)
+ */
+module.exports = {
+  country: 'tanzania',
+  name: 'Tanzania',
+  currency: 'TZS',
+  baseUrls: {
+    sandbox: 'https://openapi.m-pesa.com/sandbox',
+    production: 'https://openapi.m-pesa.com/openapi'
+  },
+  phone: {
+    dialCode: '255',
+    nationalNumber: /^[67]\d{8}$/
+  },
+  operations: ['c2b', 'b2c', 'status', 'reversal'],
+  limits: {
+    b2c: { min: 1000, max: 5000000 }
+  },
+  openApi: {
+    market: 'vodacomTZN',
+    countryCode: 'TZN'
+  }
+};
@@ -0,0 +1,27 @@
+// server/src/services/mpesa/countries/uganda.js
+
+/**
+ * Uganda country profile (Vodacom OpenAPI)
+ * The market code can be overridden per integration with `config.market`
+ */
+module.exports = {
+  country: 'uganda',
+  name: 'Uganda',
+  currency: 'UGX',
+  baseUrls: {
+    sandbox: 'https://openapi.m-pesa.com/sandbox',
+    production: 'https://openapi.m-pesa.com/openapi'
+  },
+  phone: {
+    dialCode: '256',
+    nationalNumber: /^7\d{8}$/
+  },
+  operations: ['c2b', 'b2c', 'status', 'reversal'],
+  limits: {
+    b2c: { min: 500, max: 5000000 }
+  },
+  openApi: {
+    market: 'vodacomUGA',
+    countryCode: 'UGA'
+  }
+};
@@ -0,0 +1,188 @@
+//server/src/services/mpesa/countryRegistry.js
+const MpesaKenyaClient = require('./mpesaKenyaClient');
+const MpesaTanzaniaClient = require('./mpesaTanzaniaClient');
+const MpesaUgandaClient = require('./mpesaUgandaClient');
+const MpesaRwandaClient = require('./mpesaRwandaClient');
+const MpesaMozambiqueClient = require('./mpesaMozambiqueClient');
+const MpesaDrcClient = require('./mpesaDrcClient');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+const { normalizePhoneNumber } = require('../../utils/phoneNumber');
+
+// Operations a country client can declare in its profile
+const OPERATIONS = {
+  STK_PUSH: 'stkPush',
+  C2B: 'c2b',
+  B2C: 'b2c',
+  B2B: 'b2b',
+  BALANCE: 'balance',
+  STATUS: 'status',
+  REVERSAL: 'reversal'
+};
+
+/**
+ * Registry of installed M-Pesa country clients
+ * Each client class plugs in with a static `profile` declaring its
+ * country, currency, base URLs, phone rules and supported operations
+ */
+class CountryRegistry {
+  constructor() {
+    this.countries = new Map();
+  }
+
+  /**
+   * Register a country client
+   * @param {Function} ClientClass - Client class with a static `profile`
+   * @returns {CountryRegistry} - The registry, for chaining
+   */
+  register(ClientClass) {
+    const profile = ClientClass && ClientClass.profile;
+
+    if (!profile || !profile.country) {
+      throw new Error('M-Pesa country clients must declare a static profile with a country');
+    }
+
+    if (!profile.currency || !profile.baseUrls || !profile.phone || !Array.isArray(profile.operations)) {
+      throw new Error(`M-Pesa country profile for ${profile.country} is incomplete`);
+    }
+
+    const unknown = profile.operations.filter(op => !Object.values(OPERATIONS).includes(op));
+    if (unknown.length > 0) {
+      throw new Error(`M-Pesa country profile for ${profile.country} declares unknown operations: ${unknown.join(', ')}`);
+    }
+
+    this.countries.set(profile.country.toLowerCase(), { profile, Client: ClientClass });
+    logger.debug(`Registered M-Pesa client for ${profile.country}`);
+
+    return this;
+  }
+
+  /**
+   * Remove a country from the registry
+   * @param {string} country - Country code
+   * @returns {boolean} - Whether the country was registered
+   */
+  unregister(country) {
+    return this.countries.delete(String(country).toLowerCase());
+  }
+
+  /**
+   * Check if a country has a registered client
+   * @param {string} country - Country code
+   * @returns {boolean} - Whether the country is registered
+   */
+  has(country) {
+    return !!country && this.countries.has(String(country).toLowerCase());
+  }
+
+  /**
+   * Get a country's profile
+   * @param {string} country - Country code
+   * @returns {Object} - Country profile
+   * @throws {AppError} If the country is not registered
+   */
+  getProfile(country) {
+    return this._getEntry(country).profile;
+  }
+
+  /**
+   * List registered countries
+   * @returns {Array<string>} - Country codes
+   */
+  list() {
+    return Array.from(this.countries.keys());
+  }
+
+  /**
+   * List the profiles of all registered countries
+   * @returns {Array<Object>} - Country profiles
+   */
+  listProfiles() {
+    return Array.from(this.countries.values()).map(entry => entry.profile);
+  }
+
+  /**
+   * Check if a country supports an operation
+   * @param {string} country - Country code
+   * @param {string} operation - Operation name (see OPERATIONS)
+   * @returns {boolean} - Whether the operation is supported
+   */
+  supportsOperation(country, operation) {
+    return this.has(country) && this.getProfile(country).operations.includes(operation);
+  }
+
+  /**
+   * Get a country's currency
+   * @param {string} country - Country code
+   * @returns {string} - ISO currency code
+   */
+  getCurrency(country) {
+    return this.getProfile(country).currency;
+  }
+
+  /**
+   * Get a country's amount limits for an operation
+   * @param {string} country - Country code
+   * @param {string} operation - Operation name (see OPERATIONS)
+   * @returns {Object|null} - { min, max } or null if the profile sets none
+   */
+  getLimits(country, operation) {
+    const limits = this.getProfile(country).limits || {};
+    return limits[operation] || null;
+  }
+
+  /**
+   * Normalize a phone number using a country's dial code
+   * @param {string} country - Country code
+   * @param {string} phoneNumber - Phone number to normalize
+   * @returns {string} - Normalized phone number
+   */
+  normalizePhoneNumber(country, phoneNumber) {
+    return normalizePhoneNumber(phoneNumber, this.getProfile(country).phone);
+  }
+
+  /**
+   * Create a client for a country
+   * @param {string} country - Country code
+   * @param {Object} config - Client configuration
+   * @returns {Object} - Country-specific M-Pesa client instance
+   */
+  createClient(country, config = {}) {
+    const { profile, Client } = this._getEntry(country);
+    return new Client({ ...config, country: profile.country });
+  }
+
+  /**
+   * Look up a registry entry
+   * @private
+   * @param {string} country - Country code
+   * @returns {Object} - Registry entry
+   */
+  _getEntry(country) {
+    const entry = country && this.countries.get(String(country).toLowerCase());
+
+    if (!entry) {
+      throw new AppError(`Unsupported M-Pesa country: ${country}`, 400);
+    }
+
+    return entry;
+  }
+}
+
+const countryRegistry = new CountryRegistry();
+
+// Built-in country clients
+[
+  MpesaKenyaClient,
+  MpesaTanzaniaClient,
+  MpesaUgandaClient,
+  MpesaRwandaClient,
+  MpesaMozambiqueClient,
+  MpesaDrcClient
+].forEach(Client => countryRegistry.register(Client));
+
+module.exports = {
+  countryRegistry,
+  CountryRegistry,
+  OPERATIONS
+};
@@ -2,12 +2,15 @@
 const axios = require('axios');
 const logger = require('../../utils/logger');
 const AppError = require('../../utils/appError');
+const PaymentGateway = require('../payments/paymentGateway');
+const { normalizePhoneNumber, isValidPhoneNumber } = require('../../utils/phoneNumber');
 
 /**
  * Base client for M-Pesa API integration
  * This abstract class serves as the foundation for country-specific implementations
+ * and implements the provider-neutral PaymentGateway interface
  */
-class MpesaBaseClient {
+class MpesaBaseClient extends PaymentGateway {
   /**
    * Initialize the M-Pesa client
    * @param {Object} config - Configuration object
@@ -23,6 +26,8 @@ class MpesaBaseClient {
    * @param {string} [config.securityCredential] - Security credential
    */
   constructor(config) {
+    super('mpesa');
+    
     // Ensure this class cannot be instantiated directly
     if (this.constructor === MpesaBaseClient) {
       throw new Error('MpesaBaseClient is an abstract class and cannot be instantiated directly');
@@ -82,12 +87,27 @@ class MpesaBaseClient {
     );
   }
   
+  /**
+   * Get the country profile the client class was registered with
+   * Country-specific subclasses declare it as a static `profile` property
+   * @returns {Object|null} Country profile
+   */
+  getProfile() {
+    return this.constructor.profile || null;
+  }
+  
   /**
    * Get the base URL for API calls based on environment
    * @returns {string} Base URL
    */
   getBaseUrl() {
-    // This should be implemented by country-specific subclasses
+    const profile = this.getProfile();
+    
+    if (profile && profile.baseUrls) {
+      return profile.baseUrls[this.environment] || profile.baseUrls.sandbox;
+    }
+    
+    // Clients without a profile must implement this themselves
     throw new Error('getBaseUrl() must be implemented by subclass');
   }
   
@@ -168,21 +188,35 @@ class MpesaBaseClient {
         response: error.response?.data
       });
       
-      // Handle different types of errors
-      if (error.response) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        throw new AppError(
-          `M-Pesa API error: ${error.response.data.errorMessage || error.response.data.errorCode || error.response.statusText}`,
-          error.response.status
-        );
-      } else if (error.request) {
-        // The request was made but no response was received
-        throw new AppError('M-Pesa API timeout: No response received', 504);
-      } else {
-        // Something happened in setting up the request that triggered an Error
-        throw new AppError(`M-Pesa API request failed: ${error.message}`, 500);
-      }
+      this.handleApiError(error);
+    }
+  }
+  
+  /**
+   * Translate an HTTP client error into an AppError and throw it
+   * @param {Error} error - Error raised by the HTTP client
+   * @throws {AppError} Always
+   */
+  handleApiError(error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    
+    // Handle different types of errors
+    if (error.response) {
+      // The request was made and the server responded with a status code
+      // that falls out of the range of 2xx
+      const data = error.response.data || {};
+      throw new AppError(
+        `M-Pesa API error: ${data.errorMessage || data.output_ResponseDesc || data.errorCode || error.response.statusText}`,
+        error.response.status
+      );
+    } else if (error.request) {
+      // The request was made but no response was received
+      throw new AppError('M-Pesa API timeout: No response received', 504);
+    } else {
+      // Something happened in setting up the request that triggered an Error
+      throw new AppError(`M-Pesa API request failed: ${error.message}`, 500);
     }
   }
   
@@ -192,8 +226,18 @@ class MpesaBaseClient {
    * @returns {string} Formatted phone number
    */
   formatPhoneNumber(phoneNumber) {
-    // This should be implemented by country-specific subclasses
-    throw new Error('formatPhoneNumber() must be implemented by subclass');
+    const profile = this.getProfile();
+    
+    if (!profile || !profile.phone) {
+      // Clients without a profile must implement this themselves
+      throw new Error('formatPhoneNumber() must be implemented by subclass');
+    }
+    
+    if (!isValidPhoneNumber(phoneNumber, profile.phone)) {
+      throw new AppError(`Invalid ${profile.name} phone number: ${phoneNumber}`, 400);
+    }
+    
+    return normalizePhoneNumber(phoneNumber, profile.phone);
   }
   
   /**
@@ -216,6 +260,17 @@ class MpesaBaseClient {
     throw new Error('initiateB2CPayment() must be implemented by subclass');
   }
   
+  /**
+   * Initiate a business-to-business (B2B) payment
+   * Only countries whose profile lists the 'b2b' operation implement this
+   * @param {Object} params - Payment parameters
+   * @returns {Promise<Object>} Payment response
+   */
+  async initiateB2BPayment(params) {
+    // This should be implemented by country-specific subclasses
+    throw new Error('initiateB2BPayment() must be implemented by subclass');
+  }
+  
   /**
    * Check the status of a transaction
    * @param {string} transactionId - Transaction ID to check
@@ -258,4 +313,6 @@ class MpesaBaseClient {
     // Additional validations should be implemented by subclasses
     return transactionData;
   }
-}
\ No newline at end of file
+}
+
+module.exports = MpesaBaseClient;
@@ -1,12 +1,9 @@
 //server/src/services/mpesa/mpesaClientFactory.js
-const MpesaKenyaClient = require('./mpesaKenyaClient');
-// Import other country-specific clients when implemented
-// const MpesaTanzaniaClient = require('./mpesaTanzaniaClient');
-// const MpesaUgandaClient = require('./mpesaUgandaClient');
-const { AppError } = require('../../utils/appError');
+const { countryRegistry } = require('./countryRegistry');
 
 /**
  * Factory for creating country-specific M-Pesa clients
+ * Country clients are resolved through the country registry
  */
 class MpesaClientFactory {
   /**
@@ -16,20 +13,8 @@ class MpesaClientFactory {
    * @returns {object} - Country-specific M-Pesa client instance
    */
   static createClient(country, config) {
-    switch (country.toLowerCase()) {
-      case 'kenya':
-        return new MpesaKenyaClient(config);
-      
-      // Add cases for other countries as they are implemented
-      // case 'tanzania':
-      //   return new MpesaTanzaniaClient(config);
-      // case 'uganda':
-      //   return new MpesaUgandaClient(config);
-        
-      default:
-        throw new AppError(`M-Pesa client for ${country} is not implemented`, 400);
-    }
+    return countryRegistry.createClient(country, config);
   }
 }
 
-module.exports = MpesaClientFactory;
\ No newline at end of file
+module.exports = MpesaClientFactory;
@@ -0,0 +1,14 @@
+//server/src/services/mpesa/mpesaDrcClient.js
+const MpesaOpenApiClient = require('./mpesaOpenApiClient');
+const drcProfile = require('./countries/drc');
+
+/**
+ * Client for DR Congo M-Pesa (Vodacom OpenAPI)
+ * All operations are inherited from the OpenAPI client; the profile
+ * supplies the market, currency, base URLs and phone rules
+ */
+class MpesaDrcClient extends MpesaOpenApiClient {}
+
+MpesaDrcClient.profile = drcProfile;
+
+module.exports = MpesaDrcClient;
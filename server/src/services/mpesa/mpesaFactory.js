@@ -1,4 +1,4 @@
-const MpesaKenyaClient = require('./mpesaKenyaClient');
+const { countryRegistry } = require('./countryRegistry');
 const AppError = require('../../utils/appError');
 const logger = require('../../utils/logger');
 
@@ -25,20 +25,7 @@ class MpesaFactory {
     
     logger.info(`Creating M-Pesa client for ${country}`);
     
-    switch (country) {
-      case 'kenya':
-        return new MpesaKenyaClient(config);
-      
-      // Future implementations for other countries
-      // case 'tanzania':
-      //   return new MpesaTanzaniaClient(config);
-      // case 'uganda':
-      //   return new MpesaUgandaClient(config);
-      // etc.
-        
-      default:
-        throw new AppError(`Unsupported M-Pesa country: ${country}`, 400);
-    }
+    return countryRegistry.createClient(country, config);
   }
   
   /**
@@ -46,10 +33,7 @@ class MpesaFactory {
    * @returns {Array<string>} List of supported countries
    */
   static getSupportedCountries() {
-    return [
-      'kenya',
-      // Add more countries as they are implemented
-    ];
+    return countryRegistry.list();
   }
   
   /**
@@ -58,7 +42,7 @@ class MpesaFactory {
    * @returns {boolean} Whether the country is supported
    */
   static isCountrySupported(country) {
-    return this.getSupportedCountries().includes(country.toLowerCase());
+    return countryRegistry.has(country);
   }
 }
 
@@ -1,9 +1,15 @@
 //server/src/services/mpesa/mpesaKenyaClient.js
 const crypto = require('crypto');
+const moment = require('moment');
 const MpesaBaseClient = require('./mpesaBaseClient');
+const kenyaProfile = require('./countries/kenya');
 const logger = require('../../utils/logger');
+const AppError = require('../../utils/appError');
+const config = require('../../config');
 const fs = require('fs');
-const path = require('path');
+
+// STK Push query error code meaning the customer has not yet answered the prompt
+const STK_QUERY_IN_PROGRESS = '500.001.1001';
 
 /**
  * Client for Kenya M-Pesa API
@@ -19,9 +25,21 @@ class MpesaKenyaClient extends MpesaBaseClient {
     this.consumerSecret = config.consumerSecret;
     this.shortCode = config.shortCode; 
     this.passkey = config.passkey;
-    this.environment = config.environment;
+    this.environment = config.environment || 'sandbox';
     this.accessToken = null;
     this.tokenExpiry = null;
+    
+    // Daraja calls use relative paths against the environment's base URL
+    this.httpClient.defaults.baseURL = this.getBaseUrl();
+    this.axios = this.httpClient;
+  }
+  
+  /**
+   * Get the current timestamp in the format Daraja expects
+   * @returns {string} - Timestamp (YYYYMMDDHHmmss)
+   */
+  getTimestamp() {
+    return moment().format('YYYYMMDDHHmmss');
   }
   
   /**
@@ -147,6 +165,11 @@ class MpesaKenyaClient extends MpesaBaseClient {
       
       return response.data;
     } catch (error) {
+      // Daraja answers with an error until the customer has responded to the prompt
+      if (error.response?.data?.errorCode === STK_QUERY_IN_PROGRESS) {
+        return error.response.data;
+      }
+      
       logger.error('M-Pesa Kenya STK Push status check error:', error);
       this.handleApiError(error);
     }
@@ -319,24 +342,154 @@ class MpesaKenyaClient extends MpesaBaseClient {
     }
   }
   
+  /**
+   * Initiate a business-to-customer (B2C) payment
+   * @param {object} params - Payment parameters
+   * @param {string} params.phoneNumber - Recipient phone number
+   * @param {number} params.amount - Amount to send
+   * @param {string} params.resultUrl - URL Daraja posts the result to
+   * @param {string} params.timeoutUrl - URL Daraja posts queue timeouts to
+   * @param {string} [params.commandId] - BusinessPayment, SalaryPayment or PromotionPayment
+   * @param {string} [params.remarks] - Payment remarks
+   * @param {string} [params.occasion] - Payment occasion
+   * @returns {Promise<object>} - API response
+   */
+  async initiateB2CPayment(params) {
+    this.validateTransactionData(params);
+    
+    return this.b2cPayment({
+      ...params,
+      phoneNumber: this.formatPhoneNumber(params.phoneNumber),
+      initiator: this.initiatorName,
+      securityCredential: this.getSecurityCredential(),
+      resultUrl: params.resultUrl || this.resultUrl,
+      timeoutUrl: params.timeoutUrl || this.timeoutUrl
+    });
+  }
+  
+  /**
+   * B2B transaction (business to business)
+   * @param {object} params - Transaction parameters
+   * @returns {Promise<object>} - API response
+   */
+  async b2bPayment(params) {
+    try {
+      const token = await this.authenticate();
+      
+      // Prepare request payload
+      const payload = {
+        Initiator: params.initiator,
+        SecurityCredential: params.securityCredential,
+        CommandID: params.commandId || "BusinessPayBill",
+        SenderIdentifierType: "4", // For shortcode
+        RecieverIdentifierType: "4", // Daraja's spelling
+        Amount: params.amount,
+        PartyA: this.shortCode,
+        PartyB: params.receiverShortCode,
+        AccountReference: params.accountReference || "",
+        Remarks: params.remarks || "Payment",
+        QueueTimeOutURL: params.timeoutUrl,
+        ResultURL: params.resultUrl
+      };
+      
+      // Optional customer on whose behalf the business pays
+      if (params.requester) {
+        payload.Requester = params.requester;
+      }
+      
+      // Make API request
+      const response = await this.axios.post('/mpesa/b2b/v1/paymentrequest', payload, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      
+      return response.data;
+    } catch (error) {
+      logger.error('M-Pesa Kenya B2B payment error:', error);
+      this.handleApiError(error);
+    }
+  }
+  
+  /**
+   * Initiate a business-to-business (B2B) payment to a paybill or till
+   * @param {object} params - Payment parameters
+   * @param {string} params.receiverShortCode - Paybill or till number being paid
+   * @param {number} params.amount - Amount to send
+   * @param {string} params.resultUrl - URL Daraja posts the result to
+   * @param {string} params.timeoutUrl - URL Daraja posts queue timeouts to
+   * @param {string} [params.commandId] - BusinessPayBill or BusinessBuyGoods
+   * @param {string} [params.accountReference] - Account number at the paybill
+   * @param {string} [params.requester] - Customer phone number the payment is made for
+   * @param {string} [params.remarks] - Payment remarks
+   * @returns {Promise<object>} - API response
+   */
+  async initiateB2BPayment(params) {
+    if (!params.amount || isNaN(parseFloat(params.amount)) || parseFloat(params.amount) <= 0) {
+      throw new AppError('Invalid amount: Amount must be greater than 0', 400);
+    }
+    
+    return this.b2bPayment({
+      ...params,
+      requester: params.requester ? this.formatPhoneNumber(params.requester) : undefined,
+      initiator: this.initiatorName,
+      securityCredential: this.getSecurityCredential(),
+      resultUrl: params.resultUrl || this.resultUrl,
+      timeoutUrl: params.timeoutUrl || this.timeoutUrl
+    });
+  }
+  
+  /**
+   * Get the security credential for initiator-authenticated requests (B2C, B2B, reversals)
+   * A ready-made credential from the integration is used as is; otherwise it is generated
+   * from the initiator password with the environment's Daraja certificate
+   * @returns {string} - Security credential
+   */
+  getSecurityCredential() {
+    if (!this.initiatorName) {
+      throw new AppError('M-Pesa initiator name is not configured', 500);
+    }
+    
+    if (this.securityCredential) {
+      return this.securityCredential;
+    }
+    
+    if (!this.initiatorPassword) {
+      throw new AppError('M-Pesa initiator password is not configured', 500);
+    }
+    
+    return this.generateSecurityCredential(this.initiatorPassword);
+  }
+  
+  /**
+   * Get the Daraja public certificate of the client's environment
+   * @returns {string} - PEM certificate
+   */
+  getCertificate() {
+    const certificatePath = config.mpesa.kenya.certificatePaths[this.environment];
+    const variable = `MPESA_KE_${this.environment.toUpperCase()}_CERT_PATH`;
+    
+    if (!certificatePath) {
+      throw new AppError(`M-Pesa ${this.environment} certificate is not configured; set ${variable} or the integration's security credential`, 500);
+    }
+    
+    try {
+      return fs.readFileSync(certificatePath, 'utf8');
+    } catch (error) {
+      logger.error(`M-Pesa Kenya certificate ${certificatePath} could not be read: ${error.message}`);
+      throw new AppError(`M-Pesa ${this.environment} certificate could not be read; check ${variable}`, 500);
+    }
+  }
+  
   /**
    * Generate security credential
    * @param {string} initiatorPassword - Initiator password
    * @returns {string} - Base64 encoded security credential
    */
   generateSecurityCredential(initiatorPassword) {
+    const publicKey = this.getCertificate();
+    
     try {
-      // In production, you'd use the M-Pesa public key to encrypt
-      // For sandbox, we use a specific certificate
-      let publicKeyPath;
-      
-      if (this.environment === 'production') {
-        publicKeyPath = path.join(__dirname, '../../../certs/production.cert');
-      } else {
-        publicKeyPath = path.join(__dirname, '../../../certs/sandbox.cert');
-      }
-      
-      const publicKey = fs.readFileSync(publicKeyPath, 'utf8');
       const buffer = Buffer.from(initiatorPassword);
       
       const encrypted = crypto.publicEncrypt(
@@ -350,7 +503,7 @@ class MpesaKenyaClient extends MpesaBaseClient {
       return encrypted.toString('base64');
     } catch (error) {
       logger.error('M-Pesa Kenya security credential generation error:', error);
-      throw new Error('Failed to generate security credential');
+      throw new AppError('Failed to generate security credential', 500);
     }
   }
   
@@ -428,6 +581,92 @@ class MpesaKenyaClient extends MpesaBaseClient {
       this.handleApiError(error);
     }
   }
+  
+  /**
+   * Collect a payment via STK Push (PaymentGateway)
+   * Daraja only accepts the request here; the result arrives on the STK callback
+   * @param {object} params - Collection parameters
+   * @returns {Promise<object>} - Gateway result
+   */
+  async collect(params) {
+    const response = await this.initiateSTKPush({
+      ...params,
+      callbackUrl: params.callbackUrl || this.callbackUrl
+    });
+    
+    const status = String(response.ResponseCode) === '0' ? 'pending' : 'failed';
+    return this.buildResult(status, response, response.CheckoutRequestID);
+  }
+  
+  /**
+   * Send money to a customer via B2C (PaymentGateway)
+   * @param {object} params - Disbursement parameters
+   * @returns {Promise<object>} - Gateway result
+   */
+  async disburse(params) {
+    const response = await this.initiateB2CPayment(params);
+    
+    // The outcome arrives later on the result or timeout URL
+    const status = String(response.ResponseCode) === '0' ? 'processing' : 'failed';
+    return this.buildResult(status, response, response.ConversationID);
+  }
+  
+  /**
+   * Get the status of an STK Push transaction (PaymentGateway)
+   * @param {string} reference - Checkout request ID
+   * @returns {Promise<object>} - Gateway result
+   */
+  async getStatus(reference) {
+    const response = await this.checkSTKPushStatus(reference);
+    
+    if (response.errorCode === STK_QUERY_IN_PROGRESS) {
+      return this.buildResult('pending', response);
+    }
+    
+    return this.buildResult(MpesaKenyaClient.mapSTKResultCode(response.ResultCode), response);
+  }
+  
+  /**
+   * Reverse a transaction (PaymentGateway)
+   * @param {object} params - Reversal parameters
+   * @returns {Promise<object>} - Gateway result
+   */
+  async reverse(params) {
+    const response = await this.reverseTransaction({
+      initiator: this.initiatorName,
+      securityCredential: this.securityCredential,
+      resultUrl: this.resultUrl,
+      timeoutUrl: this.timeoutUrl,
+      ...params
+    });
+    
+    const status = String(response.ResponseCode) === '0' ? 'pending' : 'failed';
+    return this.buildResult(status, response, response.ConversationID);
+  }
+  
+  /**
+   * Map an STK Push result code to a platform transaction status
+   * Shared by status queries and STK callbacks so both agree on every code
+   * @param {string|number} resultCode - Result code from Daraja
+   * @returns {string} - Platform transaction status
+   */
+  static mapSTKResultCode(resultCode) {
+    switch (Number(resultCode)) {
+      case 0:
+        return 'completed';
+      case 1032: // Request cancelled by user
+        return 'canceled';
+      case 1037: // Customer unreachable or did not answer the prompt in time
+      case 1019: // Transaction expired
+        return 'expired';
+      case 4999: // Transaction still under processing
+        return 'pending';
+      default:
+        return 'failed';
+    }
+  }
 }
 
+MpesaKenyaClient.profile = kenyaProfile;
+
 module.exports = MpesaKenyaClient;
\ No newline at end of file
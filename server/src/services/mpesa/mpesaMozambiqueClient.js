@@ -0,0 +1,14 @@
+//server/src/services/mpesa/mpesaMozambiqueClient.js
+const MpesaOpenApiClient = require('./mpesaOpenApiClient');
+const mozambiqueProfile = require('./countries/mozambique');
+
+/**
+ * Client for Mozambique M-Pesa (Vodacom OpenAPI)
+ * All operations are inherited from the OpenAPI client; the profile
+ * supplies the market, currency, base URLs and phone rules
+ */
+class MpesaMozambiqueClient extends MpesaOpenApiClient {}
+
+MpesaMozambiqueClient.profile = mozambiqueProfile;
+
+module.exports = MpesaMozambiqueClient;
@@ -0,0 +1,330 @@
+//server/src/services/mpesa/mpesaOpenApiClient.js
+const crypto = require('crypto');
+const MpesaBaseClient = require('./mpesaBaseClient');
+const logger = require('../../utils/logger');
+const AppError = require('../../utils/appError');
+
+/**
+ * Base client for the Vodacom M-Pesa OpenAPI
+ * Implements the session-key flow and the C2B, B2C, reversal and status
+ * operations shared by every OpenAPI market. Country clients extend it
+ * and declare their market in a static `profile`
+ */
+class MpesaOpenApiClient extends MpesaBaseClient {
+  /**
+   * @param {object} config - Configuration object
+   * @param {string} config.apiKey - OpenAPI application key (falls back to consumerKey)
+   * @param {string} config.publicKey - Base64 encoded OpenAPI public key
+   * @param {string} config.serviceProviderCode - Service provider code (falls back to shortCode)
+   * @param {string} [config.market] - Override for the profile's OpenAPI market
+   */
+  constructor(config) {
+    if (new.target === MpesaOpenApiClient) {
+      throw new Error('MpesaOpenApiClient is an abstract class and cannot be instantiated directly');
+    }
+    
+    const profile = new.target.profile;
+    super({ ...config, country: profile.country });
+    this.apiKey = config.apiKey || config.consumerKey;
+    this.publicKey = config.publicKey;
+    this.serviceProviderCode = config.serviceProviderCode || config.shortCode;
+
+    // Vodacom OpenAPI market identifiers
+    this.market = config.market || profile.openApi.market;
+    this.countryCode = config.openApiCountryCode || profile.openApi.countryCode;
+    this.currency = profile.currency;
+
+    // The OpenAPI gateway rejects requests without an Origin header
+    this.httpClient.defaults.headers.common['Origin'] = '*';
+
+    this.sessionKey = null;
+  }
+
+  /**
+   * Get the session key URL
+   * @returns {string} Authentication URL
+   */
+  getAuthUrl() {
+    return `${this.getBaseUrl()}/ipg/v2/${this.market}/getSession/`;
+  }
+
+  /**
+   * Encrypt a value with the OpenAPI public key
+   * @param {string} value - Value to encrypt (API key or session key)
+   * @returns {string} - Base64 encoded bearer token
+   */
+  encryptWithPublicKey(value) {
+    if (!this.publicKey) {
+      throw new AppError(`M-Pesa ${this.getProfile().name} public key is not configured`, 500);
+    }
+
+    const pem = this.publicKey.includes('BEGIN PUBLIC KEY')
+      ? this.publicKey
+      : `-----BEGIN PUBLIC KEY-----\n${this.publicKey.match(/.{1,64}/g).join('\n')}\n-----END PUBLIC KEY-----`;
+
+    return crypto.publicEncrypt(
+      {
+        key: pem,
+        padding: crypto.constants.RSA_PKCS1_PADDING
+      },
+      Buffer.from(value)
+    ).toString('base64');
+  }
+
+  /**
+   * Obtain a session key and return it encrypted for use as a bearer token
+   * @returns {Promise<string>} - Encrypted session key
+   */
+  async authenticate() {
+    try {
+      // Reuse the current session while it is still valid
+      if (this.sessionKey && this.tokenExpiry && this.tokenExpiry > Date.now()) {
+        return this.authToken;
+      }
+
+      logger.info(`Requesting M-Pesa OpenAPI session key (${this.market}/${this.environment})`);
+
+      const response = await this.httpClient.get(this.getAuthUrl(), {
+        headers: {
+          'Authorization': `Bearer ${this.encryptWithPublicKey(this.apiKey)}`
+        }
+      });
+
+      if (!response.data || !response.data.output_SessionID) {
+        throw new AppError('Authentication failed: No session key received', 500);
+      }
+
+      this.sessionKey = response.data.output_SessionID;
+      this.authToken = this.encryptWithPublicKey(this.sessionKey);
+
+      // Sessions are valid for an hour; refresh five minutes early to be safe
+      this.tokenExpiry = Date.now() + (55 * 60 * 1000);
+
+      return this.authToken;
+    } catch (error) {
+      logger.error('M-Pesa OpenAPI session key error', { market: this.market, error: error.message });
+      throw error instanceof AppError
+        ? error
+        : new AppError(`M-Pesa OpenAPI authentication failed: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Generate a unique third-party conversation ID
+   * @returns {string} - Conversation ID
+   */
+  generateConversationId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Make sure a reference fits the OpenAPI constraints (alphanumeric, max 20 chars)
+   * @param {string} reference - Reference to sanitize
+   * @returns {string} - Sanitized reference
+   */
+  sanitizeReference(reference) {
+    const cleaned = String(reference || '').replace(/[^a-zA-Z0-9]/g, '');
+    return (cleaned || 'Payment').substring(0, 20);
+  }
+
+  /**
+   * Check the OpenAPI response code and throw on failure
+   * @param {object} data - Response data
+   * @returns {object} - Response data
+   */
+  assertSuccess(data) {
+    if (!data || data.output_ResponseCode !== 'INS-0') {
+      throw new AppError(
+        `M-Pesa OpenAPI error: ${data?.output_ResponseDesc || 'Unknown error'} (${data?.output_ResponseCode || 'no code'})`,
+        400
+      );
+    }
+
+    return data;
+  }
+
+  /**
+   * Initiate a single-stage customer-to-business (C2B) payment
+   * @param {object} params - Payment parameters
+   * @param {string} params.phoneNumber - Customer phone number
+   * @param {number} params.amount - Amount to charge
+   * @param {string} [params.reference] - Transaction reference
+   * @param {string} [params.description] - Purchased items description
+   * @param {string} [params.conversationId] - Third-party conversation ID
+   * @returns {Promise<object>} - API response
+   */
+  async initiatePayment(params) {
+    this.validateTransactionData(params);
+
+    const payload = {
+      input_Amount: String(params.amount),
+      input_Country: this.countryCode,
+      input_Currency: this.currency,
+      input_CustomerMSISDN: this.formatPhoneNumber(params.phoneNumber),
+      input_ServiceProviderCode: this.serviceProviderCode,
+      input_ThirdPartyConversationID: params.conversationId || this.generateConversationId(),
+      input_TransactionReference: this.sanitizeReference(params.reference),
+      input_PurchasedItemsDesc: params.description || 'Payment'
+    };
+
+    const data = await this.makeRequest(`/ipg/v2/${this.market}/c2bPayment/singleStage/`, payload);
+    return this.assertSuccess(data);
+  }
+
+  /**
+   * Initiate a business-to-customer (B2C) payment
+   * @param {object} params - Payment parameters
+   * @param {string} params.phoneNumber - Recipient phone number
+   * @param {number} params.amount - Amount to send
+   * @param {string} [params.reference] - Transaction reference
+   * @param {string} [params.description] - Payment items description
+   * @param {string} [params.conversationId] - Third-party conversation ID
+   * @returns {Promise<object>} - API response
+   */
+  async initiateB2CPayment(params) {
+    this.validateTransactionData(params);
+
+    const payload = {
+      input_Amount: String(params.amount),
+      input_Country: this.countryCode,
+      input_Currency: this.currency,
+      input_CustomerMSISDN: this.formatPhoneNumber(params.phoneNumber),
+      input_ServiceProviderCode: this.serviceProviderCode,
+      input_ThirdPartyConversationID: params.conversationId || this.generateConversationId(),
+      input_TransactionReference: this.sanitizeReference(params.reference),
+      input_PaymentItemsDesc: params.description || 'Payment'
+    };
+
+    const data = await this.makeRequest(`/ipg/v2/${this.market}/b2cPayment/`, payload);
+    return this.assertSuccess(data);
+  }
+
+  /**
+   * Reverse a completed transaction
+   * @param {object} params - Reversal parameters
+   * @param {string} params.transactionId - M-Pesa transaction ID to reverse
+   * @param {number} params.amount - Amount to reverse
+   * @param {string} [params.conversationId] - Third-party conversation ID
+   * @returns {Promise<object>} - API response
+   */
+  async reverseTransaction(params) {
+    if (!params.transactionId) {
+      throw new AppError('Transaction ID is required for a reversal', 400);
+    }
+
+    const payload = {
+      input_ReversalAmount: String(params.amount),
+      input_Country: this.countryCode,
+      input_ServiceProviderCode: this.serviceProviderCode,
+      input_ThirdPartyConversationID: params.conversationId || this.generateConversationId(),
+      input_TransactionID: params.transactionId
+    };
+
+    const data = await this.makeRequest(`/ipg/v2/${this.market}/reversal/`, payload, 'PUT');
+    return this.assertSuccess(data);
+  }
+
+  /**
+   * Query the status of a transaction
+   * @param {string} queryReference - Transaction ID, conversation ID or third-party reference
+   * @returns {Promise<object>} - API response
+   */
+  async checkTransactionStatus(queryReference) {
+    const query = new URLSearchParams({
+      input_QueryReference: queryReference,
+      input_ServiceProviderCode: this.serviceProviderCode,
+      input_ThirdPartyConversationID: this.generateConversationId(),
+      input_Country: this.countryCode
+    });
+
+    const data = await this.makeRequest(
+      `/ipg/v2/${this.market}/queryTransactionStatus/?${query.toString()}`,
+      undefined,
+      'GET'
+    );
+    return this.assertSuccess(data);
+  }
+
+  /**
+   * Map an OpenAPI transaction status to a platform transaction status
+   * @param {object} statusResponse - Response from checkTransactionStatus
+   * @returns {string} - Platform transaction status
+   */
+  mapTransactionStatus(statusResponse) {
+    const status = (statusResponse.output_ResponseTransactionStatus || '').toLowerCase();
+
+    switch (status) {
+      case 'completed':
+        return 'completed';
+      case 'cancelled':
+      case 'reversed':
+        return 'canceled';
+      case 'expired':
+        return 'expired';
+      case 'failed':
+      case 'declined':
+        return 'failed';
+      default:
+        return 'pending';
+    }
+  }
+
+  /**
+   * Collect a payment from a customer (PaymentGateway)
+   * OpenAPI C2B is single-stage, so a successful response is final
+   * @param {object} params - Collection parameters
+   * @returns {Promise<object>} - Gateway result
+   */
+  async collect(params) {
+    const response = await this.initiatePayment(params);
+    return this.buildResult('completed', response, response.output_TransactionID);
+  }
+
+  /**
+   * Send money to a customer (PaymentGateway)
+   * @param {object} params - Disbursement parameters
+   * @returns {Promise<object>} - Gateway result
+   */
+  async disburse(params) {
+    const response = await this.initiateB2CPayment(params);
+    return this.buildResult('completed', response, response.output_TransactionID);
+  }
+
+  /**
+   * Get the status of a transaction (PaymentGateway)
+   * @param {string} reference - Transaction or conversation ID
+   * @returns {Promise<object>} - Gateway result
+   */
+  async getStatus(reference) {
+    const response = await this.checkTransactionStatus(reference);
+    return this.buildResult(this.mapTransactionStatus(response), response);
+  }
+
+  /**
+   * Reverse a transaction (PaymentGateway)
+   * @param {object} params - Reversal parameters
+   * @returns {Promise<object>} - Gateway result
+   */
+  async reverse(params) {
+    const response = await this.reverseTransaction(params);
+    return this.buildResult('completed', response, response.output_TransactionID);
+  }
+
+  /**
+   * Process a synchronous OpenAPI response into a platform result
+   * @param {object} callbackData - Response or callback data from the OpenAPI gateway
+   * @returns {object} - Processed result
+   */
+  processCallback(callbackData) {
+    return {
+      success: callbackData.output_ResponseCode === 'INS-0',
+      resultCode: callbackData.output_ResponseCode,
+      resultDesc: callbackData.output_ResponseDesc,
+      transactionId: callbackData.output_TransactionID,
+      conversationId: callbackData.output_ConversationID,
+      thirdPartyConversationId: callbackData.output_ThirdPartyConversationID
+    };
+  }
+}
+
+module.exports = MpesaOpenApiClient;
@@ -0,0 +1,14 @@
+//server/src/services/mpesa/mpesaRwandaClient.js
+const MpesaOpenApiClient = require('./mpesaOpenApiClient');
+const rwandaProfile = require('./countries/rwanda');
+
+/**
+ * Client for Rwanda M-Pesa (Vodacom OpenAPI)
+ * All operations are inherited from the OpenAPI client; the profile
+ * supplies the market, currency, base URLs and phone rules
+ */
+class MpesaRwandaClient extends MpesaOpenApiClient {}
+
+MpesaRwandaClient.profile = rwandaProfile;
+
+module.exports = MpesaRwandaClient;
@@ -0,0 +1,14 @@
+//server/src/services/mpesa/mpesaTanzaniaClient.js
+const MpesaOpenApiClient = require('./mpesaOpenApiClient');
+const tanzaniaProfile = require('./countries/tanzania');
+
+/**
+ * Client for Tanzania M-Pesa (Vodacom OpenAPI)
+ * All operations are inherited from the OpenAPI client; the profile
+ * supplies the market, currency, base URLs and phone rules
+ */
+class MpesaTanzaniaClient extends MpesaOpenApiClient {}
+
+MpesaTanzaniaClient.profile = tanzaniaProfile;
+
+module.exports = MpesaTanzaniaClient;
@@ -0,0 +1,14 @@
+//server/src/services/mpesa/mpesaUgandaClient.js
+const MpesaOpenApiClient = require('./mpesaOpenApiClient');
+const ugandaProfile = require('./countries/uganda');
+
+/**
+ * Client for Uganda M-Pesa (Vodacom OpenAPI)
+ * All operations are inherited from the OpenAPI client; the profile
+ * supplies the market, currency, base URLs and phone rules
+ */
+class MpesaUgandaClient extends MpesaOpenApiClient {}
+
+MpesaUgandaClient.profile = ugandaProfile;
+
+module.exports = MpesaUgandaClient;
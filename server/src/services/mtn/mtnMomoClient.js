@@ -0,0 +1,281 @@
+//server/src/services/mtn/mtnMomoClient.js
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const PaymentGateway = require('../payments/paymentGateway');
+const logger = require('../../utils/logger');
+const AppError = require('../../utils/appError');
+const { countryRegistry } = require('../mpesa/countryRegistry');
+
+// MTN MoMo markets, keyed by platform country code
+const MTN_COUNTRIES = {
+  uganda: { targetEnvironment: 'mtnuganda', currency: 'UGX' },
+  rwanda: { targetEnvironment: 'mtnrwanda', currency: 'RWF' }
+};
+
+// MoMo products and the token endpoint each one authenticates against
+const PRODUCTS = {
+  COLLECTION: 'collection',
+  DISBURSEMENT: 'disbursement'
+};
+
+/**
+ * Client for the MTN Mobile Money (MoMo) Open API
+ * Implements request-to-pay collections, transfers and status checks
+ * behind the provider-neutral PaymentGateway interface
+ */
+class MtnMomoClient extends PaymentGateway {
+  /**
+   * @param {Object} config - Configuration object
+   * @param {string} config.country - Country code (e.g. 'uganda', 'rwanda')
+   * @param {string} config.clientId - MoMo API user (UUID)
+   * @param {string} config.clientSecret - MoMo API key
+   * @param {string} config.subscriptionKey - Collection product subscription key
+   * @param {string} [config.disbursementSubscriptionKey] - Disbursement product subscription key
+   * @param {string} [config.callbackUrl] - Callback URL for request-to-pay results
+   * @param {string} [config.environment] - 'sandbox' or 'production'
+   */
+  constructor(config) {
+    super('mtn');
+
+    const market = MTN_COUNTRIES[String(config.country).toLowerCase()];
+    if (!market) {
+      throw new AppError(`MTN MoMo is not available in ${config.country}`, 400);
+    }
+
+    this.config = config;
+    this.environment = config.environment || 'sandbox';
+    this.country = config.country.toLowerCase();
+    this.apiUser = config.clientId;
+    this.apiKey = config.clientSecret;
+    this.callbackUrl = config.callbackUrl;
+    this.subscriptionKeys = {
+      [PRODUCTS.COLLECTION]: config.subscriptionKey,
+      [PRODUCTS.DISBURSEMENT]: config.disbursementSubscriptionKey || config.subscriptionKey
+    };
+
+    // The sandbox only accepts its own target environment and EUR
+    this.targetEnvironment = this.environment === 'production' ? market.targetEnvironment : 'sandbox';
+    this.currency = this.environment === 'production' ? market.currency : 'EUR';
+
+    // Tokens are issued per product
+    this.tokens = {};
+
+    this.httpClient = axios.create({
+      baseURL: this.getBaseUrl(),
+      timeout: 30000, // 30 seconds timeout
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Get the base URL for API calls based on environment
+   * @returns {string} Base URL
+   */
+  getBaseUrl() {
+    return this.environment === 'production'
+      ? 'https://proxy.momoapi.mtn.com'
+      : 'https://sandbox.momodeveloper.mtn.com';
+  }
+
+  /**
+   * Get an access token for a MoMo product
+   * @param {string} product - 'collection' or 'disbursement'
+   * @returns {Promise<string>} Access token
+   */
+  async authenticate(product) {
+    try {
+      const cached = this.tokens[product];
+      if (cached && cached.expiry > Date.now()) {
+        return cached.token;
+      }
+
+      logger.info(`Authenticating with MTN MoMo ${product} API (${this.country}/${this.environment})`);
+
+      const auth = Buffer.from(`${this.apiUser}:${this.apiKey}`).toString('base64');
+      const response = await this.httpClient.post(`/${product}/token/`, null, {
+        headers: {
+          'Authorization': `Basic ${auth}`,
+          'Ocp-Apim-Subscription-Key': this.subscriptionKeys[product]
+        }
+      });
+
+      if (!response.data || !response.data.access_token) {
+        throw new AppError('Authentication failed: No access token received', 500);
+      }
+
+      // Refresh a minute before the token actually expires
+      const expiresIn = Number(response.data.expires_in) || 3600;
+      this.tokens[product] = {
+        token: response.data.access_token,
+        expiry: Date.now() + ((expiresIn - 60) * 1000)
+      };
+
+      return response.data.access_token;
+    } catch (error) {
+      logger.error('MTN MoMo authentication failed', { product, error: error.message });
+      throw error instanceof AppError
+        ? error
+        : new AppError(`MTN MoMo authentication failed: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Make an authenticated request to a MoMo product API
+   * @param {string} product - 'collection' or 'disbursement'
+   * @param {string} url - Endpoint path
+   * @param {Object} [data] - Request payload
+   * @param {string} [method] - HTTP method (default: 'POST')
+   * @param {Object} [headers] - Additional headers
+   * @returns {Promise<Object>} Axios response
+   */
+  async makeRequest(product, url, data, method = 'POST', headers = {}) {
+    try {
+      const token = await this.authenticate(product);
+
+      return await this.httpClient({
+        method,
+        url,
+        data,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'X-Target-Environment': this.targetEnvironment,
+          'Ocp-Apim-Subscription-Key': this.subscriptionKeys[product],
+          ...headers
+        }
+      });
+    } catch (error) {
+      logger.error('MTN MoMo API request failed', {
+        url,
+        error: error.message,
+        response: error.response?.data
+      });
+
+      if (error.response) {
+        throw new AppError(
+          `MTN MoMo API error: ${error.response.data?.message || error.response.data?.code || error.response.statusText}`,
+          error.response.status
+        );
+      } else if (error.request) {
+        throw new AppError('MTN MoMo API timeout: No response received', 504);
+      }
+
+      throw error instanceof AppError
+        ? error
+        : new AppError(`MTN MoMo API request failed: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Format a phone number as MoMo expects it (international, no leading +)
+   * @param {string} phoneNumber - Phone number to format
+   * @returns {string} MSISDN
+   */
+  formatPhoneNumber(phoneNumber) {
+    return countryRegistry.normalizePhoneNumber(this.country, phoneNumber);
+  }
+
+  /**
+   * Map a MoMo transaction status to a platform transaction status
+   * Shared by status checks and request-to-pay callbacks
+   * @param {string} status - MoMo status (SUCCESSFUL, FAILED, PENDING, ...)
+   * @returns {string} Platform transaction status
+   */
+  static mapTransactionStatus(status) {
+    switch (status) {
+      case 'SUCCESSFUL':
+        return 'completed';
+      case 'FAILED':
+      case 'REJECTED':
+        return 'failed';
+      case 'TIMEOUT':
+        return 'expired';
+      default:
+        return 'pending';
+    }
+  }
+
+  /**
+   * Collect a payment via request-to-pay (PaymentGateway)
+   * @param {Object} params - Collection parameters
+   * @returns {Promise<Object>} Gateway result
+   */
+  async collect(params) {
+    const referenceId = uuidv4();
+    const callbackUrl = params.callbackUrl || this.callbackUrl;
+
+    const response = await this.makeRequest(PRODUCTS.COLLECTION, '/collection/v1_0/requesttopay', {
+      amount: String(params.amount),
+      currency: this.currency,
+      externalId: String(params.conversationId || params.reference || referenceId),
+      payer: {
+        partyIdType: 'MSISDN',
+        partyId: this.formatPhoneNumber(params.phoneNumber)
+      },
+      payerMessage: String(params.description || 'Payment').substring(0, 160),
+      payeeNote: String(params.reference || 'Payment').substring(0, 160)
+    }, 'POST', {
+      'X-Reference-Id': referenceId,
+      ...(callbackUrl ? { 'X-Callback-Url': callbackUrl } : {})
+    });
+
+    // MoMo accepts the request with 202 and settles asynchronously
+    return this.buildResult('pending', { httpStatus: response.status, referenceId }, referenceId);
+  }
+
+  /**
+   * Send money to a customer via transfer (PaymentGateway)
+   * @param {Object} params - Disbursement parameters
+   * @returns {Promise<Object>} Gateway result
+   */
+  async disburse(params) {
+    const referenceId = uuidv4();
+
+    const response = await this.makeRequest(PRODUCTS.DISBURSEMENT, '/disbursement/v1_0/transfer', {
+      amount: String(params.amount),
+      currency: this.currency,
+      externalId: String(params.conversationId || params.reference || referenceId),
+      payee: {
+        partyIdType: 'MSISDN',
+        partyId: this.formatPhoneNumber(params.phoneNumber)
+      },
+      payerMessage: String(params.description || 'Payout').substring(0, 160),
+      payeeNote: String(params.reference || 'Payout').substring(0, 160)
+    }, 'POST', {
+      'X-Reference-Id': referenceId
+    });
+
+    // Accepted transfers settle without customer action
+    return this.buildResult('processing', { httpStatus: response.status, referenceId }, referenceId);
+  }
+
+  /**
+   * Get the status of a request-to-pay (PaymentGateway)
+   * @param {string} reference - Reference ID returned by collect
+   * @returns {Promise<Object>} Gateway result
+   */
+  async getStatus(reference) {
+    const response = await this.makeRequest(
+      PRODUCTS.COLLECTION,
+      `/collection/v1_0/requesttopay/${encodeURIComponent(reference)}`,
+      undefined,
+      'GET'
+    );
+
+    return this.buildResult(MtnMomoClient.mapTransactionStatus(response.data?.status), response.data, reference);
+  }
+
+  /**
+   * Reverse a transaction (PaymentGateway)
+   * MoMo has no reversal endpoint for merchants; refunds are sent as transfers
+   * @returns {Promise<Object>} Gateway result
+   */
+  async reverse() {
+    throw new AppError('MTN MoMo does not support reversals; send a disbursement instead', 400);
+  }
+}
+
+MtnMomoClient.COUNTRIES = MTN_COUNTRIES;
+
+module.exports = MtnMomoClient;
@@ -2,8 +2,10 @@
 const BaseNotificationService = require('./notificationService');
 const EmailNotificationService = require('./emailService');
 const SMSNotificationService = require('./smsService');
+const { SMSAdapterFactory, FakeSmsAdapter } = require('./sms');
 const WebhookNotificationService = require('./webhookService');
 const NotificationManager = require('./notificationManager');
+const templateService = require('./templateService');
 
 /**
  * Create a default notification manager with all services configured
@@ -18,7 +20,10 @@ module.exports = {
   BaseNotificationService,
   EmailNotificationService,
   SMSNotificationService,
+  SMSAdapterFactory,
+  FakeSmsAdapter,
   WebhookNotificationService,
   NotificationManager,
+  templateService,
   createNotificationManager
 };
\ No newline at end of file
@@ -0,0 +1,128 @@
+// server/src/services/notifications/locales/en.js
+
+/**
+ * Default English notification templates
+ * Syntax and variables are described in templateEngine.js and templateCatalog.js
+ */
+
+const transactionEmail = (heading, intro) => ({
+  subject: `Transaction ${heading}: {{reference}}`,
+  html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2>Transaction ${heading}</h2>
+        <p>${intro}</p>
+
+        <div style="border: 1px solid #ddd; border-radius: 4px; padding: 15px; margin-top: 20px;">
+          <h3 style="margin-top: 0;">Transaction Details</h3>
+          <p><strong>Reference:</strong> {{reference}}</p>
+          <p><strong>M-Pesa Reference:</strong> {{#mpesaReference}}{{mpesaReference}}{{/mpesaReference}}{{^mpesaReference}}Not available yet{{/mpesaReference}}</p>
+          <p><strong>Amount:</strong> {{currency}} {{amount}}</p>
+          <p><strong>Status:</strong> {{status}}</p>
+          <p><strong>Phone Number:</strong> {{phoneNumber}}</p>
+          <p><strong>Transaction Type:</strong> {{transactionType}}</p>
+          <p><strong>Country:</strong> {{country}}</p>
+          <p><strong>Date:</strong> {{date}}</p>
+        </div>
+
+        <p style="margin-top: 20px;">You can view this transaction in your dashboard at any time.</p>
+
+        <p style="margin-top: 30px; font-size: 12px; color: #666;">
+          This is an automated message from the M-Pesa Integration Platform.
+          Please do not reply to this email.
+        </p>
+      </div>
+    `,
+  text: `
+TRANSACTION ${heading}
+
+${intro}
+
+Reference: {{reference}}
+M-Pesa Reference: {{#mpesaReference}}{{mpesaReference}}{{/mpesaReference}}{{^mpesaReference}}Not available yet{{/mpesaReference}}
+Amount: {{currency}} {{amount}}
+Status: {{status}}
+Phone Number: {{phoneNumber}}
+Transaction Type: {{transactionType}}
+Country: {{country}}
+Date: {{date}}
+
+You can view this transaction in your dashboard at any time.
+
+This is an automated message from the M-Pesa Integration Platform.
+Please do not reply to this email.
+    `
+});
+
+module.exports = {
+  'payment.receipt': {
+    sms: {
+      body: '{{receiptNumber}} confirmed. You paid {{currency}} {{amount}} to {{merchantName}} on {{date}}. Ref: {{reference}}.' +
+        '{{#receiptUrl}} Receipt: {{receiptUrl}}{{/receiptUrl}}{{#footer}} {{footer}}{{/footer}}'
+    },
+    email: {
+      subject: 'Your receipt from {{merchantName}} ({{receiptNumber}})',
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        {{#logo}}<img src="{{logo}}" alt="{{merchantName}}" style="max-height: 60px;">{{/logo}}
+        <h2>Payment receipt</h2>
+        <p>Thank you for your payment to <strong>{{merchantName}}</strong>.</p>
+
+        <div style="border: 1px solid #ddd; border-radius: 4px; padding: 15px; margin-top: 20px;">
+          <p><strong>Amount:</strong> {{currency}} {{amount}}</p>
+          <p><strong>M-Pesa receipt:</strong> {{receiptNumber}}</p>
+          <p><strong>Reference:</strong> {{reference}}</p>
+          <p><strong>Paid from:</strong> {{phoneNumber}}</p>
+          <p><strong>Date:</strong> {{date}}</p>
+        </div>
+        {{#receiptUrl}}
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="{{receiptUrl}}" style="background-color: #0066cc; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+            Download PDF receipt
+          </a>
+        </div>
+        {{/receiptUrl}}
+        {{#footer}}<p>{{footer}}</p>{{/footer}}
+
+        <p style="margin-top: 30px; font-size: 12px; color: #666;">
+          This receipt was sent on behalf of {{merchantName}} by the M-Pesa Integration Platform.
+        </p>
+      </div>
+    `,
+      text: `
+PAYMENT RECEIPT
+
+Thank you for your payment to {{merchantName}}.
+
+Amount: {{currency}} {{amount}}
+M-Pesa receipt: {{receiptNumber}}
+Reference: {{reference}}
+Paid from: {{phoneNumber}}
+Date: {{date}}
+{{#receiptUrl}}
+Download your PDF receipt: {{receiptUrl}}
+{{/receiptUrl}}
+{{#footer}}{{footer}}{{/footer}}
+
+This receipt was sent on behalf of {{merchantName}} by the M-Pesa Integration Platform.
+    `
+    }
+  },
+  'transaction.completed': {
+    sms: {
+      body: 'M-Pesa Transaction COMPLETED: {{reference}} - {{currency}} {{amount}} from {{phoneNumber}}.'
+    },
+    email: transactionEmail('COMPLETED', 'Your M-Pesa transaction has been completed.')
+  },
+  'transaction.failed': {
+    sms: {
+      body: 'M-Pesa Transaction FAILED: {{reference}} - {{currency}} {{amount}} is now {{status}}.'
+    },
+    email: transactionEmail('FAILED', 'Your M-Pesa transaction has failed.')
+  },
+  'transaction.updated': {
+    sms: {
+      body: 'M-Pesa Transaction {{event}}: {{reference}} - {{currency}} {{amount}} is now {{status}}.'
+    },
+    email: transactionEmail('{{event}}', 'Your M-Pesa transaction has been updated.')
+  }
+};
@@ -0,0 +1,128 @@
+// server/src/services/notifications/locales/sw.js
+
+/**
+ * Default Swahili notification templates
+ * Syntax and variables are described in templateEngine.js and templateCatalog.js
+ */
+
+const transactionEmail = (heading, intro) => ({
+  subject: `Muamala ${heading}: {{reference}}`,
+  html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2>Muamala ${heading}</h2>
+        <p>${intro}</p>
+
+        <div style="border: 1px solid #ddd; border-radius: 4px; padding: 15px; margin-top: 20px;">
+          <h3 style="margin-top: 0;">Maelezo ya Muamala</h3>
+          <p><strong>Kumbukumbu:</strong> {{reference}}</p>
+          <p><strong>Kumbukumbu ya M-Pesa:</strong> {{#mpesaReference}}{{mpesaReference}}{{/mpesaReference}}{{^mpesaReference}}Bado haipatikani{{/mpesaReference}}</p>
+          <p><strong>Kiasi:</strong> {{currency}} {{amount}}</p>
+          <p><strong>Hali:</strong> {{status}}</p>
+          <p><strong>Nambari ya Simu:</strong> {{phoneNumber}}</p>
+          <p><strong>Aina ya Muamala:</strong> {{transactionType}}</p>
+          <p><strong>Nchi:</strong> {{country}}</p>
+          <p><strong>Tarehe:</strong> {{date}}</p>
+        </div>
+
+        <p style="margin-top: 20px;">Unaweza kuona muamala huu kwenye dashibodi yako wakati wowote.</p>
+
+        <p style="margin-top: 30px; font-size: 12px; color: #666;">
+          Huu ni ujumbe wa kiotomatiki kutoka M-Pesa Integration Platform.
+          Tafadhali usijibu barua pepe hii.
+        </p>
+      </div>
+    `,
+  text: `
+MUAMALA ${heading}
+
+${intro}
+
+Kumbukumbu: {{reference}}
+Kumbukumbu ya M-Pesa: {{#mpesaReference}}{{mpesaReference}}{{/mpesaReference}}{{^mpesaReference}}Bado haipatikani{{/mpesaReference}}
+Kiasi: {{currency}} {{amount}}
+Hali: {{status}}
+Nambari ya Simu: {{phoneNumber}}
+Aina ya Muamala: {{transactionType}}
+Nchi: {{country}}
+Tarehe: {{date}}
+
+Unaweza kuona muamala huu kwenye dashibodi yako wakati wowote.
+
+Huu ni ujumbe wa kiotomatiki kutoka M-Pesa Integration Platform.
+Tafadhali usijibu barua pepe hii.
+    `
+});
+
+module.exports = {
+  'payment.receipt': {
+    sms: {
+      body: '{{receiptNumber}} imethibitishwa. Umelipa {{currency}} {{amount}} kwa {{merchantName}} tarehe {{date}}. Kumb: {{reference}}.' +
+        '{{#receiptUrl}} Risiti: {{receiptUrl}}{{/receiptUrl}}{{#footer}} {{footer}}{{/footer}}'
+    },
+    email: {
+      subject: 'Risiti yako kutoka {{merchantName}} ({{receiptNumber}})',
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        {{#logo}}<img src="{{logo}}" alt="{{merchantName}}" style="max-height: 60px;">{{/logo}}
+        <h2>Risiti ya malipo</h2>
+        <p>Asante kwa malipo yako kwa <strong>{{merchantName}}</strong>.</p>
+
+        <div style="border: 1px solid #ddd; border-radius: 4px; padding: 15px; margin-top: 20px;">
+          <p><strong>Kiasi:</strong> {{currency}} {{amount}}</p>
+          <p><strong>Risiti ya M-Pesa:</strong> {{receiptNumber}}</p>
+          <p><strong>Kumbukumbu:</strong> {{reference}}</p>
+          <p><strong>Imelipwa kutoka:</strong> {{phoneNumber}}</p>
+          <p><strong>Tarehe:</strong> {{date}}</p>
+        </div>
+        {{#receiptUrl}}
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="{{receiptUrl}}" style="background-color: #0066cc; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+            Pakua risiti (PDF)
+          </a>
+        </div>
+        {{/receiptUrl}}
+        {{#footer}}<p>{{footer}}</p>{{/footer}}
+
+        <p style="margin-top: 30px; font-size: 12px; color: #666;">
+          Risiti hii imetumwa kwa niaba ya {{merchantName}} na M-Pesa Integration Platform.
+        </p>
+      </div>
+    `,
+      text: `
+RISITI YA MALIPO
+
+Asante kwa malipo yako kwa {{merchantName}}.
+
+Kiasi: {{currency}} {{amount}}
+Risiti ya M-Pesa: {{receiptNumber}}
+Kumbukumbu: {{reference}}
+Imelipwa kutoka: {{phoneNumber}}
+Tarehe: {{date}}
+{{#receiptUrl}}
+Pakua risiti yako (PDF): {{receiptUrl}}
+{{/receiptUrl}}
+{{#footer}}{{footer}}{{/footer}}
+
+Risiti hii imetumwa kwa niaba ya {{merchantName}} na M-Pesa Integration Platform.
+    `
+    }
+  },
+  'transaction.completed': {
+    sms: {
+      body: 'Muamala wa M-Pesa UMEKAMILIKA: {{reference}} - {{currency}} {{amount}} kutoka {{phoneNumber}}.'
+    },
+    email: transactionEmail('UMEKAMILIKA', 'Muamala wako wa M-Pesa umekamilika.')
+  },
+  'transaction.failed': {
+    sms: {
+      body: 'Muamala wa M-Pesa UMESHINDWA: {{reference}} - {{currency}} {{amount}} sasa ni {{status}}.'
+    },
+    email: transactionEmail('UMESHINDWA', 'Muamala wako wa M-Pesa umeshindwa.')
+  },
+  'transaction.updated': {
+    sms: {
+      body: 'Muamala wa M-Pesa ({{event}}): {{reference}} - {{currency}} {{amount}} sasa ni {{status}}.'
+    },
+    email: transactionEmail('({{event}})', 'Muamala wako wa M-Pesa umesasishwa.')
+  }
+};
@@ -2,6 +2,7 @@
 const EmailNotificationService = require('./emailService');
 const SMSNotificationService = require('./smsService');
 const WebhookNotificationService = require('./webhookService');
+const templateService = require('./templateService');
 const AppError = require('../../utils/appError');
 const logger = require('../../utils/logger');
 
@@ -152,15 +153,25 @@ class NotificationManager {
       });
     }
     
+    // Email and SMS use the business's templates in the business's locale
+    const templateEvent = templateService.getTransactionEvent(event);
+    const templateData = templateService.buildTransactionData(
+      event,
+      transaction,
+      business,
+      templateService.resolveLocale(business)
+    );
+    
     // Add email notification if business has notification email configured
     if (business.notificationEmail) {
+      const email = await templateService.render(business, templateEvent, 'email', templateData);
       notifications.push({
         channel: 'email',
         payload: {
           to: business.notificationEmail,
-          subject: `Transaction ${event.toUpperCase()}: ${transaction.internalReference}`,
-          html: this._generateTransactionEmailHtml(event, transaction, business),
-          text: this._generateTransactionEmailText(event, transaction, business)
+          subject: email.subject,
+          html: email.html,
+          text: email.text
         }
       });
     }
@@ -168,11 +179,15 @@ class NotificationManager {
     // Add SMS notification if business has notification phone configured
     // and the event is important enough to warrant an SMS
     if (business.notificationPhone && ['completed', 'failed'].includes(event)) {
+      const sms = await templateService.render(business, templateEvent, 'sms', templateData);
       notifications.push({
         channel: 'sms',
         payload: {
           to: business.notificationPhone,
-          message: this._generateTransactionSmsText(event, transaction, business)
+          message: sms.message,
+          business: business._id,
+          country: transaction.country,
+          reference: String(transaction._id)
         }
       });
     }
@@ -185,96 +200,6 @@ class NotificationManager {
       return [];
     }
   }
-
-  /**
-   * Generate HTML content for transaction email
-   * @param {string} event - The transaction event
-   * @param {Object} transaction - The transaction object
-   * @param {Object} business - The business object
-   * @returns {string} - HTML content for the email
-   * @private
-   */
-  _generateTransactionEmailHtml(event, transaction, business) {
-    const statusColors = {
-      completed: '#28a745',
-      failed: '#dc3545',
-      pending: '#ffc107',
-      initiated: '#17a2b8'
-    };
-    
-    const statusColor = statusColors[transaction.status] || '#6c757d';
-    
-    return `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <h2>Transaction ${event.toUpperCase()}</h2>
-        <p>Your M-Pesa transaction has been ${event}.</p>
-        
-        <div style="border: 1px solid #ddd; border-radius: 4px; padding: 15px; margin-top: 20px;">
-          <h3 style="margin-top: 0;">Transaction Details</h3>
-          <p><strong>Reference:</strong> ${transaction.internalReference}</p>
-          <p><strong>M-Pesa Reference:</strong> ${transaction.mpesaReference || 'Not available yet'}</p>
-          <p><strong>Amount:</strong> ${transaction.amount} ${transaction.currency}</p>
-          <p><strong>Status:</strong> <span style="color: ${statusColor}; font-weight: bold;">${transaction.status.toUpperCase()}</span></p>
-          <p><strong>Phone Number:</strong> ${transaction.phoneNumber}</p>
-          <p><strong>Transaction Type:</strong> ${transaction.transactionType}</p>
-          <p><strong>Country:</strong> ${transaction.country}</p>
-          <p><strong>Created:</strong> ${new Date(transaction.createdAt).toLocaleString()}</p>
-        </div>
-        
-        <p style="margin-top: 20px;">You can view this transaction in your dashboard at any time.</p>
-        
-        <p style="margin-top: 30px; font-size: 12px; color: #666;">
-          This is an automated message from the M-Pesa Integration Platform.
-          Please do not reply to this email.
-        </p>
-      </div>
-    `;
-  }
-
-  /**
-   * Generate plain text content for transaction email
-   * @param {string} event - The transaction event
-   * @param {Object} transaction - The transaction object
-   * @param {Object} business - The business object
-   * @returns {string} - Plain text content for the email
-   * @private
-   */
-  _generateTransactionEmailText(event, transaction, business) {
-    return `
-TRANSACTION ${event.toUpperCase()}
-
-Your M-Pesa transaction has been ${event}.
-
-TRANSACTION DETAILS
-------------------
-Reference: ${transaction.internalReference}
-M-Pesa Reference: ${transaction.mpesaReference || 'Not available yet'}
-Amount: ${transaction.amount} ${transaction.currency}
-Status: ${transaction.status.toUpperCase()}
-Phone Number: ${transaction.phoneNumber}
-Transaction Type: ${transaction.transactionType}
-Country: ${transaction.country}
-Created: ${new Date(transaction.createdAt).toLocaleString()}
-
-You can view this transaction in your dashboard at any time.
-
-This is an automated message from the M-Pesa Integration Platform.
-Please do not reply to this email.
-    `;
-  }
-
-  /**
-   * Generate SMS text for transaction notification
-   * @param {string} event - The transaction event
-   * @param {Object} transaction - The transaction object
-   * @param {Object} business - The business object
-   * @returns {string} - SMS text content
-   * @private
-   */
-  _generateTransactionSmsText(event, transaction, business) {
-    // Keep SMS short due to length limitations
-    return `M-Pesa Transaction ${event.toUpperCase()}: ${transaction.internalReference} - ${transaction.amount} ${transaction.currency} is now ${transaction.status.toUpperCase()}`;
-  }
 }
 
 module.exports = NotificationManager;
\ No newline at end of file
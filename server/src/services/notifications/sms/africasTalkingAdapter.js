@@ -0,0 +1,124 @@
+// server/src/services/notifications/sms/africasTalkingAdapter.js
+const axios = require('axios');
+const SMSAdapter = require('./smsAdapter');
+const AppError = require('../../../utils/appError');
+
+// Per-recipient status codes that mean the message was accepted
+const ACCEPTED_CODES = {
+  100: 'queued', // Processed
+  101: 'sent', // Sent
+  102: 'queued' // Queued
+};
+
+// Delivery report statuses, mapped to the platform's statuses
+const REPORT_STATUSES = {
+  Sent: 'sent',
+  Submitted: 'sent',
+  Buffered: 'sent',
+  Success: 'delivered',
+  Rejected: 'failed',
+  Failed: 'failed',
+  AbsentSubscriber: 'failed',
+  Expired: 'failed'
+};
+
+/**
+ * Africa's Talking bulk SMS adapter
+ * Delivery reports are posted to the callback URL configured on the
+ * Africa's Talking dashboard, not per message
+ */
+class AfricasTalkingAdapter extends SMSAdapter {
+  /**
+   * @param {Object} config - Configuration object
+   * @param {string} config.username - Africa's Talking app username ('sandbox' for the sandbox)
+   * @param {string} config.apiKey - Africa's Talking API key
+   */
+  constructor(config = {}) {
+    super('africastalking', config);
+
+    if (!config.username || !config.apiKey) {
+      throw new AppError('Africa\'s Talking SMS requires a username and an API key', 500);
+    }
+
+    this.username = config.username;
+    this.httpClient = axios.create({
+      baseURL: this.getBaseUrl(),
+      timeout: this.timeout,
+      headers: {
+        apiKey: config.apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+  }
+
+  /**
+   * Get the base URL for API calls; the 'sandbox' username selects the sandbox
+   * @returns {string} Base URL
+   */
+  getBaseUrl() {
+    return this.username === 'sandbox'
+      ? 'https://api.sandbox.africastalking.com'
+      : 'https://api.africastalking.com';
+  }
+
+  /**
+   * Send one message
+   * @param {Object} params - Message parameters (see SMSAdapter#sendMessage)
+   * @returns {Promise<Object>} - { messageId, status, cost, failureReason, raw }
+   */
+  async sendMessage(params) {
+    const form = new URLSearchParams({
+      username: this.username,
+      to: params.to,
+      message: params.message
+    });
+    if (params.from) {
+      form.append('from', params.from);
+    }
+
+    const response = await this.httpClient.post('/version1/messaging', form.toString());
+    const data = response.data && response.data.SMSMessageData;
+    const recipient = data && data.Recipients && data.Recipients[0];
+
+    if (!recipient) {
+      return {
+        messageId: null,
+        status: 'failed',
+        failureReason: (data && data.Message) || 'No recipient in response',
+        raw: response.data
+      };
+    }
+
+    const status = ACCEPTED_CODES[recipient.statusCode] || 'failed';
+
+    return {
+      messageId: recipient.messageId && recipient.messageId !== 'None' ? recipient.messageId : null,
+      status,
+      cost: recipient.cost,
+      failureReason: status === 'failed' ? recipient.status : null,
+      raw: response.data
+    };
+  }
+
+  /**
+   * Read a delivery report
+   * @param {Object} body - Form body with id, status and failureReason
+   * @returns {Object|null} - { messageId, status, failureReason }
+   */
+  static parseDeliveryReport(body) {
+    if (!body || !body.id || !REPORT_STATUSES[body.status]) {
+      return null;
+    }
+
+    const status = REPORT_STATUSES[body.status];
+
+    return {
+      messageId: body.id,
+      status,
+      failureReason: status === 'failed' ? body.failureReason || body.status : null
+    };
+  }
+}
+
+module.exports = AfricasTalkingAdapter;
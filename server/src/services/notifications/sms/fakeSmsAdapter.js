@@ -0,0 +1,105 @@
+// server/src/services/notifications/sms/fakeSmsAdapter.js
+const crypto = require('crypto');
+const SMSAdapter = require('./smsAdapter');
+const { SMS_STATUSES } = require('./smsAdapter');
+const logger = require('../../../utils/logger');
+
+// Messages sent through any fake adapter, oldest first
+const outbox = [];
+
+/**
+ * Local SMS adapter that records messages instead of sending them
+ * The default outside production, and what tests assert against through
+ * FakeSmsAdapter.outbox. Delivery reports take {messageId, status, failureReason}
+ */
+class FakeSmsAdapter extends SMSAdapter {
+  /**
+   * @param {Object} [config] - Configuration object
+   * @param {boolean} [config.concatenation] - Set to false to exercise message splitting
+   * @param {boolean} [config.fail] - Make every message fail, to exercise error paths
+   */
+  constructor(config = {}) {
+    super('fake', config);
+    this.concatenation = config.concatenation !== false;
+    this.fail = config.fail === true;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get supportsConcatenation() {
+    return this.concatenation;
+  }
+
+  /**
+   * Record one message
+   * @param {Object} params - Message parameters (see SMSAdapter#sendMessage)
+   * @returns {Promise<Object>} - { messageId, status, cost, failureReason, raw }
+   */
+  async sendMessage(params) {
+    const messageId = `fake-${crypto.randomBytes(8).toString('hex')}`;
+    const status = this.fail ? 'failed' : 'sent';
+
+    outbox.push({
+      messageId,
+      to: params.to,
+      from: params.from,
+      message: params.message,
+      callbackUrl: params.callbackUrl,
+      status,
+      sentAt: new Date()
+    });
+
+    logger.info('SMS recorded by fake adapter', { to: params.to, messageId });
+
+    return {
+      messageId,
+      status,
+      failureReason: this.fail ? 'Fake adapter configured to fail' : null,
+      raw: null
+    };
+  }
+
+  /**
+   * Read a delivery report
+   * @param {Object} body - Body with messageId, status and failureReason
+   * @returns {Object|null} - { messageId, status, failureReason }
+   */
+  static parseDeliveryReport(body) {
+    if (!body || !body.messageId || !SMS_STATUSES.includes(body.status)) {
+      return null;
+    }
+
+    return {
+      messageId: body.messageId,
+      status: body.status,
+      failureReason: body.status === 'failed' ? body.failureReason || null : null
+    };
+  }
+
+  /**
+   * Messages recorded so far
+   * @returns {Array<Object>}
+   */
+  static get outbox() {
+    return outbox;
+  }
+
+  /**
+   * Messages recorded for one recipient
+   * @param {string} to - Recipient in E.164 format
+   * @returns {Array<Object>}
+   */
+  static messagesTo(to) {
+    return outbox.filter(message => message.to === to);
+  }
+
+  /**
+   * Forget every recorded message
+   */
+  static reset() {
+    outbox.length = 0;
+  }
+}
+
+module.exports = FakeSmsAdapter;
@@ -0,0 +1,90 @@
+// server/src/services/notifications/sms/httpGatewayAdapter.js
+const axios = require('axios');
+const SMSAdapter = require('./smsAdapter');
+const AppError = require('../../../utils/appError');
+const { SMS_STATUSES } = require('./smsAdapter');
+
+/**
+ * Generic HTTP SMS gateway adapter
+ * For aggregators and in-house gateways without a dedicated adapter. The gateway receives
+ * POST {to, from, message, callbackUrl} as JSON with a bearer API key, answers with
+ * {messageId} (or {id}) and an optional status, and posts delivery reports back as
+ * {messageId, status, failureReason} using the platform's statuses
+ */
+class HttpGatewayAdapter extends SMSAdapter {
+  /**
+   * @param {Object} config - Configuration object
+   * @param {string} config.url - Gateway send URL
+   * @param {string} [config.apiKey] - Bearer token for the gateway
+   * @param {boolean} [config.concatenation] - Whether the gateway accepts messages longer than one SMS
+   */
+  constructor(config = {}) {
+    super('http', config);
+
+    if (!config.url) {
+      throw new AppError('The HTTP SMS gateway requires a URL', 500);
+    }
+
+    this.url = config.url;
+    this.concatenation = config.concatenation === true;
+    this.httpClient = axios.create({
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {})
+      }
+    });
+  }
+
+  /**
+   * Plain gateways get every part as its own message unless configured otherwise
+   * @returns {boolean}
+   */
+  get supportsConcatenation() {
+    return this.concatenation;
+  }
+
+  /**
+   * Send one message
+   * @param {Object} params - Message parameters (see SMSAdapter#sendMessage)
+   * @returns {Promise<Object>} - { messageId, status, cost, failureReason, raw }
+   */
+  async sendMessage(params) {
+    const response = await this.httpClient.post(this.url, {
+      to: params.to,
+      from: params.from,
+      message: params.message,
+      callbackUrl: params.callbackUrl
+    });
+
+    const data = response.data || {};
+    const status = SMS_STATUSES.includes(data.status) ? data.status : 'queued';
+
+    return {
+      messageId: data.messageId || data.id || null,
+      status,
+      cost: data.cost,
+      failureReason: status === 'failed' ? data.failureReason || data.error || null : null,
+      raw: data
+    };
+  }
+
+  /**
+   * Read a delivery report
+   * @param {Object} body - JSON body with messageId, status and failureReason
+   * @returns {Object|null} - { messageId, status, failureReason }
+   */
+  static parseDeliveryReport(body) {
+    if (!body || !body.messageId || !SMS_STATUSES.includes(body.status)) {
+      return null;
+    }
+
+    return {
+      messageId: String(body.messageId),
+      status: body.status,
+      failureReason: body.status === 'failed' ? body.failureReason || null : null
+    };
+  }
+}
+
+module.exports = HttpGatewayAdapter;
@@ -0,0 +1,18 @@
+// server/src/services/notifications/sms/index.js
+const SMSAdapter = require('./smsAdapter');
+const AfricasTalkingAdapter = require('./africasTalkingAdapter');
+const TwilioAdapter = require('./twilioAdapter');
+const HttpGatewayAdapter = require('./httpGatewayAdapter');
+const FakeSmsAdapter = require('./fakeSmsAdapter');
+const SMSAdapterFactory = require('./smsAdapterFactory');
+const smsSegments = require('./smsSegments');
+
+module.exports = {
+  SMSAdapter,
+  AfricasTalkingAdapter,
+  TwilioAdapter,
+  HttpGatewayAdapter,
+  FakeSmsAdapter,
+  SMSAdapterFactory,
+  ...smsSegments
+};
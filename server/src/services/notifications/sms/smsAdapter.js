@@ -0,0 +1,58 @@
+// server/src/services/notifications/sms/smsAdapter.js
+const { SMS_STATUSES } = require('../../../models/smsMessage');
+
+/**
+ * Provider-neutral SMS adapter
+ * Every SMS provider implements this interface so SMSNotificationService
+ * can send a message without knowing which provider carries it
+ */
+class SMSAdapter {
+  /**
+   * @param {string} provider - Provider code (e.g. 'africastalking', 'twilio')
+   * @param {Object} [config] - Provider configuration
+   */
+  constructor(provider, config = {}) {
+    // Ensure this class cannot be instantiated directly
+    if (this.constructor === SMSAdapter) {
+      throw new Error('SMSAdapter is an abstract class and cannot be instantiated directly');
+    }
+
+    this.provider = provider;
+    this.config = config;
+    this.timeout = config.timeoutMs || 10000;
+  }
+
+  /**
+   * Whether the provider stitches long messages into one concatenated SMS
+   * Providers that cannot get each part sent as a separate message instead
+   * @returns {boolean}
+   */
+  get supportsConcatenation() {
+    return true;
+  }
+
+  /**
+   * Send one message
+   * @param {Object} params - Message parameters
+   * @param {string} params.to - Recipient in E.164 format
+   * @param {string} params.message - Message text
+   * @param {string} [params.from] - Sender ID or number
+   * @param {string} [params.callbackUrl] - Delivery report URL, for providers that take one per message
+   * @returns {Promise<Object>} - { messageId, status, cost, failureReason, raw }
+   */
+  async sendMessage(params) {
+    throw new Error('sendMessage() must be implemented by subclass');
+  }
+
+  /**
+   * Read a delivery report the provider posted back
+   * @param {Object} body - Parsed request body
+   * @returns {Object|null} - { messageId, status, failureReason } or null if the body is not a report
+   */
+  static parseDeliveryReport(body) {
+    throw new Error('parseDeliveryReport() must be implemented by subclass');
+  }
+}
+
+module.exports = SMSAdapter;
+module.exports.SMS_STATUSES = SMS_STATUSES;
@@ -0,0 +1,106 @@
+// server/src/services/notifications/sms/smsAdapterFactory.js
+const AfricasTalkingAdapter = require('./africasTalkingAdapter');
+const TwilioAdapter = require('./twilioAdapter');
+const HttpGatewayAdapter = require('./httpGatewayAdapter');
+const FakeSmsAdapter = require('./fakeSmsAdapter');
+const AppError = require('../../../utils/appError');
+const config = require('../../../config');
+
+// SMS providers that have an adapter, keyed by provider code
+const ADAPTERS = {
+  africastalking: AfricasTalkingAdapter,
+  twilio: TwilioAdapter,
+  http: HttpGatewayAdapter,
+  fake: FakeSmsAdapter
+};
+
+// Providers a business can bring its own account for
+const BUSINESS_PROVIDERS = ['africastalking', 'twilio', 'http'];
+
+/**
+ * Factory for creating SMS adapters from platform or business settings
+ */
+class SMSAdapterFactory {
+  /**
+   * Create an adapter for a provider
+   * @param {string} provider - Provider code ('africastalking', 'twilio', 'http', 'fake')
+   * @param {object} [options] - Provider configuration
+   * @returns {SMSAdapter} - Provider-specific adapter instance
+   */
+  static createAdapter(provider, options = {}) {
+    const Adapter = SMSAdapterFactory.getAdapterClass(provider);
+    return new Adapter({ timeoutMs: config.sms.timeoutMs, ...options });
+  }
+
+  /**
+   * Create the platform's adapter from config.sms
+   * @returns {SMSAdapter} - Adapter for the configured provider
+   */
+  static createDefaultAdapter() {
+    const { provider } = config.sms;
+
+    switch (provider) {
+      case 'africastalking':
+        return SMSAdapterFactory.createAdapter(provider, config.sms.africasTalking);
+      case 'twilio':
+        return SMSAdapterFactory.createAdapter(provider, config.sms.twilio);
+      case 'http':
+        return SMSAdapterFactory.createAdapter(provider, config.sms.httpGateway);
+      default:
+        return SMSAdapterFactory.createAdapter(provider);
+    }
+  }
+
+  /**
+   * Create an adapter from a business's own SMS gateway settings
+   * @param {object} gateway - Business smsGateway, with its API key selected
+   * @returns {SMSAdapter} - Adapter for the business's provider
+   */
+  static createBusinessAdapter(gateway) {
+    switch (gateway.provider) {
+      case 'africastalking':
+        return SMSAdapterFactory.createAdapter(gateway.provider, {
+          username: gateway.username,
+          apiKey: gateway.apiKey
+        });
+      case 'twilio':
+        return SMSAdapterFactory.createAdapter(gateway.provider, {
+          accountSid: gateway.username,
+          authToken: gateway.apiKey
+        });
+      case 'http':
+        return SMSAdapterFactory.createAdapter(gateway.provider, {
+          url: gateway.url,
+          apiKey: gateway.apiKey
+        });
+      default:
+        throw new AppError(`Unsupported SMS provider: ${gateway.provider}`, 400);
+    }
+  }
+
+  /**
+   * Look up the adapter class of a provider
+   * @param {string} provider - Provider code
+   * @returns {Function} - Adapter class
+   * @throws {AppError} If the provider has no adapter
+   */
+  static getAdapterClass(provider) {
+    const Adapter = Object.prototype.hasOwnProperty.call(ADAPTERS, provider) ? ADAPTERS[provider] : null;
+
+    if (!Adapter) {
+      throw new AppError(`Unsupported SMS provider: ${provider}`, 400);
+    }
+
+    return Adapter;
+  }
+
+  /**
+   * Get the providers a business can configure
+   * @returns {Array<string>} - Provider codes
+   */
+  static getBusinessProviders() {
+    return [...BUSINESS_PROVIDERS];
+  }
+}
+
+module.exports = SMSAdapterFactory;
@@ -0,0 +1,127 @@
+// server/src/services/notifications/sms/smsSegments.js
+
+/**
+ * SMS encoding and segmentation helpers
+ * Messages that fit the GSM 03.38 alphabet use 7-bit encoding (160 characters per SMS);
+ * anything else is sent as UCS-2 (70 characters per SMS). Concatenated messages lose
+ * room in every segment to the header that stitches them back together.
+ */
+
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+// Extension table characters take an escape code plus the character itself
+const GSM_EXTENDED = '\f^{}\\[~]|€';
+
+const ENCODINGS = {
+  GSM7: 'GSM-7',
+  UCS2: 'UCS-2'
+};
+
+// Units per SMS: a single message, and each part of a concatenated one
+const LIMITS = {
+  [ENCODINGS.GSM7]: { single: 160, multipart: 153 },
+  [ENCODINGS.UCS2]: { single: 70, multipart: 67 }
+};
+
+const gsmBasic = new Set(GSM_BASIC);
+const gsmExtended = new Set(GSM_EXTENDED);
+
+/**
+ * Find the encoding a message needs
+ * @param {string} text - Message text
+ * @returns {string} - 'GSM-7' or 'UCS-2'
+ */
+const getEncoding = (text) => {
+  for (const char of text) {
+    if (!gsmBasic.has(char) && !gsmExtended.has(char)) {
+      return ENCODINGS.UCS2;
+    }
+  }
+  return ENCODINGS.GSM7;
+};
+
+/**
+ * Count the encoded units a character takes
+ * @param {string} char - One code point
+ * @param {string} encoding - Message encoding
+ * @returns {number} - Septets (GSM-7) or UTF-16 code units (UCS-2)
+ */
+const charUnits = (char, encoding) => {
+  if (encoding === ENCODINGS.GSM7) {
+    return gsmExtended.has(char) ? 2 : 1;
+  }
+  return char.length;
+};
+
+/**
+ * Work out how many SMS a message is billed as
+ * @param {string} text - Message text
+ * @returns {object} - { encoding, units, segments }
+ */
+const countSegments = (text) => {
+  const encoding = getEncoding(text);
+  const units = Array.from(text).reduce((total, char) => total + charUnits(char, encoding), 0);
+  const { single, multipart } = LIMITS[encoding];
+
+  return {
+    encoding,
+    units,
+    segments: units <= single ? 1 : Math.ceil(units / multipart)
+  };
+};
+
+/**
+ * Split a message into parts that each fit in a single SMS
+ * Used for providers that cannot send concatenated messages. Parts break at the
+ * last whitespace where possible, and never inside an escaped or surrogate-pair character.
+ * @param {string} text - Message text
+ * @returns {string[]} - Message parts, in order
+ */
+const splitMessage = (text) => {
+  const encoding = getEncoding(text);
+  const max = LIMITS[encoding].single;
+  const parts = [];
+  let current = [];
+  let units = 0;
+
+  for (const char of Array.from(text)) {
+    const size = charUnits(char, encoding);
+
+    if (units + size > max) {
+      let breakAt = -1;
+      for (let i = current.length - 1; i > 0; i--) {
+        if (/\s/.test(current[i])) {
+          breakAt = i;
+          break;
+        }
+      }
+
+      if (breakAt > 0) {
+        parts.push(current.slice(0, breakAt).join('').trimEnd());
+        current = current.slice(breakAt + 1);
+      } else {
+        parts.push(current.join(''));
+        current = [];
+      }
+      units = current.reduce((total, c) => total + charUnits(c, encoding), 0);
+    }
+
+    current.push(char);
+    units += size;
+  }
+
+  if (current.length > 0) {
+    parts.push(current.join(''));
+  }
+
+  return parts.filter(part => part.trim().length > 0);
+};
+
+module.exports = {
+  ENCODINGS,
+  LIMITS,
+  getEncoding,
+  countSegments,
+  splitMessage
+};
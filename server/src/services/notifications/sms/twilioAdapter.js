@@ -0,0 +1,97 @@
+// server/src/services/notifications/sms/twilioAdapter.js
+const axios = require('axios');
+const SMSAdapter = require('./smsAdapter');
+const AppError = require('../../../utils/appError');
+
+// Twilio message statuses, mapped to the platform's statuses
+const MESSAGE_STATUSES = {
+  accepted: 'queued',
+  scheduled: 'queued',
+  queued: 'queued',
+  sending: 'queued',
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+/**
+ * Twilio Programmable Messaging adapter
+ * Delivery reports arrive on the StatusCallback URL sent with each message
+ */
+class TwilioAdapter extends SMSAdapter {
+  /**
+   * @param {Object} config - Configuration object
+   * @param {string} config.accountSid - Twilio account SID
+   * @param {string} config.authToken - Twilio auth token
+   */
+  constructor(config = {}) {
+    super('twilio', config);
+
+    if (!config.accountSid || !config.authToken) {
+      throw new AppError('Twilio SMS requires an account SID and an auth token', 500);
+    }
+
+    this.accountSid = config.accountSid;
+    this.httpClient = axios.create({
+      baseURL: 'https://api.twilio.com/2010-04-01',
+      timeout: this.timeout,
+      auth: {
+        username: config.accountSid,
+        password: config.authToken
+      },
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+  }
+
+  /**
+   * Send one message
+   * @param {Object} params - Message parameters (see SMSAdapter#sendMessage)
+   * @returns {Promise<Object>} - { messageId, status, cost, failureReason, raw }
+   */
+  async sendMessage(params) {
+    const form = new URLSearchParams({
+      To: params.to,
+      From: params.from,
+      Body: params.message
+    });
+    if (params.callbackUrl) {
+      form.append('StatusCallback', params.callbackUrl);
+    }
+
+    const response = await this.httpClient.post(`/Accounts/${this.accountSid}/Messages.json`, form.toString());
+    const status = MESSAGE_STATUSES[response.data.status] || 'queued';
+
+    return {
+      messageId: response.data.sid,
+      status,
+      cost: response.data.price,
+      failureReason: status === 'failed' ? response.data.error_message : null,
+      raw: response.data
+    };
+  }
+
+  /**
+   * Read a StatusCallback request
+   * @param {Object} body - Form body with MessageSid, MessageStatus and ErrorCode
+   * @returns {Object|null} - { messageId, status, failureReason }
+   */
+  static parseDeliveryReport(body) {
+    if (!body || !body.MessageSid || !MESSAGE_STATUSES[body.MessageStatus]) {
+      return null;
+    }
+
+    const status = MESSAGE_STATUSES[body.MessageStatus];
+
+    return {
+      messageId: body.MessageSid,
+      status,
+      failureReason: status === 'failed' ? `Twilio error ${body.ErrorCode || body.MessageStatus}` : null
+    };
+  }
+}
+
+module.exports = TwilioAdapter;
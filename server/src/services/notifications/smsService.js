@@ -1,58 +1,119 @@
 // server/src/services/notifications/smsService.js
 const BaseNotificationService = require('./notificationService');
+const { SMSAdapterFactory, countSegments, splitMessage } = require('./sms');
+const Business = require('../../models/business');
+const SmsMessage = require('../../models/smsMessage');
+const { countryRegistry } = require('../mpesa/countryRegistry');
+const { toE164 } = require('../../utils/phoneNumber');
 const AppError = require('../../utils/appError');
 const logger = require('../../utils/logger');
 const config = require('../../config');
 
+// Statuses a delivery report may move a message out of; reports never move a message backwards
+const REPORT_TRANSITIONS = {
+  queued: [],
+  sent: ['queued'],
+  delivered: ['queued', 'sent'],
+  failed: ['queued', 'sent']
+};
+
 /**
  * SMS notification service
- * Handles sending SMS notifications
+ * Sends SMS through the platform's provider, or a business's own gateway when it has one
  */
 class SMSNotificationService extends BaseNotificationService {
   /**
    * Create a new SMSNotificationService
    * @param {Object} options - Configuration options
+   * @param {Object} [options.smsClient] - Adapter used for every message, overriding provider selection
+   * @param {boolean} [options.recordMessages] - Set to false to skip storing sent messages
    */
   constructor(options = {}) {
     super();
-    // In a real implementation, you would initialize an SMS service client here
-    // such as Twilio, Africa's Talking, etc.
-    this.smsClient = options.smsClient || this._createDefaultSMSClient();
+    this.smsClient = options.smsClient || null;
+    this.recordMessages = options.recordMessages !== false;
+    this.defaultAdapter = null;
     logger.info('SMS notification service initialized');
   }
 
   /**
-   * Create a default SMS client
-   * @returns {Object} - The SMS client
-   * @private
+   * Pick the adapter and sender ID for a message
+   * @param {string|null} businessId - Business the message is sent for
+   * @returns {Promise<Object>} - { adapter, from }
    */
-  _createDefaultSMSClient() {
-    // In production, use a real SMS service client based on config
-    // This is a placeholder implementation
-    return {
-      sendMessage: async (options) => {
-        logger.debug('Sending SMS', { to: options.to, message: options.message });
-        // In development, we might just log the SMS
-        if (config.env === 'development') {
-          logger.info('SMS would be sent', {
-            to: options.to,
-            message: options.message
-          });
-          return { messageId: 'dev-mode-' + Date.now() };
-        }
-        
-        // In a real implementation, you would send the SMS here
-        // For example, with Twilio:
-        // return await this.twilioClient.messages.create({
-        //   body: options.message,
-        //   from: config.sms.fromNumber,
-        //   to: options.to
-        // });
-        
-        // Simulated response
-        return { messageId: 'mock-sms-id-' + Date.now() };
+  async resolveAdapter(businessId) {
+    if (this.smsClient) {
+      return { adapter: this.smsClient, from: null };
+    }
+
+    if (businessId) {
+      const business = await Business.findById(businessId).select('smsGateway +smsGateway.apiKey');
+      const gateway = business && business.smsGateway;
+
+      if (gateway && gateway.provider) {
+        return {
+          adapter: SMSAdapterFactory.createBusinessAdapter(gateway),
+          from: gateway.senderId
+        };
       }
-    };
+    }
+
+    if (!this.defaultAdapter) {
+      this.defaultAdapter = SMSAdapterFactory.createDefaultAdapter();
+    }
+
+    return { adapter: this.defaultAdapter, from: null };
+  }
+
+  /**
+   * Format a recipient as E.164
+   * Local numbers take the dial code of the given country; numbers written
+   * with + or 00 keep their own country code
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} [country] - Country code for local numbers (defaults to config.sms.defaultCountry)
+   * @returns {string} - E.164 phone number
+   * @throws {AppError} If the number cannot be a valid E.164 number
+   */
+  normalizeRecipient(phoneNumber, country) {
+    const profile = countryRegistry.getProfile(country || config.sms.defaultCountry);
+    const e164 = toE164(phoneNumber, profile.phone);
+
+    if (!/^\+[1-9]\d{7,14}$/.test(e164)) {
+      throw new AppError(`Invalid recipient phone number: ${phoneNumber}`, 400);
+    }
+
+    return e164;
+  }
+
+  /**
+   * Split a message into the messages the adapter should send
+   * @param {string} message - Message text
+   * @param {Object} adapter - SMS adapter
+   * @returns {Array<string>} - One message for concatenating providers, single-SMS parts otherwise
+   * @throws {AppError} If the message is longer than config.sms.maxSegments
+   */
+  buildParts(message, adapter) {
+    const parts = adapter.supportsConcatenation === false ? splitMessage(message) : [message];
+    const segments = Math.max(countSegments(message).segments, parts.length);
+
+    if (segments > config.sms.maxSegments) {
+      throw new AppError(`SMS message is too long: ${segments} segments, the limit is ${config.sms.maxSegments}`, 400);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Build the delivery report URL for a provider
+   * @param {string} provider - Provider code
+   * @returns {string|undefined} - Callback URL, or undefined when no callback token is configured
+   */
+  getCallbackUrl(provider) {
+    if (!config.sms.callbackToken || !process.env.API_BASE_URL) {
+      return undefined;
+    }
+
+    return `${process.env.API_BASE_URL}/api/v1/webhooks/sms/${provider}/delivery/${config.sms.callbackToken}`;
   }
 
   /**
@@ -64,17 +125,14 @@ class SMSNotificationService extends BaseNotificationService {
     if (!payload) {
       throw new AppError('Notification payload is required', 400);
     }
-    
+
     if (!payload.to) {
       throw new AppError('Recipient phone number is required', 400);
     }
-    
+
     if (!payload.message) {
       throw new AppError('SMS message content is required', 400);
     }
-
-    // Additional validation could be added here
-    // (e.g., phone number format validation)
   }
 
   /**
@@ -83,43 +141,155 @@ class SMSNotificationService extends BaseNotificationService {
    * @param {string} payload.to - Recipient phone number
    * @param {string} payload.message - SMS message content
    * @param {string} [payload.from] - Sender phone number or ID (optional, uses default if not provided)
+   * @param {Object|string} [payload.business] - Business (or ID) the message is sent for
+   * @param {string} [payload.country] - Country of local recipient numbers
+   * @param {string} [payload.reference] - Caller's reference stored with the message
    * @returns {Promise<Object>} - The SMS sending result
    */
   async send(payload) {
     try {
       // Validate the payload
       this.validate(payload);
-      
-      // Prepare SMS options
+
+      const to = this.normalizeRecipient(payload.to, payload.country);
+      const businessId = payload.business ? (payload.business._id || payload.business) : null;
+      const { adapter, from } = await this.resolveAdapter(businessId);
+      const provider = adapter.provider || 'custom';
+      const parts = this.buildParts(payload.message, adapter);
+
       const smsOptions = {
-        to: payload.to,
-        message: payload.message,
-        from: payload.from || config.sms.defaultFrom
+        to,
+        from: payload.from || from || config.sms.defaultFrom,
+        callbackUrl: this.getCallbackUrl(provider)
       };
-      
-      // Send the SMS
-      const result = await this.smsClient.sendMessage(smsOptions);
-      
+
+      const results = [];
+      for (let i = 0; i < parts.length; i++) {
+        const result = await adapter.sendMessage({ ...smsOptions, message: parts[i] });
+
+        await this._recordMessage({
+          business: businessId,
+          provider,
+          to,
+          from: smsOptions.from,
+          message: parts[i],
+          part: i + 1,
+          parts: parts.length,
+          reference: payload.reference
+        }, result);
+
+        if (result.status === 'failed') {
+          throw new AppError(result.failureReason || 'Message rejected by the provider', 502);
+        }
+
+        results.push(result);
+      }
+
       logger.info('SMS notification sent successfully', {
-        to: payload.to,
-        messageId: result.messageId
+        to,
+        provider,
+        messageId: results[0].messageId,
+        parts: parts.length
       });
-      
+
       return {
         success: true,
-        messageId: result.messageId,
+        messageId: results[0].messageId,
+        messageIds: results.map(result => result.messageId),
+        parts: parts.length,
+        provider,
         channel: 'sms'
       };
-      
+
     } catch (error) {
       logger.error('Failed to send SMS notification', {
         error: error.message,
-        to: payload.to
+        to: payload && payload.to
       });
-      
+
+      if (error instanceof AppError && error.statusCode < 500) {
+        throw error;
+      }
+
       throw new AppError(`Failed to send SMS notification: ${error.message}`, 500);
     }
   }
+
+  /**
+   * Store a message handed to a provider, so its delivery report can be matched
+   * A storage failure is logged and does not fail the send
+   * @param {Object} message - Message fields
+   * @param {Object} result - Adapter result
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordMessage(message, result) {
+    if (!this.recordMessages) {
+      return;
+    }
+
+    try {
+      const { encoding, segments } = countSegments(message.message);
+
+      await SmsMessage.create({
+        ...message,
+        encoding,
+        segments,
+        providerMessageId: result.messageId || undefined,
+        status: result.status || 'queued',
+        failureReason: result.failureReason || undefined,
+        cost: result.cost !== undefined && result.cost !== null ? String(result.cost) : undefined,
+        statusUpdatedAt: new Date()
+      });
+    } catch (error) {
+      logger.warn('Failed to record SMS message', { error: error.message, to: message.to });
+    }
+  }
+
+  /**
+   * Apply a delivery report posted by a provider
+   * @param {string} provider - Provider code from the callback URL
+   * @param {Object} body - Parsed request body
+   * @returns {Promise<Object|null>} - The updated message, or null if the report matched nothing
+   */
+  static async handleDeliveryReport(provider, body) {
+    const report = SMSAdapterFactory.getAdapterClass(provider).parseDeliveryReport(body);
+
+    if (!report) {
+      logger.warn('Unrecognized SMS delivery report', { provider });
+      return null;
+    }
+
+    const update = {
+      status: report.status,
+      statusUpdatedAt: new Date()
+    };
+    if (report.failureReason) {
+      update.failureReason = report.failureReason;
+    }
+    if (report.status === 'delivered') {
+      update.deliveredAt = new Date();
+    }
+
+    const message = await SmsMessage.findOneAndUpdate(
+      {
+        provider,
+        providerMessageId: report.messageId,
+        status: { $in: REPORT_TRANSITIONS[report.status] }
+      },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!message) {
+      logger.debug('SMS delivery report matched no pending message', { provider, messageId: report.messageId });
+      return null;
+    }
+
+    logger.info(`SMS ${message._id} ${report.status}`, { provider, messageId: report.messageId });
+
+    return message;
+  }
 }
 
-module.exports = SMSNotificationService;
\ No newline at end of file
+module.exports = SMSNotificationService;
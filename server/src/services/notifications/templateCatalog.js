@@ -0,0 +1,116 @@
+// server/src/services/notifications/templateCatalog.js
+
+/**
+ * Catalog of notification events that have templates
+ * Each event lists the variables its templates may use and the sample data
+ * previews render with; default wording per locale lives in ./locales
+ */
+
+const { TEMPLATE_CHANNELS, TEMPLATE_LOCALES } = require('../../models/notificationTemplate');
+
+const LOCALES = {
+  en: require('./locales/en'),
+  sw: require('./locales/sw')
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// Template fields per channel; email text may be left empty and derived from html
+const CHANNEL_FIELDS = {
+  sms: ['body'],
+  email: ['subject', 'html', 'text']
+};
+
+const TRANSACTION_VARIABLES = [
+  'merchantName',
+  'event',
+  'status',
+  'amount',
+  'currency',
+  'reference',
+  'mpesaReference',
+  'phoneNumber',
+  'transactionType',
+  'country',
+  'date'
+];
+
+const TRANSACTION_SAMPLE = {
+  merchantName: 'Mama Mboga Supplies',
+  event: 'COMPLETED',
+  status: 'COMPLETED',
+  amount: '1,250.00',
+  currency: 'KES',
+  reference: 'TRX-20240115-00042',
+  mpesaReference: 'SAF7XK2M9Q',
+  phoneNumber: '+254712345678',
+  transactionType: 'payment',
+  country: 'kenya',
+  date: '15 Jan 2024, 14:32'
+};
+
+const EVENTS = {
+  'payment.receipt': {
+    description: 'Receipt sent to the customer when their payment completes',
+    variables: [
+      'merchantName',
+      'logo',
+      'amount',
+      'currency',
+      'receiptNumber',
+      'reference',
+      'phoneNumber',
+      'date',
+      'receiptUrl',
+      'footer'
+    ],
+    sample: {
+      merchantName: 'Mama Mboga Supplies',
+      logo: '',
+      amount: '1,250.00',
+      currency: 'KES',
+      receiptNumber: 'SAF7XK2M9Q',
+      reference: 'TRX-20240115-00042',
+      phoneNumber: '+254712345678',
+      date: '15 Jan 2024, 14:32',
+      receiptUrl: 'https://api.example.com/api/v1/receipts/sample',
+      footer: 'Thank you for shopping with us.'
+    }
+  },
+  'transaction.completed': {
+    description: 'Alert to the business when a transaction completes',
+    variables: TRANSACTION_VARIABLES,
+    sample: TRANSACTION_SAMPLE
+  },
+  'transaction.failed': {
+    description: 'Alert to the business when a transaction fails',
+    variables: TRANSACTION_VARIABLES,
+    sample: { ...TRANSACTION_SAMPLE, event: 'FAILED', status: 'FAILED', mpesaReference: '' }
+  },
+  'transaction.updated': {
+    description: 'Alert to the business for any other transaction status change',
+    variables: TRANSACTION_VARIABLES,
+    sample: { ...TRANSACTION_SAMPLE, event: 'PENDING', status: 'PENDING', mpesaReference: '' }
+  }
+};
+
+/**
+ * Get the shipped default template for an event
+ * @param {string} event - Event name
+ * @param {string} channel - 'sms' or 'email'
+ * @param {string} locale - Locale code
+ * @returns {Object|null} - Template fields, or null if there is none
+ */
+const getDefaultTemplate = (event, channel, locale) => {
+  const templates = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  return (templates[event] && templates[event][channel]) || null;
+};
+
+module.exports = {
+  EVENTS,
+  CHANNELS: TEMPLATE_CHANNELS,
+  CHANNEL_FIELDS,
+  SUPPORTED_LOCALES: TEMPLATE_LOCALES,
+  DEFAULT_LOCALE,
+  getDefaultTemplate
+};
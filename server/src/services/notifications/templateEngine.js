@@ -0,0 +1,176 @@
+// server/src/services/notifications/templateEngine.js
+
+/**
+ * Logic-less template engine for notification templates
+ * Supports {{variable}} (dotted paths allowed), {{#variable}}...{{/variable}} sections
+ * rendered when the value is truthy and {{^variable}}...{{/variable}} when it is falsy.
+ * There is no raw output, helper or code execution: every value is escaped for the
+ * channel it is rendered into, so merchant and customer fields cannot inject markup.
+ */
+
+const AppError = require('../../utils/appError');
+
+const TAG = /\{\{\s*([#^/]?)\s*([A-Za-z][\w.]*)\s*\}\}/g;
+
+// Compiled templates, keyed by source; templates are few and change rarely
+const cache = new Map();
+const CACHE_LIMIT = 500;
+
+/**
+ * Escape a value for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Parse a template into a tree of text, variable and section nodes
+ * @param {string} source - Template source
+ * @returns {Array<Object>} - Parsed nodes
+ * @throws {AppError} If a tag is malformed or a section is not closed
+ */
+const parse = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  let cursor = 0;
+  let match;
+
+  const pushText = (text) => {
+    if (text.includes('{{') || text.includes('}}')) {
+      throw new AppError('Unsupported template tag: only {{name}}, {{#name}}, {{^name}} and {{/name}} are allowed', 400);
+    }
+    if (text) {
+      stack[stack.length - 1].children.push({ type: 'text', value: text });
+    }
+  };
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    pushText(source.slice(cursor, match.index));
+    cursor = TAG.lastIndex;
+
+    const [, modifier, name] = match;
+    const parent = stack[stack.length - 1];
+
+    if (modifier === '#' || modifier === '^') {
+      const section = { type: 'section', name, inverted: modifier === '^', children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (modifier === '/') {
+      if (stack.length === 1 || parent.name !== name) {
+        throw new AppError(`Unexpected closing tag {{/${name}}}`, 400);
+      }
+      stack.pop();
+    } else {
+      parent.children.push({ type: 'variable', name });
+    }
+  }
+
+  pushText(source.slice(cursor));
+
+  if (stack.length > 1) {
+    throw new AppError(`Section {{#${stack[stack.length - 1].name}}} is not closed`, 400);
+  }
+
+  return root.children;
+};
+
+/**
+ * Parse a template, reusing earlier parses of the same source
+ * @param {string} source - Template source
+ * @returns {Array<Object>} - Parsed nodes
+ */
+const compile = (source) => {
+  if (!cache.has(source)) {
+    if (cache.size >= CACHE_LIMIT) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(source, parse(source));
+  }
+  return cache.get(source);
+};
+
+/**
+ * Look up a dotted path in the data; only plain own properties are visible
+ * @param {Object} data - Template data
+ * @param {string} path - Variable name, e.g. 'merchant.name'
+ * @returns {*} - Value, or undefined
+ */
+const lookup = (data, path) => path.split('.').reduce((value, key) => (
+  value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)
+    ? value[key]
+    : undefined
+), data);
+
+/**
+ * Render parsed nodes
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Object} data - Template data
+ * @param {Function} escape - Escapes a value for the output channel
+ * @returns {string} - Rendered text
+ */
+const renderNodes = (nodes, data, escape) => nodes.map((node) => {
+  if (node.type === 'text') {
+    return node.value;
+  }
+
+  const value = lookup(data, node.name);
+
+  if (node.type === 'section') {
+    const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+    return truthy !== node.inverted ? renderNodes(node.children, data, escape) : '';
+  }
+
+  if (value === undefined || value === null || typeof value === 'object' || typeof value === 'function') {
+    return '';
+  }
+
+  return escape(String(value));
+}).join('');
+
+/**
+ * Render a template
+ * @param {string} source - Template source
+ * @param {Object} data - Template data
+ * @param {Object} [options] - Render options
+ * @param {boolean} [options.html] - Escape values for HTML (otherwise output is plain text)
+ * @returns {string} - Rendered text
+ */
+const render = (source, data, options = {}) => renderNodes(
+  compile(source || ''),
+  data || {},
+  options.html ? escapeHtml : value => value
+);
+
+/**
+ * List the variables a template uses, including section names
+ * @param {string} source - Template source
+ * @returns {Array<string>} - Variable names
+ * @throws {AppError} If the template does not parse
+ */
+const listVariables = (source) => {
+  const names = new Set();
+  const walk = nodes => nodes.forEach((node) => {
+    if (node.type !== 'text') {
+      names.add(node.name);
+    }
+    if (node.children) {
+      walk(node.children);
+    }
+  });
+
+  walk(compile(source || ''));
+  return Array.from(names);
+};
+
+module.exports = {
+  escapeHtml,
+  parse,
+  render,
+  listVariables
+};
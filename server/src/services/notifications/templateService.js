@@ -0,0 +1,494 @@
+// server/src/services/notifications/templateService.js
+
+const Business = require('../../models/business');
+const NotificationTemplate = require('../../models/notificationTemplate');
+const templateEngine = require('./templateEngine');
+const catalog = require('./templateCatalog');
+const { countSegments } = require('./sms/smsSegments');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+
+// Notifications show times in the recipient's local time
+const COUNTRY_TIMEZONES = {
+  kenya: 'Africa/Nairobi',
+  tanzania: 'Africa/Dar_es_Salaam',
+  uganda: 'Africa/Kampala',
+  rwanda: 'Africa/Kigali',
+  mozambique: 'Africa/Maputo',
+  drc: 'Africa/Kinshasa'
+};
+
+// Intl locale used to format dates for each template locale
+const DATE_LOCALES = {
+  en: 'en-GB',
+  sw: 'sw-KE'
+};
+
+// Fields that must be present when a business saves a template
+const REQUIRED_FIELDS = {
+  sms: ['body'],
+  email: ['subject', 'html']
+};
+
+/**
+ * Service for notification templates
+ * Businesses may override the shipped English and Swahili templates per event,
+ * channel and locale. Every save is kept as a version so an earlier one can be
+ * re-activated; without an active override the default template is used
+ */
+class NotificationTemplateService {
+  /**
+   * List the events that have templates
+   * @returns {Array<Object>} - Events with their description and variables
+   */
+  listEvents() {
+    return Object.entries(catalog.EVENTS).map(([event, definition]) => ({
+      event,
+      description: definition.description,
+      variables: definition.variables,
+      channels: catalog.CHANNELS,
+      locales: catalog.SUPPORTED_LOCALES
+    }));
+  }
+
+  /**
+   * Pick the locale to render a notification in
+   * @param {Object} [business] - Business document
+   * @param {string} [preferred] - Locale the recipient chose, e.g. the customer's
+   * @returns {string} - Supported locale code
+   */
+  resolveLocale(business, preferred) {
+    const candidates = [preferred, business && business.locale];
+    return candidates.find(locale => catalog.SUPPORTED_LOCALES.includes(locale)) || catalog.DEFAULT_LOCALE;
+  }
+
+  /**
+   * Format an amount for a notification
+   * @param {number} amount - Amount
+   * @returns {string} - Amount with thousands separators and two decimals
+   */
+  formatAmount(amount) {
+    return Number(amount).toLocaleString('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+  }
+
+  /**
+   * Format a date for a notification
+   * @param {Date|string} date - Date to format
+   * @param {string} country - Country whose time zone applies
+   * @param {string} locale - Template locale
+   * @returns {string} - Formatted date and time
+   */
+  formatDate(date, country, locale) {
+    return new Date(date).toLocaleString(DATE_LOCALES[locale] || DATE_LOCALES[catalog.DEFAULT_LOCALE], {
+      timeZone: COUNTRY_TIMEZONES[country] || 'UTC',
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+  }
+
+  /**
+   * Build the template data for a transaction alert to a business
+   * @param {string} event - Transaction event, e.g. completed
+   * @param {Object} transaction - Transaction document
+   * @param {Object} business - Business document
+   * @param {string} locale - Template locale
+   * @returns {Object} - Template data
+   */
+  buildTransactionData(event, transaction, business, locale) {
+    return {
+      merchantName: business.name,
+      event: String(event).toUpperCase(),
+      status: String(transaction.status).toUpperCase(),
+      amount: this.formatAmount(transaction.amount),
+      currency: transaction.currency,
+      reference: transaction.internalReference,
+      mpesaReference: transaction.mpesaReference || transaction.providerTransactionId,
+      phoneNumber: transaction.phoneNumber,
+      transactionType: transaction.transactionType,
+      country: transaction.country,
+      date: this.formatDate(transaction.updatedAt || transaction.createdAt || new Date(), transaction.country, locale)
+    };
+  }
+
+  /**
+   * Get the template event for a transaction event
+   * @param {string} event - Transaction event, e.g. completed
+   * @returns {string} - Template event
+   */
+  getTransactionEvent(event) {
+    return ['completed', 'failed'].includes(event) ? `transaction.${event}` : 'transaction.updated';
+  }
+
+  /**
+   * Check that the event, channel and locale name a template
+   * @param {string} event - Event name
+   * @param {string} channel - 'sms' or 'email'
+   * @param {string} locale - Locale code
+   * @throws {AppError} If any of them is unknown
+   */
+  assertTemplateKey(event, channel, locale) {
+    if (!catalog.EVENTS[event]) {
+      throw new AppError(`Unknown notification event: ${event}`, 400);
+    }
+    if (!catalog.CHANNELS.includes(channel)) {
+      throw new AppError(`Unknown notification channel: ${channel}`, 400);
+    }
+    if (!catalog.SUPPORTED_LOCALES.includes(locale)) {
+      throw new AppError(`Unsupported locale: ${locale}`, 400);
+    }
+  }
+
+  /**
+   * Pick a channel's template fields out of a document or request body
+   * @param {string} channel - 'sms' or 'email'
+   * @param {Object} source - Object holding the fields
+   * @returns {Object} - Template fields
+   */
+  pickFields(channel, source) {
+    return catalog.CHANNEL_FIELDS[channel].reduce((fields, key) => {
+      if (source[key] !== undefined && source[key] !== null) {
+        fields[key] = source[key];
+      }
+      return fields;
+    }, {});
+  }
+
+  /**
+   * Check a business's template before it is saved or previewed
+   * @param {string} event - Event name
+   * @param {string} channel - 'sms' or 'email'
+   * @param {Object} fields - Template fields
+   * @throws {AppError} If a field is missing, does not parse or uses an unknown variable
+   */
+  validateTemplate(event, channel, fields) {
+    const allowed = catalog.EVENTS[event].variables;
+    const errors = [];
+
+    REQUIRED_FIELDS[channel].forEach((field) => {
+      if (!fields[field] || !String(fields[field]).trim()) {
+        errors.push({ field, message: `${field} is required` });
+      }
+    });
+
+    Object.entries(fields).forEach(([field, source]) => {
+      try {
+        const unknown = templateEngine.listVariables(source).filter(name => !allowed.includes(name));
+        if (unknown.length > 0) {
+          errors.push({ field, message: `Unknown variables: ${unknown.join(', ')}. Available: ${allowed.join(', ')}` });
+        }
+      } catch (error) {
+        errors.push({ field, message: error.message });
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new AppError('Invalid notification template', 400, errors);
+    }
+  }
+
+  /**
+   * Get the template a notification would be rendered with
+   * @param {string} businessId - Business ID
+   * @param {string} event - Event name
+   * @param {string} channel - 'sms' or 'email'
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} - { source: 'custom'|'default', version, fields }
+   */
+  async getActiveTemplate(businessId, event, channel, locale) {
+    const custom = businessId
+      ? await NotificationTemplate.findOne({ business: businessId, event, channel, locale, active: true })
+      : null;
+
+    if (custom) {
+      return { source: 'custom', version: custom.version, fields: this.pickFields(channel, custom) };
+    }
+
+    return { source: 'default', version: null, fields: catalog.getDefaultTemplate(event, channel, locale) };
+  }
+
+  /**
+   * Render template fields with data
+   * Email html is escaped for HTML; SMS, subject and text are plain text. Email text
+   * left empty is derived from the rendered html
+   * @param {string} channel - 'sms' or 'email'
+   * @param {Object} fields - Template fields
+   * @param {Object} data - Template data
+   * @returns {Object} - { message } for SMS, { subject, html, text } for email
+   */
+  renderFields(channel, fields, data) {
+    if (channel === 'sms') {
+      return { message: templateEngine.render(fields.body, data).trim() };
+    }
+
+    const html = templateEngine.render(fields.html, data, { html: true });
+
+    return {
+      subject: templateEngine.render(fields.subject, data).replace(/\s+/g, ' ').trim(),
+      html,
+      text: fields.text ? templateEngine.render(fields.text, data) : this.htmlToText(html)
+    };
+  }
+
+  /**
+   * Render a notification for a business
+   * Falls back to the default template if the business's own one fails to render
+   * @param {Object} business - Business document
+   * @param {string} event - Event name
+   * @param {string} channel - 'sms' or 'email'
+   * @param {Object} data - Template data
+   * @param {Object} [options] - Render options
+   * @param {string} [options.locale] - Locale; the business locale by default
+   * @returns {Promise<Object>} - Rendered content, see renderFields
+   */
+  async render(business, event, channel, data, options = {}) {
+    const locale = this.resolveLocale(business, options.locale);
+    const template = await this.getActiveTemplate(business && business._id, event, channel, locale);
+
+    if (template.source === 'custom') {
+      try {
+        return this.renderFields(channel, template.fields, data);
+      } catch (error) {
+        logger.warn(`Custom ${event} ${channel} template v${template.version} failed to render, using default: ${error.message}`);
+      }
+    }
+
+    return this.renderFields(channel, catalog.getDefaultTemplate(event, channel, locale), data);
+  }
+
+  /**
+   * Turn rendered email HTML into plain text
+   * @param {string} html - Rendered HTML
+   * @returns {string} - Plain text
+   */
+  htmlToText(html) {
+    return html
+      .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, '\'')
+      .replace(/&amp;/g, '&')
+      .split('\n')
+      .map(line => line.trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * List every template of a business with the version in use
+   * @param {string} businessId - Business ID
+   * @returns {Promise<Array<Object>>} - One entry per event, channel and locale
+   */
+  async listTemplates(businessId) {
+    const versions = await NotificationTemplate.find({ business: businessId })
+      .select('event channel locale version active updatedAt');
+
+    const entries = [];
+    Object.keys(catalog.EVENTS).forEach((event) => {
+      catalog.CHANNELS.forEach((channel) => {
+        catalog.SUPPORTED_LOCALES.forEach((locale) => {
+          const own = versions.filter(v => v.event === event && v.channel === channel && v.locale === locale);
+          const active = own.find(v => v.active);
+
+          entries.push({
+            event,
+            channel,
+            locale,
+            source: active ? 'custom' : 'default',
+            activeVersion: active ? active.version : null,
+            versions: own.length,
+            updatedAt: active ? active.updatedAt : null
+          });
+        });
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Get a template with its version history and the default it overrides
+   * @param {string} businessId - Business ID
+   * @param {string} event - Event name
+   * @param {string} channel - 'sms' or 'email'
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} - Template details
+   */
+  async getTemplate(businessId, event, channel, locale) {
+    this.assertTemplateKey(event, channel, locale);
+
+    const [template, versions] = await Promise.all([
+      this.getActiveTemplate(businessId, event, channel, locale),
+      NotificationTemplate.find({ business: businessId, event, channel, locale }).sort({ version: -1 })
+    ]);
+
+    return {
+      event,
+      channel,
+      locale,
+      variables: catalog.EVENTS[event].variables,
+      ...template,
+      default: catalog.getDefaultTemplate(event, channel, locale),
+      versions: versions.map(version => ({
+        version: version.version,
+        active: version.active,
+        fields: this.pickFields(channel, version),
+        createdBy: version.createdBy,
+        createdAt: version.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Save a new version of a business's template and make it active
+   * @param {string} businessId - Business ID
+   * @param {string} event - Event name
+   * @param {string} channel - 'sms' or 'email'
+   * @param {string} locale - Locale code
+   * @param {Object} data - Template fields
+   * @param {Object} user - User saving the template
+   * @returns {Promise<Object>} - Template details
+   */
+  async saveTemplate(businessId, event, channel, locale, data, user) {
+    this.assertTemplateKey(event, channel, locale);
+
+    const fields = this.pickFields(channel, data);
+    this.validateTemplate(event, channel, fields);
+
+    const latest = await NotificationTemplate.findOne({ business: businessId, event, channel, locale })
+      .sort({ version: -1 })
+      .select('version');
+    const version = latest ? latest.version + 1 : 1;
+
+    try {
+      await NotificationTemplate.create({
+        business: businessId,
+        event,
+        channel,
+        locale,
+        version,
+        ...fields,
+        createdBy: user && user._id
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('The template was changed at the same time; reload it and try again', 409);
+      }
+      throw error;
+    }
+
+    logger.info(`Business ${businessId} saved ${event} ${channel} template (${locale}) v${version}`);
+
+    return this.activateVersion(businessId, event, channel, locale, version);
+  }
+
+  /**
+   * Make a saved version the one notifications use
+   * @param {string} businessId - Business ID
+   * @param {string} event - Event name
+   * @param {string} channel - 'sms' or 'email'
+   * @param {string} locale - Locale code
+   * @param {number} version - Version to activate
+   * @returns {Promise<Object>} - Template details
+   */
+  async activateVersion(businessId, event, channel, locale, version) {
+    this.assertTemplateKey(event, channel, locale);
+
+    const key = { business: businessId, event, channel, locale };
+    const template = await NotificationTemplate.findOne({ ...key, version: Number(version) });
+
+    if (!template) {
+      throw new AppError('Template version not found', 404);
+    }
+
+    await NotificationTemplate.updateMany({ ...key, active: true, version: { $ne: template.version } }, { active: false });
+    await NotificationTemplate.updateOne({ _id: template._id }, { active: true });
+
+    return this.getTemplate(businessId, event, channel, locale);
+  }
+
+  /**
+   * Go back to the default template; saved versions are kept
+   * @param {string} businessId - Business ID
+   * @param {string} event - Event name
+   * @param {string} channel - 'sms' or 'email'
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} - Template details
+   */
+  async resetTemplate(businessId, event, channel, locale) {
+    this.assertTemplateKey(event, channel, locale);
+
+    await NotificationTemplate.updateMany(
+      { business: businessId, event, channel, locale, active: true },
+      { active: false }
+    );
+
+    return this.getTemplate(businessId, event, channel, locale);
+  }
+
+  /**
+   * Render a template with sample transaction data
+   * Previews a draft when template fields are given, otherwise the template in use
+   * @param {string} businessId - Business ID
+   * @param {Object} params - Preview parameters
+   * @param {string} params.event - Event name
+   * @param {string} params.channel - 'sms' or 'email'
+   * @param {string} [params.locale] - Locale; the business locale by default
+   * @param {Object} [params.template] - Draft template fields
+   * @param {Object} [params.data] - Values overriding the sample data
+   * @returns {Promise<Object>} - Rendered preview
+   */
+  async preview(businessId, params) {
+    const business = await Business.findById(businessId).select('name locale');
+    if (!business) {
+      throw new AppError('Business not found', 404);
+    }
+
+    const { event, channel } = params;
+    const locale = this.resolveLocale(business, params.locale);
+    this.assertTemplateKey(event, channel, locale);
+
+    let source = 'draft';
+    let fields;
+
+    if (params.template) {
+      fields = this.pickFields(channel, params.template);
+      this.validateTemplate(event, channel, fields);
+    } else {
+      const template = await this.getActiveTemplate(business._id, event, channel, locale);
+      source = template.source;
+      fields = template.fields;
+    }
+
+    const definition = catalog.EVENTS[event];
+    const data = { ...definition.sample, merchantName: business.name };
+
+    // Only known variables with plain values can be overridden
+    Object.entries(params.data || {}).forEach(([name, value]) => {
+      if (definition.variables.includes(name) && ['string', 'number', 'boolean'].includes(typeof value)) {
+        data[name] = value;
+      }
+    });
+
+    const rendered = this.renderFields(channel, fields, data);
+
+    return {
+      event,
+      channel,
+      locale,
+      source,
+      data,
+      rendered,
+      ...(channel === 'sms' ? { segments: countSegments(rendered.message) } : {})
+    };
+  }
+}
+
+module.exports = new NotificationTemplateService();
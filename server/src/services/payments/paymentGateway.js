@@ -0,0 +1,90 @@
+//server/src/services/payments/paymentGateway.js
+
+// Provider-neutral transaction statuses returned by gateway operations
+const GATEWAY_STATUSES = ['pending', 'processing', 'completed', 'failed', 'canceled', 'expired'];
+
+/**
+ * Provider-neutral payment gateway
+ * Every wallet provider (M-Pesa, Airtel Money, MTN MoMo) implements this
+ * interface so the transaction layer can route a payment without knowing
+ * which provider handles it
+ */
+class PaymentGateway {
+  /**
+   * @param {string} provider - Provider code (e.g. 'mpesa', 'airtel', 'mtn')
+   */
+  constructor(provider) {
+    // Ensure this class cannot be instantiated directly
+    if (this.constructor === PaymentGateway) {
+      throw new Error('PaymentGateway is an abstract class and cannot be instantiated directly');
+    }
+
+    this.provider = provider;
+  }
+
+  /**
+   * Collect a payment from a customer's wallet
+   * @param {Object} params - Collection parameters
+   * @param {string} params.phoneNumber - Customer phone number
+   * @param {number} params.amount - Amount to collect
+   * @param {string} params.reference - Merchant reference
+   * @param {string} [params.description] - Payment description
+   * @param {string} [params.callbackUrl] - Callback URL for the result
+   * @param {string} [params.conversationId] - Unique ID for this request
+   * @returns {Promise<Object>} Gateway result ({ status, reference, raw })
+   */
+  async collect(params) {
+    throw new Error('collect() must be implemented by subclass');
+  }
+
+  /**
+   * Send money to a customer's wallet
+   * @param {Object} params - Disbursement parameters (same shape as collect)
+   * @returns {Promise<Object>} Gateway result ({ status, reference, raw })
+   */
+  async disburse(params) {
+    throw new Error('disburse() must be implemented by subclass');
+  }
+
+  /**
+   * Get the status of a transaction from the provider
+   * @param {string} reference - Provider reference returned by collect/disburse
+   * @returns {Promise<Object>} Gateway result ({ status, raw })
+   */
+  async getStatus(reference) {
+    throw new Error('getStatus() must be implemented by subclass');
+  }
+
+  /**
+   * Reverse or refund a completed transaction
+   * @param {Object} params - Reversal parameters
+   * @param {string} params.transactionId - Provider transaction ID
+   * @param {number} params.amount - Amount to reverse
+   * @returns {Promise<Object>} Gateway result ({ status, reference, raw })
+   */
+  async reverse(params) {
+    throw new Error('reverse() must be implemented by subclass');
+  }
+
+  /**
+   * Build a normalized gateway result
+   * @param {string} status - Provider-neutral status
+   * @param {Object} raw - Raw provider response
+   * @param {string} [reference] - Provider reference
+   * @returns {Object} Gateway result
+   */
+  buildResult(status, raw, reference = null) {
+    if (!GATEWAY_STATUSES.includes(status)) {
+      throw new Error(`Invalid gateway status: ${status}`);
+    }
+
+    return {
+      provider: this.provider,
+      status,
+      reference,
+      raw
+    };
+  }
+}
+
+module.exports = PaymentGateway;
@@ -0,0 +1,81 @@
+//server/src/services/payments/paymentGatewayFactory.js
+const MpesaClientFactory = require('../mpesa/mpesaClientFactory');
+const AirtelMoneyClient = require('../airtel/airtelMoneyClient');
+const MtnMomoClient = require('../mtn/mtnMomoClient');
+const AppError = require('../../utils/appError');
+
+// Wallet providers that have a gateway implementation
+const PROVIDERS = ['mpesa', 'airtel', 'mtn'];
+
+/**
+ * Factory for creating payment gateways from a business integration
+ */
+class PaymentGatewayFactory {
+  /**
+   * Create a payment gateway for a provider and country
+   * @param {string} provider - Payment provider ('mpesa', 'airtel', 'mtn')
+   * @param {string} country - Country code
+   * @param {object} integration - Business integration holding the provider credentials
+   * @param {object} [options] - Extra client options (e.g. callbackUrl)
+   * @returns {PaymentGateway} - Provider-specific gateway instance
+   */
+  static createGateway(provider, country, integration, options = {}) {
+    const environment = integration.isLive ? 'production' : 'sandbox';
+
+    switch (provider) {
+      case 'mpesa':
+        return MpesaClientFactory.createClient(country, {
+          consumerKey: integration.consumerKey,
+          consumerSecret: integration.consumerSecret,
+          shortCode: integration.shortCode,
+          passkey: integration.passkey,
+          publicKey: integration.publicKey,
+          initiatorName: integration.initiatorName,
+          initiatorPassword: integration.initiatorPassword,
+          securityCredential: integration.securityCredential,
+          environment,
+          ...options
+        });
+      case 'airtel':
+        return new AirtelMoneyClient({
+          country,
+          clientId: integration.clientId,
+          clientSecret: integration.clientSecret,
+          disbursementPin: integration.disbursementPin,
+          environment,
+          ...options
+        });
+      case 'mtn':
+        return new MtnMomoClient({
+          country,
+          clientId: integration.clientId,
+          clientSecret: integration.clientSecret,
+          subscriptionKey: integration.subscriptionKey,
+          disbursementSubscriptionKey: integration.disbursementSubscriptionKey,
+          environment,
+          ...options
+        });
+      default:
+        throw new AppError(`Unsupported payment provider: ${provider}`, 400);
+    }
+  }
+
+  /**
+   * Get the providers that have a gateway implementation
+   * @returns {Array<string>} - Provider codes
+   */
+  static getSupportedProviders() {
+    return [...PROVIDERS];
+  }
+
+  /**
+   * Check if a provider has a gateway implementation
+   * @param {string} provider - Provider code
+   * @returns {boolean} - Whether the provider is supported
+   */
+  static isProviderSupported(provider) {
+    return PROVIDERS.includes(provider);
+  }
+}
+
+module.exports = PaymentGatewayFactory;
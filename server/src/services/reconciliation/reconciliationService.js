@@ -0,0 +1,726 @@
+// server/src/services/reconciliation/reconciliationService.js
+
+const Reconciliation = require('../../models/reconciliation');
+const Transaction = require('../../models/transaction');
+const Business = require('../../models/business');
+const { parseStatement, getStatementPeriod } = require('./statementParser');
+const { toCsv } = require('../../utils/csv');
+const { createPdf } = require('../../utils/pdf');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+
+// Money into the shortcode; every other transaction type leaves it
+const INBOUND_TYPES = ['payment', 'deposit'];
+
+// Statement lines with no ledger counterpart
+const FEE_PATTERN = /charge|commission|fee\b/i;
+const TRANSFER_PATTERN = /transfer of funds|funds transfer|settlement|working account|utility account|mmf account/i;
+
+// Columns of the downloadable exceptions report
+const REPORT_COLUMNS = [
+  'kind', 'status', 'receiptNumber', 'transactionId', 'statementAmount', 'ledgerAmount',
+  'ledgerStatus', 'occurredAt', 'note', 'resolvedAt'
+];
+
+/**
+ * Service for daily M-Pesa statement reconciliation
+ * A statement for one shortcode and day is matched against the business's completed
+ * M-Pesa Kenya transactions. Every difference becomes an exception; the day can be
+ * signed off once an operator has resolved each one with a note
+ */
+class ReconciliationService {
+  /**
+   * Check that a shortcode belongs to one of the business's M-Pesa Kenya integrations
+   * @param {string} businessId - Business ID
+   * @param {string} shortCode - Paybill or till number
+   * @returns {Promise<void>}
+   */
+  async assertShortCode(businessId, shortCode) {
+    const business = await Business.findById(businessId).select('mpesaIntegrations.country mpesaIntegrations.shortCode');
+    if (!business) {
+      throw new AppError('Business not found', 404);
+    }
+
+    const owned = (business.mpesaIntegrations || [])
+      .some(integration => integration.country === 'kenya' && integration.shortCode === shortCode);
+
+    if (!owned) {
+      throw new AppError(`Shortcode ${shortCode} is not one of the business's M-Pesa Kenya integrations`, 400);
+    }
+  }
+
+  /**
+   * Build the query restricting ledger transactions to one shortcode
+   * C2B payments record the shortcode they were paid to. Other M-Pesa Kenya transactions go
+   * through the business's first Kenya integration, so they belong to its shortcode only
+   * @param {string} businessId - Business ID
+   * @param {string} shortCode - Paybill or till number
+   * @returns {Promise<object>} - Transaction query conditions
+   */
+  async shortCodeFilter(businessId, shortCode) {
+    const business = await Business.findById(businessId).select('mpesaIntegrations.country mpesaIntegrations.shortCode');
+    const integration = business && business.getMpesaIntegration('kenya');
+
+    if (integration && integration.shortCode === shortCode) {
+      return { $or: [{ 'metadata.shortCode': shortCode }, { 'metadata.shortCode': { $exists: false } }] };
+    }
+
+    return { 'metadata.shortCode': shortCode };
+  }
+
+  /**
+   * Import a statement for one shortcode and day and match it against the ledger
+   * Importing the same day again replaces its rows; resolutions of exceptions that remain are kept
+   * @param {string} businessId - Business ID
+   * @param {string|Buffer} input - CSV text or XLSX file contents
+   * @param {object} options - Import options
+   * @param {string} options.format - 'csv' or 'xlsx'
+   * @param {string} options.shortCode - Shortcode the statement belongs to
+   * @param {string} options.date - Statement day, YYYY-MM-DD in Kenyan time
+   * @param {string} [options.filename] - Uploaded file name
+   * @param {object} user - Operator importing the statement
+   * @returns {Promise<object>} - { created, reconciliation }
+   */
+  async importStatement(businessId, input, options, user) {
+    try {
+      const { start, end } = getStatementPeriod(options.date);
+      await this.assertShortCode(businessId, options.shortCode);
+
+      const statement = parseStatement(input, options.format);
+
+      // Catch a statement uploaded against the wrong shortcode
+      if (statement.shortCode && statement.shortCode !== options.shortCode) {
+        throw new AppError(`Statement is for shortcode ${statement.shortCode}, not ${options.shortCode}`, 400);
+      }
+
+      let reconciliation = await Reconciliation.findOne({
+        business: businessId,
+        shortCode: options.shortCode,
+        date: options.date
+      });
+      const created = !reconciliation;
+
+      if (reconciliation && reconciliation.status === 'signed_off') {
+        throw new AppError('This day has been signed off and can no longer be changed', 409);
+      }
+
+      if (!reconciliation) {
+        reconciliation = new Reconciliation({
+          business: businessId,
+          shortCode: options.shortCode,
+          date: options.date,
+          periodStart: start,
+          periodEnd: end
+        });
+      }
+
+      reconciliation.rows = statement.rows;
+      reconciliation.source = {
+        format: options.format,
+        filename: options.filename,
+        importedBy: user && user._id,
+        importedAt: new Date(),
+        imports: (reconciliation.source?.imports || 0) + 1
+      };
+
+      await this.matchStatement(reconciliation);
+
+      try {
+        await reconciliation.save();
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new AppError('This statement is being imported at the same time; try again', 409);
+        }
+        throw error;
+      }
+
+      logger.info(`Imported ${statement.rows.length} statement rows for shortcode ${options.shortCode} on ${options.date}`);
+
+      return { created, reconciliation: this.formatReconciliation(reconciliation) };
+    } catch (error) {
+      logger.error(`Import statement error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Classify a statement row that has no ledger counterpart
+   * @param {object} row - Statement row
+   * @param {Date} start - Start of the statement day
+   * @param {Date} end - Start of the next day
+   * @returns {string|null} - 'ignored', 'out_of_period', 'fee' or 'transfer'; null for rows to match
+   */
+  classifyRow(row, start, end) {
+    if (row.providerStatus && !/^completed$/i.test(row.providerStatus)) {
+      return 'ignored';
+    }
+    if (row.completedAt < start || row.completedAt >= end) {
+      return 'out_of_period';
+    }
+    if (FEE_PATTERN.test(row.details || '')) {
+      return 'fee';
+    }
+    if (TRANSFER_PATTERN.test(row.details || '')) {
+      return 'transfer';
+    }
+    return null;
+  }
+
+  /**
+   * Get a transaction's amount as seen on the statement: positive when paid in
+   * @param {object} transaction - Transaction document
+   * @returns {number} - Signed amount
+   */
+  signedAmount(transaction) {
+    return INBOUND_TYPES.includes(transaction.transactionType) ? transaction.amount : -transaction.amount;
+  }
+
+  /**
+   * Match the statement rows of a reconciliation against the ledger and rebuild its exceptions
+   * Rows match by receipt number first. Ledger transactions of the shortcode without a receipt
+   * number (for example payments settled by a status query) match a row with the same amount
+   * within config.reconciliation.matchWindowMs, closest in time first
+   * @param {object} reconciliation - Reconciliation document; saved by the caller
+   * @returns {Promise<object>} - The reconciliation
+   */
+  async matchStatement(reconciliation) {
+    const { periodStart: start, periodEnd: end } = reconciliation;
+    const windowMs = config.reconciliation.matchWindowMs;
+    const fields = 'transactionType amount status providerTransactionId processedAt createdAt';
+
+    reconciliation.rows.forEach(row => {
+      row.result = this.classifyRow(row, start, end) || undefined;
+      row.transaction = undefined;
+      row.matchedBy = undefined;
+    });
+
+    const toMatch = reconciliation.rows.filter(row => !row.result);
+    const shortCodeFilter = await this.shortCodeFilter(reconciliation.business, reconciliation.shortCode);
+
+    const [byReceiptList, ledger] = await Promise.all([
+      Transaction.find({
+        business: reconciliation.business,
+        providerTransactionId: { $in: toMatch.map(row => row.receiptNumber) }
+      }).select(fields),
+      // Transactions just outside the day can still match rows near midnight
+      Transaction.find({
+        business: reconciliation.business,
+        country: 'kenya',
+        paymentProvider: 'mpesa',
+        status: 'completed',
+        processedAt: { $gte: new Date(start.getTime() - windowMs), $lt: new Date(end.getTime() + windowMs) },
+        ...shortCodeFilter
+      }).select(fields)
+    ]);
+
+    const byReceipt = new Map(byReceiptList.map(transaction => [transaction.providerTransactionId, transaction]));
+    const used = new Set();
+    const exceptions = [];
+
+    toMatch.forEach(row => {
+      const statementAmount = row.paidIn > 0 ? row.paidIn : -row.withdrawn;
+      const transaction = byReceipt.get(row.receiptNumber);
+
+      if (transaction) {
+        used.add(String(transaction._id));
+        row.transaction = transaction._id;
+        row.matchedBy = 'receipt';
+
+        const base = {
+          row: row.row,
+          receiptNumber: row.receiptNumber,
+          transaction: transaction._id,
+          statementAmount,
+          ledgerAmount: this.signedAmount(transaction),
+          ledgerStatus: transaction.status,
+          occurredAt: row.completedAt
+        };
+
+        if (transaction.status !== 'completed') {
+          exceptions.push({ kind: 'status_mismatch', ...base });
+          row.result = 'exception';
+        } else if (Math.abs(base.ledgerAmount - statementAmount) >= 0.005) {
+          exceptions.push({ kind: 'amount_mismatch', ...base });
+          row.result = 'exception';
+        } else {
+          row.result = 'matched';
+        }
+        return;
+      }
+
+      const candidate = ledger
+        .filter(entry => !entry.providerTransactionId && !used.has(String(entry._id)))
+        .filter(entry => Math.abs(this.signedAmount(entry) - statementAmount) < 0.005)
+        .map(entry => ({ entry, distance: Math.abs(entry.processedAt - row.completedAt) }))
+        .filter(({ distance }) => distance <= windowMs)
+        .sort((a, b) => a.distance - b.distance)[0];
+
+      if (candidate) {
+        used.add(String(candidate.entry._id));
+        row.transaction = candidate.entry._id;
+        row.matchedBy = 'amount_time';
+        row.result = 'matched';
+        return;
+      }
+
+      row.result = 'exception';
+      exceptions.push({
+        kind: 'missing_in_ledger',
+        row: row.row,
+        receiptNumber: row.receiptNumber,
+        statementAmount,
+        occurredAt: row.completedAt
+      });
+    });
+
+    const inPeriod = ledger.filter(entry => entry.processedAt >= start && entry.processedAt < end);
+
+    inPeriod
+      .filter(entry => !used.has(String(entry._id)))
+      .forEach(entry => {
+        exceptions.push({
+          kind: 'missing_in_statement',
+          receiptNumber: entry.providerTransactionId,
+          transaction: entry._id,
+          ledgerAmount: this.signedAmount(entry),
+          ledgerStatus: entry.status,
+          occurredAt: entry.processedAt
+        });
+      });
+
+    // An exception found again keeps the operator's resolution
+    const exceptionKey = exception => `${exception.kind}:${exception.receiptNumber || ''}:${exception.transaction || ''}`;
+    const previous = new Map(reconciliation.exceptions.map(exception => [exceptionKey(exception), exception]));
+
+    reconciliation.exceptions = exceptions.map(exception => {
+      const earlier = previous.get(exceptionKey(exception));
+      if (earlier && earlier.status === 'resolved') {
+        return {
+          ...exception,
+          _id: earlier._id,
+          status: 'resolved',
+          note: earlier.note,
+          resolvedBy: earlier.resolvedBy,
+          resolvedAt: earlier.resolvedAt
+        };
+      }
+      return earlier ? { ...exception, _id: earlier._id } : exception;
+    });
+
+    const sum = (values) => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+    const reconciled = reconciliation.rows.filter(row => ['matched', 'exception'].includes(row.result));
+
+    reconciliation.summary = {
+      statementRows: reconciliation.rows.length,
+      statementPaidIn: sum(reconciled.map(row => row.paidIn)),
+      statementWithdrawn: sum(reconciled.map(row => row.withdrawn)),
+      fees: sum(reconciliation.rows.filter(row => row.result === 'fee').map(row => row.withdrawn - row.paidIn)),
+      ledgerTransactions: inPeriod.length,
+      ledgerPaidIn: sum(inPeriod.filter(entry => INBOUND_TYPES.includes(entry.transactionType)).map(entry => entry.amount)),
+      ledgerWithdrawn: sum(inPeriod.filter(entry => !INBOUND_TYPES.includes(entry.transactionType)).map(entry => entry.amount)),
+      matched: reconciliation.rows.filter(row => row.result === 'matched').length
+    };
+    reconciliation.matchedAt = new Date();
+    this.refreshStatus(reconciliation);
+
+    return reconciliation;
+  }
+
+  /**
+   * Set a reconciliation's status from its exceptions; a signed-off day never changes
+   * @param {object} reconciliation - Reconciliation document
+   */
+  refreshStatus(reconciliation) {
+    if (reconciliation.status === 'signed_off') {
+      return;
+    }
+    reconciliation.status = reconciliation.exceptions.some(exception => exception.status === 'open') ? 'open' : 'balanced';
+  }
+
+  /**
+   * Find a business's reconciliation
+   * @param {string} businessId - Business ID
+   * @param {string} reconciliationId - Reconciliation ID
+   * @returns {Promise<object>} - Reconciliation document
+   */
+  async findReconciliation(businessId, reconciliationId) {
+    const reconciliation = await Reconciliation.findOne({ _id: reconciliationId, business: businessId });
+    if (!reconciliation) {
+      throw new AppError('Reconciliation not found', 404);
+    }
+    return reconciliation;
+  }
+
+  /**
+   * Refuse changes to a signed-off day
+   * @param {object} reconciliation - Reconciliation document
+   */
+  assertEditable(reconciliation) {
+    if (reconciliation.status === 'signed_off') {
+      throw new AppError('This day has been signed off and can no longer be changed', 409);
+    }
+  }
+
+  /**
+   * List a business's reconciliations, latest day first
+   * @param {string} businessId - Business ID
+   * @param {object} filters - Query filters (status, shortCode, from, to, page, limit)
+   * @returns {Promise<object>} - Reconciliations with pagination
+   */
+  async listReconciliations(businessId, filters = {}) {
+    const query = { business: businessId };
+    if (filters.status) query.status = filters.status;
+    if (filters.shortCode) query.shortCode = filters.shortCode;
+    if (filters.from || filters.to) {
+      query.date = {};
+      if (filters.from) query.date.$gte = filters.from;
+      if (filters.to) query.date.$lte = filters.to;
+    }
+
+    const page = parseInt(filters.page, 10) || 1;
+    const limit = Math.min(parseInt(filters.limit, 10) || 30, 100);
+
+    const [reconciliations, total] = await Promise.all([
+      Reconciliation.find(query)
+        .select('-rows')
+        .sort({ date: -1, shortCode: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Reconciliation.countDocuments(query)
+    ]);
+
+    return {
+      data: reconciliations.map(reconciliation => this.formatReconciliation(reconciliation)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a reconciliation with its totals and exception counts
+   * @param {string} businessId - Business ID
+   * @param {string} reconciliationId - Reconciliation ID
+   * @returns {Promise<object>} - Reconciliation summary
+   */
+  async getReconciliation(businessId, reconciliationId) {
+    const reconciliation = await this.findReconciliation(businessId, reconciliationId);
+    return this.formatReconciliation(reconciliation);
+  }
+
+  /**
+   * List the statement rows of a reconciliation
+   * @param {string} businessId - Business ID
+   * @param {string} reconciliationId - Reconciliation ID
+   * @param {object} filters - Query filters (result, page, limit)
+   * @returns {Promise<object>} - Rows with pagination
+   */
+  async listRows(businessId, reconciliationId, filters = {}) {
+    const reconciliation = await this.findReconciliation(businessId, reconciliationId);
+
+    const rows = filters.result
+      ? reconciliation.rows.filter(row => row.result === filters.result)
+      : reconciliation.rows;
+
+    const page = parseInt(filters.page, 10) || 1;
+    const limit = Math.min(parseInt(filters.limit, 10) || 50, 500);
+
+    return {
+      data: rows.slice((page - 1) * limit, page * limit).map(row => this.formatRow(row)),
+      pagination: {
+        page,
+        limit,
+        total: rows.length,
+        pages: Math.ceil(rows.length / limit)
+      }
+    };
+  }
+
+  /**
+   * List the exceptions of a reconciliation
+   * @param {string} businessId - Business ID
+   * @param {string} reconciliationId - Reconciliation ID
+   * @param {object} filters - Query filters (kind, status)
+   * @returns {Promise<Array>} - Exceptions
+   */
+  async listExceptions(businessId, reconciliationId, filters = {}) {
+    const reconciliation = await this.findReconciliation(businessId, reconciliationId);
+
+    return reconciliation.exceptions
+      .filter(exception => !filters.kind || exception.kind === filters.kind)
+      .filter(exception => !filters.status || exception.status === filters.status)
+      .map(exception => this.formatException(exception));
+  }
+
+  /**
+   * Match a reconciliation's statement against the ledger again, e.g. after late callbacks
+   * @param {string} businessId - Business ID
+   * @param {string} reconciliationId - Reconciliation ID
+   * @returns {Promise<object>} - Reconciliation summary
+   */
+  async rematch(businessId, reconciliationId) {
+    const reconciliation = await this.findReconciliation(businessId, reconciliationId);
+    this.assertEditable(reconciliation);
+
+    await this.matchStatement(reconciliation);
+    await reconciliation.save();
+
+    return this.formatReconciliation(reconciliation);
+  }
+
+  /**
+   * Resolve an exception with an operator's note, or reopen it
+   * @param {string} businessId - Business ID
+   * @param {string} reconciliationId - Reconciliation ID
+   * @param {string} exceptionId - Exception ID
+   * @param {object} data - { note, status } where status defaults to 'resolved'
+   * @param {object} user - Operator
+   * @returns {Promise<object>} - Updated exception
+   */
+  async resolveException(businessId, reconciliationId, exceptionId, data, user) {
+    const reconciliation = await this.findReconciliation(businessId, reconciliationId);
+    this.assertEditable(reconciliation);
+
+    const exception = reconciliation.exceptions.id(exceptionId);
+    if (!exception) {
+      throw new AppError('Exception not found', 404);
+    }
+
+    const status = data.status || 'resolved';
+
+    if (status === 'resolved') {
+      if (!data.note || !String(data.note).trim()) {
+        throw new AppError('A note explaining the resolution is required', 400);
+      }
+      exception.status = 'resolved';
+      exception.note = data.note;
+      exception.resolvedBy = user && user._id;
+      exception.resolvedAt = new Date();
+    } else {
+      exception.status = 'open';
+      if (data.note) {
+        exception.note = data.note;
+      }
+      exception.resolvedBy = undefined;
+      exception.resolvedAt = undefined;
+    }
+
+    this.refreshStatus(reconciliation);
+    await reconciliation.save();
+
+    return this.formatException(exception);
+  }
+
+  /**
+   * Sign off a day once every exception is resolved; the day can no longer change afterwards
+   * @param {string} businessId - Business ID
+   * @param {string} reconciliationId - Reconciliation ID
+   * @param {object} data - { note }
+   * @param {object} user - Operator signing off
+   * @returns {Promise<object>} - Reconciliation summary
+   */
+  async signOff(businessId, reconciliationId, data, user) {
+    const reconciliation = await this.findReconciliation(businessId, reconciliationId);
+    this.assertEditable(reconciliation);
+
+    const open = reconciliation.exceptions.filter(exception => exception.status === 'open').length;
+    if (open > 0) {
+      throw new AppError(`${open} exception(s) must be resolved before signing off`, 409);
+    }
+
+    reconciliation.status = 'signed_off';
+    reconciliation.signOff = {
+      by: user._id,
+      name: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email,
+      at: new Date(),
+      note: data.note
+    };
+    await reconciliation.save();
+
+    logger.info(`Reconciliation ${reconciliation._id} for ${reconciliation.shortCode} on ${reconciliation.date} signed off`);
+
+    return this.formatReconciliation(reconciliation);
+  }
+
+  /**
+   * Build the daily reconciliation report
+   * @param {string} businessId - Business ID
+   * @param {string} reconciliationId - Reconciliation ID
+   * @param {string} [format] - 'json' (default), 'csv' for the exceptions or 'pdf' for a summary page
+   * @returns {Promise<object>} - Report data, or { filename, contentType, content } for files
+   */
+  async getReport(businessId, reconciliationId, format = 'json') {
+    const reconciliation = await this.findReconciliation(businessId, reconciliationId);
+    const exceptions = reconciliation.exceptions.map(exception => this.formatException(exception));
+    const basename = `reconciliation-${reconciliation.shortCode}-${reconciliation.date}`;
+
+    if (format === 'csv') {
+      return {
+        filename: `${basename}.csv`,
+        contentType: 'text/csv',
+        content: toCsv(exceptions, REPORT_COLUMNS)
+      };
+    }
+
+    if (format === 'pdf') {
+      const business = await Business.findById(businessId).select('name');
+      return {
+        filename: `${basename}.pdf`,
+        contentType: 'application/pdf',
+        content: this.createReportPdf(reconciliation, business ? business.name : '')
+      };
+    }
+
+    return {
+      ...this.formatReconciliation(reconciliation),
+      exceptions
+    };
+  }
+
+  /**
+   * Lay out the summary of a reconciliation as a one-page PDF
+   * @param {object} reconciliation - Reconciliation document
+   * @param {string} businessName - Business name
+   * @returns {Buffer} - PDF file contents
+   */
+  createReportPdf(reconciliation, businessName) {
+    const { summary } = reconciliation;
+    const counts = reconciliation.exceptionCounts;
+    const amount = value => `KES ${Number(value || 0).toFixed(2)}`;
+
+    const rows = [
+      ['Shortcode', reconciliation.shortCode],
+      ['Statement day', reconciliation.date],
+      ['Statement rows', String(summary.statementRows)],
+      ['Statement paid in', amount(summary.statementPaidIn)],
+      ['Statement withdrawn', amount(summary.statementWithdrawn)],
+      ['Charges', amount(summary.fees)],
+      ['Ledger transactions', String(summary.ledgerTransactions)],
+      ['Ledger paid in', amount(summary.ledgerPaidIn)],
+      ['Ledger withdrawn', amount(summary.ledgerWithdrawn)],
+      ['Matched rows', String(summary.matched)],
+      ['Missing in ledger', String(counts.missing_in_ledger)],
+      ['Missing in statement', String(counts.missing_in_statement)],
+      ['Amount mismatches', String(counts.amount_mismatch)],
+      ['Status mismatches', String(counts.status_mismatch)],
+      ['Exceptions resolved', `${counts.resolved} of ${reconciliation.exceptions.length}`]
+    ];
+
+    const items = [
+      { text: businessName, y: 780, size: 20, bold: true },
+      { text: 'Daily M-Pesa reconciliation', y: 755, size: 13 },
+      { rule: true, y: 740 }
+    ];
+
+    rows.forEach(([label, value], index) => {
+      const y = 715 - (index * 22);
+      items.push({ text: label, y, bold: true });
+      items.push({ text: value || '-', x: 220, y });
+    });
+
+    const bottom = 715 - (rows.length * 22);
+    items.push({ rule: true, y: bottom });
+
+    if (reconciliation.status === 'signed_off') {
+      const { signOff } = reconciliation;
+      items.push({ text: `Signed off by ${signOff.name} on ${signOff.at.toISOString()}`, y: bottom - 25, bold: true });
+      if (signOff.note) {
+        items.push({ text: signOff.note, y: bottom - 45, size: 10 });
+      }
+    } else {
+      items.push({ text: 'Not signed off', y: bottom - 25, bold: true });
+    }
+
+    items.push({
+      text: `Generated ${new Date().toISOString()} by the M-Pesa Integration Platform.`,
+      y: 60,
+      size: 8
+    });
+
+    return createPdf(items, { title: `Reconciliation ${reconciliation.shortCode} ${reconciliation.date}` });
+  }
+
+  /**
+   * Format a reconciliation for API responses
+   * @param {object} reconciliation - Reconciliation document
+   * @returns {object} - Reconciliation summary
+   */
+  formatReconciliation(reconciliation) {
+    return {
+      reconciliationId: reconciliation._id,
+      shortCode: reconciliation.shortCode,
+      date: reconciliation.date,
+      status: reconciliation.status,
+      periodStart: reconciliation.periodStart,
+      periodEnd: reconciliation.periodEnd,
+      source: {
+        format: reconciliation.source?.format,
+        filename: reconciliation.source?.filename,
+        importedAt: reconciliation.source?.importedAt,
+        imports: reconciliation.source?.imports
+      },
+      summary: reconciliation.summary,
+      exceptions: reconciliation.exceptionCounts,
+      matchedAt: reconciliation.matchedAt,
+      signOff: reconciliation.signOff?.at ? {
+        by: reconciliation.signOff.by,
+        name: reconciliation.signOff.name,
+        at: reconciliation.signOff.at,
+        note: reconciliation.signOff.note
+      } : null,
+      createdAt: reconciliation.createdAt,
+      updatedAt: reconciliation.updatedAt
+    };
+  }
+
+  /**
+   * Format a statement row for API responses
+   * @param {object} row - Statement row
+   * @returns {object} - Row
+   */
+  formatRow(row) {
+    return {
+      row: row.row,
+      receiptNumber: row.receiptNumber,
+      completedAt: row.completedAt,
+      details: row.details,
+      providerStatus: row.providerStatus,
+      paidIn: row.paidIn,
+      withdrawn: row.withdrawn,
+      balance: row.balance,
+      otherParty: row.otherParty,
+      result: row.result,
+      transactionId: row.transaction ? String(row.transaction) : undefined,
+      matchedBy: row.matchedBy
+    };
+  }
+
+  /**
+   * Format an exception for API responses and the report file
+   * @param {object} exception - Exception subdocument
+   * @returns {object} - Exception
+   */
+  formatException(exception) {
+    return {
+      exceptionId: exception._id,
+      kind: exception.kind,
+      status: exception.status,
+      row: exception.row,
+      receiptNumber: exception.receiptNumber,
+      transactionId: exception.transaction ? String(exception.transaction) : undefined,
+      statementAmount: exception.statementAmount,
+      ledgerAmount: exception.ledgerAmount,
+      ledgerStatus: exception.ledgerStatus,
+      occurredAt: exception.occurredAt,
+      note: exception.note,
+      resolvedBy: exception.resolvedBy,
+      resolvedAt: exception.resolvedAt
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
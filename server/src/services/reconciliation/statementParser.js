@@ -0,0 +1,244 @@
+// server/src/services/reconciliation/statementParser.js
+
+const { parseCsvRows } = require('../../utils/csv');
+const { readFirstSheet } = require('../../utils/xlsx');
+const AppError = require('../../utils/appError');
+
+/**
+ * Parser for M-Pesa org portal statement exports (CSV or XLSX)
+ * Exports start with a few lines about the account before the column header row;
+ * times are in East Africa Time, which has no daylight saving
+ */
+
+const STATEMENT_UTC_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on rows per statement, keeps a reconciliation document well below Mongo's size limit
+const MAX_STATEMENT_ROWS = 5000;
+
+// Header names seen in org portal exports, normalized by normalizeHeader
+const COLUMNS = {
+  receiptNumber: ['receipt no', 'receipt number', 'receipt'],
+  completedAt: ['completion time', 'completion date'],
+  initiatedAt: ['initiation time'],
+  details: ['details', 'description'],
+  providerStatus: ['transaction status', 'status'],
+  paidIn: ['paid in', 'credit'],
+  withdrawn: ['withdrawn', 'withdrawal', 'debit'],
+  balance: ['balance'],
+  reasonType: ['reason type'],
+  otherParty: ['other party info', 'other party']
+};
+
+const REQUIRED_COLUMNS = ['receiptNumber', 'completedAt', 'paidIn', 'withdrawn'];
+
+/**
+ * Normalize a header cell for lookup ("Receipt No." -> "receipt no")
+ * @param {string} value - Header cell
+ * @returns {string} Normalized name
+ */
+const normalizeHeader = (value) => String(value).toLowerCase().replace(/[.:]/g, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Parse a statement amount such as "1,500.00" or "-1,500.00"
+ * Withdrawals are negative in some exports; amounts are returned unsigned
+ * @param {string|number} value - Amount cell
+ * @returns {number} Amount, 0 for an empty cell, NaN when unreadable
+ */
+const parseAmount = (value) => {
+  const text = String(value ?? '').replace(/[,\s]|KES|Ksh/gi, '');
+  if (text === '') {
+    return 0;
+  }
+  if (!/^-?\d+(\.\d+)?$/.test(text)) {
+    return NaN;
+  }
+  return Math.round(Math.abs(Number(text)) * 100) / 100;
+};
+
+/**
+ * Parse a statement time in East Africa Time
+ * Accepts "2024-03-15 14:23:45", "15-03-2024 14:23:45", "15/03/2024 14:23" and Excel serial dates
+ * @param {string|number} value - Time cell
+ * @returns {Date|null} Time, or null when unreadable
+ */
+const parseStatementTime = (value) => {
+  const text = String(value ?? '').trim();
+
+  // XLSX date cells hold days since 1899-12-30
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const serial = Number(text);
+    if (serial < 1 || serial > 100000) {
+      return null;
+    }
+    return new Date(Math.round((serial - 25569) * DAY_MS) - STATEMENT_UTC_OFFSET_MS);
+  }
+
+  let parts = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  let year;
+  let month;
+  let day;
+
+  if (parts) {
+    [, year, month, day] = parts;
+  } else {
+    parts = text.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (!parts) {
+      return null;
+    }
+    [, day, month, year] = parts;
+  }
+
+  const [hours = 0, minutes = 0, seconds = 0] = parts.slice(4).map(part => Number(part || 0));
+  const utc = Date.UTC(Number(year), Number(month) - 1, Number(day), hours, minutes, seconds);
+
+  // Date.UTC rolls invalid days over, e.g. 31 April
+  if (new Date(utc).getUTCDate() !== Number(day) || new Date(utc).getUTCMonth() !== Number(month) - 1) {
+    return null;
+  }
+
+  return new Date(utc - STATEMENT_UTC_OFFSET_MS);
+};
+
+/**
+ * Get the bounds of a statement day
+ * @param {string} date - Day as YYYY-MM-DD
+ * @returns {Object} { start, end } where end is the start of the next day
+ */
+const getStatementPeriod = (date) => {
+  const start = parseStatementTime(date);
+  if (!start || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new AppError('Date must be a valid day formatted YYYY-MM-DD', 400);
+  }
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+};
+
+/**
+ * Find the shortcode named in the lines above the header, if any
+ * @param {Array<Array<string>>} lines - Lines above the header row
+ * @returns {string|null} Shortcode
+ */
+const findShortCode = (lines) => {
+  for (const line of lines) {
+    const cells = line.map(cell => String(cell).trim()).filter(Boolean);
+    const index = cells.findIndex(cell => /short ?code/i.test(cell));
+
+    if (index >= 0) {
+      const inline = cells[index].match(/short ?code\s*[:-]?\s*(\d{5,7})/i);
+      if (inline) {
+        return inline[1];
+      }
+      const next = cells[index + 1];
+      if (next && /^\d{5,7}$/.test(next)) {
+        return next;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse an org portal statement into rows
+ * @param {string|Buffer} input - CSV text or XLSX file contents
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Object} { shortCode, rows } where shortCode is read from the statement heading when present
+ */
+const parseStatement = (input, format) => {
+  let lines;
+
+  if (format === 'xlsx') {
+    lines = readFirstSheet(input);
+  } else {
+    if (typeof input !== 'string' || !input.trim()) {
+      throw new AppError('Statement file is empty', 400);
+    }
+    lines = parseCsvRows(input);
+  }
+
+  const headerIndex = lines.findIndex(line => line.some(cell => COLUMNS.receiptNumber.includes(normalizeHeader(cell))));
+  if (headerIndex < 0) {
+    throw new AppError('Statement has no header row with a "Receipt No." column', 400);
+  }
+
+  const header = lines[headerIndex].map(normalizeHeader);
+  const positions = Object.entries(COLUMNS).reduce((acc, [column, names]) => {
+    const position = header.findIndex(name => names.includes(name));
+    if (position >= 0) {
+      acc[column] = position;
+    }
+    return acc;
+  }, {});
+
+  const missing = REQUIRED_COLUMNS.filter(column => positions[column] === undefined);
+  if (missing.length > 0) {
+    throw new AppError(`Statement is missing required columns: ${missing.join(', ')}`, 400);
+  }
+
+  const cell = (line, column) => (positions[column] === undefined ? '' : String(line[positions[column]] ?? '').trim());
+
+  // Totals and footers have no receipt number
+  const dataLines = lines.slice(headerIndex + 1).filter(line => cell(line, 'receiptNumber') !== '');
+
+  if (dataLines.length === 0) {
+    throw new AppError('Statement contains no rows', 400);
+  }
+  if (dataLines.length > MAX_STATEMENT_ROWS) {
+    throw new AppError(`Statement cannot contain more than ${MAX_STATEMENT_ROWS} rows`, 400);
+  }
+
+  const rows = [];
+  const errors = [];
+
+  dataLines.forEach((line, index) => {
+    const row = index + 1;
+    const rowErrors = [];
+
+    const completedAt = parseStatementTime(cell(line, 'completedAt') || cell(line, 'initiatedAt'));
+    if (!completedAt) {
+      rowErrors.push(`Unreadable completion time "${cell(line, 'completedAt')}"`);
+    }
+
+    const paidIn = parseAmount(cell(line, 'paidIn'));
+    const withdrawn = parseAmount(cell(line, 'withdrawn'));
+    if (Number.isNaN(paidIn) || Number.isNaN(withdrawn)) {
+      rowErrors.push('Unreadable Paid In or Withdrawn amount');
+    }
+
+    const balance = parseAmount(cell(line, 'balance'));
+
+    if (rowErrors.length > 0) {
+      errors.push({ row, errors: rowErrors });
+      return;
+    }
+
+    rows.push({
+      row,
+      receiptNumber: cell(line, 'receiptNumber').toUpperCase(),
+      completedAt,
+      details: [...new Set([cell(line, 'details'), cell(line, 'reasonType')].filter(Boolean))].join(' | ') || undefined,
+      providerStatus: cell(line, 'providerStatus') || undefined,
+      paidIn,
+      withdrawn,
+      balance: cell(line, 'balance') === '' || Number.isNaN(balance) ? undefined : balance,
+      otherParty: cell(line, 'otherParty') || undefined
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new AppError(`Validation error: ${errors.length} of ${dataLines.length} statement rows are invalid`, 400, errors);
+  }
+
+  return {
+    shortCode: findShortCode(lines.slice(0, headerIndex)),
+    rows
+  };
+};
+
+module.exports = {
+  STATEMENT_UTC_OFFSET_MS,
+  MAX_STATEMENT_ROWS,
+  parseAmount,
+  parseStatementTime,
+  getStatementPeriod,
+  parseStatement
+};
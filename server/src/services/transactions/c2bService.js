@@ -0,0 +1,315 @@
+// server/src/services/transactions/c2bService.js
+
+const axios = require('axios');
+const Transaction = require('../../models/transaction');
+const Business = require('../../models/business');
+const PaymentGatewayFactory = require('../payments/paymentGatewayFactory');
+const transactionService = require('./transactionService');
+const webhookService = require('./webhookService');
+const ledgerService = require('../ledger/ledgerService');
+const logger = require('../../utils/logger');
+const AppError = require('../../utils/appError');
+const { assertPublicUrl, publicLookup } = require('../../utils/outboundUrl');
+
+// Daraja C2B validation result codes
+const RESULT_CODES = {
+  ACCEPT: '0',
+  INVALID_MSISDN: 'C2B00011',
+  INVALID_ACCOUNT_NUMBER: 'C2B00012',
+  INVALID_AMOUNT: 'C2B00013',
+  INVALID_KYC_DETAILS: 'C2B00014',
+  INVALID_SHORTCODE: 'C2B00015',
+  OTHER_ERROR: 'C2B00016'
+};
+
+/**
+ * Service for customer-to-business (C2B) paybill and till payments
+ * Daraja posts these to the validation and confirmation URLs registered for a shortcode
+ */
+class C2BService {
+  /**
+   * Build the response M-Pesa expects from the validation URL
+   * @param {string} resultCode - Daraja C2B result code
+   * @returns {object} - Validation response
+   */
+  buildValidationResponse(resultCode) {
+    return {
+      ResultCode: resultCode,
+      ResultDesc: resultCode === RESULT_CODES.ACCEPT ? 'Accepted' : 'Rejected'
+    };
+  }
+
+  /**
+   * Find the business that owns a Kenyan M-Pesa shortcode, with that integration
+   * @param {string} shortCode - Paybill or till number
+   * @returns {Promise<{business: object, integration: object}|null>}
+   */
+  async findByShortCode(shortCode) {
+    if (!shortCode) {
+      return null;
+    }
+
+    const business = await Business.findOne({
+      mpesaIntegrations: { $elemMatch: { shortCode: String(shortCode), country: 'kenya' } }
+    });
+
+    if (!business) {
+      return null;
+    }
+
+    const integration = business.mpesaIntegrations.find(
+      item => item.shortCode === String(shortCode) && item.country === 'kenya'
+    );
+
+    return { business, integration };
+  }
+
+  /**
+   * Decide whether to accept a C2B payment before M-Pesa completes it
+   * Amount and account-number rules run first, then the merchant's own validation URL
+   * @param {object} payload - Validation request posted by M-Pesa
+   * @returns {Promise<object>} - Daraja validation response
+   */
+  async validatePayment(payload) {
+    const match = await this.findByShortCode(payload?.BusinessShortCode);
+
+    if (!match) {
+      logger.warn(`C2B validation for unknown shortcode ${payload?.BusinessShortCode}`, { transId: payload?.TransID });
+      return this.buildValidationResponse(RESULT_CODES.INVALID_SHORTCODE);
+    }
+
+    const rules = match.integration.c2bRules || {};
+    const resultCode = this.applyRules(rules, payload);
+
+    if (resultCode !== RESULT_CODES.ACCEPT) {
+      logger.info(`C2B payment ${payload.TransID} rejected by merchant rules (${resultCode})`);
+      return this.buildValidationResponse(resultCode);
+    }
+
+    if (rules.validationUrl) {
+      return this.buildValidationResponse(await this.askMerchant(rules, payload));
+    }
+
+    return this.buildValidationResponse(RESULT_CODES.ACCEPT);
+  }
+
+  /**
+   * Check a payment against the amount and account-number rules
+   * @param {object} rules - Integration C2B rules
+   * @param {object} payload - Validation request posted by M-Pesa
+   * @returns {string} - Daraja C2B result code
+   */
+  applyRules(rules, payload) {
+    const amount = Number(payload.TransAmount);
+
+    if (isNaN(amount) ||
+        (rules.minAmount !== undefined && rules.minAmount !== null && amount < rules.minAmount) ||
+        (rules.maxAmount !== undefined && rules.maxAmount !== null && amount > rules.maxAmount)) {
+      return RESULT_CODES.INVALID_AMOUNT;
+    }
+
+    const patterns = rules.accountNumberPatterns || [];
+    const accountNumber = String(payload.BillRefNumber || '').trim();
+
+    if (patterns.length > 0 && !patterns.some(pattern => new RegExp(pattern).test(accountNumber))) {
+      return RESULT_CODES.INVALID_ACCOUNT_NUMBER;
+    }
+
+    return RESULT_CODES.ACCEPT;
+  }
+
+  /**
+   * Forward a validation request to the merchant's validation URL
+   * The merchant answers in Daraja's format; no answer in time falls back to the configured action
+   * @param {object} rules - Integration C2B rules
+   * @param {object} payload - Validation request posted by M-Pesa
+   * @returns {Promise<string>} - Daraja C2B result code
+   */
+  async askMerchant(rules, payload) {
+    const fallback = rules.onValidationTimeout === 'reject' ? RESULT_CODES.OTHER_ERROR : RESULT_CODES.ACCEPT;
+
+    try {
+      // The URL is merchant-configured, so it may not reach the platform's own network
+      assertPublicUrl(rules.validationUrl);
+
+      const response = await axios.post(rules.validationUrl, payload, {
+        lookup: publicLookup,
+        maxRedirects: 0,
+        timeout: rules.validationTimeoutMs || 3000,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      const resultCode = String(response.data?.ResultCode ?? '');
+
+      if (Object.values(RESULT_CODES).includes(resultCode)) {
+        return resultCode;
+      }
+
+      logger.warn(`Merchant validation URL returned an unknown result code for ${payload.TransID}`, {
+        resultCode,
+        url: rules.validationUrl
+      });
+      return fallback;
+    } catch (error) {
+      logger.warn(`Merchant validation URL failed for ${payload.TransID}: ${error.message}`, {
+        url: rules.validationUrl
+      });
+      return fallback;
+    }
+  }
+
+  /**
+   * Record a completed C2B payment as a deposit and emit c2b.received
+   * Redelivered confirmations return the transaction recorded the first time
+   * @param {object} payload - Confirmation posted by M-Pesa
+   * @returns {Promise<object>} - Transaction document
+   */
+  async confirmPayment(payload) {
+    if (!payload?.TransID || !payload?.BusinessShortCode) {
+      throw new AppError('Invalid C2B confirmation: missing TransID or BusinessShortCode', 400);
+    }
+
+    const match = await this.findByShortCode(payload.BusinessShortCode);
+    if (!match) {
+      throw new AppError(`No business found for shortcode ${payload.BusinessShortCode}`, 404);
+    }
+
+    const { business } = match;
+
+    const existing = await Transaction.findOne({ business: business._id, providerTransactionId: payload.TransID });
+    if (existing) {
+      logger.info(`Ignoring redelivered C2B confirmation ${payload.TransID}`);
+      return existing;
+    }
+
+    // Daraja masks the MSISDN for some shortcodes; keep it as sent and only store real numbers
+    const msisdn = String(payload.MSISDN || '');
+
+    let transaction;
+    try {
+      transaction = await Transaction.create({
+        business: business._id,
+        transactionType: 'deposit',
+        paymentProvider: 'mpesa',
+        amount: Number(payload.TransAmount),
+        currency: 'KES',
+        country: 'kenya',
+        phoneNumber: /^[0-9]{10,15}$/.test(msisdn) ? msisdn : undefined,
+        description: payload.TransactionType,
+        internalReference: `C2B-${payload.TransID}`,
+        providerTransactionId: payload.TransID,
+        status: 'completed',
+        statusHistory: [{ status: 'completed', metadata: { receiptNumber: payload.TransID } }],
+        callbackData: payload,
+        metadata: {
+          channel: 'c2b',
+          shortCode: String(payload.BusinessShortCode),
+          billRefNumber: payload.BillRefNumber,
+          msisdn,
+          payerName: [payload.FirstName, payload.MiddleName, payload.LastName].filter(Boolean).join(' '),
+          transTime: payload.TransTime
+        }
+      });
+    } catch (error) {
+      // A concurrent redelivery recorded it first (unique internalReference)
+      if (error.code === 11000) {
+        return Transaction.findOne({ business: business._id, providerTransactionId: payload.TransID });
+      }
+      throw error;
+    }
+
+    await ledgerService.recordTransaction(transaction);
+    await webhookService.notifyTransaction(transaction);
+
+    return transaction;
+  }
+
+  /**
+   * Get the Kenyan M-Pesa integration of the business an API key belongs to
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<{business: object, integration: object}>}
+   */
+  async findIntegration(apiKey) {
+    const business = await transactionService.findBusinessByApiKey(apiKey);
+    const integration = transactionService.getIntegration(business, 'mpesa', 'kenya');
+
+    return { business, integration };
+  }
+
+  /**
+   * Get the C2B rules of a business's shortcode
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<object>} - C2B settings
+   */
+  async getRules(apiKey) {
+    const { integration } = await this.findIntegration(apiKey);
+    return this.formatRules(integration);
+  }
+
+  /**
+   * Replace the C2B rules of a business's shortcode
+   * @param {object} rules - Validated C2B rules
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<object>} - C2B settings
+   */
+  async updateRules(rules, apiKey) {
+    const { business, integration } = await this.findIntegration(apiKey);
+
+    if (rules.validationUrl) {
+      assertPublicUrl(rules.validationUrl);
+    }
+
+    integration.c2bRules = rules;
+    integration.updatedAt = Date.now();
+    await business.save();
+
+    return this.formatRules(integration);
+  }
+
+  /**
+   * Register the platform's validation and confirmation URLs for a business's shortcode
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<object>} - C2B settings
+   */
+  async registerUrls(apiKey) {
+    const { business, integration } = await this.findIntegration(apiKey);
+
+    const baseUrl = `${process.env.API_BASE_URL}/api/v1/webhooks/c2b`;
+    const client = PaymentGatewayFactory.createGateway('mpesa', 'kenya', integration);
+    const response = await client.registerC2BUrls(`${baseUrl}/confirmation`, `${baseUrl}/validation`);
+
+    if (String(response?.ResponseCode) !== '0') {
+      throw new AppError(`C2B URL registration failed: ${response?.ResponseDescription || 'unknown error'}`, 502);
+    }
+
+    integration.c2bUrlsRegisteredAt = new Date();
+    await business.save();
+
+    return this.formatRules(integration);
+  }
+
+  /**
+   * Format a shortcode's C2B settings for the API
+   * @param {object} integration - M-Pesa integration
+   * @returns {object} - C2B settings
+   */
+  formatRules(integration) {
+    const rules = integration.c2bRules || {};
+
+    return {
+      shortCode: integration.shortCode,
+      urlsRegisteredAt: integration.c2bUrlsRegisteredAt,
+      rules: {
+        accountNumberPatterns: rules.accountNumberPatterns || [],
+        minAmount: rules.minAmount,
+        maxAmount: rules.maxAmount,
+        validationUrl: rules.validationUrl,
+        validationTimeoutMs: rules.validationTimeoutMs,
+        onValidationTimeout: rules.onValidationTimeout
+      }
+    };
+  }
+}
+
+module.exports = new C2BService();
+module.exports.RESULT_CODES = RESULT_CODES;
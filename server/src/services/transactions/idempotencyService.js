@@ -0,0 +1,168 @@
+// server/src/services/transactions/idempotencyService.js
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../../models/idempotencyKey');
+const Transaction = require('../../models/transaction');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Service for idempotent money-moving requests
+ * The first request with a business's Idempotency-Key claims it and holds a lock while it runs;
+ * its response is stored for config.idempotency.ttlMs and replayed to identical retries. The same
+ * key with a different request, or while the first is still running, is refused with 409. Server
+ * errors free the key for a retry only when the request created no transaction: once one exists,
+ * the provider may already have been asked to move the money
+ */
+class IdempotencyService {
+  /**
+   * Check the format of an Idempotency-Key header
+   * @param {string} key - Header value
+   * @returns {void}
+   */
+  assertValidKey(key) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new AppError('Idempotency-Key must be 1 to 255 printable characters without spaces', 400);
+    }
+  }
+
+  /**
+   * Hash what makes two requests the same request
+   * @param {object} parts - { method, path, body } where body is the raw body or the parsed one
+   * @returns {string} - Hex SHA-256
+   */
+  fingerprint({ method, path, body }) {
+    const payload = Buffer.isBuffer(body) || typeof body === 'string' ? body : JSON.stringify(body || {});
+    return crypto.createHash('sha256')
+      .update(`${String(method).toUpperCase()}\n${path}\n`)
+      .update(payload)
+      .digest('hex');
+  }
+
+  /**
+   * Claim an idempotency key for a request, or find the response to replay
+   * @param {string} businessId - Business ID
+   * @param {string} key - Idempotency key
+   * @param {object} request - { method, path, requestHash }
+   * @returns {Promise<object>} - { record, replay } where replay is true for a stored response
+   */
+  async begin(businessId, key, request) {
+    const now = new Date();
+    const claim = {
+      ...request,
+      status: 'processing',
+      lockedUntil: new Date(now.getTime() + config.idempotency.lockMs),
+      expiresAt: new Date(now.getTime() + config.idempotency.ttlMs)
+    };
+
+    try {
+      const record = await IdempotencyKey.create({ business: businessId, key, ...claim });
+      return { record, replay: false };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    const existing = await IdempotencyKey.findOne({ business: businessId, key });
+
+    // Expired records are removed by the TTL monitor, which only runs once a minute
+    if (!existing || existing.expiresAt <= now) {
+      const record = await IdempotencyKey.findOneAndUpdate(
+        { business: businessId, key, expiresAt: { $lte: now } },
+        { $set: claim, $unset: { responseStatus: 1, responseBody: 1 } },
+        { new: true }
+      );
+      if (record) {
+        return { record, replay: false };
+      }
+      throw new AppError('A request with this Idempotency-Key is already in progress', 409);
+    }
+
+    if (existing.requestHash !== request.requestHash) {
+      throw new AppError('Idempotency-Key has already been used for a different request', 409);
+    }
+
+    if (existing.status === 'completed') {
+      return { record: existing, replay: true };
+    }
+
+    // The lock only runs out when the process handling the first request died; if that request
+    // created a transaction, running it again could move the money twice
+    if (existing.lockedUntil <= now && await Transaction.exists({ idempotencyKey: existing._id })) {
+      throw new AppError('The request with this Idempotency-Key stopped after creating a transaction; look it up instead of retrying', 409);
+    }
+
+    const record = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: 'processing', lockedUntil: { $lte: now } },
+      { $set: { lockedUntil: claim.lockedUntil } },
+      { new: true }
+    );
+    if (!record) {
+      throw new AppError('A request with this Idempotency-Key is already in progress', 409);
+    }
+
+    logger.warn(`Idempotency key ${key} of business ${businessId} taken over after its lock ran out`);
+    return { record, replay: false };
+  }
+
+  /**
+   * Settle a claimed request once its response is known
+   * Responses below 500 are stored. Server errors are stored too when the request created a
+   * transaction, and otherwise give up the key so the request can be retried
+   * @param {object} record - Idempotency key document
+   * @param {number} statusCode - HTTP status
+   * @param {*} body - Response body as passed to res.json
+   * @returns {Promise<void>}
+   */
+  async finish(record, statusCode, body) {
+    if (statusCode < 500) {
+      return this.complete(record, statusCode, body);
+    }
+
+    const transaction = await Transaction.findOne({ idempotencyKey: record._id }).select('_id');
+    if (!transaction) {
+      return this.release(record);
+    }
+
+    logger.warn(`Idempotency key ${record.key} kept after a ${statusCode} response: transaction ${transaction._id} was created`);
+    return this.complete(record, statusCode, body, transaction._id);
+  }
+
+  /**
+   * Store the response to a claimed request so retries get it back
+   * @param {object} record - Idempotency key document
+   * @param {number} statusCode - HTTP status
+   * @param {*} body - Response body as passed to res.json
+   * @param {string} [transactionId] - Transaction the request created
+   * @returns {Promise<void>}
+   */
+  async complete(record, statusCode, body, transactionId) {
+    await IdempotencyKey.updateOne(
+      { _id: record._id, status: 'processing' },
+      {
+        $set: {
+          status: 'completed',
+          responseStatus: statusCode,
+          responseBody: JSON.stringify(body),
+          ...(transactionId && { transaction: transactionId })
+        },
+        $unset: { lockedUntil: 1 }
+      }
+    );
+  }
+
+  /**
+   * Give up a claimed key, so the request can be retried
+   * @param {object} record - Idempotency key document
+   * @returns {Promise<void>}
+   */
+  async release(record) {
+    await IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' });
+  }
+}
+
+module.exports = new IdempotencyService();
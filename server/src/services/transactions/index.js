@@ -3,12 +3,16 @@
 const transactionService = require('./transactionService');
 const transactionValidator = require('./transactionValidator');
 const webhookService = require('./webhookService');
+const webhookDeliveryService = require('./webhookDeliveryService');
+const c2bService = require('./c2bService');
 const transactionScheduler = require('./transactionScheduler');
 
 module.exports = {
   transactionService,
   transactionValidator,
   webhookService,
+  webhookDeliveryService,
+  c2bService,
   transactionScheduler,
   
   // Initialize services that need initialization
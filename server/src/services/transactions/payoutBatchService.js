@@ -0,0 +1,592 @@
+// server/src/services/transactions/payoutBatchService.js
+const PayoutBatch = require('../../models/payoutBatch');
+const Transaction = require('../../models/transaction');
+const transactionService = require('./transactionService');
+const transactionValidator = require('./transactionValidator');
+const { parseCsv, toCsv } = require('../../utils/csv');
+const logger = require('../../utils/logger');
+const AppError = require('../../utils/appError');
+const config = require('../../config');
+
+// Upper bound on rows per batch, keeps a single batch document well below Mongo's size limit
+const MAX_BATCH_ROWS = 1000;
+const DEFAULT_CONCURRENCY = 5;
+const MAX_CONCURRENCY = 20;
+
+// Columns of the downloadable results file
+const RESULT_COLUMNS = ['row', 'phoneNumber', 'amount', 'reference', 'remarks', 'status', 'providerReference', 'transactionId', 'error'];
+
+/**
+ * Service for bulk payout batches
+ * Validates every row up front, then submits the payouts with limited concurrency. Each row is
+ * claimed before it is submitted, so a batch resumed after a restart never pays a row twice
+ */
+class PayoutBatchService {
+  /**
+   * Turn an uploaded CSV or JSON list into raw rows
+   * @param {string|object|Array} input - CSV text, a JSON array or an object with a `rows` array
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Array<object>} - Raw rows
+   */
+  parseRows(input, format) {
+    if (format === 'csv') {
+      if (typeof input !== 'string' || !input.trim()) {
+        throw new AppError('CSV body is empty', 400);
+      }
+
+      // Header names are matched case-insensitively (e.g. "PhoneNumber", "phonenumber")
+      const columns = { phonenumber: 'phoneNumber', amount: 'amount', reference: 'reference', remarks: 'remarks' };
+      return parseCsv(input).map(record => Object.entries(record).reduce((row, [key, value]) => {
+        const column = columns[key.toLowerCase()];
+        if (column) {
+          row[column] = value;
+        }
+        return row;
+      }, {}));
+    }
+
+    const rows = Array.isArray(input) ? input : input?.rows;
+    if (!Array.isArray(rows)) {
+      throw new AppError('JSON body must be an array of payouts or an object with a rows array', 400);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Validate every row of a batch with the payout validator
+   * @param {Array<object>} rows - Raw rows
+   * @param {object} defaults - Batch-wide country, provider and commandId
+   * @param {string} batchId - Batch ID, used to derive missing references
+   * @returns {object} - { rows, errors } where errors lists every invalid row
+   */
+  validateRows(rows, defaults, batchId) {
+    const validRows = [];
+    const errors = [];
+    const references = new Set();
+
+    rows.forEach((raw, index) => {
+      const row = index + 1;
+
+      try {
+        const payout = transactionValidator.validatePayoutRequest({
+          phoneNumber: raw.phoneNumber,
+          amount: raw.amount,
+          remarks: raw.remarks,
+          reference: raw.reference || `PB${batchId}-${row}`,
+          country: defaults.country,
+          provider: defaults.provider,
+          commandId: defaults.commandId
+        });
+
+        if (references.has(payout.reference)) {
+          throw new AppError('Validation error', 400, [`Duplicate reference "${payout.reference}"`]);
+        }
+        references.add(payout.reference);
+
+        validRows.push({
+          row,
+          phoneNumber: payout.phoneNumber,
+          amount: payout.amount,
+          reference: payout.reference,
+          remarks: payout.remarks
+        });
+      } catch (error) {
+        errors.push({ row, errors: error.errors || [error.message] });
+      }
+    });
+
+    return { rows: validRows, errors };
+  }
+
+  /**
+   * Create a payout batch and start submitting it
+   * @param {string|object|Array} input - Uploaded CSV text or JSON body
+   * @param {object} options - Batch options
+   * @param {string} options.format - 'csv' or 'json'
+   * @param {string} options.country - Country code for every row
+   * @param {string} [options.name] - Batch name
+   * @param {string} [options.provider] - Wallet provider (defaults to 'mpesa')
+   * @param {string} [options.commandId] - B2C command for every row
+   * @param {number} [options.concurrency] - Payouts submitted at once
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<object>} - Batch summary
+   */
+  async createBatch(input, options, apiKey) {
+    try {
+      const business = await transactionService.findBusinessByApiKey(apiKey);
+
+      const provider = options.provider || 'mpesa';
+      const commandId = options.commandId || 'BusinessPayment';
+      const concurrency = Math.min(parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY, MAX_CONCURRENCY);
+
+      if (!options.country) {
+        throw new AppError('Country is required', 400);
+      }
+
+      // Fail before validating rows if the business can't pay out in this country at all
+      transactionService.getIntegration(business, provider, options.country);
+
+      const rawRows = this.parseRows(input, options.format);
+      if (rawRows.length === 0) {
+        throw new AppError('Batch contains no rows', 400);
+      }
+      if (rawRows.length > MAX_BATCH_ROWS) {
+        throw new AppError(`Batch cannot contain more than ${MAX_BATCH_ROWS} rows`, 400);
+      }
+
+      const batch = new PayoutBatch({
+        business: business._id,
+        name: options.name,
+        source: options.format,
+        country: options.country,
+        provider,
+        currency: transactionService.getDefaultCurrency(options.country),
+        commandId,
+        concurrency: Math.max(concurrency, 1)
+      });
+
+      const { rows, errors } = this.validateRows(rawRows, { country: options.country, provider, commandId }, batch._id);
+
+      // Nothing is paid out unless every row is valid
+      if (errors.length > 0) {
+        throw new AppError(`Validation error: ${errors.length} of ${rawRows.length} rows are invalid`, 400, errors);
+      }
+
+      batch.rows = rows;
+      batch.totalAmount = rows.reduce((sum, row) => sum + row.amount, 0);
+      await batch.save();
+
+      logger.info(`Payout batch ${batch._id} created with ${rows.length} rows`);
+
+      // Submit in the background; progress is read from the batch, and the resume job finishes it if this process stops
+      setImmediate(() => {
+        this.processBatch(batch, business).catch(error => {
+          logger.error(`Payout batch ${batch._id} processing error: ${error.message}`);
+        });
+      });
+
+      return this.formatBatch(batch);
+    } catch (error) {
+      logger.error(`Create payout batch error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit every queued row of a batch with limited concurrency
+   * @param {object} batch - Batch document
+   * @param {object} business - Business document with integration credentials
+   * @returns {Promise<void>}
+   */
+  async processBatch(batch, business) {
+    await PayoutBatch.updateOne(
+      { _id: batch._id },
+      { $set: { status: 'submitting' }, $min: { startedAt: new Date() } }
+    );
+
+    const queue = batch.rows
+      .map((row, index) => ({ row, index }))
+      .filter(({ row }) => row.status === 'queued');
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const { row, index } = queue.shift();
+        await this.submitRow(batch, business, row, index);
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(batch.concurrency, queue.length) }, worker);
+    await Promise.all(workers);
+
+    await PayoutBatch.updateOne({ _id: batch._id }, { $set: { status: 'processing' } });
+
+    const updated = await PayoutBatch.findById(batch._id);
+    await this.refreshBatch(updated);
+
+    logger.info(`Payout batch ${batch._id} submitted`);
+  }
+
+  /**
+   * Submit a single batch row as a payout
+   * The row is claimed first, and only while still queued, so no other worker or process submits it again.
+   * Row updates are atomic so concurrent workers don't overwrite each other
+   * @param {object} batch - Batch document
+   * @param {object} business - Business document with integration credentials
+   * @param {object} row - Batch row
+   * @param {number} index - Row position in the batch
+   * @returns {Promise<void>}
+   */
+  async submitRow(batch, business, row, index) {
+    const path = `rows.${index}`;
+    const claim = await PayoutBatch.updateOne(
+      { _id: batch._id, [`${path}.status`]: 'queued' },
+      { $set: { [`${path}.status`]: 'submitting', [`${path}.claimedAt`]: new Date() } }
+    );
+    if (claim.modifiedCount === 0) {
+      return;
+    }
+
+    try {
+      const payout = await transactionService.createPayout(business, {
+        phoneNumber: row.phoneNumber,
+        amount: row.amount,
+        reference: row.reference,
+        remarks: row.remarks,
+        country: batch.country,
+        provider: batch.provider,
+        commandId: batch.commandId,
+        initiatedBy: 'batch',
+        metadata: { batchId: String(batch._id), batchRow: row.row }
+      });
+
+      await PayoutBatch.updateOne({ _id: batch._id }, {
+        $set: {
+          [`${path}.status`]: this.mapTransactionStatus(payout.status),
+          [`${path}.transaction`]: payout.transactionId,
+          [`${path}.providerReference`]: payout.mpesaReference || payout.providerTransactionId
+        }
+      });
+    } catch (error) {
+      await PayoutBatch.updateOne({ _id: batch._id }, {
+        $set: {
+          [`${path}.status`]: 'failed',
+          [`${path}.error`]: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Resume batches whose submission stopped before every row was submitted
+   * Row and batch updates touch the batch, so a batch still being submitted is never stale. A row left
+   * submitting is linked to its payout if one was created, and queued again only if none was
+   * @param {object} [options] - { limit }
+   * @returns {Promise<object>} - { resumed, recovered, errors }
+   */
+  async resumeStaleBatches({ limit = 50 } = {}) {
+    const staleBefore = new Date(Date.now() - config.payoutBatches.resumeAfterMs);
+    const batches = await PayoutBatch.find({
+      status: { $ne: 'completed' },
+      updatedAt: { $lte: staleBefore },
+      rows: {
+        $elemMatch: {
+          $or: [
+            { status: 'queued' },
+            { status: 'submitting', claimedAt: { $not: { $gt: staleBefore } } }
+          ]
+        }
+      }
+    }).sort({ updatedAt: 1 }).limit(limit);
+
+    const summary = { resumed: 0, recovered: 0, errors: 0 };
+
+    for (const stale of batches) {
+      try {
+        // Take the batch only if nothing touched it since it was found
+        const batch = await PayoutBatch.findOneAndUpdate(
+          { _id: stale._id, updatedAt: stale.updatedAt },
+          { $set: { status: 'submitting' } },
+          { new: true }
+        );
+        if (!batch) {
+          continue;
+        }
+
+        for (const [index, row] of batch.rows.entries()) {
+          if (row.status === 'submitting' && !(row.claimedAt > staleBefore)) {
+            await this.recoverRow(batch, row, index);
+            summary.recovered += 1;
+          }
+        }
+
+        const business = await transactionService.findBusinessById(batch.business);
+        await this.processBatch(await PayoutBatch.findById(batch._id), business);
+
+        logger.info(`Payout batch ${batch._id} resumed`);
+        summary.resumed += 1;
+      } catch (error) {
+        summary.errors += 1;
+        logger.error(`Error resuming payout batch ${stale._id}: ${error.message}`);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Settle a row whose submission was interrupted
+   * A payout still initiated stopped between holding its funds and reaching the provider, so it is
+   * failed, which releases the hold; one that reached the provider settles through its callback
+   * @param {object} batch - Batch document
+   * @param {object} row - Batch row left submitting
+   * @param {number} index - Row position in the batch
+   * @returns {Promise<void>}
+   */
+  async recoverRow(batch, row, index) {
+    const path = `rows.${index}`;
+    const transaction = await Transaction.findOne({
+      business: batch.business,
+      'metadata.batchId': String(batch._id),
+      'metadata.batchRow': row.row
+    });
+
+    let error;
+    if (transaction && transaction.status === 'initiated') {
+      error = 'Interrupted before it was submitted to the provider';
+      transaction.status = 'failed';
+      transaction.statusHistory.push({ status: 'failed', reason: error, metadata: { batchId: String(batch._id) } });
+      await transactionService.saveTransaction(transaction);
+    }
+
+    const update = transaction
+      ? {
+        [`${path}.status`]: this.mapTransactionStatus(transaction.status),
+        [`${path}.transaction`]: transaction._id,
+        [`${path}.providerReference`]: transaction.mpesaReference || transaction.providerTransactionId,
+        ...(error && { [`${path}.error`]: error })
+      }
+      : { [`${path}.status`]: 'queued' };
+
+    await PayoutBatch.updateOne({ _id: batch._id, [`${path}.status`]: 'submitting' }, { $set: update });
+  }
+
+  /**
+   * Map a transaction status to a batch row status
+   * @param {string} status - Transaction status
+   * @returns {string} - Row status
+   */
+  mapTransactionStatus(status) {
+    if (status === 'completed') {
+      return 'completed';
+    }
+
+    if (['failed', 'canceled', 'expired'].includes(status)) {
+      return 'failed';
+    }
+
+    return 'processing';
+  }
+
+  /**
+   * Pull the latest transaction outcomes into a batch's rows
+   * Results arrive on the B2C callbacks, so rows settle after submission
+   * @param {object} batch - Batch document
+   * @returns {Promise<object>} - Refreshed batch document
+   */
+  async refreshBatch(batch) {
+    // Rows are still being written by the submit workers
+    if (batch.status !== 'processing') {
+      return batch;
+    }
+
+    const pending = batch.rows.filter(row => row.status === 'processing' && row.transaction);
+
+    if (pending.length > 0) {
+      const transactions = await Transaction.find(
+        { _id: { $in: pending.map(row => row.transaction) } },
+        'status statusHistory mpesaReference providerTransactionId'
+      );
+      const byId = new Map(transactions.map(transaction => [String(transaction._id), transaction]));
+
+      pending.forEach(row => {
+        const transaction = byId.get(String(row.transaction));
+        if (!transaction) {
+          return;
+        }
+
+        row.status = this.mapTransactionStatus(transaction.status);
+        row.providerReference = transaction.providerTransactionId || transaction.mpesaReference;
+
+        if (row.status === 'failed') {
+          const last = transaction.statusHistory[transaction.statusHistory.length - 1];
+          row.error = last?.reason || `Payout ${transaction.status}`;
+        }
+      });
+    }
+
+    if (batch.isFinished()) {
+      batch.status = 'completed';
+      batch.completedAt = new Date();
+    }
+
+    if (batch.isModified()) {
+      await batch.save();
+    }
+
+    return batch;
+  }
+
+  /**
+   * Find a batch belonging to the API key's business
+   * @param {string} batchId - Batch ID
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<object>} - Refreshed batch document
+   */
+  async findBatch(batchId, apiKey) {
+    const business = await transactionService.findBusinessByApiKey(apiKey);
+
+    if (!transactionValidator.validateTransactionId(batchId)) {
+      throw new AppError('Payout batch not found', 404);
+    }
+
+    const batch = await PayoutBatch.findOne({ _id: batchId, business: business._id });
+    if (!batch) {
+      throw new AppError('Payout batch not found', 404);
+    }
+
+    return this.refreshBatch(batch);
+  }
+
+  /**
+   * Get a batch with its progress
+   * @param {string} batchId - Batch ID
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<object>} - Batch summary
+   */
+  async getBatch(batchId, apiKey) {
+    try {
+      const batch = await this.findBatch(batchId, apiKey);
+      return this.formatBatch(batch);
+    } catch (error) {
+      logger.error(`Get payout batch error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List a business's batches
+   * @param {object} filters - Query filters (status, page, limit)
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<object>} - Batches with pagination
+   */
+  async listBatches(filters, apiKey) {
+    try {
+      const business = await transactionService.findBusinessByApiKey(apiKey);
+
+      const query = { business: business._id };
+      if (filters.status) query.status = filters.status;
+
+      const page = parseInt(filters.page, 10) || 1;
+      const limit = Math.min(parseInt(filters.limit, 10) || 10, 100);
+
+      const [batches, total] = await Promise.all([
+        PayoutBatch.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        PayoutBatch.countDocuments(query)
+      ]);
+
+      return {
+        data: batches.map(batch => this.formatBatch(batch)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error(`List payout batches error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the per-row results of a batch
+   * @param {string} batchId - Batch ID
+   * @param {object} filters - Query filters (status, page, limit)
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<object>} - Rows with pagination
+   */
+  async getBatchRows(batchId, filters, apiKey) {
+    try {
+      const batch = await this.findBatch(batchId, apiKey);
+
+      const rows = filters.status
+        ? batch.rows.filter(row => row.status === filters.status)
+        : batch.rows;
+
+      const page = parseInt(filters.page, 10) || 1;
+      const limit = Math.min(parseInt(filters.limit, 10) || 50, 500);
+
+      return {
+        data: rows.slice((page - 1) * limit, page * limit).map(row => this.formatRow(row)),
+        pagination: {
+          page,
+          limit,
+          total: rows.length,
+          pages: Math.ceil(rows.length / limit)
+        }
+      };
+    } catch (error) {
+      logger.error(`Get payout batch rows error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the downloadable results file of a finished batch
+   * @param {string} batchId - Batch ID
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<object>} - { filename, content } CSV file
+   */
+  async getResultsFile(batchId, apiKey) {
+    try {
+      const batch = await this.findBatch(batchId, apiKey);
+
+      if (batch.status !== 'completed') {
+        throw new AppError('Results are available once the batch has finished', 409);
+      }
+
+      return {
+        filename: `payout-batch-${batch._id}-results.csv`,
+        content: toCsv(batch.rows.map(row => this.formatRow(row)), RESULT_COLUMNS)
+      };
+    } catch (error) {
+      logger.error(`Get payout batch results error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a batch for API responses
+   * @param {object} batch - Batch document
+   * @returns {object} - Batch summary
+   */
+  formatBatch(batch) {
+    return {
+      batchId: batch._id,
+      name: batch.name,
+      status: batch.status,
+      country: batch.country,
+      provider: batch.provider,
+      currency: batch.currency,
+      commandId: batch.commandId,
+      totalAmount: batch.totalAmount,
+      progress: batch.progress,
+      createdAt: batch.createdAt,
+      startedAt: batch.startedAt,
+      completedAt: batch.completedAt
+    };
+  }
+
+  /**
+   * Format a batch row for API responses and the results file
+   * @param {object} row - Batch row
+   * @returns {object} - Row result
+   */
+  formatRow(row) {
+    return {
+      row: row.row,
+      phoneNumber: row.phoneNumber,
+      amount: row.amount,
+      reference: row.reference,
+      remarks: row.remarks,
+      status: row.status,
+      providerReference: row.providerReference,
+      transactionId: row.transaction ? String(row.transaction) : undefined,
+      error: row.error
+    };
+  }
+}
+
+module.exports = new PayoutBatchService();
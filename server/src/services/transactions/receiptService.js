@@ -0,0 +1,272 @@
+// server/src/services/transactions/receiptService.js
+
+const crypto = require('crypto');
+const Business = require('../../models/business');
+const Transaction = require('../../models/transaction');
+const SMSNotificationService = require('../notifications/smsService');
+const templateService = require('../notifications/templateService');
+const { sendEmail } = require('../email.service');
+const { createPdf } = require('../../utils/pdf');
+const AppError = require('../../utils/appError');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+
+/**
+ * Service for customer-facing payment receipts
+ * Receipts go out once per completed payment, by SMS and/or email as the business
+ * configured, and link to a PDF served at a signed, expiring URL
+ */
+class ReceiptService {
+  constructor() {
+    this.smsService = null;
+  }
+
+  /**
+   * Get the SMS service, created on first use
+   * @returns {SMSNotificationService}
+   */
+  getSmsService() {
+    if (!this.smsService) {
+      this.smsService = new SMSNotificationService();
+    }
+    return this.smsService;
+  }
+
+  /**
+   * Check whether a transaction is a completed payment with a provider receipt
+   * @param {object} transaction - Transaction document
+   * @returns {boolean}
+   */
+  hasReceipt(transaction) {
+    return transaction.transactionType === 'payment' &&
+      transaction.status === 'completed' &&
+      Boolean(transaction.providerTransactionId);
+  }
+
+  /**
+   * Send the customer's receipt for a completed payment
+   * Does nothing unless the business has receipts enabled; a receipt is sent at most
+   * once per transaction. Never throws, so callback processing is not disrupted
+   * @param {object} transaction - Transaction document
+   * @returns {Promise<Array<string>>} - Channels the receipt went out on
+   */
+  async sendReceipt(transaction) {
+    try {
+      if (!this.hasReceipt(transaction) || (transaction.receipt && transaction.receipt.sentAt)) {
+        return [];
+      }
+
+      const business = await Business.findById(transaction.business);
+      const settings = business && business.receiptSettings;
+
+      if (!settings || !settings.enabled) {
+        return [];
+      }
+
+      // Claim the receipt first so a concurrent callback cannot send it twice
+      const claim = await Transaction.updateOne(
+        { _id: transaction._id, 'receipt.sentAt': { $exists: false } },
+        { $set: { 'receipt.sentAt': new Date() } }
+      );
+
+      if (claim.modifiedCount === 0) {
+        return [];
+      }
+
+      const locale = templateService.resolveLocale(business, transaction.customerLocale);
+      const receipt = this.buildReceipt(transaction, business, this.getReceiptLink(transaction._id).url, locale);
+      const channels = [];
+
+      if (settings.channels.includes('sms') && transaction.phoneNumber) {
+        try {
+          const sms = await templateService.render(business, 'payment.receipt', 'sms', receipt, { locale });
+          await this.getSmsService().send({
+            to: transaction.phoneNumber,
+            message: sms.message,
+            business: business._id,
+            country: transaction.country,
+            reference: String(transaction._id)
+          });
+          channels.push('sms');
+        } catch (error) {
+          logger.warn(`SMS receipt for transaction ${transaction._id} failed: ${error.message}`);
+        }
+      }
+
+      if (settings.channels.includes('email') && transaction.customerEmail) {
+        try {
+          const email = await templateService.render(business, 'payment.receipt', 'email', receipt, { locale });
+          await sendEmail({
+            to: transaction.customerEmail,
+            subject: email.subject,
+            html: email.html,
+            text: email.text,
+            fromName: business.name,
+            replyTo: business.notificationEmail
+          });
+          channels.push('email');
+        } catch (error) {
+          logger.warn(`Email receipt for transaction ${transaction._id} failed: ${error.message}`);
+        }
+      }
+
+      await Transaction.updateOne({ _id: transaction._id }, { $set: { 'receipt.channels': channels } });
+
+      logger.info(`Receipt for transaction ${transaction._id} sent by ${channels.join(', ') || 'no channel'}`);
+
+      return channels;
+    } catch (error) {
+      logger.error('Error sending customer receipt', {
+        error: error.message,
+        transactionId: transaction._id
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Collect the fields every receipt format shows
+   * @param {object} transaction - Completed payment
+   * @param {object} business - Business that was paid
+   * @param {string} [receiptUrl] - Signed PDF link
+   * @param {string} [locale] - Locale the date is formatted for
+   * @returns {object} - Receipt data
+   */
+  buildReceipt(transaction, business, receiptUrl = null, locale = 'en') {
+    const completed = (transaction.statusHistory || []).find(entry => entry.status === 'completed');
+    const paidAt = (completed && completed.timestamp) || transaction.updatedAt || new Date();
+
+    return {
+      merchantName: business.name,
+      logo: business.logo,
+      amount: templateService.formatAmount(transaction.amount),
+      currency: transaction.currency,
+      receiptNumber: transaction.providerTransactionId,
+      reference: transaction.internalReference,
+      phoneNumber: transaction.phoneNumber,
+      date: templateService.formatDate(paidAt, transaction.country, locale),
+      footer: business.receiptSettings && business.receiptSettings.footer,
+      receiptUrl
+    };
+  }
+
+  /**
+   * Sign a receipt link
+   * @param {string} transactionId - Transaction ID
+   * @param {number} expires - Expiry as a Unix timestamp in seconds
+   * @returns {string} - Hex HMAC-SHA256 signature
+   */
+  sign(transactionId, expires) {
+    return crypto
+      .createHmac('sha256', config.receipts.signingSecret)
+      .update(`receipt:${transactionId}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Build a signed link to a transaction's PDF receipt
+   * @param {string} transactionId - Transaction ID
+   * @returns {object} - { url, expiresAt }
+   */
+  getReceiptLink(transactionId) {
+    const expires = Math.floor(Date.now() / 1000) + (config.receipts.linkTtlDays * 24 * 60 * 60);
+    const signature = this.sign(String(transactionId), expires);
+
+    return {
+      url: `${process.env.API_BASE_URL}/api/v1/receipts/${transactionId}?expires=${expires}&signature=${signature}`,
+      expiresAt: new Date(expires * 1000)
+    };
+  }
+
+  /**
+   * Check a receipt link's signature and expiry
+   * @param {string} transactionId - Transaction ID
+   * @param {number|string} expires - Expiry from the link
+   * @param {string} signature - Signature from the link
+   * @throws {AppError} If the link was tampered with or has expired
+   */
+  verifyLink(transactionId, expires, signature) {
+    const expected = Buffer.from(this.sign(String(transactionId), Number(expires)));
+    const received = Buffer.from(String(signature || ''));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new AppError('Invalid receipt link', 403);
+    }
+
+    if (Number(expires) * 1000 < Date.now()) {
+      throw new AppError('This receipt link has expired', 410);
+    }
+  }
+
+  /**
+   * Render the PDF receipt behind a signed link
+   * @param {string} transactionId - Transaction ID
+   * @param {number|string} expires - Expiry from the link
+   * @param {string} signature - Signature from the link
+   * @returns {Promise<object>} - { filename, content }
+   */
+  async renderReceiptPdf(transactionId, expires, signature) {
+    this.verifyLink(transactionId, expires, signature);
+
+    const transaction = await Transaction.findById(transactionId);
+    if (!transaction || !this.hasReceipt(transaction)) {
+      throw new AppError('Receipt not found', 404);
+    }
+
+    const business = await Business.findById(transaction.business);
+    if (!business) {
+      throw new AppError('Receipt not found', 404);
+    }
+
+    const receipt = this.buildReceipt(transaction, business);
+
+    return {
+      filename: `receipt-${receipt.receiptNumber}.pdf`,
+      content: this.createReceiptPdf(receipt)
+    };
+  }
+
+  /**
+   * Lay out a receipt as a one-page PDF
+   * @param {object} receipt - Receipt data
+   * @returns {Buffer} - PDF file contents
+   */
+  createReceiptPdf(receipt) {
+    const rows = [
+      ['Amount', `${receipt.currency} ${receipt.amount}`],
+      ['M-Pesa receipt', receipt.receiptNumber],
+      ['Reference', receipt.reference],
+      ['Paid from', receipt.phoneNumber],
+      ['Date', receipt.date]
+    ];
+
+    const items = [
+      { text: receipt.merchantName, y: 780, size: 20, bold: true },
+      { text: 'Payment receipt', y: 755, size: 13 },
+      { rule: true, y: 740 }
+    ];
+
+    rows.forEach(([label, value], index) => {
+      const y = 710 - (index * 24);
+      items.push({ text: label, y, bold: true });
+      items.push({ text: value || '-', x: 200, y });
+    });
+
+    const bottom = 710 - (rows.length * 24);
+    items.push({ rule: true, y: bottom });
+
+    if (receipt.footer) {
+      items.push({ text: receipt.footer, y: bottom - 25, size: 10 });
+    }
+
+    items.push({
+      text: `Issued on behalf of ${receipt.merchantName} by the M-Pesa Integration Platform.`,
+      y: 60,
+      size: 8
+    });
+
+    return createPdf(items, { title: `Receipt ${receipt.receiptNumber}` });
+  }
+}
+
+module.exports = new ReceiptService();
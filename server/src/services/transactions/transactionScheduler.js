@@ -1,274 +1,313 @@
 // server/src/services/transactions/transactionScheduler.js
 
 const Transaction = require('../../models/transaction');
-const MpesaServiceFactory = require('../mpesa/mpesaServiceFactory');
+const transactionService = require('./transactionService');
+const webhookService = require('./webhookService');
+const receiptService = require('./receiptService');
+const payoutBatchService = require('./payoutBatchService');
+const ledgerService = require('../ledger/ledgerService');
+const jobScheduler = require('../jobs/jobScheduler');
 const logger = require('../../utils/logger');
 
+// Most transactions one run handles, so a backlog cannot flood a provider
+const BATCH_SIZE = 100;
+const RETRY_BATCH_SIZE = 50;
+
+// Payments a business flagged as retryable are re-sent at most this many times
+const MAX_RETRIES = 3;
+
 /**
- * Service for scheduling and executing transaction-related tasks
+ * Recurring transaction maintenance
+ * The tasks run as jobs of the shared job scheduler, so only one server process
+ * runs each of them at a time and every run is recorded
  */
 class TransactionScheduler {
   /**
-   * Initialize the scheduler
+   * Define the transaction jobs; they start running when the job scheduler starts
    */
   init() {
     logger.info('Initializing transaction scheduler');
-    
-    // Schedule periodic checks for pending transactions
-    this._schedulePendingTransactionChecks();
-    
-    // Schedule cleanup for expired transactions
-    this._scheduleExpiredTransactionCleanup();
-    
-    // Schedule retry for failed transactions that can be retried
-    this._scheduleFailedTransactionRetry();
+
+    jobScheduler.define('transactions.check-pending', {
+      schedule: '* * * * *',
+      description: 'Ask the provider for the status of pending payments whose callback has not arrived, backing off between checks',
+      handler: () => this._checkPendingTransactions()
+    });
+
+    jobScheduler.define('transactions.expire-initiated', {
+      schedule: '0 * * * *',
+      description: 'Expire transactions still initiated after 30 minutes',
+      handler: () => this._cleanupExpiredTransactions()
+    });
+
+    jobScheduler.define('transactions.retry-failed', {
+      schedule: '*/15 * * * *',
+      description: `Re-send failed payments flagged as retryable, up to ${MAX_RETRIES} times`,
+      handler: () => this._retryFailedTransactions()
+    });
+
+    jobScheduler.define('payouts.resume-batches', {
+      schedule: '*/5 * * * *',
+      description: 'Resume payout batches whose submission stopped, e.g. because the server restarted',
+      handler: () => payoutBatchService.resumeStaleBatches({ limit: RETRY_BATCH_SIZE })
+    });
+
+    jobScheduler.define('ledger.post-pending', {
+      schedule: '* * * * *',
+      description: 'Post ledger entries for transaction status changes that were not posted when they happened',
+      handler: () => ledgerService.postPendingTransactions({ limit: BATCH_SIZE })
+    });
   }
-  
+
   /**
-   * Schedule periodic checks for pending transactions
-   * 
+   * Query the provider for pending payments whose next status check is due
+   * Payments initiated before checks were scheduled are picked up once they have been pending for 5 minutes
+   *
    * @private
+   * @returns {Promise<Object>} - { checked, updated, expired, errors }
    */
-  _schedulePendingTransactionChecks() {
-    // Run every 5 minutes
-    const intervalMs = 5 * 60 * 1000;
-    
-    setInterval(async () => {
-      logger.info('Running pending transaction check');
-      
+  async _checkPendingTransactions() {
+    const now = new Date();
+    const cutoffTime = new Date(now.getTime() - 5 * 60 * 1000);
+
+    // Only collections can be queried; payouts and B2B settle through result callbacks
+    const pendingTransactions = await Transaction.find({
+      status: 'pending',
+      transactionType: 'payment',
+      $or: [
+        { 'statusCheck.nextCheckAt': { $lte: now } },
+        { 'statusCheck.attempts': { $exists: false }, updatedAt: { $lt: cutoffTime } }
+      ]
+    }).sort({ 'statusCheck.nextCheckAt': 1 }).limit(BATCH_SIZE);
+
+    logger.info(`Found ${pendingTransactions.length} pending transactions to check`);
+
+    const summary = { checked: 0, updated: 0, expired: 0, errors: 0 };
+
+    for (const transaction of pendingTransactions) {
       try {
-        await this._checkPendingTransactions();
+        const outcome = await this._checkTransactionStatus(transaction);
+        summary.checked += 1;
+        if (outcome === 'updated' || outcome === 'expired') {
+          summary[outcome] += 1;
+        } else if (outcome === 'error') {
+          summary.errors += 1;
+        }
       } catch (error) {
-        logger.error('Error checking pending transactions', { error });
+        summary.errors += 1;
+        logger.error(`Error checking transaction ${transaction._id}`, { error: error.message });
       }
-    }, intervalMs);
+    }
+
+    return summary;
   }
-  
+
   /**
-   * Schedule cleanup for expired transactions
-   * 
+   * Run one status check of a pending payment and record it in the status history
+   * A failed check counts toward the backoff schedule like any other; the payment
+   * expires when the last check still finds it pending
+   *
    * @private
+   * @param {Object} transaction - Pending payment
+   * @returns {Promise<string>} - 'updated', 'expired', 'pending', 'error' or 'skipped'
    */
-  _scheduleExpiredTransactionCleanup() {
-    // Run every hour
-    const intervalMs = 60 * 60 * 1000;
-    
-    setInterval(async () => {
-      logger.info('Running expired transaction cleanup');
-      
-      try {
-        await this._cleanupExpiredTransactions();
-      } catch (error) {
-        logger.error('Error cleaning up expired transactions', { error });
+  async _checkTransactionStatus(transaction) {
+    const attempt = (transaction.statusCheck?.attempts || 0) + 1;
+    transaction.set('statusCheck.attempts', attempt);
+    transaction.set('statusCheck.lastCheckedAt', new Date());
+
+    let result;
+    let outcome = 'pending';
+
+    try {
+      const provider = transaction.paymentProvider || 'mpesa';
+      const reference = provider === 'mpesa' ? transaction.mpesaReference : transaction.providerTransactionId;
+
+      if (!reference) {
+        throw new Error('Transaction has no provider reference');
       }
-    }, intervalMs);
-  }
-  
-  /**
-   * Schedule retry for failed transactions
-   * 
-   * @private
-   */
-  _scheduleFailedTransactionRetry() {
-    // Run every 15 minutes
-    const intervalMs = 15 * 60 * 1000;
-    
-    setInterval(async () => {
-      logger.info('Running failed transaction retry');
-      
-      try {
-        await this._retryFailedTransactions();
-      } catch (error) {
-        logger.error('Error retrying failed transactions', { error });
+
+      const gateway = await transactionService.getTransactionGateway(transaction);
+      result = await gateway.getStatus(reference);
+    } catch (error) {
+      outcome = 'error';
+      transaction.statusHistory.push({
+        status: transaction.status,
+        reason: `Status check failed: ${error.message}`,
+        metadata: { source: 'status_check', attempt }
+      });
+      logger.warn(`Status check ${attempt} of transaction ${transaction._id} failed`, { error: error.message });
+    }
+
+    if (result) {
+      const raw = result.raw || {};
+      const settled = !['pending', 'processing'].includes(result.status);
+
+      if (settled) {
+        transaction.status = result.status;
+        transaction.set('statusCheck.nextCheckAt', undefined);
+        outcome = 'updated';
       }
-    }, intervalMs);
-  }
-  
-  /**
-   * Check pending transactions to update their status
-   * 
-   * @private
-   * @returns {Promise<void>}
-   */
-  async _checkPendingTransactions() {
-    // Find pending transactions that haven't been updated in the last 5 minutes
-    const cutoffTime = new Date();
-    cutoffTime.setMinutes(cutoffTime.getMinutes() - 5);
-    
-    const pendingTransactions = await Transaction.find({
-      status: 'pending',
-      updatedAt: { $lt: cutoffTime }
-    }).limit(100); // Process in batches to avoid overload
-    
-    logger.info(`Found ${pendingTransactions.length} pending transactions to check`);
-    
-    // Process each transaction
-    for (const transaction of pendingTransactions) {
-      try {
-        const mpesaService = MpesaServiceFactory.getService(transaction.country);
-        
-        // Skip if no M-Pesa reference (shouldn't happen but just in case)
-        if (!transaction.mpesaReference) {
-          logger.warn(`Pending transaction ${transaction._id} has no M-Pesa reference`);
-          continue;
-        }
-        
-        // Check status with M-Pesa
-        const statusResponse = await mpesaService.checkTransactionStatus(
-          transaction.mpesaReference
-        );
-        
-        // Determine new status based on the response
-        let newStatus = transaction.status;
-        
-        // Different countries have different status formats
-        switch (transaction.country.toLowerCase()) {
-          case 'kenya':
-            if (statusResponse.ResultCode === '0') {
-              newStatus = 'completed';
-            } else if (statusResponse.ResultCode === '1') {
-              newStatus = 'failed';
-            }
-            break;
-            
-          // Add other countries as implemented
-            
-          default:
-            // Generic handling
-            if (statusResponse.status === 'success') {
-              newStatus = 'completed';
-            } else if (statusResponse.status === 'failed') {
-              newStatus = 'failed';
-            }
-        }
-        
-        // Update transaction if status changed
-        if (newStatus !== transaction.status) {
-          transaction.status = newStatus;
-          transaction.statusHistory.push({
-            status: newStatus,
-            metadata: { statusResponse }
-          });
-          
-          await transaction.save();
-          
-          logger.info(`Updated transaction ${transaction._id} status to ${newStatus}`);
-        }
-      } catch (error) {
-        logger.error(`Error checking transaction ${transaction._id}`, { error });
+
+      transaction.statusHistory.push({
+        status: transaction.status,
+        reason: raw.ResultDesc || raw.errorMessage,
+        metadata: { source: 'status_check', attempt, resultCode: raw.ResultCode, raw }
+      });
+    }
+
+    if (outcome !== 'updated' && !transactionService.scheduleStatusCheck(transaction)) {
+      transaction.status = 'expired';
+      transaction.statusHistory.push({
+        status: 'expired',
+        reason: `No final status after ${attempt} status checks`,
+        metadata: { source: 'status_check', attempt }
+      });
+      outcome = 'expired';
+    }
+
+    // A callback may have settled the payment while the provider was being queried
+    transaction.$where = { status: 'pending' };
+    try {
+      await transaction.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        logger.info(`Transaction ${transaction._id} settled during its status check`);
+        return 'skipped';
       }
+      throw error;
+    }
+
+    if (transaction.status !== 'pending') {
+      await ledgerService.recordTransaction(transaction);
+      await webhookService.notifyTransaction(transaction);
+      await receiptService.sendReceipt(transaction);
+      logger.info(`Updated transaction ${transaction._id} status to ${transaction.status} after ${attempt} status checks`);
     }
+
+    return outcome;
   }
-  
+
   /**
    * Clean up expired transactions
-   * 
+   *
    * @private
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} - { expired, errors }
    */
   async _cleanupExpiredTransactions() {
     // Find initiated transactions that are older than 30 minutes
     const cutoffTime = new Date();
     cutoffTime.setMinutes(cutoffTime.getMinutes() - 30);
-    
+
     const expiredTransactions = await Transaction.find({
       status: 'initiated',
       createdAt: { $lt: cutoffTime }
-    }).limit(100);
-    
+    }).limit(BATCH_SIZE);
+
     logger.info(`Found ${expiredTransactions.length} expired transactions to clean up`);
-    
+
+    const summary = { expired: 0, errors: 0 };
+
     // Mark each as expired
     for (const transaction of expiredTransactions) {
       try {
         transaction.status = 'expired';
         transaction.statusHistory.push({
           status: 'expired',
-          metadata: { reason: 'Transaction timed out' }
+          reason: 'Transaction timed out'
         });
-        
-        await transaction.save();
-        
+
+        await transactionService.saveTransaction(transaction);
+
+        summary.expired += 1;
         logger.info(`Marked transaction ${transaction._id} as expired`);
       } catch (error) {
-        logger.error(`Error expiring transaction ${transaction._id}`, { error });
+        summary.errors += 1;
+        logger.error(`Error expiring transaction ${transaction._id}`, { error: error.message });
       }
     }
+
+    return summary;
   }
-  
+
   /**
-   * Retry failed transactions that may have failed due to temporary issues
-   * 
+   * Retry failed payments that may have failed due to temporary issues
+   *
    * @private
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} - { retried, errors }
    */
   async _retryFailedTransactions() {
-    // Find failed transactions that have a retry flag and haven't been retried too many times
+    // Find failed payments that have a retry flag and haven't been retried too many times
     const failedTransactions = await Transaction.find({
       status: 'failed',
+      transactionType: 'payment',
       'metadata.canRetry': true,
-      'metadata.retryCount': { $lt: 3 } // Maximum 3 retries
-    }).limit(50);
-    
+      $or: [
+        { 'metadata.retryCount': { $exists: false } },
+        { 'metadata.retryCount': { $lt: MAX_RETRIES } }
+      ]
+    }).limit(RETRY_BATCH_SIZE);
+
     logger.info(`Found ${failedTransactions.length} failed transactions to retry`);
-    
-    // Retry each transaction
+
+    const summary = { retried: 0, errors: 0 };
+
     for (const transaction of failedTransactions) {
+      const retryCount = (transaction.metadata.get('retryCount') || 0) + 1;
+      transaction.metadata.set('retryCount', retryCount);
+
       try {
-        const mpesaService = MpesaServiceFactory.getService(transaction.country);
-        
-        // Increment retry count
-        if (!transaction.metadata.retryCount) {
-          transaction.metadata.retryCount = 1;
-        } else {
-          transaction.metadata.retryCount += 1;
-        }
-        
-        // Change status to retry
-        transaction.status = 'retry';
-        transaction.statusHistory.push({
-          status: 'retry',
-          metadata: { retryCount: transaction.metadata.retryCount }
-        });
-        
-        await transaction.save();
-        
-        // Initiate a new payment
-        const paymentResponse = await mpesaService.initiatePayment({
+        const provider = transaction.paymentProvider || 'mpesa';
+        const callbackUrl = transactionService.buildPaymentCallbackUrl(transaction);
+        const gateway = await transactionService.getTransactionGateway(transaction, { callbackUrl });
+
+        // Collect again under the same internal reference
+        const result = await gateway.collect({
           phoneNumber: transaction.phoneNumber,
           amount: transaction.amount,
-          reference: transaction._id.toString(), // Use the same transaction ID
-          description: transaction.requestPayload.description,
-          callbackUrl: `${process.env.API_BASE_URL}/api/webhooks/mpesa/${transaction._id}`
+          reference: transaction.internalReference,
+          description: transaction.requestPayload && transaction.requestPayload.description,
+          conversationId: transaction.transactionId,
+          callbackUrl
         });
-        
-        // Update transaction with new M-Pesa reference
-        transaction.mpesaReference = paymentResponse.transactionId;
-        transaction.status = 'pending';
+
+        if (provider === 'mpesa') {
+          transaction.mpesaReference = result.reference;
+        } else {
+          transaction.providerTransactionId = result.reference;
+        }
+        transaction.status = result.status;
         transaction.statusHistory.push({
-          status: 'pending',
-          metadata: { mpesaReference: transaction.mpesaReference }
+          status: result.status,
+          metadata: { retryCount, reference: result.reference }
         });
-        
-        await transaction.save();
-        
-        logger.info(`Retried transaction ${transaction._id}, new status: pending`);
+
+        // The new STK request gets a fresh round of status checks
+        if (result.status === 'pending') {
+          transaction.set('statusCheck.attempts', 0);
+          transactionService.scheduleStatusCheck(transaction);
+        }
+
+        await transactionService.saveTransaction(transaction);
+
+        summary.retried += 1;
+        logger.info(`Retried transaction ${transaction._id}, new status: ${result.status}`);
       } catch (error) {
-        logger.error(`Error retrying transaction ${transaction._id}`, { error });
-        
-        // Update to indicate retry failed
+        summary.errors += 1;
+        logger.error(`Error retrying transaction ${transaction._id}`, { error: error.message });
+
+        // Count the attempt so a payment that keeps failing stops being retried
         try {
-          transaction.statusHistory.push({
-            status: 'retry_failed',
-            metadata: { error: error.message }
-          });
+          transaction.metadata.set('lastRetryError', error.message);
           await transaction.save();
         } catch (saveError) {
-          logger.error(`Error updating retry status for ${transaction._id}`, { saveError });
+          logger.error(`Error updating retry status for ${transaction._id}`, { error: saveError.message });
         }
       }
     }
+
+    return summary;
   }
 }
 
-module.exports = new TransactionScheduler();
\ No newline at end of file
+module.exports = new TransactionScheduler();
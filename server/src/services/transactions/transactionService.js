@@ -2,9 +2,29 @@
 const { v4: uuidv4 } = require('uuid');
 const Transaction = require('../../models/transaction');
 const Business = require('../../models/business');
-const MpesaClientFactory = require('../mpesa/mpesaClientFactory');
+const PaymentGatewayFactory = require('../payments/paymentGatewayFactory');
+const MpesaKenyaClient = require('../mpesa/mpesaKenyaClient');
+const MtnMomoClient = require('../mtn/mtnMomoClient');
+const { countryRegistry } = require('../mpesa/countryRegistry');
+const receiptService = require('./receiptService');
+const ledgerService = require('../ledger/ledgerService');
 const logger = require('../../utils/logger');
-const { AppError } = require('../../utils/appError');
+const AppError = require('../../utils/appError');
+const config = require('../../config');
+
+// Integration credentials are excluded from queries by default
+const INTEGRATION_CREDENTIALS = [
+  '+mpesaIntegrations.consumerKey',
+  '+mpesaIntegrations.consumerSecret',
+  '+mpesaIntegrations.passkey',
+  '+mpesaIntegrations.initiatorPassword',
+  '+mpesaIntegrations.securityCredential',
+  '+paymentIntegrations.clientId',
+  '+paymentIntegrations.clientSecret',
+  '+paymentIntegrations.subscriptionKey',
+  '+paymentIntegrations.disbursementSubscriptionKey',
+  '+paymentIntegrations.disbursementPin'
+].join(' ');
 
 /**
  * Service for handling transaction operations
@@ -16,16 +36,154 @@ class TransactionService {
    * @returns {string} - Default currency code
    */
   getDefaultCurrency(country) {
-    const currencyMap = {
-      'kenya': 'KES',
-      'tanzania': 'TZS',
-      'uganda': 'UGX',
-      'rwanda': 'RWF',
-      'mozambique': 'MZN',
-      'drc': 'CDF'
-    };
+    return countryRegistry.has(country) ? countryRegistry.getCurrency(country) : 'KES';
+  }
+
+  /**
+   * Find the business an active API key belongs to, with its integration credentials
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<object>} - Business document
+   */
+  async findBusinessByApiKey(apiKey) {
+    const business = await Business.findOne({ 'apiKeys.key': apiKey }).select(INTEGRATION_CREDENTIALS);
+    if (!business) {
+      throw new AppError('Invalid API key', 401);
+    }
+    
+    // Check if the API key is active
+    const apiKeyObj = business.apiKeys.find(k => k.key === apiKey);
+    if (!apiKeyObj || !apiKeyObj.isActive) {
+      throw new AppError('Inactive API key', 401);
+    }
+    
+    return business;
+  }
+
+  /**
+   * Get a business's integration for a payment provider and country
+   * @param {object} business - Business document with integration credentials
+   * @param {string} provider - Payment provider ('mpesa', 'airtel', 'mtn')
+   * @param {string} country - Country code
+   * @returns {object} - Business integration
+   */
+  getIntegration(business, provider, country) {
+    const integration = business.getPaymentIntegration(provider, country);
+    
+    if (!integration) {
+      throw new AppError(`No ${provider} integration found for ${country}`, 400);
+    }
+    
+    return integration;
+  }
+
+  /**
+   * Find a business by ID, with its integration credentials
+   * @param {string} businessId - Business ID
+   * @returns {Promise<object>} - Business document
+   */
+  async findBusinessById(businessId) {
+    const business = await Business.findById(businessId).select(INTEGRATION_CREDENTIALS);
+    if (!business) {
+      throw new AppError(`Business ${businessId} not found`, 404);
+    }
+    
+    return business;
+  }
+
+  /**
+   * Create the payment gateway for an existing transaction, using its business's integration
+   * @param {object} transaction - Transaction document
+   * @param {object} [options] - Gateway options, e.g. { callbackUrl }
+   * @returns {Promise<object>} - Payment gateway
+   */
+  async getTransactionGateway(transaction, options = {}) {
+    const business = await this.findBusinessById(transaction.business);
+    
+    const provider = transaction.paymentProvider || 'mpesa';
+    const integration = this.getIntegration(business, provider, transaction.country);
+    
+    return PaymentGatewayFactory.createGateway(provider, transaction.country, integration, options);
+  }
+
+  /**
+   * Build the URL a provider posts a transaction's callback to
+   * The transaction's callback token is part of the path, so a callback can't be forged by ID alone
+   * @param {object} transaction - Newly created transaction document
+   * @param {string} path - Callback path under /webhooks (e.g. 'mpesa/stk', 'mpesa/b2c/result')
+   * @returns {string} - Callback URL
+   */
+  buildCallbackUrl(transaction, path) {
+    return `${process.env.API_BASE_URL}/api/v1/webhooks/${path}/${transaction._id}/${transaction.callbackToken}`;
+  }
+
+  /**
+   * Build the URL a provider posts a payment's result to
+   * Airtel only posts to the URL configured on the merchant app, so its payments rely on status checks
+   * @param {object} transaction - Payment transaction document
+   * @returns {string|undefined} - Callback URL, or undefined when the provider takes none
+   */
+  buildPaymentCallbackUrl(transaction) {
+    switch (transaction.paymentProvider || 'mpesa') {
+      case 'mpesa':
+        return this.buildCallbackUrl(transaction, 'mpesa/stk');
+      case 'mtn':
+        return this.buildCallbackUrl(transaction, 'mtn/collection');
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Schedule the next provider status check of a pending payment
+   * Checks back off along config.transactions.statusCheckDelaysMs, counted from the previous check
+   * @param {object} transaction - Transaction document; saved by the caller
+   * @returns {boolean} - False once every check in the schedule has run
+   */
+  scheduleStatusCheck(transaction) {
+    const attempts = transaction.statusCheck?.attempts || 0;
+    const delayMs = config.transactions.statusCheckDelaysMs[attempts];
     
-    return currencyMap[country.toLowerCase()] || 'KES';
+    if (delayMs === undefined) {
+      transaction.set('statusCheck.nextCheckAt', undefined);
+      return false;
+    }
+    
+    transaction.set('statusCheck.nextCheckAt', new Date(Date.now() + delayMs));
+    return true;
+  }
+
+  /**
+   * Save a transaction and post the ledger entries its status calls for
+   * A failed posting is retried by the ledger job, so it does not fail the save
+   * @param {object} transaction - Transaction document
+   * @returns {Promise<object>} - Saved transaction
+   */
+  async saveTransaction(transaction) {
+    await transaction.save();
+    await ledgerService.recordTransaction(transaction);
+    return transaction;
+  }
+
+  /**
+   * Hold an outgoing transaction's funds before it is submitted to the provider
+   * When the available balance does not cover it, the transaction fails without being submitted
+   * @param {object} transaction - Initiated payout or B2B transaction
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 when the available balance does not cover the transaction
+   */
+  async reservePayoutFunds(transaction) {
+    if (!config.ledger.enforcePayoutFunds) {
+      return;
+    }
+
+    try {
+      await ledgerService.reserveFunds(transaction);
+    } catch (error) {
+      transaction.status = 'failed';
+      transaction.statusHistory.push({ status: 'failed', reason: error.message });
+      await this.saveTransaction(transaction);
+      throw error;
+    }
   }
 
   /**
@@ -37,10 +195,14 @@ class TransactionService {
     return {
       transactionId: transaction._id,
       status: transaction.status,
+      provider: transaction.paymentProvider,
       mpesaReference: transaction.mpesaReference,
+      providerTransactionId: transaction.providerTransactionId,
       amount: transaction.amount,
       currency: transaction.currency,
       phoneNumber: transaction.phoneNumber,
+      receiverShortCode: transaction.receiverShortCode,
+      accountReference: transaction.accountReference,
       reference: transaction.internalReference,
       country: transaction.country,
       createdAt: transaction.createdAt,
@@ -56,25 +218,11 @@ class TransactionService {
    */
   async initiatePayment(data, apiKey) {
     try {
-      // Find the business by API key
-      const business = await Business.findOne({ 'apiKeys.key': apiKey });
-      if (!business) {
-        throw new AppError('Invalid API key', 401);
-      }
-      
-      // Check if the API key is active
-      const apiKeyObj = business.apiKeys.find(k => k.key === apiKey);
-      if (!apiKeyObj || !apiKeyObj.isActive) {
-        throw new AppError('Inactive API key', 401);
-      }
+      const business = await this.findBusinessByApiKey(apiKey);
       
-      // Check if the business has M-Pesa integration for the specified country
-      const mpesaIntegration = business.mpesaIntegrations.find(i => 
-        i.country.toLowerCase() === data.country.toLowerCase());
-      
-      if (!mpesaIntegration) {
-        throw new AppError(`No M-Pesa integration found for ${data.country}`, 400);
-      }
+      // Check if the business has an integration for the provider in the specified country
+      const provider = data.provider || 'mpesa';
+      const integration = this.getIntegration(business, provider, data.country);
       
       // Generate internal reference if not provided
       const internalReference = data.reference || uuidv4();
@@ -83,67 +231,72 @@ class TransactionService {
       const transaction = await Transaction.create({
         business: business._id,
         transactionType: 'payment',
+        paymentProvider: provider,
         amount: data.amount,
         currency: data.currency || this.getDefaultCurrency(data.country),
         country: data.country,
         phoneNumber: data.phoneNumber,
+        customerEmail: data.customerEmail,
+        customerLocale: data.customerLocale,
         internalReference,
+        callbackUrl: data.callbackUrl,
         status: 'initiated',
         statusHistory: [{ status: 'initiated', metadata: { initiatedBy: 'api' } }],
+        idempotencyKey: data.idempotencyKey,
         requestPayload: data,
         metadata: data.metadata || {}
       });
       
-      // Create M-Pesa client for the country
-      const mpesaConfig = {
-        consumerKey: mpesaIntegration.consumerKey,
-        consumerSecret: mpesaIntegration.consumerSecret,
-        shortCode: mpesaIntegration.shortCode,
-        passkey: mpesaIntegration.passkey,
-        environment: mpesaIntegration.isLive ? 'production' : 'sandbox'
-      };
+      // The provider reports back to the platform; the business's own callbackUrl is notified from there
+      const callbackUrl = this.buildPaymentCallbackUrl(transaction);
       
-      const mpesaClient = MpesaClientFactory.createClient(data.country, mpesaConfig);
-      
-      // Prepare callback URL (either from request or default)
-      const callbackUrl = data.callbackUrl || 
-                       `${process.env.API_BASE_URL}/api/webhooks/mpesa/${transaction._id}`;
-      
-      // Initiate payment with M-Pesa
-      let mpesaResponse;
-      
-      switch (data.country.toLowerCase()) {
-        case 'kenya':
-          mpesaResponse = await mpesaClient.initiateSTKPush({
-            phoneNumber: data.phoneNumber,
-            amount: data.amount,
-            reference: internalReference,
-            description: data.description || `Payment to ${business.name}`,
-            callbackUrl
-          });
-          break;
-          
-        // Add cases for other countries as they are implemented
-          
-        default:
-          throw new AppError(`Payment initiation for ${data.country} is not implemented`, 400);
+      const gateway = PaymentGatewayFactory.createGateway(provider, data.country, integration, { callbackUrl });
+      
+      // Collect the payment through the customer's wallet provider
+      let result;
+      try {
+        result = await gateway.collect({
+          phoneNumber: data.phoneNumber,
+          amount: data.amount,
+          reference: internalReference,
+          description: data.description || `Payment to ${business.name}`,
+          conversationId: transaction.transactionId,
+          callbackUrl
+        });
+      } catch (error) {
+        // The provider never sent the prompt, so the payment cannot complete
+        transaction.status = 'failed';
+        transaction.statusHistory.push({ status: 'failed', reason: error.message });
+        await this.saveTransaction(transaction);
+        throw error;
       }
       
-      // Update transaction with M-Pesa response
-      transaction.mpesaReference = mpesaResponse.CheckoutRequestID || mpesaResponse.transactionId;
-      transaction.responsePayload = mpesaResponse;
-      transaction.status = 'pending';
+      // Update transaction with the provider response
+      if (provider === 'mpesa') {
+        transaction.mpesaReference = result.reference;
+      } else {
+        transaction.providerTransactionId = result.reference;
+      }
+      transaction.responsePayload = result.raw;
+      transaction.status = result.status;
       transaction.statusHistory.push({ 
-        status: 'pending', 
-        metadata: { mpesaReference: transaction.mpesaReference } 
+        status: transaction.status, 
+        metadata: { provider, reference: result.reference } 
       });
       
-      await transaction.save();
+      // Query the provider in case its callback never arrives
+      if (transaction.status === 'pending') {
+        this.scheduleStatusCheck(transaction);
+      }
+      
+      await this.saveTransaction(transaction);
       
       return {
         transactionId: transaction._id,
         status: transaction.status,
+        provider,
         mpesaReference: transaction.mpesaReference,
+        providerTransactionId: transaction.providerTransactionId,
         amount: transaction.amount,
         currency: transaction.currency,
         phoneNumber: transaction.phoneNumber,
@@ -156,6 +309,179 @@ class TransactionService {
     }
   }
   
+  /**
+   * Initiate a payout (business to customer) transaction
+   * @param {object} data - Validated payout data
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<object>} - Transaction data
+   */
+  async initiatePayout(data, apiKey) {
+    try {
+      const business = await this.findBusinessByApiKey(apiKey);
+      return await this.createPayout(business, data);
+    } catch (error) {
+      logger.error(`Payout initiation error: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record a payout for a business and submit it to the provider
+   * @param {object} business - Business document with integration credentials
+   * @param {object} data - Validated payout data
+   * @returns {Promise<object>} - Transaction data
+   */
+  async createPayout(business, data) {
+    const provider = data.provider || 'mpesa';
+    const integration = this.getIntegration(business, provider, data.country);
+    
+    // Generate internal reference if not provided
+    const internalReference = data.reference || uuidv4();
+    
+    // Payouts are recorded as withdrawals from the business account
+    const transaction = await Transaction.create({
+      business: business._id,
+      transactionType: 'withdrawal',
+      paymentProvider: provider,
+      amount: data.amount,
+      currency: data.currency || this.getDefaultCurrency(data.country),
+      country: data.country,
+      phoneNumber: data.phoneNumber,
+      description: data.remarks,
+      internalReference,
+      status: 'initiated',
+      statusHistory: [{ status: 'initiated', metadata: { initiatedBy: data.initiatedBy || 'api' } }],
+      idempotencyKey: data.idempotencyKey,
+      requestPayload: data,
+      metadata: data.metadata || {}
+    });
+    
+    await this.reservePayoutFunds(transaction);
+    
+    // Daraja posts the outcome to the result URL, or to the timeout URL if the request expires in its queue
+    const resultUrl = this.buildCallbackUrl(transaction, 'mpesa/b2c/result');
+    const timeoutUrl = this.buildCallbackUrl(transaction, 'mpesa/b2c/timeout');
+    
+    const gateway = PaymentGatewayFactory.createGateway(provider, data.country, integration, { resultUrl, timeoutUrl });
+    
+    let result;
+    try {
+      result = await gateway.disburse({
+        phoneNumber: data.phoneNumber,
+        amount: data.amount,
+        reference: internalReference,
+        description: data.remarks,
+        remarks: data.remarks,
+        occasion: data.occasion,
+        commandId: data.commandId,
+        conversationId: transaction.transactionId,
+        resultUrl,
+        timeoutUrl
+      });
+    } catch (error) {
+      // The provider rejected the request, so no money has moved
+      transaction.status = 'failed';
+      transaction.statusHistory.push({ status: 'failed', reason: error.message });
+      await this.saveTransaction(transaction);
+      throw error;
+    }
+    
+    if (provider === 'mpesa') {
+      transaction.mpesaReference = result.reference;
+    } else {
+      transaction.providerTransactionId = result.reference;
+    }
+    transaction.responsePayload = result.raw;
+    transaction.status = result.status;
+    transaction.statusHistory.push({ 
+      status: transaction.status, 
+      metadata: { provider, reference: result.reference } 
+    });
+    
+    await this.saveTransaction(transaction);
+    
+    return this.formatTransactionResponse(transaction);
+  }
+  
+  /**
+   * Initiate a B2B payment from the business's shortcode to a paybill or till
+   * @param {object} data - Validated B2B payment data
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<object>} - Transaction data
+   */
+  async initiateB2BPayment(data, apiKey) {
+    try {
+      const business = await this.findBusinessByApiKey(apiKey);
+      const integration = this.getIntegration(business, 'mpesa', data.country);
+      
+      // Generate internal reference if not provided
+      const internalReference = data.reference || uuidv4();
+      
+      const transaction = await Transaction.create({
+        business: business._id,
+        transactionType: 'b2b',
+        paymentProvider: 'mpesa',
+        amount: data.amount,
+        currency: data.currency || this.getDefaultCurrency(data.country),
+        country: data.country,
+        phoneNumber: data.requester,
+        receiverShortCode: data.receiverShortCode,
+        accountReference: data.accountReference,
+        description: data.remarks,
+        internalReference,
+        status: 'initiated',
+        statusHistory: [{ status: 'initiated', metadata: { initiatedBy: data.initiatedBy || 'api' } }],
+        idempotencyKey: data.idempotencyKey,
+        requestPayload: data,
+        metadata: data.metadata || {}
+      });
+      
+      await this.reservePayoutFunds(transaction);
+      
+      const resultUrl = this.buildCallbackUrl(transaction, 'mpesa/b2b/result');
+      const timeoutUrl = this.buildCallbackUrl(transaction, 'mpesa/b2b/timeout');
+      
+      const client = PaymentGatewayFactory.createGateway('mpesa', data.country, integration, { resultUrl, timeoutUrl });
+      
+      let response;
+      try {
+        response = await client.initiateB2BPayment({
+          receiverShortCode: data.receiverShortCode,
+          amount: data.amount,
+          commandId: data.commandId,
+          accountReference: data.accountReference,
+          requester: data.requester,
+          remarks: data.remarks,
+          resultUrl,
+          timeoutUrl
+        });
+      } catch (error) {
+        // The provider rejected the request, so no money has moved
+        transaction.status = 'failed';
+        transaction.statusHistory.push({ status: 'failed', reason: error.message });
+        await this.saveTransaction(transaction);
+        throw error;
+      }
+      
+      // The outcome arrives later on the result or timeout URL
+      transaction.mpesaReference = response.ConversationID;
+      transaction.responsePayload = response;
+      transaction.status = String(response.ResponseCode) === '0' ? 'processing' : 'failed';
+      transaction.statusHistory.push({
+        status: transaction.status,
+        reason: transaction.status === 'failed' ? response.ResponseDescription : undefined,
+        metadata: { provider: 'mpesa', reference: response.ConversationID }
+      });
+      
+      await this.saveTransaction(transaction);
+      
+      return this.formatTransactionResponse(transaction);
+    } catch (error) {
+      logger.error(`B2B payment initiation error: ${error.message}`);
+      throw error;
+    }
+  }
+  
   /**
    * Get transaction by ID
    * @param {string} transactionId - Transaction ID
@@ -164,17 +490,7 @@ class TransactionService {
    */
   async getTransaction(transactionId, apiKey) {
     try {
-      // Find the business by API key
-      const business = await Business.findOne({ 'apiKeys.key': apiKey });
-      if (!business) {
-        throw new AppError('Invalid API key', 401);
-      }
-      
-      // Check if the API key is active
-      const apiKeyObj = business.apiKeys.find(k => k.key === apiKey);
-      if (!apiKeyObj || !apiKeyObj.isActive) {
-        throw new AppError('Inactive API key', 401);
-      }
+      const business = await this.findBusinessByApiKey(apiKey);
       
       // Find the transaction
       const transaction = await Transaction.findOne({
@@ -194,18 +510,48 @@ class TransactionService {
   }
   
   /**
-   * Check transaction status with M-Pesa
+   * Get a signed link to a completed payment's PDF receipt
+   * @param {string} transactionId - Transaction ID
+   * @param {string} apiKey - API key of the business
+   * @returns {Promise<object>} - { url, expiresAt, sentAt, channels }
+   */
+  async getTransactionReceipt(transactionId, apiKey) {
+    try {
+      const business = await this.findBusinessByApiKey(apiKey);
+      
+      const transaction = await Transaction.findOne({
+        _id: transactionId,
+        business: business._id
+      });
+      
+      if (!transaction) {
+        throw new AppError('Transaction not found', 404);
+      }
+      
+      if (!receiptService.hasReceipt(transaction)) {
+        throw new AppError('Only completed payments have a receipt', 409);
+      }
+      
+      return {
+        ...receiptService.getReceiptLink(transaction._id),
+        sentAt: transaction.receipt ? transaction.receipt.sentAt : undefined,
+        channels: transaction.receipt ? transaction.receipt.channels : undefined
+      };
+    } catch (error) {
+      logger.error(`Get transaction receipt error: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Check transaction status with the payment provider
    * @param {string} transactionId - Transaction ID
    * @param {string} apiKey - API key of the business
    * @returns {Promise<object>} - Updated transaction data
    */
   async checkTransactionStatus(transactionId, apiKey) {
     try {
-      // Find the business by API key
-      const business = await Business.findOne({ 'apiKeys.key': apiKey });
-      if (!business) {
-        throw new AppError('Invalid API key', 401);
-      }
+      const business = await this.findBusinessByApiKey(apiKey);
       
       // Find the transaction
       const transaction = await Transaction.findOne({
@@ -222,61 +568,32 @@ class TransactionService {
         return this.formatTransactionResponse(transaction);
       }
       
-      // Get M-Pesa integration for the transaction's country
-      const mpesaIntegration = business.mpesaIntegrations.find(i => 
-        i.country.toLowerCase() === transaction.country.toLowerCase());
-      
-      if (!mpesaIntegration) {
-        throw new AppError(`No M-Pesa integration found for ${transaction.country}`, 400);
-      }
-      
-      // Create M-Pesa client
-      const mpesaConfig = {
-        consumerKey: mpesaIntegration.consumerKey,
-        consumerSecret: mpesaIntegration.consumerSecret,
-        shortCode: mpesaIntegration.shortCode,
-        passkey: mpesaIntegration.passkey,
-        environment: mpesaIntegration.isLive ? 'production' : 'sandbox'
-      };
-      
-      const mpesaClient = MpesaClientFactory.createClient(transaction.country, mpesaConfig);
-      
-      // Check status with M-Pesa
-      let statusResponse;
-      
-      switch (transaction.country.toLowerCase()) {
-        case 'kenya':
-          statusResponse = await mpesaClient.checkSTKPushStatus(transaction.mpesaReference);
-          break;
-          
-        // Add cases for other countries as they are implemented
-          
-        default:
-          throw new AppError(`Status check for ${transaction.country} is not implemented`, 400);
+      // Only collections can be queried; payouts and B2B settle through result callbacks
+      if (transaction.transactionType !== 'payment') {
+        return this.formatTransactionResponse(transaction);
       }
       
-      // Update transaction based on status response
-      const resultCode = statusResponse.ResultCode || statusResponse.ResultDesc;
+      const provider = transaction.paymentProvider || 'mpesa';
+      const integration = this.getIntegration(business, provider, transaction.country);
+      const gateway = PaymentGatewayFactory.createGateway(provider, transaction.country, integration);
       
-      if (resultCode === 0) {
-        transaction.status = 'completed';
-      } else if (resultCode === 1032) { // Transaction canceled by user
-        transaction.status = 'canceled';
-      } else {
-        transaction.status = 'failed';
-      }
+      // Check status with the provider
+      const result = await gateway.getStatus(
+        provider === 'mpesa' ? transaction.mpesaReference : transaction.providerTransactionId
+      );
       
+      transaction.status = result.status;
       transaction.statusHistory.push({ 
         status: transaction.status, 
-        metadata: statusResponse 
+        metadata: result.raw 
       });
       
       transaction.responsePayload = {
         ...transaction.responsePayload,
-        statusCheck: statusResponse
+        statusCheck: result.raw
       };
       
-      await transaction.save();
+      await this.saveTransaction(transaction);
       
       return this.formatTransactionResponse(transaction);
     } catch (error) {
@@ -293,17 +610,7 @@ class TransactionService {
    */
   async listTransactions(filters, apiKey) {
     try {
-      // Find the business by API key
-      const business = await Business.findOne({ 'apiKeys.key': apiKey });
-      if (!business) {
-        throw new AppError('Invalid API key', 401);
-      }
-      
-      // Check if the API key is active
-      const apiKeyObj = business.apiKeys.find(k => k.key === apiKey);
-      if (!apiKeyObj || !apiKeyObj.isActive) {
-        throw new AppError('Inactive API key', 401);
-      }
+      const business = await this.findBusinessByApiKey(apiKey);
       
       // Prepare query
       const query = {
@@ -366,17 +673,7 @@ class TransactionService {
    */
   async getTransactionStats(filters, apiKey) {
     try {
-      // Find the business by API key
-      const business = await Business.findOne({ 'apiKeys.key': apiKey });
-      if (!business) {
-        throw new AppError('Invalid API key', 401);
-      }
-      
-      // Check if the API key is active
-      const apiKeyObj = business.apiKeys.find(k => k.key === apiKey);
-      if (!apiKeyObj || !apiKeyObj.isActive) {
-        throw new AppError('Inactive API key', 401);
-      }
+      const business = await this.findBusinessByApiKey(apiKey);
       
       // Prepare base match
       const match = {
@@ -469,24 +766,14 @@ class TransactionService {
   }
 
   /**
-   * Cancel a pending transaction
+   * Cancel a transaction that has not been sent to the provider
    * @param {string} transactionId - Transaction ID
    * @param {string} apiKey - API key of the business
    * @returns {Promise<object>} - Cancelled transaction data
    */
   async cancelTransaction(transactionId, apiKey) {
     try {
-      // Find the business by API key
-      const business = await Business.findOne({ 'apiKeys.key': apiKey });
-      if (!business) {
-        throw new AppError('Invalid API key', 401);
-      }
-      
-      // Check if the API key is active
-      const apiKeyObj = business.apiKeys.find(k => k.key === apiKey);
-      if (!apiKeyObj || !apiKeyObj.isActive) {
-        throw new AppError('Inactive API key', 401);
-      }
+      const business = await this.findBusinessByApiKey(apiKey);
       
       // Find the transaction
       const transaction = await Transaction.findOne({
@@ -498,21 +785,18 @@ class TransactionService {
         throw new AppError('Transaction not found', 404);
       }
       
-      // Check if transaction can be cancelled
-      if (!['initiated', 'pending'].includes(transaction.status)) {
+      // Once the provider has the request the customer can still pay, and its callback must be applied
+      if (transaction.status !== 'initiated') {
         throw new AppError(`Cannot cancel transaction with status: ${transaction.status}`, 400);
       }
       
-      // For certain countries and transaction types, we might need to call the M-Pesa API
-      // to cancel the transaction. For now, we'll just update our local status.
-      
       transaction.status = 'canceled';
       transaction.statusHistory.push({ 
         status: 'canceled', 
         metadata: { cancelledBy: 'api' } 
       });
       
-      await transaction.save();
+      await this.saveTransaction(transaction);
       
       return this.formatTransactionResponse(transaction);
     } catch (error) {
@@ -522,98 +806,291 @@ class TransactionService {
   }
 
   /**
-   * Process M-Pesa callback
+   * Process an M-Pesa STK Push callback
    * @param {string} transactionId - Transaction ID
    * @param {object} callbackData - Callback data from M-Pesa
    * @returns {Promise<object>} - Updated transaction
    */
   async processCallback(transactionId, callbackData) {
     try {
-      // Find the transaction
-      const transaction = await Transaction.findById(transactionId);
+      const transaction = await this.findTransactionForCallback(transactionId, 'payment', 'STK');
+      const stkCallback = callbackData?.Body?.stkCallback;
       
-      if (!transaction) {
-        logger.error(`Callback received for unknown transaction: ${transactionId}`);
-        throw new AppError('Transaction not found', 404);
+      if (!stkCallback) {
+        throw new AppError('Invalid STK callback: missing Body.stkCallback', 400);
+      }
+      
+      // Reject callbacks that belong to a different STK request
+      if (transaction.mpesaReference !== stkCallback.CheckoutRequestID) {
+        throw new AppError('STK callback does not match the transaction checkout request', 400);
+      }
+      
+      // Safaricom redelivers callbacks; only the first one moves the transaction
+      if (!['initiated', 'pending', 'processing'].includes(transaction.status)) {
+        logger.info(`Ignoring STK callback for transaction ${transactionId} in status ${transaction.status}`);
+        return this.formatTransactionResponse(transaction);
       }
       
-      // Store callback data
       transaction.callbackData = callbackData;
       
-      // Process callback based on country
-      switch (transaction.country.toLowerCase()) {
-        case 'kenya':
-          // For Kenya STK Push, check the callback result
-          const resultCode = callbackData.Body?.stkCallback?.ResultCode;
-          
-          if (resultCode === 0) {
-            transaction.status = 'completed';
-            
-            // Extract additional details if available
-            const callbackMetadata = callbackData.Body?.stkCallback?.CallbackMetadata?.Item;
-            if (callbackMetadata) {
-              const metadata = {};
-              
-              callbackMetadata.forEach(item => {
-                if (item.Name === 'MpesaReceiptNumber') {
-                  metadata.receiptNumber = item.Value;
-                } else if (item.Name === 'TransactionDate') {
-                  metadata.transactionDate = item.Value;
-                } else if (item.Name === 'PhoneNumber') {
-                  metadata.phoneNumber = item.Value;
-                }
-              });
-              
-              transaction.statusHistory.push({
-                status: 'completed',
-                metadata
-              });
-            } else {
-              transaction.statusHistory.push({
-                status: 'completed',
-                metadata: { resultCode }
-              });
-            }
-          } else {
-            transaction.status = 'failed';
-            transaction.statusHistory.push({
-              status: 'failed',
-              metadata: {
-                resultCode,
-                resultDesc: callbackData.Body?.stkCallback?.ResultDesc
-              }
-            });
+      const resultCode = Number(stkCallback.ResultCode);
+      
+      if (resultCode === 0) {
+        transaction.status = 'completed';
+        
+        // CallbackMetadata is a list of { Name, Value } pairs
+        const metadata = { resultCode };
+        (stkCallback.CallbackMetadata?.Item || []).forEach(item => {
+          if (item.Name === 'MpesaReceiptNumber') {
+            metadata.receiptNumber = item.Value;
+          } else if (item.Name === 'TransactionDate') {
+            metadata.transactionDate = item.Value;
+          } else if (item.Name === 'PhoneNumber') {
+            metadata.phoneNumber = item.Value;
           }
-          break;
-          
-        // Add cases for other countries as they are implemented
-          
-        default:
-          logger.warn(`Callback processor not implemented for country: ${transaction.country}`);
-          break;
+        });
+        
+        transaction.providerTransactionId = metadata.receiptNumber;
+        transaction.statusHistory.push({
+          status: 'completed',
+          metadata
+        });
+      } else {
+        transaction.status = MpesaKenyaClient.mapSTKResultCode(resultCode);
+        transaction.statusHistory.push({
+          status: transaction.status,
+          reason: stkCallback.ResultDesc,
+          metadata: { resultCode }
+        });
       }
       
-      await transaction.save();
+      await this.saveTransaction(transaction);
       
-      // Notify business via webhook if configured
-      try {
-        const business = await Business.findById(transaction.business);
-        if (business && business.webhookUrl) {
-          // This would be a separate service/method to send webhooks
-          // await webhookService.sendWebhook(business.webhookUrl, this.formatTransactionResponse(transaction));
-          logger.info(`Webhook sent to ${business.webhookUrl} for transaction ${transactionId}`);
-        }
-      } catch (webhookError) {
-        logger.error(`Webhook sending error: ${webhookError.message}`);
-        // We don't throw here to avoid disrupting the callback processing
+      return this.formatTransactionResponse(transaction);
+    } catch (error) {
+      logger.error(`Process callback error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Process an MTN MoMo request-to-pay callback
+   * @param {string} transactionId - Transaction ID
+   * @param {object} callbackData - Request-to-pay result posted by MoMo
+   * @returns {Promise<object>} - Updated transaction
+   */
+  async processMtnCallback(transactionId, callbackData) {
+    try {
+      const transaction = await this.findTransactionForCallback(transactionId, 'payment', 'MTN');
+      
+      if (transaction.paymentProvider !== 'mtn' || !callbackData?.status) {
+        throw new AppError('Invalid MTN callback for this transaction', 400);
+      }
+      
+      // externalId is the conversation ID the request-to-pay was sent with
+      if (callbackData.externalId && callbackData.externalId !== transaction.transactionId) {
+        throw new AppError('MTN callback does not match the transaction', 400);
+      }
+      
+      // MoMo retries callbacks it could not deliver; only the first one moves the transaction
+      if (!['initiated', 'pending', 'processing'].includes(transaction.status)) {
+        logger.info(`Ignoring MTN callback for transaction ${transactionId} in status ${transaction.status}`);
+        return this.formatTransactionResponse(transaction);
       }
       
+      const status = MtnMomoClient.mapTransactionStatus(callbackData.status);
+      const { reason } = callbackData;
+      if (status === 'pending') {
+        return this.formatTransactionResponse(transaction);
+      }
+      
+      transaction.callbackData = callbackData;
+      transaction.status = status;
+      transaction.statusHistory.push({
+        status,
+        reason: typeof reason === 'string' ? reason : reason?.message || reason?.code,
+        metadata: {
+          providerStatus: callbackData.status,
+          financialTransactionId: callbackData.financialTransactionId
+        }
+      });
+      
+      await this.saveTransaction(transaction);
+      
       return this.formatTransactionResponse(transaction);
     } catch (error) {
-      logger.error(`Process callback error: ${error.message}`);
+      logger.error(`Process MTN callback error: ${error.message}`);
       throw error;
     }
   }
+
+  /**
+   * Process an M-Pesa B2C result callback for a payout
+   * @param {string} transactionId - Transaction ID
+   * @param {object} callbackData - Result data posted by M-Pesa
+   * @returns {Promise<object>} - Updated transaction
+   */
+  async processPayoutResult(transactionId, callbackData) {
+    try {
+      const transaction = await this.findTransactionForCallback(transactionId, 'withdrawal', 'B2C');
+      return await this.applyResultCallback(transaction, callbackData, 'B2C');
+    } catch (error) {
+      logger.error(`Process payout result error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Process an M-Pesa B2C queue timeout callback for a payout
+   * @param {string} transactionId - Transaction ID
+   * @param {object} callbackData - Timeout data posted by M-Pesa
+   * @returns {Promise<object>} - Updated transaction
+   */
+  async processPayoutTimeout(transactionId, callbackData) {
+    try {
+      const transaction = await this.findTransactionForCallback(transactionId, 'withdrawal', 'B2C');
+      return await this.applyTimeoutCallback(transaction, callbackData, 'B2C');
+    } catch (error) {
+      logger.error(`Process payout timeout error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Process an M-Pesa B2B result callback
+   * @param {string} transactionId - Transaction ID
+   * @param {object} callbackData - Result data posted by M-Pesa
+   * @returns {Promise<object>} - Updated transaction
+   */
+  async processB2BResult(transactionId, callbackData) {
+    try {
+      const transaction = await this.findTransactionForCallback(transactionId, 'b2b', 'B2B');
+      return await this.applyResultCallback(transaction, callbackData, 'B2B');
+    } catch (error) {
+      logger.error(`Process B2B result error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Process an M-Pesa B2B queue timeout callback
+   * @param {string} transactionId - Transaction ID
+   * @param {object} callbackData - Timeout data posted by M-Pesa
+   * @returns {Promise<object>} - Updated transaction
+   */
+  async processB2BTimeout(transactionId, callbackData) {
+    try {
+      const transaction = await this.findTransactionForCallback(transactionId, 'b2b', 'B2B');
+      return await this.applyTimeoutCallback(transaction, callbackData, 'B2B');
+    } catch (error) {
+      logger.error(`Process B2B timeout error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a Daraja result callback (B2C, B2B) to its transaction
+   * @param {object} transaction - Transaction document
+   * @param {object} callbackData - Result data posted by M-Pesa
+   * @param {string} label - Request type, for messages ('B2C', 'B2B')
+   * @returns {Promise<object>} - Updated transaction
+   */
+  async applyResultCallback(transaction, callbackData, label) {
+    const result = callbackData?.Result;
+    
+    if (!result) {
+      throw new AppError(`Invalid ${label} result: missing Result`, 400);
+    }
+    
+    // Reject results that belong to a different request
+    if (transaction.mpesaReference && result.ConversationID &&
+        transaction.mpesaReference !== result.ConversationID) {
+      throw new AppError(`${label} result does not match the transaction conversation`, 400);
+    }
+    
+    // Callbacks can be retried; only the first one moves the transaction
+    if (!['initiated', 'pending', 'processing'].includes(transaction.status)) {
+      logger.info(`Ignoring ${label} result for transaction ${transaction._id} in status ${transaction.status}`);
+      return this.formatTransactionResponse(transaction);
+    }
+    
+    transaction.callbackData = callbackData;
+    
+    // ResultParameters is a list of { Key, Value } pairs
+    const parameters = {};
+    const items = result.ResultParameters?.ResultParameter || [];
+    (Array.isArray(items) ? items : [items]).forEach(item => {
+      parameters[item.Key] = item.Value;
+    });
+    
+    if (Number(result.ResultCode) === 0) {
+      transaction.status = 'completed';
+      transaction.providerTransactionId = result.TransactionID;
+      transaction.statusHistory.push({
+        status: 'completed',
+        metadata: {
+          receiptNumber: result.TransactionID,
+          receiverName: parameters.ReceiverPartyPublicName,
+          // B2C reports TransactionCompletedDateTime, B2B reports TransCompletedTime
+          completedAt: parameters.TransactionCompletedDateTime || parameters.TransCompletedTime
+        }
+      });
+    } else {
+      transaction.status = 'failed';
+      transaction.statusHistory.push({
+        status: 'failed',
+        reason: result.ResultDesc,
+        metadata: { resultCode: Number(result.ResultCode) }
+      });
+    }
+    
+    await this.saveTransaction(transaction);
+    
+    return this.formatTransactionResponse(transaction);
+  }
+
+  /**
+   * Apply a Daraja queue timeout callback (B2C, B2B) to its transaction
+   * @param {object} transaction - Transaction document
+   * @param {object} callbackData - Timeout data posted by M-Pesa
+   * @param {string} label - Request type, for messages ('B2C', 'B2B')
+   * @returns {Promise<object>} - Updated transaction
+   */
+  async applyTimeoutCallback(transaction, callbackData, label) {
+    if (!['initiated', 'pending', 'processing'].includes(transaction.status)) {
+      logger.info(`Ignoring ${label} timeout for transaction ${transaction._id} in status ${transaction.status}`);
+      return this.formatTransactionResponse(transaction);
+    }
+    
+    transaction.callbackData = callbackData;
+    transaction.status = 'failed';
+    transaction.statusHistory.push({
+      status: 'failed',
+      reason: `${label} request timed out in the M-Pesa queue`
+    });
+    
+    await this.saveTransaction(transaction);
+    
+    return this.formatTransactionResponse(transaction);
+  }
+
+  /**
+   * Find the transaction a Daraja result or timeout callback refers to
+   * @param {string} transactionId - Transaction ID from the callback URL
+   * @param {string} transactionType - Expected transaction type ('payment', 'withdrawal', 'b2b')
+   * @param {string} label - Request type, for messages ('STK', 'B2C', 'B2B')
+   * @returns {Promise<object>} - Transaction document
+   */
+  async findTransactionForCallback(transactionId, transactionType, label) {
+    const transaction = await Transaction.findOne({ _id: transactionId, transactionType });
+    
+    if (!transaction) {
+      logger.error(`${label} callback received for unknown transaction: ${transactionId}`);
+      throw new AppError('Transaction not found', 404);
+    }
+    
+    return transaction;
+  }
 }
 
 module.exports = new TransactionService();
\ No newline at end of file
@@ -2,6 +2,21 @@
 
 const AppError = require('../../utils/appError');
 const logger = require('../../utils/logger');
+const { countryRegistry, OPERATIONS } = require('../mpesa/countryRegistry');
+const { isValidPhoneNumber } = require('../../utils/phoneNumber');
+const PaymentGatewayFactory = require('../payments/paymentGatewayFactory');
+const { TEMPLATE_LOCALES } = require('../../models/notificationTemplate');
+
+// Daraja B2C command IDs
+const B2C_COMMANDS = ['BusinessPayment', 'SalaryPayment', 'PromotionPayment'];
+
+// Daraja B2B command IDs: paying a paybill or a till
+const B2B_COMMANDS = ['BusinessPayBill', 'BusinessBuyGoods'];
+
+// Values accepted by the transaction list and stats filters
+const TRANSACTION_STATUSES = ['initiated', 'pending', 'processing', 'completed', 'failed', 'canceled', 'expired'];
+const TRANSACTION_TYPES = ['payment', 'refund', 'reversal', 'deposit', 'withdrawal', 'b2b'];
+const MAX_PAGE_SIZE = 100;
 
 /**
  * Service for validating transaction requests
@@ -16,6 +31,7 @@ class TransactionValidator {
    * @param {string} paymentData.reference - Business reference
    * @param {string} paymentData.description - Transaction description
    * @param {string} paymentData.country - Country code
+   * @param {string} [paymentData.provider] - Wallet provider (defaults to 'mpesa')
    * @returns {Object} Validated payment data
    * @throws {AppError} If validation fails
    */
@@ -47,10 +63,23 @@ class TransactionValidator {
       errors.push(`Country "${paymentData.country}" is not supported`);
     }
     
+    if (paymentData.provider && !PaymentGatewayFactory.isProviderSupported(paymentData.provider)) {
+      errors.push(`Payment provider "${paymentData.provider}" is not supported`);
+    }
+    
+    if (paymentData.customerEmail !== undefined &&
+        !/^[\w-\.+]+@([\w-]+\.)+[\w-]{2,}$/.test(String(paymentData.customerEmail))) {
+      errors.push('Customer email must be a valid email address');
+    }
+    
+    if (paymentData.customerLocale !== undefined && !TEMPLATE_LOCALES.includes(paymentData.customerLocale)) {
+      errors.push(`Customer locale must be one of: ${TEMPLATE_LOCALES.join(', ')}`);
+    }
+    
     // If there are validation errors, throw an error
     if (errors.length > 0) {
       logger.warn('Payment validation failed', { errors, paymentData });
-      throw new AppError(`Validation error: ${errors.join(', ')}`, 400);
+      throw new AppError(`Validation error: ${errors.join(', ')}`, 400, errors);
     }
     
     // Normalize phone number based on country
@@ -63,7 +92,286 @@ class TransactionValidator {
     return {
       ...paymentData,
       phoneNumber: normalizedPhoneNumber,
-      amount: Number(paymentData.amount) // Ensure it's a number
+      amount: Number(paymentData.amount), // Ensure it's a number
+      provider: paymentData.provider || 'mpesa'
+    };
+  }
+  
+  /**
+   * Validate payout (B2C) request data
+   * 
+   * @param {Object} payoutData - Payout data to validate
+   * @param {string} payoutData.phoneNumber - Recipient's phone number
+   * @param {number} payoutData.amount - Amount to send
+   * @param {string} payoutData.country - Country code
+   * @param {string} [payoutData.reference] - Business reference
+   * @param {string} [payoutData.remarks] - Payout remarks
+   * @param {string} [payoutData.commandId] - B2C command (BusinessPayment, SalaryPayment, PromotionPayment)
+   * @param {string} [payoutData.provider] - Wallet provider (defaults to 'mpesa')
+   * @returns {Object} Validated payout data
+   * @throws {AppError} If validation fails
+   */
+  validatePayoutRequest(payoutData) {
+    const errors = [];
+    
+    if (!payoutData.phoneNumber) {
+      errors.push('Phone number is required');
+    }
+    
+    if (!payoutData.amount) {
+      errors.push('Amount is required');
+    } else if (isNaN(payoutData.amount) || payoutData.amount <= 0) {
+      errors.push('Amount must be a positive number');
+    }
+    
+    if (!payoutData.country) {
+      errors.push('Country is required');
+    } else if (!this._isSupportedCountry(payoutData.country)) {
+      errors.push(`Country "${payoutData.country}" is not supported`);
+    }
+    
+    if (payoutData.country && this._isSupportedCountry(payoutData.country)) {
+      const profile = countryRegistry.getProfile(payoutData.country);
+      
+      if (payoutData.phoneNumber && !isValidPhoneNumber(payoutData.phoneNumber, profile.phone)) {
+        errors.push(`Phone number "${payoutData.phoneNumber}" is not a valid ${profile.name} number`);
+      }
+      
+      // Amount must fall within the country's B2C limits
+      const limits = countryRegistry.getLimits(payoutData.country, OPERATIONS.B2C);
+      const amount = Number(payoutData.amount);
+      if (limits && amount > 0 && (amount < limits.min || amount > limits.max)) {
+        errors.push(`Amount must be between ${limits.min} and ${limits.max} ${profile.currency}`);
+      }
+    }
+    
+    if (payoutData.commandId && !B2C_COMMANDS.includes(payoutData.commandId)) {
+      errors.push(`Command ID must be one of: ${B2C_COMMANDS.join(', ')}`);
+    }
+    
+    if (payoutData.provider && !PaymentGatewayFactory.isProviderSupported(payoutData.provider)) {
+      errors.push(`Payment provider "${payoutData.provider}" is not supported`);
+    }
+    
+    if (errors.length > 0) {
+      logger.warn('Payout validation failed', { errors, payoutData });
+      throw new AppError(`Validation error: ${errors.join(', ')}`, 400, errors);
+    }
+    
+    return {
+      ...payoutData,
+      phoneNumber: this._normalizePhoneNumber(payoutData.phoneNumber, payoutData.country),
+      amount: Number(payoutData.amount),
+      commandId: payoutData.commandId || 'BusinessPayment',
+      provider: payoutData.provider || 'mpesa'
+    };
+  }
+  
+  /**
+   * Validate B2B (BusinessPayBill / BusinessBuyGoods) request data
+   * 
+   * @param {Object} b2bData - B2B payment data to validate
+   * @param {string} b2bData.receiverShortCode - Paybill or till number being paid
+   * @param {number} b2bData.amount - Amount to send
+   * @param {string} b2bData.country - Country code
+   * @param {string} [b2bData.commandId] - BusinessPayBill (default) or BusinessBuyGoods
+   * @param {string} [b2bData.accountReference] - Account number at the paybill (required for BusinessPayBill)
+   * @param {string} [b2bData.requester] - Customer phone number the payment is made for
+   * @param {string} [b2bData.remarks] - Payment remarks
+   * @returns {Object} Validated B2B payment data
+   * @throws {AppError} If validation fails
+   */
+  validateB2BRequest(b2bData) {
+    const errors = [];
+    const commandId = b2bData.commandId || 'BusinessPayBill';
+    
+    if (!b2bData.receiverShortCode) {
+      errors.push('Receiver short code is required');
+    } else if (!/^\d{5,7}$/.test(String(b2bData.receiverShortCode))) {
+      errors.push('Receiver short code must be a 5 to 7 digit paybill or till number');
+    }
+    
+    if (!b2bData.amount) {
+      errors.push('Amount is required');
+    } else if (isNaN(b2bData.amount) || b2bData.amount <= 0) {
+      errors.push('Amount must be a positive number');
+    }
+    
+    if (!b2bData.country) {
+      errors.push('Country is required');
+    } else if (!this._isSupportedCountry(b2bData.country)) {
+      errors.push(`Country "${b2bData.country}" is not supported`);
+    } else if (!countryRegistry.supportsOperation(b2bData.country, OPERATIONS.B2B)) {
+      errors.push(`B2B payments are not available in ${countryRegistry.getProfile(b2bData.country).name}`);
+    }
+    
+    if (!B2B_COMMANDS.includes(commandId)) {
+      errors.push(`Command ID must be one of: ${B2B_COMMANDS.join(', ')}`);
+    }
+    
+    if (commandId === 'BusinessPayBill' && !b2bData.accountReference) {
+      errors.push('Account reference is required for BusinessPayBill');
+    } else if (b2bData.accountReference && String(b2bData.accountReference).length > 13) {
+      errors.push('Account reference cannot exceed 13 characters');
+    }
+    
+    if (b2bData.requester && b2bData.country && this._isSupportedCountry(b2bData.country)) {
+      const profile = countryRegistry.getProfile(b2bData.country);
+      
+      if (!isValidPhoneNumber(b2bData.requester, profile.phone)) {
+        errors.push(`Requester "${b2bData.requester}" is not a valid ${profile.name} number`);
+      }
+    }
+    
+    if (errors.length > 0) {
+      logger.warn('B2B validation failed', { errors, b2bData });
+      throw new AppError(`Validation error: ${errors.join(', ')}`, 400, errors);
+    }
+    
+    return {
+      ...b2bData,
+      receiverShortCode: String(b2bData.receiverShortCode),
+      amount: Number(b2bData.amount),
+      commandId,
+      accountReference: b2bData.accountReference ? String(b2bData.accountReference) : undefined,
+      requester: b2bData.requester
+        ? this._normalizePhoneNumber(b2bData.requester, b2bData.country)
+        : undefined
+    };
+  }
+  
+  /**
+   * Validate transaction list and stats filters
+   * 
+   * @param {Object} filters - Query string filters
+   * @param {string} [filters.status] - Transaction status
+   * @param {string} [filters.transactionType] - Transaction type
+   * @param {string} [filters.country] - Country code
+   * @param {string} [filters.startDate] - Start of the date range (ISO 8601)
+   * @param {string} [filters.endDate] - End of the date range (ISO 8601)
+   * @param {number} [filters.page] - Page number
+   * @param {number} [filters.limit] - Page size
+   * @returns {Object} Validated filters
+   * @throws {AppError} If validation fails
+   */
+  validateListFilters(filters) {
+    const errors = [];
+    
+    if (filters.status && !TRANSACTION_STATUSES.includes(filters.status)) {
+      errors.push(`Status must be one of: ${TRANSACTION_STATUSES.join(', ')}`);
+    }
+    
+    if (filters.transactionType && !TRANSACTION_TYPES.includes(filters.transactionType)) {
+      errors.push(`Transaction type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+    }
+    
+    if (filters.country && !this._isSupportedCountry(filters.country)) {
+      errors.push(`Country "${filters.country}" is not supported`);
+    }
+    
+    ['startDate', 'endDate'].forEach(key => {
+      if (filters[key] && isNaN(new Date(filters[key]).getTime())) {
+        errors.push(`${key} must be a valid date`);
+      }
+    });
+    
+    if (filters.startDate && filters.endDate && new Date(filters.startDate) > new Date(filters.endDate)) {
+      errors.push('startDate must be before endDate');
+    }
+    
+    if (filters.page !== undefined && !(Number.isInteger(Number(filters.page)) && Number(filters.page) >= 1)) {
+      errors.push('Page must be a positive integer');
+    }
+    
+    if (filters.limit !== undefined &&
+        !(Number.isInteger(Number(filters.limit)) && Number(filters.limit) >= 1 && Number(filters.limit) <= MAX_PAGE_SIZE)) {
+      errors.push(`Limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    
+    if (errors.length > 0) {
+      throw new AppError(`Validation error: ${errors.join(', ')}`, 400, errors);
+    }
+    
+    // Only known filters reach the query; phone numbers and references are matched literally
+    const validated = {};
+    ['status', 'transactionType', 'country', 'startDate', 'endDate', 'page', 'limit'].forEach(key => {
+      if (filters[key] !== undefined && filters[key] !== '') {
+        validated[key] = String(filters[key]);
+      }
+    });
+    
+    if (filters.phoneNumber) {
+      validated.phoneNumber = String(filters.phoneNumber).replace(/\D/g, '');
+    }
+    
+    if (filters.reference) {
+      validated.reference = String(filters.reference).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    
+    return validated;
+  }
+  
+  /**
+   * Validate C2B merchant rules
+   * 
+   * @param {Object} rules - C2B rules to validate
+   * @param {string[]} [rules.accountNumberPatterns] - Regular expressions for accepted account numbers
+   * @param {number} [rules.minAmount] - Smallest accepted amount
+   * @param {number} [rules.maxAmount] - Largest accepted amount
+   * @param {string} [rules.validationUrl] - Merchant HTTPS endpoint consulted after the local rules
+   * @param {number} [rules.validationTimeoutMs] - How long to wait for the merchant (500-5000 ms)
+   * @param {string} [rules.onValidationTimeout] - 'accept' or 'reject' when the merchant doesn't answer
+   * @returns {Object} Validated rules
+   * @throws {AppError} If validation fails
+   */
+  validateC2BRules(rules) {
+    const errors = [];
+    const patterns = rules.accountNumberPatterns || [];
+    
+    if (!Array.isArray(patterns)) {
+      errors.push('Account number patterns must be an array');
+    } else {
+      patterns.forEach(pattern => {
+        if (typeof pattern !== 'string' || pattern.length > 100 || !this._isValidPattern(pattern)) {
+          errors.push(`Account number pattern "${pattern}" must be a valid regular expression of up to 100 characters`);
+        }
+      });
+    }
+    
+    ['minAmount', 'maxAmount'].forEach(key => {
+      if (rules[key] !== undefined && rules[key] !== null && (isNaN(rules[key]) || Number(rules[key]) < 0)) {
+        errors.push(`${key} must be a non-negative number`);
+      }
+    });
+    
+    if (rules.minAmount != null && rules.maxAmount != null && Number(rules.minAmount) > Number(rules.maxAmount)) {
+      errors.push('minAmount cannot be greater than maxAmount');
+    }
+    
+    if (rules.validationUrl && !/^https:\/\/[^ "]+$/.test(rules.validationUrl)) {
+      errors.push('Validation URL must be an HTTPS URL');
+    }
+    
+    if (rules.validationTimeoutMs !== undefined &&
+        !(Number(rules.validationTimeoutMs) >= 500 && Number(rules.validationTimeoutMs) <= 5000)) {
+      errors.push('Validation timeout must be between 500 and 5000 ms');
+    }
+    
+    if (rules.onValidationTimeout && !['accept', 'reject'].includes(rules.onValidationTimeout)) {
+      errors.push('onValidationTimeout must be either accept or reject');
+    }
+    
+    if (errors.length > 0) {
+      throw new AppError(`Validation error: ${errors.join(', ')}`, 400, errors);
+    }
+    
+    return {
+      accountNumberPatterns: Array.isArray(patterns) ? patterns : [],
+      minAmount: rules.minAmount != null ? Number(rules.minAmount) : undefined,
+      maxAmount: rules.maxAmount != null ? Number(rules.maxAmount) : undefined,
+      validationUrl: rules.validationUrl || undefined,
+      validationTimeoutMs: rules.validationTimeoutMs !== undefined ? Number(rules.validationTimeoutMs) : 3000,
+      onValidationTimeout: rules.onValidationTimeout || 'accept'
     };
   }
   
@@ -75,16 +383,23 @@ class TransactionValidator {
    * @returns {boolean} Whether the country is supported
    */
   _isSupportedCountry(country) {
-    const supportedCountries = [
-      'kenya',
-      'tanzania',
-      'uganda',
-      'rwanda',
-      'mozambique',
-      'drc'
-    ];
-    
-    return supportedCountries.includes(country.toLowerCase());
+    return countryRegistry.has(country);
+  }
+  
+  /**
+   * Check that a string compiles as a regular expression
+   * 
+   * @private
+   * @param {string} pattern - Pattern to check
+   * @returns {boolean} Whether the pattern is valid
+   */
+  _isValidPattern(pattern) {
+    try {
+      new RegExp(pattern);
+      return true;
+    } catch (error) {
+      return false;
+    }
   }
   
   /**
@@ -96,71 +411,12 @@ class TransactionValidator {
    * @returns {string} Normalized phone number
    */
   _normalizePhoneNumber(phoneNumber, country) {
-    // Remove non-numeric characters
-    let cleaned = phoneNumber.replace(/\D/g, '');
-    
-    // Country-specific normalization
-    switch (country.toLowerCase()) {
-      case 'kenya':
-        // Kenya: Ensure it starts with 254 (country code)
-        if (cleaned.startsWith('0')) {
-          cleaned = '254' + cleaned.substring(1);
-        } else if (!cleaned.startsWith('254')) {
-          cleaned = '254' + cleaned;
-        }
-        break;
-        
-      case 'tanzania':
-        // Tanzania: Ensure it starts with 255
-        if (cleaned.startsWith('0')) {
-          cleaned = '255' + cleaned.substring(1);
-        } else if (!cleaned.startsWith('255')) {
-          cleaned = '255' + cleaned;
-        }
-        break;
-        
-      case 'uganda':
-        // Uganda: Ensure it starts with 256
-        if (cleaned.startsWith('0')) {
-          cleaned = '256' + cleaned.substring(1);
-        } else if (!cleaned.startsWith('256')) {
-          cleaned = '256' + cleaned;
-        }
-        break;
-        
-      case 'rwanda':
-        // Rwanda: Ensure it starts with 250
-        if (cleaned.startsWith('0')) {
-          cleaned = '250' + cleaned.substring(1);
-        } else if (!cleaned.startsWith('250')) {
-          cleaned = '250' + cleaned;
-        }
-        break;
-        
-      case 'mozambique':
-        // Mozambique: Ensure it starts with 258
-        if (cleaned.startsWith('0')) {
-          cleaned = '258' + cleaned.substring(1);
-        } else if (!cleaned.startsWith('258')) {
-          cleaned = '258' + cleaned;
-        }
-        break;
-        
-      case 'drc':
-        // DRC: Ensure it starts with 243
-        if (cleaned.startsWith('0')) {
-          cleaned = '243' + cleaned.substring(1);
-        } else if (!cleaned.startsWith('243')) {
-          cleaned = '243' + cleaned;
-        }
-        break;
-        
-      default:
-        // No specific handling for other countries
-        break;
+    // Countries without a registered client only get non-numeric characters stripped
+    if (!countryRegistry.has(country)) {
+      return phoneNumber.replace(/\D/g, '');
     }
     
-    return cleaned;
+    return countryRegistry.normalizePhoneNumber(country, phoneNumber);
   }
   
   /**
@@ -0,0 +1,597 @@
+// server/src/services/transactions/webhookDeliveryService.js
+
+const axios = require('axios');
+const crypto = require('crypto');
+const Business = require('../../models/business');
+const Transaction = require('../../models/transaction');
+const WebhookDelivery = require('../../models/webhookDelivery');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const AppError = require('../../utils/appError');
+const { assertPublicUrl, publicLookup } = require('../../utils/outboundUrl');
+
+// Longest merchant response body kept in the attempt history
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+// Most deliveries a single bulk replay may queue
+const MAX_BULK_REPLAY = 100;
+
+/**
+ * Service for delivering outbound webhooks to businesses
+ * Deliveries are persisted before they are sent, so a restart or a merchant outage
+ * only delays them; a background worker retries with exponential backoff and
+ * dead-letters a delivery once it runs out of attempts
+ */
+class WebhookDeliveryService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Queue an event for every endpoint of the business subscribed to it
+   * @param {object} business - Business document
+   * @param {string} event - Event type, e.g. payment.completed
+   * @param {object} payload - Event envelope
+   * @param {object} [options] - Delivery options
+   * @param {string} [options.transactionId] - Transaction the event is about
+   * @returns {Promise<object[]>} - Delivery documents, one per subscribed endpoint
+   */
+  async dispatch(business, event, payload, options = {}) {
+    const targets = business.getWebhookTargets(event);
+
+    if (targets.length === 0) {
+      logger.info(`No webhook endpoint of business ${business._id} subscribes to ${event}`);
+      return [];
+    }
+
+    return Promise.all(targets.map(target => this.enqueue(business, target, event, payload, options)));
+  }
+
+  /**
+   * Queue an event for delivery to one target
+   * @param {object} business - Business document
+   * @param {object} target - Delivery target
+   * @param {string|null} target.endpointId - Webhook endpoint ID, or null for the business's webhookUrl
+   * @param {string} target.url - URL to deliver to
+   * @param {string} event - Event type
+   * @param {object} payload - Event envelope
+   * @param {object} [options] - Delivery options
+   * @param {string} [options.transactionId] - Transaction the event is about
+   * @param {string} [options.replayOf] - Delivery this one replays
+   * @returns {Promise<object>} - Delivery document
+   */
+  async enqueue(business, target, event, payload, options = {}) {
+    const delivery = await WebhookDelivery.create({
+      business: business._id,
+      endpoint: target.endpointId || undefined,
+      transaction: options.transactionId,
+      event,
+      url: target.url,
+      payload,
+      maxAttempts: config.webhooks.maxAttempts,
+      replayOf: options.replayOf
+    });
+
+    // First attempt right away; failures are left to the worker
+    setImmediate(() => {
+      this.processDelivery(delivery._id).catch(error => {
+        logger.error(`Error delivering webhook ${delivery._id}`, { error: error.message });
+      });
+    });
+
+    return delivery;
+  }
+
+  /**
+   * Start the background worker that retries due deliveries
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.processDueDeliveries().catch(error => {
+        logger.error('Error processing webhook deliveries', { error: error.message });
+      });
+    }, config.webhooks.pollIntervalMs);
+
+    // The worker alone should not keep the process alive
+    this.timer.unref();
+
+    logger.info('Webhook delivery worker started');
+  }
+
+  /**
+   * Stop the background worker
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Attempt every delivery that is due, up to the configured batch size
+   * @returns {Promise<number>} - Number of deliveries attempted
+   */
+  async processDueDeliveries() {
+    // A slow run must not overlap the next tick
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let processed = 0;
+
+    try {
+      while (processed < config.webhooks.batchSize) {
+        const delivery = await this.claimNextDelivery();
+        if (!delivery) {
+          break;
+        }
+
+        await this.attemptDelivery(delivery);
+        processed += 1;
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Lease one delivery for an attempt
+   * Leasing through a single atomic update keeps two server processes from sending the same delivery
+   * @param {object} [filter] - Extra conditions, e.g. a delivery ID
+   * @returns {Promise<object|null>} - Leased delivery, or null when none is due
+   */
+  async claimNextDelivery(filter = {}) {
+    const now = new Date();
+
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        ...filter,
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'delivering', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'delivering',
+          lockedUntil: new Date(now.getTime() + config.webhooks.timeoutMs * 3)
+        }
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * Lease and attempt a single delivery, if it is due
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<object|null>} - Updated delivery, or null when it was not due or already leased
+   */
+  async processDelivery(deliveryId) {
+    const delivery = await this.claimNextDelivery({ _id: deliveryId });
+    return delivery ? this.attemptDelivery(delivery) : null;
+  }
+
+  /**
+   * Send a leased delivery once and record the outcome
+   * @param {object} delivery - Leased delivery document
+   * @returns {Promise<object>} - Updated delivery
+   */
+  async attemptDelivery(delivery) {
+    const business = await Business.findById(delivery.business).select('+webhookSecret +webhookEndpoints.secret');
+    const endpoint = delivery.endpoint && business ? business.webhookEndpoints.id(delivery.endpoint) : null;
+
+    // The endpoint was removed or disabled while the delivery waited; there is nowhere to send it
+    if (delivery.endpoint && (!endpoint || !endpoint.active)) {
+      return this.abandon(delivery, 'Webhook endpoint removed or disabled');
+    }
+
+    const secret = endpoint ? endpoint.secret : business && business.webhookSecret;
+    const result = await this.send(delivery.url, delivery.payload, secret, {
+      'X-Webhook-Id': delivery._id.toString(),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Attempt': String(delivery.attemptCount + 1)
+    });
+
+    delivery.attemptCount += 1;
+    delivery.attempts.push({ url: delivery.url, ...result });
+    delivery.lastResponseCode = result.responseCode;
+    delivery.lastError = result.error;
+    delivery.lockedUntil = undefined;
+
+    if (result.success) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+    } else if (delivery.attemptCount >= delivery.maxAttempts) {
+      delivery.status = 'dead';
+      delivery.deadAt = new Date();
+      logger.error(`Webhook ${delivery._id} dead-lettered after ${delivery.attemptCount} attempts`, {
+        businessId: delivery.business,
+        event: delivery.event,
+        lastResponseCode: result.responseCode,
+        lastError: result.error
+      });
+    } else {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(delivery.attemptCount));
+      logger.warn(`Webhook ${delivery._id} attempt ${delivery.attemptCount} failed; retrying at ${delivery.nextAttemptAt.toISOString()}`, {
+        businessId: delivery.business,
+        responseCode: result.responseCode,
+        error: result.error
+      });
+    }
+
+    await delivery.save();
+
+    if (delivery.transaction) {
+      await this.recordTransactionAttempt(delivery, result);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Dead-letter a delivery without attempting it
+   * @param {object} delivery - Leased delivery document
+   * @param {string} reason - Why it cannot be delivered
+   * @returns {Promise<object>} - Updated delivery
+   */
+  async abandon(delivery, reason) {
+    delivery.status = 'dead';
+    delivery.deadAt = new Date();
+    delivery.lastError = reason;
+    delivery.lockedUntil = undefined;
+    await delivery.save();
+
+    logger.warn(`Webhook ${delivery._id} dead-lettered: ${reason}`, { businessId: delivery.business });
+
+    return delivery;
+  }
+
+  /**
+   * Append an attempt to the transaction's webhook history
+   * @param {object} delivery - Delivery document
+   * @param {object} result - Attempt result
+   * @returns {Promise<void>}
+   */
+  async recordTransactionAttempt(delivery, result) {
+    // $push rather than a document save, so a concurrent callback update is not overwritten
+    await Transaction.updateOne(
+      { _id: delivery.transaction },
+      {
+        $push: {
+          webhookAttempts: {
+            timestamp: new Date(),
+            event: delivery.event,
+            url: delivery.url,
+            responseCode: result.responseCode,
+            responseBody: result.responseBody,
+            durationMs: result.durationMs,
+            success: result.success
+          }
+        }
+      }
+    );
+  }
+
+  /**
+   * Delay before the next attempt: retryBaseMs doubled per failed attempt, capped, with jitter
+   * @param {number} attemptCount - Attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attemptCount) {
+    const { retryBaseMs, retryMaxMs } = config.webhooks;
+    const delay = retryBaseMs * Math.pow(2, attemptCount - 1);
+
+    // Up to 10% jitter so deliveries that failed together do not retry together
+    return Math.round(Math.min(delay + delay * 0.1 * Math.random(), retryMaxMs));
+  }
+
+  /**
+   * Build the signature headers for a webhook body
+   * Merchants verify HMAC-SHA256("<timestamp>.<body>") with their endpoint's secret
+   * @param {string} body - Serialized request body
+   * @param {string} [secret] - Signing secret of the endpoint
+   * @returns {object} - Signature headers
+   */
+  signatureHeaders(body, secret) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = { 'X-Webhook-Timestamp': String(timestamp) };
+
+    if (secret) {
+      headers['X-Webhook-Signature'] = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+    } else {
+      logger.warn('Sending unsigned webhook: no webhook secret configured');
+    }
+
+    return headers;
+  }
+
+  /**
+   * POST a signed webhook and describe the outcome; never throws for HTTP or network errors
+   * @param {string} url - Webhook URL
+   * @param {object} payload - Webhook payload
+   * @param {string} [secret] - Signing secret of the endpoint
+   * @param {object} [headers] - Extra headers
+   * @returns {Promise<object>} - Attempt result (success, responseCode, responseBody, durationMs, error)
+   */
+  async send(url, payload, secret, headers = {}) {
+    // Sign exactly the bytes that are sent
+    const body = JSON.stringify(payload);
+    const startTime = Date.now();
+
+    try {
+      // Endpoints are merchant-configured, so they may not reach the platform's own network
+      assertPublicUrl(url);
+
+      const response = await axios.post(url, body, {
+        lookup: publicLookup,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'M-Pesa-Integration-Platform/1.0',
+          ...this.signatureHeaders(body, secret),
+          ...headers
+        },
+        timeout: config.webhooks.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        transformResponse: [data => data]
+      });
+
+      const success = response.status >= 200 && response.status < 300;
+
+      return {
+        success,
+        responseCode: response.status,
+        responseBody: this.truncate(response.data),
+        durationMs: Date.now() - startTime,
+        error: success ? undefined : `HTTP ${response.status}`
+      };
+    } catch (error) {
+      return {
+        success: false,
+        durationMs: Date.now() - startTime,
+        error: error.code ? `${error.code}: ${error.message}` : error.message
+      };
+    }
+  }
+
+  /**
+   * List a business's deliveries, newest first
+   * @param {string} businessId - Business ID
+   * @param {object} filters - Query filters (event, status, endpointId, transactionId, page, limit)
+   * @returns {Promise<object>} - Deliveries with pagination
+   */
+  async listDeliveries(businessId, filters = {}) {
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+
+    const query = { business: businessId };
+    if (filters.event) query.event = filters.event;
+    if (filters.status) query.status = filters.status;
+    if (filters.endpointId) query.endpoint = filters.endpointId;
+    if (filters.transactionId) query.transaction = filters.transactionId;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    return {
+      data: deliveries.map(delivery => this.formatDelivery(delivery)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get one of a business's deliveries with its full attempt history
+   * @param {string} businessId - Business ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<object>} - Formatted delivery
+   */
+  async getDelivery(businessId, deliveryId) {
+    const delivery = await this.findDelivery(businessId, deliveryId);
+    return this.formatDelivery(delivery, { withAttempts: true });
+  }
+
+  /**
+   * Send a finished delivery again, as a new delivery to its endpoint's current URL
+   * @param {string} businessId - Business ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<object>} - The new delivery
+   */
+  async replayDelivery(businessId, deliveryId) {
+    const [business, delivery] = await Promise.all([
+      this.findBusiness(businessId),
+      this.findDelivery(businessId, deliveryId)
+    ]);
+
+    if (!['succeeded', 'dead'].includes(delivery.status)) {
+      throw new AppError('Delivery is still being retried', 409);
+    }
+
+    const target = this.getReplayTarget(business, delivery);
+    if (!target) {
+      throw new AppError('The webhook endpoint of this delivery no longer exists or is disabled', 400);
+    }
+
+    const replay = await this.replay(business, target, delivery);
+    return this.formatDelivery(replay);
+  }
+
+  /**
+   * Replay a business's dead-lettered deliveries in bulk
+   * @param {string} businessId - Business ID
+   * @param {object} criteria - Which deliveries to replay
+   * @param {string[]} [criteria.deliveryIds] - Specific deliveries
+   * @param {string} [criteria.event] - Only deliveries of this event
+   * @returns {Promise<object>} - Count and IDs of the new deliveries, and how many had no endpoint left
+   */
+  async replayDeliveries(businessId, criteria = {}) {
+    const business = await this.findBusiness(businessId);
+
+    const query = { business: businessId, status: 'dead' };
+    if (criteria.deliveryIds && criteria.deliveryIds.length > 0) query._id = { $in: criteria.deliveryIds };
+    if (criteria.event) query.event = criteria.event;
+
+    const deliveries = await WebhookDelivery.find(query).sort({ createdAt: 1 }).limit(MAX_BULK_REPLAY);
+
+    const replays = [];
+    let skipped = 0;
+    for (const delivery of deliveries) {
+      const target = this.getReplayTarget(business, delivery);
+      if (target) {
+        replays.push(await this.replay(business, target, delivery));
+      } else {
+        skipped += 1;
+      }
+    }
+
+    logger.info(`Replayed ${replays.length} dead webhook deliveries for business ${businessId}`);
+
+    return {
+      replayed: replays.length,
+      skipped,
+      deliveries: replays.map(replay => replay._id)
+    };
+  }
+
+  /**
+   * Queue a copy of a delivery
+   * The event envelope, including its ID, is sent unchanged
+   * @param {object} business - Business document
+   * @param {object} target - Delivery target
+   * @param {object} delivery - Delivery to replay
+   * @returns {Promise<object>} - The new delivery
+   */
+  async replay(business, target, delivery) {
+    return this.enqueue(business, target, delivery.event, delivery.payload, {
+      transactionId: delivery.transaction,
+      replayOf: delivery._id
+    });
+  }
+
+  /**
+   * Find where a delivery goes when replayed: its endpoint's current URL, or the current webhookUrl
+   * @param {object} business - Business document
+   * @param {object} delivery - Delivery to replay
+   * @returns {object|null} - Delivery target, or null when the endpoint is gone or disabled
+   */
+  getReplayTarget(business, delivery) {
+    if (delivery.endpoint) {
+      const endpoint = business.webhookEndpoints.id(delivery.endpoint);
+      return endpoint && endpoint.active ? { endpointId: endpoint._id, url: endpoint.url } : null;
+    }
+
+    return business.webhookUrl ? { endpointId: null, url: business.webhookUrl } : null;
+  }
+
+  /**
+   * Find a (non-deleted) business
+   * @param {string} businessId - Business ID
+   * @returns {Promise<object>} - Business document
+   */
+  async findBusiness(businessId) {
+    const business = await Business.findOne({ _id: businessId, deletedAt: null });
+
+    if (!business) {
+      throw new AppError('Business not found', 404);
+    }
+
+    return business;
+  }
+
+  /**
+   * Find one of a business's deliveries
+   * @param {string} businessId - Business ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<object>} - Delivery document
+   */
+  async findDelivery(businessId, deliveryId) {
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, business: businessId });
+
+    if (!delivery) {
+      throw new AppError('Webhook delivery not found', 404);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Format a delivery for the delivery console
+   * @param {object} delivery - Delivery document
+   * @param {object} [options] - Formatting options
+   * @param {boolean} [options.withAttempts] - Include every attempt, not just the last
+   * @returns {object} - Formatted delivery
+   */
+  formatDelivery(delivery, options = {}) {
+    const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+
+    const formatted = {
+      id: delivery._id,
+      event: delivery.event,
+      status: delivery.status,
+      endpointId: delivery.endpoint,
+      url: delivery.url,
+      transactionId: delivery.transaction,
+      payload: delivery.payload,
+      attemptCount: delivery.attemptCount,
+      maxAttempts: delivery.maxAttempts,
+      responseCode: delivery.lastResponseCode,
+      responseBody: lastAttempt ? lastAttempt.responseBody : undefined,
+      durationMs: lastAttempt ? lastAttempt.durationMs : undefined,
+      error: delivery.lastError,
+      nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : undefined,
+      deliveredAt: delivery.deliveredAt,
+      deadAt: delivery.deadAt,
+      replayOf: delivery.replayOf,
+      createdAt: delivery.createdAt
+    };
+
+    if (options.withAttempts) {
+      formatted.attempts = delivery.attempts.map(attempt => ({
+        attemptedAt: attempt.attemptedAt,
+        url: attempt.url,
+        success: attempt.success,
+        responseCode: attempt.responseCode,
+        responseBody: attempt.responseBody,
+        durationMs: attempt.durationMs,
+        error: attempt.error
+      }));
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Shorten a response body for storage
+   * @param {*} data - Response body
+   * @returns {string|undefined}
+   */
+  truncate(data) {
+    if (data === undefined || data === null || data === '') {
+      return undefined;
+    }
+
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return text.length > MAX_RESPONSE_BODY_LENGTH ? `${text.slice(0, MAX_RESPONSE_BODY_LENGTH)}…` : text;
+  }
+}
+
+module.exports = new WebhookDeliveryService();
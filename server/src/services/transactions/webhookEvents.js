@@ -0,0 +1,159 @@
+// server/src/services/transactions/webhookEvents.js
+
+const crypto = require('crypto');
+
+// Version of the event envelope and data shapes below; bump it when a field changes meaning or is removed
+const SCHEMA_VERSION = '1';
+
+// Transaction states that end a transaction unsuccessfully
+const FAILED_STATUSES = ['failed', 'canceled', 'expired'];
+
+/**
+ * Webhook event catalog
+ * Each event fires once, when a transaction of the given type reaches one of the given states
+ */
+const EVENT_TYPES = {
+  'payment.completed': {
+    description: 'An STK Push payment was completed by the customer',
+    transactionType: 'payment',
+    statuses: ['completed']
+  },
+  'payment.failed': {
+    description: 'An STK Push payment failed, was canceled by the customer or expired',
+    transactionType: 'payment',
+    statuses: FAILED_STATUSES
+  },
+  'payout.completed': {
+    description: 'A B2C payout reached the recipient',
+    transactionType: 'withdrawal',
+    statuses: ['completed']
+  },
+  'payout.failed': {
+    description: 'A B2C payout failed or timed out',
+    transactionType: 'withdrawal',
+    statuses: FAILED_STATUSES
+  },
+  'b2b.completed': {
+    description: 'A B2B payment reached the receiving paybill or till',
+    transactionType: 'b2b',
+    statuses: ['completed']
+  },
+  'b2b.failed': {
+    description: 'A B2B payment failed or timed out',
+    transactionType: 'b2b',
+    statuses: FAILED_STATUSES
+  },
+  'reversal.completed': {
+    description: 'A transaction reversal was completed',
+    transactionType: 'reversal',
+    statuses: ['completed']
+  },
+  'reversal.failed': {
+    description: 'A transaction reversal failed or timed out',
+    transactionType: 'reversal',
+    statuses: FAILED_STATUSES
+  },
+  'c2b.received': {
+    description: 'A customer paid into the business paybill or till',
+    transactionType: 'deposit',
+    statuses: ['completed']
+  }
+};
+
+// Subscribing to this receives every event type, including ones added later
+const ALL_EVENTS = '*';
+
+/**
+ * Find the event a transaction's current state should emit
+ * @param {object} transaction - Transaction document
+ * @returns {string|null} - Event type, or null when the state emits nothing
+ */
+const eventForTransaction = (transaction) => {
+  const match = Object.entries(EVENT_TYPES).find(([, definition]) =>
+    definition.transactionType === transaction.transactionType &&
+    definition.statuses.includes(transaction.status)
+  );
+
+  return match ? match[0] : null;
+};
+
+/**
+ * Build the data block of a transaction event
+ * @param {object} transaction - Transaction document
+ * @returns {object} - Event data
+ */
+const buildTransactionData = (transaction) => {
+  const lastChange = transaction.statusHistory && transaction.statusHistory.length > 0
+    ? transaction.statusHistory[transaction.statusHistory.length - 1]
+    : null;
+
+  const data = {
+    transactionId: transaction._id,
+    type: transaction.transactionType,
+    status: transaction.status,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    country: transaction.country,
+    provider: transaction.paymentProvider,
+    reference: transaction.internalReference,
+    receiptNumber: transaction.providerTransactionId || null,
+    mpesaReference: transaction.mpesaReference || null,
+    phoneNumber: transaction.phoneNumber || null,
+    failureReason: FAILED_STATUSES.includes(transaction.status) && lastChange ? lastChange.reason || null : null,
+    createdAt: transaction.createdAt,
+    updatedAt: transaction.updatedAt
+  };
+
+  if (transaction.transactionType === 'b2b') {
+    data.receiverShortCode = transaction.receiverShortCode;
+    data.accountReference = transaction.accountReference || null;
+  }
+
+  if (transaction.transactionType === 'deposit') {
+    const metadata = transaction.metadata instanceof Map
+      ? Object.fromEntries(transaction.metadata)
+      : (transaction.metadata || {});
+
+    data.shortCode = metadata.shortCode;
+    data.billRefNumber = metadata.billRefNumber || null;
+    data.payerName = metadata.payerName || null;
+    data.msisdn = metadata.msisdn || null;
+  }
+
+  return data;
+};
+
+/**
+ * Wrap event data in the versioned envelope every webhook carries
+ * The event ID stays the same when a delivery is retried or replayed, so receivers can deduplicate on it
+ * @param {string} type - Event type
+ * @param {object} data - Event data
+ * @returns {object} - Event envelope
+ */
+const buildEvent = (type, data) => ({
+  id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+  type,
+  version: SCHEMA_VERSION,
+  createdAt: new Date().toISOString(),
+  data
+});
+
+/**
+ * Describe the event catalog for the API
+ * @returns {object[]} - Event types with descriptions
+ */
+const listEventTypes = () => Object.entries(EVENT_TYPES).map(([type, definition]) => ({
+  type,
+  version: SCHEMA_VERSION,
+  description: definition.description
+}));
+
+module.exports = {
+  SCHEMA_VERSION,
+  EVENT_TYPES,
+  ALL_EVENTS,
+  eventForTransaction,
+  buildTransactionData,
+  buildEvent,
+  listEventTypes
+};
@@ -1,11 +1,17 @@
 // server/src/services/transactions/webhookService.js
 
+const crypto = require('crypto');
 const Business = require('../../models/business');
 const Transaction = require('../../models/transaction');
 const AppError = require('../../utils/appError');
 const logger = require('../../utils/logger');
-const axios = require('axios');
 const transactionService = require('./transactionService');
+const webhookDeliveryService = require('./webhookDeliveryService');
+const webhookEvents = require('./webhookEvents');
+const receiptService = require('./receiptService');
+
+// Webhook endpoints a business may register
+const MAX_WEBHOOK_ENDPOINTS = 10;
 
 /**
  * Service for handling webhook operations
@@ -22,15 +28,10 @@ class WebhookService {
     logger.info(`Received M-Pesa callback for transaction ${transactionId}`, { callbackData });
     
     try {
-      // Process the callback with the transaction service
-      const updatedTransaction = await transactionService.processCallback(
-        transactionId,
-        callbackData
+      await this.handleTransactionCallback(transactionId, () =>
+        transactionService.processCallback(transactionId, callbackData)
       );
       
-      // Forward the callback to the business webhook if configured
-      await this._forwardCallbackToBusiness(updatedTransaction);
-      
       return {
         success: true,
         message: 'Callback processed successfully'
@@ -42,8 +43,33 @@ class WebhookService {
         callbackData
       });
       
-      throw new AppError('Failed to process callback: ' + error.message, 500);
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to process callback: ' + error.message, 500);
+    }
+  }
+  
+  /**
+   * Run a callback processor and notify the business if it moved the transaction
+   * Completed payments also send the customer their receipt, when the business has receipts enabled
+   * Redelivered callbacks leave the status unchanged and so emit nothing
+   * 
+   * @param {string} transactionId - Transaction ID
+   * @param {Function} processor - Applies the callback to the transaction
+   * @returns {Promise<Object>} Result of the processor
+   */
+  async handleTransactionCallback(transactionId, processor) {
+    const previous = await Transaction.findById(transactionId).select('status');
+    
+    const result = await processor();
+    
+    const updatedTransaction = await Transaction.findById(transactionId);
+    if (updatedTransaction && previous && updatedTransaction.status !== previous.status) {
+      await this.notifyTransaction(updatedTransaction);
+      await receiptService.sendReceipt(updatedTransaction);
     }
+    
+    return result;
   }
   
   /**
@@ -87,92 +113,93 @@ class WebhookService {
    * Test a configured webhook
    * 
    * @param {string} businessId - Business ID
+   * @param {string} [endpointId] - Webhook endpoint to test; the business webhookUrl when omitted
    * @returns {Promise<Object>} Test result
    */
-  async testWebhook(businessId) {
+  async testWebhook(businessId, endpointId = null) {
     logger.info(`Testing webhook for business ${businessId}`);
     
-    // Get business with webhook URL
-    const business = await Business.findById(businessId);
+    // Get business with webhook URLs and signing secrets
+    const business = await Business.findById(businessId).select('+webhookSecret +webhookEndpoints.secret');
     
     if (!business) {
       throw new AppError('Business not found', 404);
     }
     
-    if (!business.webhookUrl) {
+    let url = business.webhookUrl;
+    let secret = business.webhookSecret;
+    
+    if (endpointId) {
+      const endpoint = this._findEndpoint(business, endpointId);
+      url = endpoint.url;
+      secret = endpoint.secret;
+    } else if (!url) {
       throw new AppError('Webhook URL not configured', 400);
     }
     
-    try {
-      // Create test payload
-      const testPayload = {
-        event: 'test',
-        timestamp: new Date().toISOString(),
-        business: businessId,
-        testId: Date.now().toString()
-      };
-      
-      // Send test request
-      const response = await this._sendWebhook(business.webhookUrl, testPayload);
-      
-      return {
-        success: true,
-        statusCode: response.status,
-        responseTime: response.responseTime,
-        message: 'Webhook test successful'
-      };
-    } catch (error) {
-      logger.error('Webhook test failed', { error, businessId });
+    // Create test payload
+    const testPayload = webhookEvents.buildEvent('test', {
+      business: businessId,
+      testId: Date.now().toString()
+    });
+    
+    // Send test request once, signed like real deliveries but not queued for retry
+    const result = await webhookDeliveryService.send(url, testPayload, secret, {
+      'X-Webhook-Event': 'test'
+    });
+    
+    if (!result.success) {
+      logger.error('Webhook test failed', { businessId, error: result.error });
       
       return {
         success: false,
-        error: error.message,
+        statusCode: result.responseCode,
+        error: result.error,
         message: 'Webhook test failed'
       };
     }
+    
+    return {
+      success: true,
+      statusCode: result.responseCode,
+      responseTime: result.durationMs,
+      message: 'Webhook test successful'
+    };
   }
   
   /**
-   * Forward a callback to the business webhook
+   * Emit the webhook event for a transaction's current state to every subscribed endpoint
    * 
-   * @private
    * @param {Object} transaction - Transaction document
    * @returns {Promise<void>}
    */
-  async _forwardCallbackToBusiness(transaction) {
+  async notifyTransaction(transaction) {
     try {
-      // Get business details including webhook URL
+      const event = webhookEvents.eventForTransaction(transaction);
+      
+      if (!event) {
+        return;
+      }
+      
       const business = await Business.findById(transaction.business);
       
-      if (!business || !business.webhookUrl) {
-        logger.info(`No webhook URL configured for business ${transaction.business}`);
+      if (!business) {
+        logger.warn(`Business ${transaction.business} not found for transaction ${transaction._id}`);
         return;
       }
       
-      // Prepare payload
-      const payload = {
-        event: 'transaction.updated',
-        timestamp: new Date().toISOString(),
-        data: {
-          transactionId: transaction._id,
-          status: transaction.status,
-          amount: transaction.amount,
-          currency: transaction.currency,
-          phoneNumber: transaction.phoneNumber,
-          reference: transaction.internalReference,
-          mpesaReference: transaction.mpesaReference,
-          country: transaction.country,
-          createdAt: transaction.createdAt,
-          updatedAt: transaction.updatedAt
-        }
-      };
+      const payload = webhookEvents.buildEvent(event, webhookEvents.buildTransactionData(transaction));
       
-      // Send webhook
-      await this._sendWebhook(business.webhookUrl, payload);
+      // Persist the deliveries; the delivery service sends them and retries until each endpoint accepts
+      const deliveries = await webhookDeliveryService.dispatch(business, event, payload, {
+        transactionId: transaction._id
+      });
       
-      logger.info(`Webhook sent to business ${transaction.business} for transaction ${transaction._id}`);
+      if (deliveries.length > 0) {
+        logger.info(`${event} queued to ${deliveries.length} webhook endpoint(s) for transaction ${transaction._id}`);
+      }
     } catch (error) {
-      logger.error('Error forwarding callback to business', {
+      logger.error('Error notifying business of transaction', {
         error,
         transactionId: transaction._id,
         businessId: transaction.business
@@ -182,59 +209,181 @@ class WebhookService {
   }
   
   /**
-   * Send webhook to specified URL
+   * List the webhook endpoints of a business
+   * 
+   * @param {string} businessId - Business ID
+   * @returns {Promise<Array>} Formatted endpoints
+   */
+  async listEndpoints(businessId) {
+    const business = await this._findBusiness(businessId);
+    return business.webhookEndpoints.map(endpoint => this.formatEndpoint(endpoint));
+  }
+  
+  /**
+   * Register a webhook endpoint
+   * The signing secret is returned only in this response
+   * 
+   * @param {string} businessId - Business ID
+   * @param {Object} data - Endpoint data (url, events, description)
+   * @returns {Promise<Object>} Formatted endpoint with its secret
+   */
+  async createEndpoint(businessId, data) {
+    const business = await this._findBusiness(businessId);
+    
+    if (business.webhookEndpoints.length >= MAX_WEBHOOK_ENDPOINTS) {
+      throw new AppError(`A business can register at most ${MAX_WEBHOOK_ENDPOINTS} webhook endpoints`, 400);
+    }
+    
+    const secret = this._generateSecret();
+    business.webhookEndpoints.push({
+      url: data.url,
+      events: this._normalizeEvents(data.events),
+      description: data.description,
+      secret
+    });
+    await business.save();
+    
+    const endpoint = business.webhookEndpoints[business.webhookEndpoints.length - 1];
+    logger.info(`Webhook endpoint ${endpoint._id} registered for business ${businessId}`);
+    
+    return { ...this.formatEndpoint(endpoint), secret };
+  }
+  
+  /**
+   * Update a webhook endpoint's URL, subscriptions, description or active flag
+   * 
+   * @param {string} businessId - Business ID
+   * @param {string} endpointId - Endpoint ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Formatted endpoint
+   */
+  async updateEndpoint(businessId, endpointId, data) {
+    const business = await this._findBusiness(businessId);
+    const endpoint = this._findEndpoint(business, endpointId);
+    
+    if (data.url !== undefined) endpoint.url = data.url;
+    if (data.events !== undefined) endpoint.events = this._normalizeEvents(data.events);
+    if (data.description !== undefined) endpoint.description = data.description;
+    if (data.active !== undefined) endpoint.active = data.active;
+    endpoint.updatedAt = Date.now();
+    
+    await business.save();
+    
+    return this.formatEndpoint(endpoint);
+  }
+  
+  /**
+   * Remove a webhook endpoint; its queued deliveries are dead-lettered when next attempted
+   * 
+   * @param {string} businessId - Business ID
+   * @param {string} endpointId - Endpoint ID
+   * @returns {Promise<void>}
+   */
+  async deleteEndpoint(businessId, endpointId) {
+    const business = await this._findBusiness(businessId);
+    this._findEndpoint(business, endpointId).deleteOne();
+    await business.save();
+    
+    logger.info(`Webhook endpoint ${endpointId} removed from business ${businessId}`);
+  }
+  
+  /**
+   * Replace a webhook endpoint's signing secret
+   * 
+   * @param {string} businessId - Business ID
+   * @param {string} endpointId - Endpoint ID
+   * @returns {Promise<Object>} The new secret, shown only once
+   */
+  async rotateEndpointSecret(businessId, endpointId) {
+    const business = await this._findBusiness(businessId);
+    const endpoint = this._findEndpoint(business, endpointId);
+    
+    endpoint.secret = this._generateSecret();
+    endpoint.updatedAt = Date.now();
+    await business.save();
+    
+    return { secret: endpoint.secret };
+  }
+  
+  /**
+   * Format a webhook endpoint for the API, without its secret
+   * 
+   * @param {Object} endpoint - Endpoint subdocument
+   * @returns {Object} Formatted endpoint
+   */
+  formatEndpoint(endpoint) {
+    return {
+      id: endpoint._id,
+      url: endpoint.url,
+      description: endpoint.description,
+      events: endpoint.events,
+      active: endpoint.active,
+      createdAt: endpoint.createdAt,
+      updatedAt: endpoint.updatedAt
+    };
+  }
+  
+  /**
+   * Find a (non-deleted) business
+   * 
+   * @private
+   * @param {string} businessId - Business ID
+   * @returns {Promise<Object>} Business document
+   */
+  async _findBusiness(businessId) {
+    const business = await Business.findOne({ _id: businessId, deletedAt: null });
+    
+    if (!business) {
+      throw new AppError('Business not found', 404);
+    }
+    
+    return business;
+  }
+  
+  /**
+   * Find a webhook endpoint of a business
    * 
    * @private
-   * @param {string} url - Webhook URL
-   * @param {Object} payload - Webhook payload
-   * @returns {Promise<Object>} Response from webhook
+   * @param {Object} business - Business document
+   * @param {string} endpointId - Endpoint ID
+   * @returns {Object} Endpoint subdocument
    */
-  async _sendWebhook(url, payload) {
-    const startTime = Date.now();
+  _findEndpoint(business, endpointId) {
+    const endpoint = business.webhookEndpoints.id(endpointId);
     
-    try {
-      // Add signature for security
-      const signature = this._generateSignature(payload);
-      
-      // Send request with timeout
-      const response = await axios.post(url, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Webhook-Signature': signature
-        },
-        timeout: 10000 // 10 seconds timeout
-      });
-      
-      // Calculate response time
-      const responseTime = Date.now() - startTime;
-      
-      return {
-        status: response.status,
-        data: response.data,
-        responseTime
-      };
-    } catch (error) {
-      // Add response time even to errors
-      error.responseTime = Date.now() - startTime;
-      throw error;
+    if (!endpoint) {
+      throw new AppError('Webhook endpoint not found', 404);
     }
+    
+    return endpoint;
   }
   
   /**
-   * Generate signature for webhook payload
+   * Check and deduplicate a subscription list
    * 
    * @private
-   * @param {Object} payload - Webhook payload
-   * @returns {string} Signature
+   * @param {string[]} events - Event types, or ['*']
+   * @returns {string[]} Subscribed events
    */
-  _generateSignature(payload) {
-    // In a real implementation, we would:
-    // 1. Use a secure hashing algorithm (HMAC-SHA256)
-    // 2. Use a secret key specific to each business
-    // 3. Create a signature based on the payload
+  _normalizeEvents(events) {
+    const unique = [...new Set(events)];
+    const unknown = unique.filter(event => event !== webhookEvents.ALL_EVENTS && !webhookEvents.EVENT_TYPES[event]);
+    
+    if (unique.length === 0 || unknown.length > 0) {
+      throw new AppError('Invalid webhook events', 400, unknown.map(event => ({ field: 'events', message: `Unknown event: ${event}` })));
+    }
     
-    // This is a placeholder
-    return 'signature-placeholder';
+    return unique.includes(webhookEvents.ALL_EVENTS) ? [webhookEvents.ALL_EVENTS] : unique;
+  }
+  
+  /**
+   * Generate a webhook signing secret
+   * 
+   * @private
+   * @returns {string} Secret
+   */
+  _generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
   }
   
   /**
@@ -252,4 +401,6 @@ class WebhookService {
       return false;
     }
   }
-}
\ No newline at end of file
+}
+
+module.exports = new WebhookService();
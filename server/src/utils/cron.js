@@ -0,0 +1,167 @@
+// server/src/utils/cron.js
+
+/**
+ * Five-field cron expressions: minute hour day-of-month month day-of-week
+ * Fields accept *, numbers, ranges (1-5), lists (1,15) and steps (*\/5, 0-30/10).
+ * Times are evaluated in UTC. As in standard cron, when both day fields are
+ * restricted a time matches if either of them does
+ */
+
+const AppError = require('./appError');
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 7 is accepted as Sunday
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Longest search for the next run; a valid expression always matches within a few years
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+/**
+ * Parse one cron field
+ * @param {string} source - Field text
+ * @param {Object} field - Field bounds
+ * @returns {Set<number>} - Values the field matches
+ * @throws {AppError} If the field is malformed or out of range
+ */
+const parseField = (source, field) => {
+  const values = new Set();
+
+  source.split(',').forEach((part) => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new AppError(`Invalid cron ${field.name}: ${part}`, 400);
+    }
+
+    const [, range, start, end, step] = match;
+    let from = field.min;
+    let to = field.max;
+
+    if (range !== '*') {
+      from = Number(start);
+      // A single value with a step runs from that value to the end of the range
+      to = end !== undefined ? Number(end) : (step ? field.max : from);
+    }
+
+    const increment = step ? Number(step) : 1;
+
+    if (from < field.min || to > field.max || from > to || increment < 1) {
+      throw new AppError(`Invalid cron ${field.name}: ${part}`, 400);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {Object} - Parsed expression
+ * @throws {AppError} If the expression is invalid
+ */
+const parse = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new AppError('Cron expressions have five fields: minute hour day-of-month month day-of-week', 400);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // Sunday may be written as 0 or 7
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+};
+
+/**
+ * Check whether a date's day matches the expression's day fields
+ * @param {Object} cron - Parsed expression
+ * @param {Date} date - Date to check
+ * @returns {boolean}
+ */
+const matchesDay = (cron, date) => {
+  const day = cron.days.has(date.getUTCDate());
+  const weekday = cron.weekdays.has(date.getUTCDay());
+
+  if (cron.anyDay || cron.anyWeekday) {
+    return day && weekday;
+  }
+  return day || weekday;
+};
+
+/**
+ * Get the first time after a date that an expression matches
+ * @param {string} expression - Five-field cron expression
+ * @param {Date} [from] - Start of the search; defaults to now
+ * @returns {Date} - Next run time, at the start of a minute
+ * @throws {AppError} If the expression is invalid or never matches
+ */
+const nextRun = (expression, from = new Date()) => {
+  const cron = parse(expression);
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // Skip whole months, days and hours that cannot match before stepping minutes
+  for (let searched = 0; searched < MAX_SEARCH_MINUTES;) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      const minutesLeft = Math.ceil((Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) - date) / 60000);
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      searched += minutesLeft;
+    } else if (!matchesDay(cron, date)) {
+      searched += (24 * 60) - (date.getUTCHours() * 60) - date.getUTCMinutes();
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      searched += 60 - date.getUTCMinutes();
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      searched += 1;
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new AppError(`Cron expression never matches: ${expression}`, 400);
+};
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression - Expression to check
+ * @returns {boolean}
+ */
+const isValid = (expression) => {
+  try {
+    parse(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  parse,
+  nextRun,
+  isValid
+};
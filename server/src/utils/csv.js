@@ -0,0 +1,115 @@
+// server/src/utils/csv.js
+
+/**
+ * Minimal CSV helpers for uploads and downloadable reports (RFC 4180 quoting)
+ */
+
+/**
+ * Parse CSV text into rows of values
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, blank lines excluded
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text into records keyed by the header row
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Records, one per non-empty data line
+ */
+const parseCsv = (text) => {
+  const [header = [], ...lines] = parseCsvRows(text);
+  const keys = header.map(key => key.trim());
+
+  return lines.map(line => keys.reduce((record, key, index) => {
+    record[key] = (line[index] || '').trim();
+    return record;
+  }, {}));
+};
+
+/**
+ * Escape a single CSV value
+ * Text starting with a formula character is prefixed so spreadsheets don't evaluate it
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped value
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize records to CSV text
+ * @param {Array<Object>} records - Records to serialize
+ * @param {Array<string>} columns - Column keys, in output order
+ * @returns {string} CSV text
+ */
+const toCsv = (records, columns) => {
+  const lines = [columns.join(',')];
+
+  records.forEach(record => {
+    lines.push(columns.map(column => escapeCsvValue(record[column])).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+  escapeCsvValue,
+  toCsv
+};
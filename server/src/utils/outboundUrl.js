@@ -0,0 +1,118 @@
+// server/src/utils/outboundUrl.js
+
+const dns = require('dns');
+const net = require('net');
+const AppError = require('./appError');
+const config = require('../config');
+
+/**
+ * Guards for requests to merchant-configured URLs (webhooks, C2B validation)
+ * A merchant must not be able to point the platform at its own network: loopback, private,
+ * link-local (including cloud metadata), carrier-grade NAT and other non-public addresses are
+ * refused. Host names are checked when they are resolved for the connection, so a name cannot
+ * resolve to a public address when checked and an internal one when used
+ */
+
+const INTERNAL_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => INTERNAL_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => INTERNAL_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is internal
+ */
+const isInternalAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return INTERNAL_RANGES.check(mapped[1], 'ipv4');
+  }
+
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+
+  return INTERNAL_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Check whether private addresses are allowed, e.g. for local development
+ * @returns {boolean}
+ */
+const allowsInternalAddresses = () => config.outbound.allowPrivateAddresses;
+
+/**
+ * Check that a URL is HTTP(S) and does not name an internal address literally
+ * Host names are checked at connection time by publicLookup
+ * @param {string} url - Merchant-configured URL
+ * @returns {URL} Parsed URL
+ * @throws {AppError} 400 when the URL is not allowed
+ */
+const assertPublicUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new AppError(`Invalid URL: ${url}`, 400);
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new AppError(`URL must use http or https: ${url}`, 400);
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isInternalAddress(host) && !allowsInternalAddresses()) {
+    throw new AppError(`URL points to an internal address: ${host}`, 400);
+  }
+
+  return parsed;
+};
+
+/**
+ * dns.lookup replacement for HTTP clients that refuses internal addresses
+ * @param {string} hostname - Host name to resolve
+ * @param {object} options - dns.lookup options
+ * @param {Function} callback - Called with (error, address, family) or (error, addresses) when options.all is set
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const internal = addresses.find(entry => isInternalAddress(entry.address));
+    if (internal && !allowsInternalAddresses()) {
+      return callback(new AppError(`${hostname} resolves to an internal address: ${internal.address}`, 400));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  isInternalAddress,
+  assertPublicUrl,
+  publicLookup
+};
@@ -0,0 +1,82 @@
+// server/src/utils/pdf.js
+
+/**
+ * Minimal single-page PDF writer for generated documents such as receipts
+ * Text uses the standard Helvetica fonts, so no font files are embedded;
+ * characters outside Latin-1 are replaced with '?'
+ */
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+/**
+ * Escape text for a PDF string literal
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text, Latin-1 only
+ */
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\xFF]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+/**
+ * Build the content stream of the page
+ * @param {Array<Object>} items - Page items
+ * @returns {string} Content stream operators
+ */
+const buildContent = (items) => items.map((item) => {
+  if (item.rule) {
+    const x = item.x || 50;
+    const width = item.width || PAGE_WIDTH - (2 * x);
+    return `0.8 G 0.5 w ${x} ${item.y} m ${x + width} ${item.y} l S 0 G`;
+  }
+
+  const font = item.bold ? 'F2' : 'F1';
+  return `BT /${font} ${item.size || 11} Tf ${item.x || 50} ${item.y} Td (${escapeText(item.text)}) Tj ET`;
+}).join('\n');
+
+/**
+ * Create a one-page PDF
+ * @param {Array<Object>} items - Text items ({ text, x, y, size, bold }) and rules ({ rule: true, y, x, width });
+ *   y is measured in points from the bottom of the page
+ * @param {Object} [info] - Document information
+ * @param {string} [info.title] - Document title
+ * @returns {Buffer} PDF file contents
+ */
+const createPdf = (items, info = {}) => {
+  const content = buildContent(items);
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    `<< /Title (${escapeText(info.title || '')}) /Producer (M-Pesa Integration Platform) >>`
+  ];
+
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(body, 'latin1');
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+  body += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  createPdf
+};
@@ -0,0 +1,73 @@
+// server/src/utils/phoneNumber.js
+
+/**
+ * Phone number helpers shared by the M-Pesa clients and validators
+ */
+
+/**
+ * Normalize a phone number to international format without the leading +
+ * @param {string} phoneNumber - Phone number in local or international format
+ * @param {Object} rules - Country phone rules
+ * @param {string} rules.dialCode - Country dial code (e.g. '254')
+ * @returns {string} Normalized phone number (e.g. '254712345678')
+ */
+const normalizePhoneNumber = (phoneNumber, rules) => {
+  let cleaned = String(phoneNumber).replace(/\D/g, '');
+
+  // Handle international dialling prefix (e.g. 00254...)
+  if (cleaned.startsWith('00')) {
+    cleaned = cleaned.substring(2);
+  }
+
+  if (cleaned.startsWith(rules.dialCode)) {
+    return cleaned;
+  }
+
+  if (cleaned.startsWith('0')) {
+    cleaned = cleaned.substring(1);
+  }
+
+  return `${rules.dialCode}${cleaned}`;
+};
+
+/**
+ * Check whether a phone number is valid for a country
+ * @param {string} phoneNumber - Phone number in local or international format
+ * @param {Object} rules - Country phone rules
+ * @param {string} rules.dialCode - Country dial code
+ * @param {RegExp} rules.nationalNumber - Pattern for the national significant number
+ * @returns {boolean} Whether the number is valid
+ */
+const isValidPhoneNumber = (phoneNumber, rules) => {
+  const normalized = normalizePhoneNumber(phoneNumber, rules);
+  return rules.nationalNumber.test(normalized.substring(rules.dialCode.length));
+};
+
+/**
+ * Format a phone number as E.164 (with the leading +)
+ * Numbers written in international form (+ or 00) keep their own country code;
+ * anything else is treated as a number of the rules' country
+ * @param {string} phoneNumber - Phone number in local or international format
+ * @param {Object} rules - Country phone rules
+ * @returns {string} E.164 phone number (e.g. '+254712345678')
+ */
+const toE164 = (phoneNumber, rules) => {
+  const raw = String(phoneNumber).trim();
+  const digits = raw.replace(/\D/g, '');
+
+  if (raw.startsWith('+')) {
+    return `+${digits}`;
+  }
+
+  if (digits.startsWith('00')) {
+    return `+${digits.substring(2)}`;
+  }
+
+  return `+${normalizePhoneNumber(raw, rules)}`;
+};
+
+module.exports = {
+  normalizePhoneNumber,
+  isValidPhoneNumber,
+  toE164
+};
@@ -0,0 +1,237 @@
+// server/src/utils/xlsx.js
+
+const zlib = require('zlib');
+const AppError = require('./appError');
+
+/**
+ * Minimal XLSX reader for uploaded spreadsheets
+ * Reads the cell values of one worksheet; styles, formulas and dates are not
+ * interpreted, so date cells come back as Excel serial numbers
+ */
+
+// Zip record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Stops a crafted file from inflating to an unbounded size
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decode the entities of XML text
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return XML_ENTITIES[entity] ?? match;
+});
+
+/**
+ * List the entries of a zip archive
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {Map<string, Object>} Entries by file name
+ */
+const readZipEntries = (buffer) => {
+  // The end record sits in the last 22 bytes plus an optional comment of up to 64KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+
+  if (end < 0) {
+    throw new AppError('Invalid XLSX file: not a zip archive', 400);
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new AppError('Invalid XLSX file: corrupt zip directory', 400);
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      headerOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Read one file of a zip archive as text
+ * @param {Buffer} buffer - Zip file contents
+ * @param {Map<string, Object>} entries - Entries from readZipEntries
+ * @param {string} name - File name
+ * @returns {string|null} File text, or null when the archive has no such file
+ */
+const readZipText = (buffer, entries, name) => {
+  const entry = entries.get(name);
+  if (!entry) {
+    return null;
+  }
+
+  const header = entry.headerOffset;
+  if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+    throw new AppError(`Invalid XLSX file: corrupt entry ${name}`, 400);
+  }
+
+  const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) {
+    return data.toString('utf8');
+  }
+  if (entry.method !== 8) {
+    throw new AppError(`Invalid XLSX file: unsupported compression in ${name}`, 400);
+  }
+  if (entry.size > MAX_ENTRY_BYTES) {
+    throw new AppError('XLSX file is too large', 400);
+  }
+
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES }).toString('utf8');
+  } catch (error) {
+    throw new AppError(`Invalid XLSX file: cannot inflate ${name}`, 400);
+  }
+};
+
+/**
+ * Read an attribute from an XML tag
+ * @param {string} tag - Opening tag text
+ * @param {string} name - Attribute name
+ * @returns {string|undefined} Decoded attribute value
+ */
+const getAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : undefined;
+};
+
+/**
+ * Join the text runs of a shared or inline string
+ * @param {string} xml - String item XML
+ * @returns {string} Text
+ */
+const readText = (xml) => {
+  // Phonetic runs repeat the text for East Asian input and are not part of the value
+  const withoutPhonetics = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  return [...withoutPhonetics.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>|<t\b[^>]*\/>/g)]
+    .map(match => decodeXml(match[1] || ''))
+    .join('');
+};
+
+/**
+ * Convert a column reference such as "AB" to a zero-based index
+ * @param {string} letters - Column letters
+ * @returns {number} Column index
+ */
+const columnIndex = (letters) => [...letters].reduce((index, letter) => (index * 26) + letter.charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Find the path of the first worksheet, following the workbook relationships
+ * @param {Buffer} buffer - Zip file contents
+ * @param {Map<string, Object>} entries - Zip entries
+ * @returns {string} Worksheet path inside the archive
+ */
+const findFirstSheet = (buffer, entries) => {
+  const workbook = readZipText(buffer, entries, 'xl/workbook.xml');
+  const rels = readZipText(buffer, entries, 'xl/_rels/workbook.xml.rels');
+
+  const sheetTag = workbook && workbook.match(/<sheet\b[^>]*>/);
+  if (sheetTag && rels) {
+    const relationId = getAttribute(sheetTag[0], 'r:id');
+    const relation = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+      .map(match => match[0])
+      .find(tag => getAttribute(tag, 'Id') === relationId);
+
+    if (relation) {
+      const target = getAttribute(relation, 'Target');
+      return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+    }
+  }
+
+  if (entries.has('xl/worksheets/sheet1.xml')) {
+    return 'xl/worksheets/sheet1.xml';
+  }
+
+  throw new AppError('Invalid XLSX file: no worksheet found', 400);
+};
+
+/**
+ * Read the rows of the first worksheet of an XLSX file
+ * @param {Buffer} buffer - XLSX file contents
+ * @returns {Array<Array<string>>} Rows of cell values as text, blank rows excluded
+ */
+const readFirstSheet = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+    throw new AppError('Invalid XLSX file: empty upload', 400);
+  }
+
+  const entries = readZipEntries(buffer);
+  const sheet = readZipText(buffer, entries, findFirstSheet(buffer, entries));
+  if (sheet === null) {
+    throw new AppError('Invalid XLSX file: worksheet missing', 400);
+  }
+
+  const sharedXml = readZipText(buffer, entries, 'xl/sharedStrings.xml') || '';
+  const sharedStrings = [...sharedXml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map(match => readText(match[1]));
+
+  const rows = [];
+
+  for (const rowMatch of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+
+    for (const cellMatch of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const tag = `<c${cellMatch[1]}>`;
+      const body = cellMatch[2] || '';
+      const reference = getAttribute(tag, 'r');
+      const index = reference ? columnIndex(reference.replace(/[0-9]/g, '')) : row.length;
+      const type = getAttribute(tag, 't');
+      const rawValue = body.match(/<v>([\s\S]*?)<\/v>/);
+
+      let value = '';
+      if (type === 'inlineStr') {
+        value = readText(body);
+      } else if (type === 's') {
+        value = sharedStrings[Number(rawValue && rawValue[1])] ?? '';
+      } else if (rawValue) {
+        value = decodeXml(rawValue[1]);
+      }
+
+      while (row.length < index) {
+        row.push('');
+      }
+      row[index] = value;
+    }
+
+    if (row.some(value => String(value).trim() !== '')) {
+      rows.push(row);
+    }
+  }
+
+  return rows;
+};
+
+module.exports = {
+  readFirstSheet
+};
@@ -0,0 +1,113 @@
+// server/tests/unit/middleware/idempotency.test.js
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { idempotent } = require('../../../src/middleware/idempotency');
+const IdempotencyKey = require('../../../src/models/idempotencyKey');
+const Transaction = require('../../../src/models/transaction');
+
+describe('Idempotency Middleware', () => {
+  const businessId = new mongoose.Types.ObjectId();
+  let records;
+  let handler;
+  let app;
+
+  beforeEach(() => {
+    // An in-memory stand-in for the idempotency key collection
+    records = new Map();
+    jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (data) => {
+      if (records.has(data.key)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      const record = { _id: new mongoose.Types.ObjectId(), ...data };
+      records.set(data.key, record);
+      return record;
+    });
+    jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async ({ key }) => records.get(key) || null);
+    jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async ({ _id }, { $set }) => {
+      const record = [...records.values()].find(entry => entry._id.equals(_id));
+      Object.assign(record, $set);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async ({ _id }) => {
+      const record = [...records.values()].find(entry => entry._id.equals(_id));
+      records.delete(record.key);
+      return { deletedCount: 1 };
+    });
+    jest.spyOn(Transaction, 'findOne');
+
+    handler = jest.fn();
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.business = { _id: businessId };
+      next();
+    });
+    app.post('/payments', idempotent, (req, res) => handler(req, res));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = () => request(app).post('/payments').set('Idempotency-Key', 'order-42').send({ amount: 100 });
+
+  /**
+   * Make Transaction.findOne(...).select() find a transaction or nothing
+   * @param {object|null} transaction - Transaction found
+   */
+  const transactionFound = (transaction) => {
+    Transaction.findOne.mockReturnValue({ select: async () => transaction });
+  };
+
+  it('should replay a successful response without running the handler again', async () => {
+    handler.mockImplementation((req, res) => res.status(202).json({ status: 'success', data: { id: 'T1' } }));
+
+    await send().expect(202);
+    const retry = await send().expect(202);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual({ status: 'success', data: { id: 'T1' } });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the key after a 5xx once the request created a transaction', async () => {
+    const transactionId = new mongoose.Types.ObjectId();
+    handler.mockImplementation((req, res) => {
+      expect(req.idempotencyKeyId).toEqual(records.get('order-42')._id);
+      res.status(504).json({ status: 'error', message: 'Provider timed out' });
+    });
+    transactionFound({ _id: transactionId });
+
+    await send().expect(504);
+    const retry = await send().expect(504);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(Transaction.findOne).toHaveBeenCalledWith({ idempotencyKey: records.get('order-42')._id });
+    expect(records.get('order-42')).toMatchObject({ status: 'completed', responseStatus: 504, transaction: transactionId });
+  });
+
+  it('should free the key after a 5xx when nothing was created', async () => {
+    handler
+      .mockImplementationOnce((req, res) => res.status(500).json({ status: 'error', message: 'Database unavailable' }))
+      .mockImplementationOnce((req, res) => res.status(202).json({ status: 'success' }));
+    transactionFound(null);
+
+    await send().expect(500);
+    const retry = await send().expect(202);
+
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse the key for a different body', async () => {
+    handler.mockImplementation((req, res) => res.status(202).json({ status: 'success' }));
+
+    await send().expect(202);
+    await request(app).post('/payments').set('Idempotency-Key', 'order-42').send({ amount: 5000 }).expect(409);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
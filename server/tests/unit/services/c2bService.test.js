@@ -0,0 +1,122 @@
+// server/tests/unit/services/c2bService.test.js
+const axios = require('axios');
+const mongoose = require('mongoose');
+const c2bService = require('../../../src/services/transactions/c2bService');
+const webhookService = require('../../../src/services/transactions/webhookService');
+const ledgerService = require('../../../src/services/ledger/ledgerService');
+const Transaction = require('../../../src/models/transaction');
+
+describe('C2B Service', () => {
+  const business = { _id: new mongoose.Types.ObjectId(), name: 'Test Shop' };
+  const confirmation = {
+    TransactionType: 'Pay Bill',
+    TransID: 'RKTQDM7W6S',
+    TransTime: '20261019120000',
+    TransAmount: '250.00',
+    BusinessShortCode: '600980',
+    BillRefNumber: 'INV-42',
+    MSISDN: '254712345678',
+    FirstName: 'Jane',
+    LastName: 'Doe'
+  };
+
+  const withRules = (c2bRules) => {
+    jest.spyOn(c2bService, 'findByShortCode').mockResolvedValue({
+      business,
+      integration: { shortCode: '600980', country: 'kenya', c2bRules }
+    });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('confirmPayment', () => {
+    beforeEach(() => {
+      withRules({});
+      jest.spyOn(ledgerService, 'recordTransaction').mockResolvedValue(true);
+      jest.spyOn(webhookService, 'notifyTransaction').mockResolvedValue();
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Transaction, 'create').mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+    });
+
+    it('should record a completed deposit, post it to the ledger and notify the merchant', async () => {
+      const transaction = await c2bService.confirmPayment(confirmation);
+
+      expect(Transaction.create).toHaveBeenCalledWith(expect.objectContaining({
+        business: business._id,
+        transactionType: 'deposit',
+        amount: 250,
+        currency: 'KES',
+        phoneNumber: '254712345678',
+        providerTransactionId: 'RKTQDM7W6S',
+        internalReference: 'C2B-RKTQDM7W6S',
+        status: 'completed',
+        metadata: expect.objectContaining({ channel: 'c2b', shortCode: '600980', billRefNumber: 'INV-42', payerName: 'Jane Doe' })
+      }));
+      expect(ledgerService.recordTransaction).toHaveBeenCalledWith(transaction);
+      expect(webhookService.notifyTransaction).toHaveBeenCalledWith(transaction);
+    });
+
+    it('should not store a masked MSISDN as the phone number', async () => {
+      await c2bService.confirmPayment({ ...confirmation, MSISDN: '2547 ***** 678' });
+
+      expect(Transaction.create.mock.calls[0][0].phoneNumber).toBeUndefined();
+      expect(Transaction.create.mock.calls[0][0].metadata.msisdn).toBe('2547 ***** 678');
+    });
+
+    it('should return the first record for a redelivered confirmation', async () => {
+      const existing = { _id: new mongoose.Types.ObjectId(), providerTransactionId: 'RKTQDM7W6S' };
+      Transaction.findOne.mockResolvedValue(existing);
+
+      await expect(c2bService.confirmPayment(confirmation)).resolves.toBe(existing);
+      expect(Transaction.create).not.toHaveBeenCalled();
+      expect(ledgerService.recordTransaction).not.toHaveBeenCalled();
+      expect(webhookService.notifyTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should return the concurrent record when the insert hits the unique reference', async () => {
+      const concurrent = { _id: new mongoose.Types.ObjectId() };
+      Transaction.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(concurrent);
+      Transaction.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      await expect(c2bService.confirmPayment(confirmation)).resolves.toBe(concurrent);
+      expect(ledgerService.recordTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject confirmations for an unknown shortcode', async () => {
+      c2bService.findByShortCode.mockResolvedValue(null);
+
+      await expect(c2bService.confirmPayment(confirmation)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('validatePayment', () => {
+    it('should reject amounts and account numbers outside the merchant rules', async () => {
+      withRules({ minAmount: 100, maxAmount: 1000, accountNumberPatterns: ['^INV-\\d+$'] });
+
+      await expect(c2bService.validatePayment({ ...confirmation, TransAmount: '50' }))
+        .resolves.toEqual({ ResultCode: 'C2B00013', ResultDesc: 'Rejected' });
+      await expect(c2bService.validatePayment({ ...confirmation, BillRefNumber: 'X1' }))
+        .resolves.toEqual({ ResultCode: 'C2B00012', ResultDesc: 'Rejected' });
+      await expect(c2bService.validatePayment(confirmation))
+        .resolves.toEqual({ ResultCode: '0', ResultDesc: 'Accepted' });
+    });
+
+    it('should pass the merchant validation URL answer through', async () => {
+      withRules({ validationUrl: 'https://merchant.example.com/validate' });
+      jest.spyOn(axios, 'post').mockResolvedValue({ data: { ResultCode: 'C2B00014' } });
+
+      await expect(c2bService.validatePayment(confirmation)).resolves.toEqual({ ResultCode: 'C2B00014', ResultDesc: 'Rejected' });
+      expect(axios.post.mock.calls[0][2]).toMatchObject({ maxRedirects: 0 });
+    });
+
+    it('should not call a validation URL on an internal address and fall back to the configured action', async () => {
+      withRules({ validationUrl: 'http://10.0.0.5/validate', onValidationTimeout: 'reject' });
+      jest.spyOn(axios, 'post');
+
+      await expect(c2bService.validatePayment(confirmation)).resolves.toEqual({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+});
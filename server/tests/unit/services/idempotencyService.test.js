@@ -0,0 +1,96 @@
+// server/tests/unit/services/idempotencyService.test.js
+const mongoose = require('mongoose');
+const idempotencyService = require('../../../src/services/transactions/idempotencyService');
+const IdempotencyKey = require('../../../src/models/idempotencyKey');
+const Transaction = require('../../../src/models/transaction');
+
+describe('Idempotency Service', () => {
+  const businessId = new mongoose.Types.ObjectId();
+  const request = {
+    method: 'POST',
+    path: '/api/v1/transactions/payment',
+    requestHash: idempotencyService.fingerprint({ method: 'POST', path: '/api/v1/transactions/payment', body: '{"amount":100}' })
+  };
+  const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  const stored = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    requestHash: request.requestHash,
+    status: 'processing',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should claim a key used for the first time', async () => {
+    const record = stored();
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValue(record);
+
+    await expect(idempotencyService.begin(businessId, 'key-1', request)).resolves.toEqual({ record, replay: false });
+    expect(IdempotencyKey.create).toHaveBeenCalledWith(expect.objectContaining({
+      business: businessId,
+      key: 'key-1',
+      requestHash: request.requestHash,
+      status: 'processing'
+    }));
+  });
+
+  it('should replay the stored response of a completed request', async () => {
+    const record = stored({ status: 'completed', responseStatus: 201, responseBody: '{"status":"success"}' });
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(record);
+
+    await expect(idempotencyService.begin(businessId, 'key-1', request)).resolves.toEqual({ record, replay: true });
+  });
+
+  it('should refuse the key for a different request', async () => {
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(stored({ status: 'completed', requestHash: 'other' }));
+
+    await expect(idempotencyService.begin(businessId, 'key-1', request)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Idempotency-Key has already been used for a different request'
+    });
+  });
+
+  it('should refuse the key while the first request is still running', async () => {
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(stored({ lockedUntil: new Date(Date.now() + 60 * 1000) }));
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(idempotencyService.begin(businessId, 'key-1', request)).rejects.toMatchObject({ statusCode: 409 });
+    expect(IdempotencyKey.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'processing', lockedUntil: { $lte: expect.any(Date) } }),
+      expect.anything(),
+      { new: true }
+    );
+  });
+
+  it('should take over a key whose lock ran out', async () => {
+    const record = stored();
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(stored({ lockedUntil: new Date(Date.now() - 1000) }));
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(record);
+    jest.spyOn(Transaction, 'exists').mockResolvedValue(null);
+
+    await expect(idempotencyService.begin(businessId, 'key-1', request)).resolves.toEqual({ record, replay: false });
+  });
+
+  it('should not take over a key whose request created a transaction', async () => {
+    jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(stored({ lockedUntil: new Date(Date.now() - 1000) }));
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate');
+    jest.spyOn(Transaction, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    await expect(idempotencyService.begin(businessId, 'key-1', request)).rejects.toMatchObject({ statusCode: 409 });
+    expect(IdempotencyKey.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should reject malformed keys', () => {
+    expect(() => idempotencyService.assertValidKey('has space')).toThrow('Idempotency-Key must be');
+    expect(() => idempotencyService.assertValidKey('a'.repeat(256))).toThrow();
+    expect(() => idempotencyService.assertValidKey('order-42')).not.toThrow();
+  });
+});
@@ -0,0 +1,166 @@
+// server/tests/unit/services/ledgerService.test.js
+const mongoose = require('mongoose');
+const ledgerService = require('../../../src/services/ledger/ledgerService');
+const JournalEntry = require('../../../src/models/journalEntry');
+const LedgerAccount = require('../../../src/models/ledgerAccount');
+
+const { ACCOUNT_TYPES } = LedgerAccount;
+
+/**
+ * Sum an entry's lines per direction
+ * @param {Array<object>} lines - Journal lines
+ * @returns {object} - { debit, credit } in minor units
+ */
+const totals = (lines) => lines.reduce((acc, entryLine) => {
+  acc[entryLine.direction] += entryLine.amountMinor;
+  return acc;
+}, { debit: 0, credit: 0 });
+
+describe('Ledger Service', () => {
+  const transaction = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    business: new mongoose.Types.ObjectId(),
+    currency: 'KES',
+    transactionId: 'TX1',
+    amount: 1000.5,
+    fee: 12.25,
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getTransactionEntries', () => {
+    it('should post a balanced entry for a completed collection', async () => {
+      const [entry] = await ledgerService.getTransactionEntries(transaction({ transactionType: 'payment', status: 'completed' }));
+
+      expect(entry.event).toBe('collection.settled');
+      expect(totals(entry.lines)).toEqual({ debit: 100050, credit: 100050 });
+      expect(entry.lines).toContainEqual({ accountType: 'fees', direction: 'credit', amountMinor: 1225 });
+    });
+
+    it('should post nothing for a collection that has not completed', async () => {
+      await expect(ledgerService.getTransactionEntries(transaction({ transactionType: 'payment', status: 'pending' })))
+        .resolves.toEqual([]);
+    });
+
+    it('should reserve, settle and release payouts with balanced entries', async () => {
+      const exists = jest.spyOn(JournalEntry, 'exists').mockResolvedValue(null);
+      const [reserved] = await ledgerService.getTransactionEntries(transaction({ transactionType: 'payout', status: 'pending' }));
+
+      exists.mockResolvedValue({ _id: 'reserve' });
+      const [settled] = await ledgerService.getTransactionEntries(transaction({ transactionType: 'payout', status: 'completed' }));
+      const [released] = await ledgerService.getTransactionEntries(transaction({ transactionType: 'payout', status: 'failed' }));
+
+      expect(reserved.event).toBe('payout.reserved');
+      expect(settled.event).toBe('payout.settled');
+      expect(released.event).toBe('payout.released');
+      for (const entry of [reserved, settled, released]) {
+        const { debit, credit } = totals(entry.lines);
+        expect(debit).toBe(101275);
+        expect(credit).toBe(debit);
+      }
+      expect(settled.lines[0]).toEqual({ accountType: 'reserved', direction: 'debit', amountMinor: 101275 });
+    });
+  });
+
+  describe('JournalEntry', () => {
+    const entryData = (lines) => ({
+      business: new mongoose.Types.ObjectId(),
+      currency: 'KES',
+      key: 'TX1:collection.settled',
+      event: 'collection.settled',
+      lines: lines.map(entryLine => ({ account: new mongoose.Types.ObjectId(), ...entryLine }))
+    });
+
+    it('should accept balanced lines', () => {
+      const entry = new JournalEntry(entryData([
+        { accountType: 'provider', direction: 'debit', amountMinor: 500 },
+        { accountType: 'available', direction: 'credit', amountMinor: 450 },
+        { accountType: 'fees', direction: 'credit', amountMinor: 50 }
+      ]));
+
+      expect(entry.validateSync()).toBeUndefined();
+    });
+
+    it('should reject unbalanced lines', () => {
+      const entry = new JournalEntry(entryData([
+        { accountType: 'provider', direction: 'debit', amountMinor: 500 },
+        { accountType: 'available', direction: 'credit', amountMinor: 499 }
+      ]));
+
+      expect(entry.validateSync().message).toContain('Journal entry debits and credits must balance');
+    });
+  });
+
+  describe('postEntry', () => {
+    const business = new mongoose.Types.ObjectId();
+    const accounts = {};
+    let session;
+
+    beforeEach(() => {
+      for (const type of Object.keys(ACCOUNT_TYPES)) {
+        accounts[type] = { _id: new mongoose.Types.ObjectId(), type };
+      }
+      session = { withTransaction: jest.fn(fn => fn()), endSession: jest.fn() };
+
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      jest.spyOn(JournalEntry, 'findOne').mockResolvedValue(null);
+      jest.spyOn(JournalEntry, 'create').mockImplementation(async ([data]) => [data]);
+      jest.spyOn(ledgerService, 'getAccount').mockImplementation(async (businessId, currency, type) => accounts[type]);
+    });
+
+    const payoutReserve = () => ({
+      business,
+      currency: 'KES',
+      key: 'TX1:payout.reserved',
+      event: 'payout.reserved',
+      lines: [
+        { accountType: 'available', direction: 'debit', amountMinor: 1000 },
+        { accountType: 'reserved', direction: 'credit', amountMinor: 1000 }
+      ]
+    });
+
+    it('should write the entry and both balances in one transaction', async () => {
+      const updateOne = jest.spyOn(LedgerAccount, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+      const { entry, created } = await ledgerService.postEntry(payoutReserve(), { requireFunds: true });
+
+      expect(created).toBe(true);
+      expect(entry.lines.map(entryLine => entryLine.account)).toEqual([accounts.available._id, accounts.reserved._id]);
+      expect(session.withTransaction).toHaveBeenCalledTimes(1);
+      expect(JournalEntry.create).toHaveBeenCalledWith(expect.any(Array), { session });
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: accounts.available._id, balanceMinor: { $gte: 1000 } },
+        { $inc: { balanceMinor: -1000 } },
+        { session }
+      );
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: accounts.reserved._id },
+        { $inc: { balanceMinor: 1000 } },
+        { session }
+      );
+      expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it('should refuse a debit the available balance does not cover', async () => {
+      jest.spyOn(LedgerAccount, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+      jest.spyOn(LedgerAccount, 'findById').mockReturnValue({ session: async () => ({ balanceMinor: 250 }) });
+
+      await expect(ledgerService.postEntry(payoutReserve(), { requireFunds: true })).rejects.toMatchObject({
+        statusCode: 400,
+        message: expect.stringContaining('Insufficient available balance: 2.5 KES available')
+      });
+      expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it('should return the existing entry when the key was already posted', async () => {
+      const existing = { key: 'TX1:payout.reserved' };
+      JournalEntry.findOne.mockResolvedValue(existing);
+
+      await expect(ledgerService.postEntry(payoutReserve())).resolves.toEqual({ entry: existing, created: false });
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,161 @@
+// server/tests/unit/services/mpesaKenyaClient.test.js
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MpesaKenyaClient = require('../../../src/services/mpesa/mpesaKenyaClient');
+const config = require('../../../src/config');
+
+/**
+ * Recover the password from a Daraja security credential (RSA PKCS#1 v1.5)
+ * @param {string} credential - Base64 security credential
+ * @param {KeyObject} privateKey - Private key of the test certificate
+ * @returns {string} - Initiator password
+ */
+const openCredential = (credential, privateKey) => {
+  const padded = crypto.privateDecrypt(
+    { key: privateKey, padding: crypto.constants.RSA_NO_PADDING },
+    Buffer.from(credential, 'base64')
+  );
+  return padded.subarray(padded.indexOf(0, 2) + 1).toString();
+};
+
+describe('M-Pesa Kenya Client', () => {
+  const certificatePaths = { ...config.mpesa.kenya.certificatePaths };
+  let directory;
+  let privateKey;
+
+  const createClient = (options = {}) => {
+    const client = new MpesaKenyaClient({
+      environment: 'sandbox',
+      consumerKey: 'key',
+      consumerSecret: 'secret',
+      shortCode: '600980',
+      initiatorName: 'apiop37',
+      initiatorPassword: 'Safaricom999!*!',
+      resultUrl: 'https://platform.example.com/api/v1/webhooks/mpesa/b2c/result',
+      timeoutUrl: 'https://platform.example.com/api/v1/webhooks/mpesa/b2c/timeout',
+      ...options
+    });
+
+    jest.spyOn(client, 'authenticate').mockResolvedValue('access-token');
+    jest.spyOn(client.axios, 'post').mockResolvedValue({
+      data: { ResponseCode: '0', ConversationID: 'AG_20261019_1', OriginatorConversationID: '1234-5678' }
+    });
+    return client;
+  };
+
+  beforeAll(() => {
+    const keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    privateKey = keys.privateKey;
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'daraja-'));
+    config.mpesa.kenya.certificatePaths.sandbox = path.join(directory, 'sandbox.cer');
+    fs.writeFileSync(config.mpesa.kenya.certificatePaths.sandbox, keys.publicKey.export({ type: 'spki', format: 'pem' }));
+  });
+
+  afterAll(() => {
+    Object.assign(config.mpesa.kenya.certificatePaths, certificatePaths);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('disburse', () => {
+    it('should send a B2C request with the password encrypted by the configured certificate', async () => {
+      const client = createClient();
+
+      const result = await client.disburse({ phoneNumber: '0712345678', amount: 1500, commandId: 'SalaryPayment', remarks: 'May salary' });
+
+      expect(result).toMatchObject({ provider: 'mpesa', status: 'processing', reference: 'AG_20261019_1' });
+      const [url, payload, options] = client.axios.post.mock.calls[0];
+      expect(url).toBe('/mpesa/b2c/v1/paymentrequest');
+      expect(options.headers.Authorization).toBe('Bearer access-token');
+      expect(payload).toMatchObject({
+        InitiatorName: 'apiop37',
+        CommandID: 'SalaryPayment',
+        Amount: 1500,
+        PartyA: '600980',
+        PartyB: '254712345678',
+        Remarks: 'May salary',
+        ResultURL: 'https://platform.example.com/api/v1/webhooks/mpesa/b2c/result',
+        QueueTimeOutURL: 'https://platform.example.com/api/v1/webhooks/mpesa/b2c/timeout'
+      });
+      expect(openCredential(payload.SecurityCredential, privateKey)).toBe('Safaricom999!*!');
+    });
+
+    it('should use a ready-made security credential without a certificate', async () => {
+      const client = createClient({ environment: 'production', initiatorPassword: undefined, securityCredential: 'PRECOMPUTED==' });
+
+      await client.disburse({ phoneNumber: '254712345678', amount: 10 });
+
+      expect(client.axios.post.mock.calls[0][1].SecurityCredential).toBe('PRECOMPUTED==');
+    });
+
+    it('should fail with a configuration error when no certificate is configured', async () => {
+      const client = createClient({ environment: 'production' });
+
+      await expect(client.disburse({ phoneNumber: '0712345678', amount: 10 })).rejects.toMatchObject({
+        statusCode: 500,
+        message: expect.stringContaining('MPESA_KE_PRODUCTION_CERT_PATH')
+      });
+      expect(client.axios.post).not.toHaveBeenCalled();
+    });
+
+    it('should report a rejected request as failed', async () => {
+      const client = createClient();
+      client.axios.post.mockResolvedValue({ data: { ResponseCode: '1', ResponseDescription: 'Rejected' } });
+
+      await expect(client.disburse({ phoneNumber: '0712345678', amount: 10 })).resolves.toMatchObject({ status: 'failed' });
+    });
+  });
+
+  describe('initiateB2BPayment', () => {
+    it('should send a paybill payment with the encrypted credential', async () => {
+      const client = createClient();
+
+      const response = await client.initiateB2BPayment({
+        receiverShortCode: '000000',
+        amount: 2500,
+        commandId: 'BusinessPayBill',
+        accountReference: 'INV-001',
+        requester: '0712345678'
+      });
+
+      expect(response.ConversationID).toBe('AG_20261019_1');
+      const [url, payload] = client.axios.post.mock.calls[0];
+      expect(url).toBe('/mpesa/b2b/v1/paymentrequest');
+      expect(payload).toMatchObject({
+        Initiator: 'apiop37',
+        CommandID: 'BusinessPayBill',
+        SenderIdentifierType: '4',
+        RecieverIdentifierType: '4',
+        Amount: 2500,
+        PartyA: '600980',
+        PartyB: '000000',
+        AccountReference: 'INV-001',
+        Requester: '254712345678',
+        ResultURL: 'https://platform.example.com/api/v1/webhooks/mpesa/b2c/result'
+      });
+      expect(openCredential(payload.SecurityCredential, privateKey)).toBe('Safaricom999!*!');
+    });
+
+    it('should pay a till without an account reference', async () => {
+      const client = createClient({ initiatorPassword: undefined, securityCredential: 'PRECOMPUTED==' });
+
+      await client.initiateB2BPayment({ receiverShortCode: '174379', amount: 100, commandId: 'BusinessBuyGoods' });
+
+      const payload = client.axios.post.mock.calls[0][1];
+      expect(payload).toMatchObject({ CommandID: 'BusinessBuyGoods', PartyB: '174379', AccountReference: '', SecurityCredential: 'PRECOMPUTED==' });
+      expect(payload).not.toHaveProperty('Requester');
+    });
+
+    it('should refuse a non-positive amount before calling Daraja', async () => {
+      const client = createClient();
+
+      await expect(client.initiateB2BPayment({ receiverShortCode: '174379', amount: 0 })).rejects.toMatchObject({ statusCode: 400 });
+      expect(client.axios.post).not.toHaveBeenCalled();
+    });
+  });
+});
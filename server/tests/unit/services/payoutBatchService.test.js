@@ -0,0 +1,129 @@
+// server/tests/unit/services/payoutBatchService.test.js
+const mongoose = require('mongoose');
+const payoutBatchService = require('../../../src/services/transactions/payoutBatchService');
+const transactionService = require('../../../src/services/transactions/transactionService');
+const PayoutBatch = require('../../../src/models/payoutBatch');
+const Transaction = require('../../../src/models/transaction');
+
+describe('Payout Batch Service', () => {
+  const defaults = { country: 'kenya', provider: 'mpesa', commandId: 'BusinessPayment' };
+
+  describe('parseRows', () => {
+    it('should map CSV columns case-insensitively and drop unknown ones', () => {
+      const rows = payoutBatchService.parseRows(
+        'PhoneNumber,AMOUNT,Reference,Remarks,Extra\n0712345678,100,R1,May salary,x\n',
+        'csv'
+      );
+
+      expect(rows).toEqual([{ phoneNumber: '0712345678', amount: '100', reference: 'R1', remarks: 'May salary' }]);
+    });
+
+    it('should reject an empty CSV body', () => {
+      expect(() => payoutBatchService.parseRows('  ', 'csv')).toThrow('CSV body is empty');
+    });
+
+    it('should accept a JSON array or an object with rows', () => {
+      const rows = [{ phoneNumber: '0712345678', amount: 100 }];
+
+      expect(payoutBatchService.parseRows(rows, 'json')).toBe(rows);
+      expect(payoutBatchService.parseRows({ rows }, 'json')).toBe(rows);
+      expect(() => payoutBatchService.parseRows({}, 'json')).toThrow();
+    });
+  });
+
+  describe('validateRows', () => {
+    it('should accept valid rows and derive missing references', () => {
+      const { rows, errors } = payoutBatchService.validateRows(
+        [{ phoneNumber: '0712345678', amount: '100' }, { phoneNumber: '0722000000', amount: 250, reference: 'R2' }],
+        defaults,
+        'BATCH'
+      );
+
+      expect(errors).toEqual([]);
+      expect(rows.map(row => row.reference)).toEqual(['PBBATCH-1', 'R2']);
+      expect(rows.map(row => row.row)).toEqual([1, 2]);
+    });
+
+    it('should report every invalid row, not just the first', () => {
+      const { rows, errors } = payoutBatchService.validateRows([
+        { phoneNumber: '0712345678', amount: 100, reference: 'R1' },
+        { phoneNumber: '12', amount: 100 },
+        { phoneNumber: '0712345678', amount: -5 },
+        { phoneNumber: '0722000000', amount: 100, reference: 'R1' }
+      ], defaults, 'BATCH');
+
+      expect(rows).toHaveLength(1);
+      expect(errors.map(error => error.row)).toEqual([2, 3, 4]);
+      expect(errors[0].errors.join(' ')).toMatch(/not a valid/);
+      expect(errors[1].errors.join(' ')).toMatch(/positive number/);
+      expect(errors[2].errors).toEqual(['Duplicate reference "R1"']);
+    });
+  });
+
+  describe('recoverRow', () => {
+    const batch = { _id: new mongoose.Types.ObjectId(), business: new mongoose.Types.ObjectId() };
+    const row = { row: 3, status: 'submitting' };
+
+    const payout = (status) => new Transaction({
+      business: batch.business,
+      transactionType: 'withdrawal',
+      paymentProvider: 'mpesa',
+      amount: 100,
+      currency: 'KES',
+      country: 'kenya',
+      phoneNumber: '254712345678',
+      status,
+      mpesaReference: status === 'initiated' ? undefined : 'AG_1',
+      metadata: { batchId: String(batch._id), batchRow: 3 }
+    });
+
+    beforeEach(() => {
+      jest.spyOn(PayoutBatch, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(transactionService, 'saveTransaction').mockImplementation(async (doc) => doc);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should fail a payout interrupted before submission so its hold is released', async () => {
+      const initiated = payout('initiated');
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(initiated);
+
+      await payoutBatchService.recoverRow(batch, row, 2);
+
+      expect(initiated.status).toBe('failed');
+      expect(transactionService.saveTransaction).toHaveBeenCalledWith(initiated);
+      expect(PayoutBatch.updateOne).toHaveBeenCalledWith(
+        { _id: batch._id, 'rows.2.status': 'submitting' },
+        { $set: expect.objectContaining({
+          'rows.2.status': 'failed',
+          'rows.2.transaction': initiated._id,
+          'rows.2.error': 'Interrupted before it was submitted to the provider'
+        }) }
+      );
+    });
+
+    it('should leave a submitted payout to its callback', async () => {
+      const processing = payout('processing');
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(processing);
+
+      await payoutBatchService.recoverRow(batch, row, 2);
+
+      expect(transactionService.saveTransaction).not.toHaveBeenCalled();
+      expect(PayoutBatch.updateOne.mock.calls[0][1].$set).toEqual({
+        'rows.2.status': 'processing',
+        'rows.2.transaction': processing._id,
+        'rows.2.providerReference': 'AG_1'
+      });
+    });
+
+    it('should queue a row again when no transaction was created', async () => {
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+
+      await payoutBatchService.recoverRow(batch, row, 2);
+
+      expect(PayoutBatch.updateOne.mock.calls[0][1]).toEqual({ $set: { 'rows.2.status': 'queued' } });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// server/tests/unit/services/requestSignatureService.test.js
+const requestSignatureService = require('../../../src/services/auth/requestSignatureService');
+const Business = require('../../../src/models/business');
+const RequestNonce = require('../../../src/models/requestNonce');
+
+describe('Request Signature Service', () => {
+  let apiKey;
+  let apiSecret;
+
+  const signedRequest = ({ secret = apiSecret, timestamp = Math.floor(Date.now() / 1000), nonce = 'nonce-0123456789abcdef' } = {}) => {
+    const parts = { method: 'POST', path: '/api/v1/transactions/payout', timestamp: String(timestamp), nonce, body: '{"amount":100}' };
+
+    return {
+      method: parts.method,
+      originalUrl: parts.path,
+      rawBody: Buffer.from(parts.body),
+      headers: {
+        'x-timestamp': parts.timestamp,
+        'x-nonce': nonce,
+        'x-signature': requestSignatureService.sign(parts, secret)
+      }
+    };
+  };
+
+  beforeEach(() => {
+    const business = new Business({ name: 'Test Shop' });
+    const generated = business.generateApiKey('Server');
+    apiKey = business.apiKeys.id(generated.id);
+    apiSecret = generated.apiSecret;
+
+    jest.spyOn(RequestNonce, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should accept a request signed with the API secret and record its nonce', async () => {
+    await expect(requestSignatureService.verify(signedRequest(), apiKey)).resolves.toBeUndefined();
+
+    expect(RequestNonce.create).toHaveBeenCalledWith(expect.objectContaining({
+      apiKey: apiKey._id,
+      nonce: 'nonce-0123456789abcdef'
+    }));
+  });
+
+  it('should reject a signature over a different body', async () => {
+    const req = signedRequest();
+    req.rawBody = Buffer.from('{"amount":100000}');
+
+    await expect(requestSignatureService.verify(req, apiKey)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Invalid request signature'
+    });
+    expect(RequestNonce.create).not.toHaveBeenCalled();
+  });
+
+  it('should reject a request signed with the stored copy of the key', async () => {
+    await expect(requestSignatureService.verify(signedRequest({ secret: apiKey.secret }), apiKey)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Invalid request signature'
+    });
+  });
+
+  it('should reject a timestamp outside the tolerance', async () => {
+    const req = signedRequest({ timestamp: Math.floor(Date.now() / 1000) - 60 * 60 });
+
+    await expect(requestSignatureService.verify(req, apiKey)).rejects.toMatchObject({ statusCode: 401 });
+    expect(RequestNonce.create).not.toHaveBeenCalled();
+  });
+
+  it('should reject a malformed nonce', async () => {
+    await expect(requestSignatureService.verify(signedRequest({ nonce: 'short' }), apiKey)).rejects.toMatchObject({
+      statusCode: 401
+    });
+  });
+
+  it('should reject a replayed nonce', async () => {
+    RequestNonce.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(requestSignatureService.verify(signedRequest(), apiKey)).rejects.toMatchObject({
+      statusCode: 401,
+      message: expect.stringContaining('nonce reused')
+    });
+  });
+
+  it('should not store the signing key in the clear', () => {
+    expect(apiKey.secret).not.toContain(Business.hashApiSecret(apiSecret));
+    expect(Business.openApiSigningKey(apiKey.secret)).toBe(Business.hashApiSecret(apiSecret));
+  });
+});
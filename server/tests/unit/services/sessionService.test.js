@@ -0,0 +1,69 @@
+// server/tests/unit/services/sessionService.test.js
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const sessionService = require('../../../src/services/auth/sessionService');
+const { TokenService } = require('../../../src/services/auth/tokenService');
+const Session = require('../../../src/models/session');
+const User = require('../../../src/models/user.model');
+
+describe('Session Service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const sessionId = new mongoose.Types.ObjectId();
+  const req = { ip: '203.0.113.7', get: () => 'jest' };
+  let refreshToken;
+
+  beforeEach(() => {
+    refreshToken = TokenService.generateRefreshToken(String(userId), { sessionId: String(sessionId), tokenId: 'token-1' });
+
+    jest.spyOn(Session, 'findById').mockResolvedValue({ _id: sessionId, user: userId, tokenId: 'token-1', revokedAt: null });
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId });
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should rotate the refresh token of the session', async () => {
+    const rotated = { _id: sessionId, user: userId };
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(rotated);
+
+    const result = await sessionService.refresh(refreshToken, req);
+
+    expect(result.session).toBe(rotated);
+    expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: sessionId, tokenId: 'token-1', revokedAt: null },
+      { $set: expect.objectContaining({ tokenId: jwt.decode(result.refreshToken).jti }) },
+      { new: true }
+    );
+    expect(jwt.decode(result.refreshToken).jti).not.toBe('token-1');
+    expect(Session.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should revoke the session when a replaced refresh token is used again', async () => {
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(sessionService.refresh(refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date), revokedReason: 'token_reuse' } }
+    );
+  });
+
+  it('should refuse refresh tokens of a revoked session', async () => {
+    Session.findById.mockResolvedValue({ _id: sessionId, user: userId, revokedAt: new Date() });
+    jest.spyOn(Session, 'findOneAndUpdate');
+
+    await expect(sessionService.refresh(refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a token that is not a refresh token', async () => {
+    const accessToken = TokenService.generateAccessToken(String(userId), { sessionId: String(sessionId) });
+
+    await expect(sessionService.refresh(accessToken, req)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Invalid or expired refresh token'
+    });
+  });
+});
@@ -0,0 +1,75 @@
+// server/tests/unit/services/smsService.test.js
+const SMSNotificationService = require('../../../src/services/notifications/smsService');
+const { FakeSmsAdapter } = require('../../../src/services/notifications/sms');
+
+describe('SMS Notification Service', () => {
+  const sendWith = (adapter, payload) =>
+    new SMSNotificationService({ smsClient: adapter, recordMessages: false }).send(payload);
+
+  beforeEach(() => {
+    FakeSmsAdapter.reset();
+  });
+
+  describe('recipient normalization', () => {
+    it('should give local numbers the default country dial code', async () => {
+      await sendWith(new FakeSmsAdapter(), { to: '0712345678', message: 'Hello' });
+
+      expect(FakeSmsAdapter.outbox[0].to).toBe('+254712345678');
+    });
+
+    it('should use the dial code of the given country', async () => {
+      await sendWith(new FakeSmsAdapter(), { to: '0712345678', message: 'Hello', country: 'uganda' });
+
+      expect(FakeSmsAdapter.outbox[0].to).toBe('+256712345678');
+    });
+
+    it('should keep the country code of international numbers', async () => {
+      await sendWith(new FakeSmsAdapter(), { to: '00255712345678', message: 'Hello' });
+      await sendWith(new FakeSmsAdapter(), { to: '+250 788 123 456', message: 'Hello' });
+
+      expect(FakeSmsAdapter.outbox.map(message => message.to)).toEqual(['+255712345678', '+250788123456']);
+    });
+
+    it('should reject numbers that cannot be E.164', async () => {
+      await expect(sendWith(new FakeSmsAdapter(), { to: '12', message: 'Hello' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(FakeSmsAdapter.outbox).toHaveLength(0);
+    });
+  });
+
+  describe('message splitting', () => {
+    it('should send long messages whole to providers that concatenate', async () => {
+      const message = 'a'.repeat(300);
+      const result = await sendWith(new FakeSmsAdapter(), { to: '0712345678', message });
+
+      expect(result.parts).toBe(1);
+      expect(FakeSmsAdapter.outbox[0].message).toBe(message);
+    });
+
+    it('should split GSM-7 messages into single SMS for providers that do not concatenate', async () => {
+      const message = 'word '.repeat(70).trim();
+      const result = await sendWith(new FakeSmsAdapter({ concatenation: false }), { to: '0712345678', message });
+
+      const parts = FakeSmsAdapter.messagesTo('+254712345678').map(sent => sent.message);
+      expect(result.parts).toBe(parts.length);
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach(part => expect(part.length).toBeLessThanOrEqual(160));
+      expect(parts.join(' ').replace(/\s+/g, ' ')).toBe(message);
+    });
+
+    it('should split UCS-2 messages at 70 characters', async () => {
+      const message = 'Malipo yamepokelewa ✓ '.repeat(8);
+      await sendWith(new FakeSmsAdapter({ concatenation: false }), { to: '0712345678', message });
+
+      const parts = FakeSmsAdapter.outbox.map(sent => sent.message);
+      expect(parts.length).toBeGreaterThan(1);
+      parts.forEach(part => expect(part.length).toBeLessThanOrEqual(70));
+    });
+
+    it('should reject messages longer than the segment limit', async () => {
+      await expect(sendWith(new FakeSmsAdapter(), { to: '0712345678', message: 'a'.repeat(5000) }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(FakeSmsAdapter.outbox).toHaveLength(0);
+    });
+  });
+});
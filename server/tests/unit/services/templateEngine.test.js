@@ -0,0 +1,48 @@
+// server/tests/unit/services/templateEngine.test.js
+const { render, escapeHtml, listVariables } = require('../../../src/services/notifications/templateEngine');
+
+describe('Template Engine', () => {
+  it('should escape values rendered into HTML', () => {
+    const html = render('<p>Paid by {{customer.name}}</p>', {
+      customer: { name: '<script>alert("x")</script> & \'co\'' }
+    }, { html: true });
+
+    expect(html).toBe('<p>Paid by &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;co&#39;</p>');
+  });
+
+  it('should leave plain text values unescaped', () => {
+    expect(render('Paid by {{name}}', { name: 'Tom & Jerry <Ltd>' })).toBe('Paid by Tom & Jerry <Ltd>');
+  });
+
+  it('should not expand template tags found in values', () => {
+    const output = render('Hello {{name}}', { name: '{{secret}}', secret: 'leaked' }, { html: true });
+
+    expect(output).toBe('Hello {{secret}}');
+  });
+
+  it('should escape values inside sections', () => {
+    const output = render('{{#receipt}}Receipt {{receipt.number}}{{/receipt}}{{^receipt}}None{{/receipt}}', {
+      receipt: { number: '<b>QH7</b>' }
+    }, { html: true });
+
+    expect(output).toBe('Receipt &lt;b&gt;QH7&lt;/b&gt;');
+  });
+
+  it('should render objects, functions and inherited properties as nothing', () => {
+    const output = render('[{{merchant}}][{{fn}}][{{name.constructor}}]', {
+      merchant: { name: 'Shop' },
+      fn: () => 'called',
+      name: 'Shop'
+    });
+
+    expect(output).toBe('[][][]');
+  });
+
+  it('should escape every HTML special character', () => {
+    expect(escapeHtml('&<>"\'')).toBe('&amp;&lt;&gt;&quot;&#39;');
+  });
+
+  it('should reject unclosed sections', () => {
+    expect(() => listVariables('{{#paid}}Thanks')).toThrow();
+  });
+});
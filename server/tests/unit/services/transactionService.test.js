@@ -0,0 +1,257 @@
+// server/tests/unit/services/transactionService.test.js
+const mongoose = require('mongoose');
+const transactionService = require('../../../src/services/transactions/transactionService');
+const Transaction = require('../../../src/models/transaction');
+const ledgerService = require('../../../src/services/ledger/ledgerService');
+const config = require('../../../src/config');
+
+describe('Transaction Service', () => {
+  const business = { _id: new mongoose.Types.ObjectId(), name: 'Test Shop' };
+
+  const transaction = (fields) => new Transaction({
+    business: business._id,
+    transactionType: 'payment',
+    paymentProvider: 'mpesa',
+    amount: 100,
+    currency: 'KES',
+    country: 'kenya',
+    phoneNumber: '254712345678',
+    status: 'initiated',
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(transactionService, 'findBusinessByApiKey').mockResolvedValue(business);
+    jest.spyOn(transactionService, 'saveTransaction').mockImplementation(async (doc) => doc);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('cancelTransaction', () => {
+    it('should cancel a transaction not yet sent to the provider', async () => {
+      const initiated = transaction({ status: 'initiated' });
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(initiated);
+
+      const result = await transactionService.cancelTransaction(String(initiated._id), 'api-key');
+
+      expect(result.status).toBe('canceled');
+      expect(initiated.statusHistory.at(-1)).toMatchObject({ status: 'canceled' });
+      expect(transactionService.saveTransaction).toHaveBeenCalledWith(initiated);
+    });
+
+    it('should refuse to cancel a transaction the provider already has', async () => {
+      const pending = transaction({ status: 'pending', mpesaReference: 'ws_CO_1' });
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(pending);
+
+      await expect(transactionService.cancelTransaction(String(pending._id), 'api-key')).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Cannot cancel transaction with status: pending'
+      });
+      expect(pending.status).toBe('pending');
+      expect(transactionService.saveTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reservePayoutFunds', () => {
+    const enforcePayoutFunds = config.ledger.enforcePayoutFunds;
+
+    afterEach(() => {
+      config.ledger.enforcePayoutFunds = enforcePayoutFunds;
+    });
+
+    it('should not check the balance unless enforcement is turned on', async () => {
+      jest.spyOn(ledgerService, 'reserveFunds');
+
+      await transactionService.reservePayoutFunds(transaction({ transactionType: 'withdrawal' }));
+
+      expect(enforcePayoutFunds).toBe(false);
+      expect(ledgerService.reserveFunds).not.toHaveBeenCalled();
+    });
+
+    it('should fail a payout the available balance does not cover when enforced', async () => {
+      config.ledger.enforcePayoutFunds = true;
+      const payout = transaction({ transactionType: 'withdrawal' });
+      jest.spyOn(ledgerService, 'reserveFunds').mockRejectedValue(Object.assign(new Error('Insufficient available balance'), { statusCode: 400 }));
+
+      await expect(transactionService.reservePayoutFunds(payout)).rejects.toMatchObject({ statusCode: 400 });
+      expect(payout.status).toBe('failed');
+      expect(transactionService.saveTransaction).toHaveBeenCalledWith(payout);
+    });
+  });
+
+  describe('processCallback', () => {
+    const stkCallback = (fields) => ({
+      Body: {
+        stkCallback: {
+          MerchantRequestID: 'mr_1',
+          CheckoutRequestID: 'ws_CO_1',
+          ...fields
+        }
+      }
+    });
+
+    it('should complete the payment with the receipt number on success', async () => {
+      const payment = transaction({ status: 'pending', mpesaReference: 'ws_CO_1' });
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(payment);
+
+      const result = await transactionService.processCallback(String(payment._id), stkCallback({
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        CallbackMetadata: {
+          Item: [
+            { Name: 'Amount', Value: 100 },
+            { Name: 'MpesaReceiptNumber', Value: 'QKJ4ABC123' },
+            { Name: 'PhoneNumber', Value: 254712345678 }
+          ]
+        }
+      }));
+
+      expect(Transaction.findOne).toHaveBeenCalledWith({ _id: String(payment._id), transactionType: 'payment' });
+      expect(result.status).toBe('completed');
+      expect(payment.providerTransactionId).toBe('QKJ4ABC123');
+      expect(payment.statusHistory.at(-1).toObject({ flattenMaps: true }).metadata).toMatchObject({ resultCode: 0, receiptNumber: 'QKJ4ABC123' });
+      expect(transactionService.saveTransaction).toHaveBeenCalledWith(payment);
+    });
+
+    it('should map a customer cancellation to canceled', async () => {
+      const payment = transaction({ status: 'pending', mpesaReference: 'ws_CO_1' });
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(payment);
+
+      await transactionService.processCallback(String(payment._id), stkCallback({
+        ResultCode: 1032,
+        ResultDesc: 'Request cancelled by user'
+      }));
+
+      expect(payment.status).toBe('canceled');
+      expect(payment.statusHistory.at(-1)).toMatchObject({ status: 'canceled', reason: 'Request cancelled by user' });
+    });
+
+    it('should reject a callback for a different checkout request', async () => {
+      const payment = transaction({ status: 'pending', mpesaReference: 'ws_CO_1' });
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(payment);
+
+      await expect(transactionService.processCallback(String(payment._id), stkCallback({
+        CheckoutRequestID: 'ws_CO_2',
+        ResultCode: 0
+      }))).rejects.toMatchObject({ statusCode: 400 });
+      expect(payment.status).toBe('pending');
+      expect(transactionService.saveTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should ignore a redelivered callback for a settled payment', async () => {
+      const payment = transaction({ status: 'completed', mpesaReference: 'ws_CO_1' });
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(payment);
+
+      const result = await transactionService.processCallback(String(payment._id), stkCallback({
+        ResultCode: 1032,
+        ResultDesc: 'Request cancelled by user'
+      }));
+
+      expect(result.status).toBe('completed');
+      expect(transactionService.saveTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown transaction', async () => {
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+
+      await expect(transactionService.processCallback(String(new mongoose.Types.ObjectId()), stkCallback({
+        ResultCode: 0
+      }))).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('processPayoutResult', () => {
+    const b2cResult = (fields) => ({
+      Result: {
+        ConversationID: 'AG_1',
+        TransactionID: 'QKJ4XYZ789',
+        ...fields
+      }
+    });
+
+    it('should complete the payout with the receiver details on success', async () => {
+      const payout = transaction({ transactionType: 'withdrawal', status: 'pending', mpesaReference: 'AG_1' });
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(payout);
+
+      const result = await transactionService.processPayoutResult(String(payout._id), b2cResult({
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        ResultParameters: {
+          ResultParameter: [
+            { Key: 'ReceiverPartyPublicName', Value: '254712345678 - Jane Doe' },
+            { Key: 'TransactionCompletedDateTime', Value: '19.10.2026 10:15:00' }
+          ]
+        }
+      }));
+
+      expect(Transaction.findOne).toHaveBeenCalledWith({ _id: String(payout._id), transactionType: 'withdrawal' });
+      expect(result.status).toBe('completed');
+      expect(payout.providerTransactionId).toBe('QKJ4XYZ789');
+      expect(payout.statusHistory.at(-1).toObject({ flattenMaps: true }).metadata).toMatchObject({
+        receiptNumber: 'QKJ4XYZ789',
+        receiverName: '254712345678 - Jane Doe',
+        completedAt: '19.10.2026 10:15:00'
+      });
+      expect(transactionService.saveTransaction).toHaveBeenCalledWith(payout);
+    });
+
+    it('should fail the payout when M-Pesa rejects it', async () => {
+      const payout = transaction({ transactionType: 'withdrawal', status: 'pending', mpesaReference: 'AG_1' });
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(payout);
+
+      await transactionService.processPayoutResult(String(payout._id), b2cResult({
+        ResultCode: 2001,
+        ResultDesc: 'The initiator information is invalid.'
+      }));
+
+      expect(payout.status).toBe('failed');
+      expect(payout.statusHistory.at(-1)).toMatchObject({
+        status: 'failed',
+        reason: 'The initiator information is invalid.'
+      });
+      expect(transactionService.saveTransaction).toHaveBeenCalledWith(payout);
+    });
+
+    it('should reject a result for a different conversation', async () => {
+      const payout = transaction({ transactionType: 'withdrawal', status: 'pending', mpesaReference: 'AG_1' });
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(payout);
+
+      await expect(transactionService.processPayoutResult(String(payout._id), b2cResult({
+        ConversationID: 'AG_2',
+        ResultCode: 0
+      }))).rejects.toMatchObject({ statusCode: 400 });
+      expect(transactionService.saveTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should not let a retried result move a settled payout', async () => {
+      const payout = transaction({ transactionType: 'withdrawal', status: 'completed', mpesaReference: 'AG_1' });
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(payout);
+
+      await transactionService.processPayoutResult(String(payout._id), b2cResult({
+        ResultCode: 2001,
+        ResultDesc: 'The initiator information is invalid.'
+      }));
+
+      expect(payout.status).toBe('completed');
+      expect(transactionService.saveTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processPayoutTimeout', () => {
+    it('should fail a payout that timed out in the queue', async () => {
+      const payout = transaction({ transactionType: 'withdrawal', status: 'pending', mpesaReference: 'AG_1' });
+      jest.spyOn(Transaction, 'findOne').mockResolvedValue(payout);
+
+      const result = await transactionService.processPayoutTimeout(String(payout._id), { Result: { ConversationID: 'AG_1' } });
+
+      expect(result.status).toBe('failed');
+      expect(payout.statusHistory.at(-1)).toMatchObject({
+        status: 'failed',
+        reason: 'B2C request timed out in the M-Pesa queue'
+      });
+      expect(transactionService.saveTransaction).toHaveBeenCalledWith(payout);
+    });
+  });
+});
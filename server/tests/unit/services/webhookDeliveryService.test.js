@@ -0,0 +1,44 @@
+// server/tests/unit/services/webhookDeliveryService.test.js
+const axios = require('axios');
+const webhookDeliveryService = require('../../../src/services/transactions/webhookDeliveryService');
+const { publicLookup } = require('../../../src/utils/outboundUrl');
+
+describe('Webhook Delivery Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('send', () => {
+    it('should sign the body and resolve the host through the public-only lookup', async () => {
+      jest.spyOn(axios, 'post').mockResolvedValue({ status: 200, data: 'ok' });
+
+      const result = await webhookDeliveryService.send('https://merchant.example.com/hooks', { event: 'payment.completed' }, 'whsec_test');
+
+      expect(result).toMatchObject({ success: true, responseCode: 200, responseBody: 'ok' });
+      const [url, body, options] = axios.post.mock.calls[0];
+      expect(url).toBe('https://merchant.example.com/hooks');
+      expect(body).toBe('{"event":"payment.completed"}');
+      expect(options).toMatchObject({ lookup: publicLookup, maxRedirects: 0 });
+    });
+
+    it('should not send to an internal address', async () => {
+      jest.spyOn(axios, 'post');
+
+      const result = await webhookDeliveryService.send('http://169.254.169.254/latest/meta-data', { event: 'payment.completed' });
+
+      expect(result).toMatchObject({ success: false, error: expect.stringContaining('internal address') });
+      expect(result.responseBody).toBeUndefined();
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('should record a failed attempt for a non-2xx answer', async () => {
+      jest.spyOn(axios, 'post').mockResolvedValue({ status: 503, data: 'busy' });
+
+      await expect(webhookDeliveryService.send('https://merchant.example.com/hooks', {})).resolves.toMatchObject({
+        success: false,
+        responseCode: 503,
+        error: 'HTTP 503'
+      });
+    });
+  });
+});
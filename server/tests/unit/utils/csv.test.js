@@ -0,0 +1,36 @@
+// server/tests/unit/utils/csv.test.js
+const { parseCsv, toCsv } = require('../../../src/utils/csv');
+
+describe('CSV Helpers', () => {
+  it('should parse records keyed by the trimmed header row', () => {
+    const records = parseCsv('﻿phoneNumber , amount\r\n0712345678, 100\r\n\r\n0722000000,250\n');
+
+    expect(records).toEqual([
+      { phoneNumber: '0712345678', amount: '100' },
+      { phoneNumber: '0722000000', amount: '250' }
+    ]);
+  });
+
+  it('should parse quoted fields with commas, quotes and line breaks', () => {
+    const records = parseCsv('reference,remarks\nR1,"Salary, May"\nR2,"He said ""paid""\nthanks"');
+
+    expect(records).toEqual([
+      { reference: 'R1', remarks: 'Salary, May' },
+      { reference: 'R2', remarks: 'He said "paid"\nthanks' }
+    ]);
+  });
+
+  it('should give missing trailing values as empty strings', () => {
+    expect(parseCsv('phoneNumber,amount,reference\n0712345678,100')).toEqual([
+      { phoneNumber: '0712345678', amount: '100', reference: '' }
+    ]);
+  });
+
+  it('should quote values and defuse spreadsheet formulas when writing', () => {
+    const csv = toCsv([{ name: 'Shop, Ltd', note: '=SUM(A1)' }], ['name', 'note']);
+    const [, row] = csv.split(/\r?\n/);
+
+    expect(row).toContain('"Shop, Ltd"');
+    expect(row).not.toMatch(/(^|,)=SUM/);
+  });
+});
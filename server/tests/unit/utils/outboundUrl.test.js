@@ -0,0 +1,41 @@
+// server/tests/unit/utils/outboundUrl.test.js
+const { isInternalAddress, assertPublicUrl, publicLookup } = require('../../../src/utils/outboundUrl');
+const config = require('../../../src/config');
+
+describe('Outbound URL Guards', () => {
+  afterEach(() => {
+    config.outbound.allowPrivateAddresses = false;
+  });
+
+  it('should treat loopback, private, link-local and unique-local addresses as internal', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1']
+      .forEach(address => expect(isInternalAddress(address)).toBe(true));
+  });
+
+  it('should treat public addresses as external', () => {
+    ['196.201.214.200', '8.8.8.8', '172.32.0.1', '2001:4860:4860::8888', '::ffff:8.8.8.8']
+      .forEach(address => expect(isInternalAddress(address)).toBe(false));
+  });
+
+  it('should refuse URLs naming an internal address or using another protocol', () => {
+    expect(() => assertPublicUrl('http://169.254.169.254/latest/meta-data')).toThrow('internal address');
+    expect(() => assertPublicUrl('https://[::1]:8443/hook')).toThrow('internal address');
+    expect(() => assertPublicUrl('ftp://merchant.example.com/hook')).toThrow('http or https');
+    expect(() => assertPublicUrl('not a url')).toThrow('Invalid URL');
+    expect(assertPublicUrl('https://merchant.example.com/hook').hostname).toBe('merchant.example.com');
+  });
+
+  it('should allow internal addresses when configured for development', () => {
+    config.outbound.allowPrivateAddresses = true;
+
+    expect(() => assertPublicUrl('http://127.0.0.1:4000/hook')).not.toThrow();
+  });
+
+  it('should refuse host names that resolve to an internal address', (done) => {
+    publicLookup('localhost', {}, (error) => {
+      expect(error).toMatchObject({ statusCode: 400, message: expect.stringContaining('resolves to an internal address') });
+      done();
+    });
+  });
+});